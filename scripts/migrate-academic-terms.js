@@ -0,0 +1,191 @@
+/**
+ * Academic Terms Migration Script
+ * Assigns subjects and enrollments created before academic terms existed to a legacy term
+ *
+ * Subjects used to have globally unique codes and no term, so every statistic spanned all
+ * time. This script:
+ *   - creates the legacy term (spanning the earliest to the latest attendance or subject date)
+ *   - moves subjects without a term into it, and gives enrollments their subject's term
+ *   - replaces the old unique index on subjectCode with the per-term one
+ *   - makes the legacy term active when no term is active yet
+ *
+ * Usage: npm run db:migrate-terms                        (dry run, reports changes only)
+ *        npm run db:migrate-terms -- --apply             (writes the changes)
+ *        npm run db:migrate-terms -- --name="SY 2024-2025"
+ *
+ * Running it again only picks up subjects and enrollments that still have no term.
+ *
+ * @author Notified Development Team
+ * @version 1.0.0
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const logger = require('../src/utils/logger');
+const DateUtil = require('../src/utils/dateUtil');
+const { AcademicTerm, Subject, Enrollment, Attendance } = require('../src/models');
+
+const getOption = (name, fallback) => {
+  const prefix = `--${name}=`;
+  const inline = process.argv.find((arg) => arg.startsWith(prefix));
+  if (inline) return inline.slice(prefix.length);
+
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+};
+
+const APPLY = process.argv.includes('--apply');
+const TERM_NAME = getOption('name', 'Legacy');
+
+// Index that made subject codes unique across all terms
+const LEGACY_CODE_INDEX = 'subjectCode_1';
+
+// Connect to database
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+    logger.info('Academic terms migration script started');
+  } catch (error) {
+    console.error('❌ MongoDB connection error:', error.message);
+    process.exit(1);
+  }
+};
+
+// Earliest and latest day with attendance or subjects; today when the database is empty
+const findDataRange = async () => {
+  const [[attendance], [subjects]] = await Promise.all([
+    Attendance.aggregate([
+      { $group: { _id: null, first: { $min: '$date' }, last: { $max: '$date' } } },
+    ]),
+    Subject.aggregate([
+      { $group: { _id: null, first: { $min: '$createdAt' }, last: { $max: '$createdAt' } } },
+    ]),
+  ]);
+
+  const dates = [attendance, subjects]
+    .filter(Boolean)
+    .flatMap(({ first, last }) => [first, last])
+    .filter(Boolean)
+    .map((date) => new Date(date).getTime());
+
+  if (dates.length === 0) {
+    const today = DateUtil.startOfDay();
+    return { startDate: today, endDate: today };
+  }
+
+  return {
+    startDate: DateUtil.startOfDay(new Date(Math.min(...dates))),
+    endDate: DateUtil.startOfDay(new Date(Math.max(...dates))),
+  };
+};
+
+// Reuse a term with the requested name so the script can be re-run
+const findOrCreateTerm = async () => {
+  const existing = await AcademicTerm.findOne({ name: TERM_NAME });
+  if (existing) return { term: existing, created: false };
+
+  const range = await findDataRange();
+  const term = new AcademicTerm({ name: TERM_NAME, ...range });
+  if (APPLY) await term.save();
+  return { term, created: true };
+};
+
+// Enrollments without a term get the term of their subject
+const assignEnrollments = async () => {
+  const subjectIds = await Enrollment.distinct('subject', { term: null });
+  const subjects = await Subject.find({ _id: { $in: subjectIds }, term: { $ne: null } })
+    .select('term')
+    .lean();
+
+  return subjects.reduce(
+    (previous, subject) =>
+      previous.then(async (total) => {
+        const { modifiedCount } = await Enrollment.updateMany(
+          { subject: subject._id, term: null },
+          { term: subject.term }
+        );
+        return total + modifiedCount;
+      }),
+    Promise.resolve(0)
+  );
+};
+
+// Swap the global subject code index for the per-term one
+const migrateIndexes = async () => {
+  const indexes = await Subject.collection.indexes().catch(() => []);
+  const hasLegacyIndex = indexes.some((index) => index.name === LEGACY_CODE_INDEX);
+
+  if (APPLY) {
+    if (hasLegacyIndex) await Subject.collection.dropIndex(LEGACY_CODE_INDEX);
+    await Subject.createIndexes();
+    await Enrollment.createIndexes();
+    await AcademicTerm.createIndexes();
+  }
+  return hasLegacyIndex;
+};
+
+// Main execution
+const main = async () => {
+  console.log('📚 Academic Terms Migration Script\n');
+  console.log(`  Legacy term: ${TERM_NAME}`);
+  if (!APPLY) {
+    console.log('  ℹ️  Dry run: no changes will be written (use --apply to migrate)');
+  }
+
+  await connectDB();
+
+  const { term, created } = await findOrCreateTerm();
+  const range = `${DateUtil.toDateKey(term.startDate)} to ${DateUtil.toDateKey(term.endDate)}`;
+
+  // Subjects first, so their enrollments can follow them
+  const subjectCount = await Subject.countDocuments({ term: null });
+  if (APPLY && subjectCount > 0) {
+    await Subject.collection.updateMany({ term: null }, { $set: { term: term._id } });
+  }
+
+  // In a dry run the subjects are not assigned yet, so count their enrollments too
+  const enrollmentCount = APPLY
+    ? await assignEnrollments()
+    : await Enrollment.countDocuments({ term: null });
+
+  const droppedIndex = await migrateIndexes();
+
+  const activeTerm = await AcademicTerm.findActive();
+  const activate = !activeTerm || activeTerm._id.equals(term._id);
+  if (APPLY && activate && !term.isActive) {
+    term.isActive = true;
+    await term.save();
+  }
+
+  const verb = (done, pending) => (APPLY ? done : pending);
+  console.log('\n📊 Results:');
+  console.log(
+    `  Term "${term.name}" (${range}): ${created ? verb('created', 'to create') : 'already exists'}`
+  );
+  console.log(`  Subjects: ${subjectCount} ${verb('assigned', 'to assign')}`);
+  console.log(`  Enrollments: ${enrollmentCount} ${verb('assigned', 'to assign')}`);
+  if (droppedIndex) {
+    console.log(
+      `  Index ${LEGACY_CODE_INDEX}: ${verb('replaced', 'to replace')} by the per-term index`
+    );
+  }
+  if (activate) {
+    console.log(`  Active term: "${term.name}"${APPLY || term.isActive ? '' : ' (to activate)'}`);
+  } else {
+    console.log(`  Active term: "${activeTerm.name}" (unchanged)`);
+  }
+
+  console.log(`\n✅ Academic terms migration ${APPLY ? 'completed' : 'dry run completed'}!`);
+  logger.info(`Academic terms migration finished (${APPLY ? 'applied' : 'dry run'})`);
+
+  await mongoose.connection.close();
+  process.exit(0);
+};
+
+// Run the script
+main().catch(async (error) => {
+  console.error('❌ Script failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
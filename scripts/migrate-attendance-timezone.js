@@ -0,0 +1,187 @@
+/**
+ * Attendance Timezone Migration Script
+ * Re-buckets stored attendance dates from the server's timezone into the institution timezone
+ *
+ * Dates used to be normalized to midnight in the server's local time, so a server running in
+ * UTC filed early-morning classes in (for example) Asia/Manila under the previous day. Each
+ * record is moved to the start of its institution day:
+ *   - check-ins and scans use the day of `recordedAt`
+ *   - records created on the day they were filed under use the day of `createdAt`
+ *   - everything else (back-dated or imported records) keeps its calendar day
+ * Session locks, excuse date ranges and check-in windows are moved the same way.
+ *
+ * Usage: npm run db:migrate-timezone                      (dry run, reports changes only)
+ *        npm run db:migrate-timezone -- --apply           (writes the changes)
+ *        npm run db:migrate-timezone -- --from-timezone=UTC --to-timezone=Asia/Manila
+ *
+ * --from-timezone defaults to this machine's timezone; run it where the API used to run or
+ * pass the old server's zone explicitly. --to-timezone defaults to INSTITUTION_TIMEZONE.
+ *
+ * @author Notified Development Team
+ * @version 1.0.0
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const logger = require('../src/utils/logger');
+const DateUtil = require('../src/utils/dateUtil');
+const { Attendance, AttendanceLock, Excuse, CheckInWindow } = require('../src/models');
+
+const getOption = (name, fallback) => {
+  const prefix = `--${name}=`;
+  const inline = process.argv.find((arg) => arg.startsWith(prefix));
+  if (inline) return inline.slice(prefix.length);
+
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+};
+
+const APPLY = process.argv.includes('--apply');
+const FROM_TIMEZONE = getOption('from-timezone', Intl.DateTimeFormat().resolvedOptions().timeZone);
+const TO_TIMEZONE = getOption('to-timezone', DateUtil.getTimezone());
+
+// Connect to database
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+    logger.info('Attendance timezone migration script started');
+  } catch (error) {
+    console.error('❌ MongoDB connection error:', error.message);
+    process.exit(1);
+  }
+};
+
+const isSameDay = (a, b) => a.year === b.year && a.month === b.month && a.day === b.day;
+
+// Start of the institution day an instant falls on
+const dayOf = (instant) => DateUtil.startOfDay(instant, TO_TIMEZONE);
+
+// Start of the same calendar day in the institution timezone
+const sameCalendarDay = (date) => {
+  const { year, month, day } = DateUtil.getParts(date, FROM_TIMEZONE);
+  return DateUtil.fromCalendarDay(year, month, day, TO_TIMEZONE);
+};
+
+// Records filed under the day they were created on took that day from the clock
+const resolveDay = (date, takenAt, createdAt) => {
+  if (takenAt) return dayOf(takenAt);
+
+  const stored = DateUtil.getParts(date, FROM_TIMEZONE);
+  if (createdAt && isSameDay(DateUtil.getParts(createdAt, FROM_TIMEZONE), stored)) {
+    return dayOf(createdAt);
+  }
+
+  return sameCalendarDay(date);
+};
+
+/**
+ * Move the date fields of every document in a collection
+ * Writes go through the driver so history and audit middleware do not run
+ * @param {Object} Model - Mongoose model
+ * @param {String} label - Name used in the report
+ * @param {Array<String>} fields - Date fields to move
+ * @param {Function} resolve - (doc, field) => new date
+ */
+const migrateCollection = async (Model, label, fields, resolve) => {
+  const docs = await Model.find({}, [...fields, 'recordedAt', 'createdAt'].join(' ')).lean();
+  const result = { label, total: docs.length, changed: 0, conflicts: [] };
+
+  const updates = docs
+    .map((doc) => {
+      const $set = {};
+      fields.forEach((field) => {
+        if (!doc[field]) return;
+        const next = resolve(doc, field);
+        if (next.getTime() !== new Date(doc[field]).getTime()) {
+          $set[field] = next;
+        }
+      });
+      return { doc, $set };
+    })
+    .filter(({ $set }) => Object.keys($set).length > 0);
+
+  result.changed = updates.length;
+  if (!APPLY) return result;
+
+  // One write at a time so a unique-index conflict only skips the record that caused it
+  await updates.reduce(
+    (previous, { doc, $set }) =>
+      previous.then(() =>
+        Model.collection.updateOne({ _id: doc._id }, { $set }).catch((error) => {
+          if (error.code !== 11000) throw error;
+          result.conflicts.push(doc._id.toString());
+        })
+      ),
+    Promise.resolve()
+  );
+
+  return result;
+};
+
+const migrate = () =>
+  [
+    [
+      Attendance,
+      'Attendance records',
+      ['date'],
+      (doc) => resolveDay(doc.date, doc.recordedAt, doc.createdAt),
+    ],
+    [AttendanceLock, 'Session locks', ['date'], (doc) => sameCalendarDay(doc.date)],
+    [
+      Excuse,
+      'Excuse letters',
+      ['startDate', 'endDate'],
+      (doc, field) => sameCalendarDay(doc[field]),
+    ],
+    [CheckInWindow, 'Check-in windows', ['date'], (doc) => resolveDay(doc.date, doc.createdAt)],
+  ].reduce(
+    (previous, [Model, label, fields, resolve]) =>
+      previous.then(async (results) => [
+        ...results,
+        await migrateCollection(Model, label, fields, resolve),
+      ]),
+    Promise.resolve([])
+  );
+
+// Main execution
+const main = async () => {
+  console.log('🕒 Attendance Timezone Migration Script\n');
+
+  // Both names are checked before touching the database
+  DateUtil.getParts(new Date(), FROM_TIMEZONE);
+  DateUtil.getParts(new Date(), TO_TIMEZONE);
+
+  console.log(`  From timezone: ${FROM_TIMEZONE}`);
+  console.log(`  To timezone:   ${TO_TIMEZONE}`);
+  if (!APPLY) {
+    console.log('  ℹ️  Dry run: no changes will be written (use --apply to migrate)');
+  }
+
+  await connectDB();
+
+  const results = await migrate();
+
+  console.log('\n📊 Results:');
+  results.forEach(({ label, total, changed, conflicts }) => {
+    const verb = APPLY ? 'moved' : 'to move';
+    console.log(`  ${label}: ${changed - conflicts.length} of ${total} ${verb}`);
+    if (conflicts.length > 0) {
+      console.log(`  ⚠️  Skipped ${conflicts.length} that would duplicate an existing record:`);
+      conflicts.forEach((id) => console.log(`     - ${id}`));
+    }
+  });
+
+  console.log(`\n✅ Timezone migration ${APPLY ? 'completed' : 'dry run completed'}!`);
+  logger.info(`Attendance timezone migration finished (${APPLY ? 'applied' : 'dry run'})`);
+
+  await mongoose.connection.close();
+  process.exit(0);
+};
+
+// Run the script
+main().catch(async (error) => {
+  console.error('❌ Script failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
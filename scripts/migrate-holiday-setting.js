@@ -0,0 +1,123 @@
+/**
+ * Holiday Setting Migration Script
+ * Moves the dates of the retired `attendance.holidays` setting into the academic calendar
+ *
+ * Holidays used to be a list of dates in a setting that only the auto-absent job read. They
+ * now live in the academic calendar, which marking, rates and the job all respect. This script:
+ *   - creates a school-wide holiday calendar event for each date in the setting
+ *   - skips dates a school-wide calendar event already covers
+ *   - deletes the setting
+ *
+ * Usage: npm run db:migrate-holidays                     (dry run, reports changes only)
+ *        npm run db:migrate-holidays -- --apply          (writes the changes)
+ *
+ * Running it again does nothing once the setting is gone.
+ *
+ * @author Notified Development Team
+ * @version 1.0.0
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const logger = require('../src/utils/logger');
+const DateUtil = require('../src/utils/dateUtil');
+const { Setting, CalendarEvent } = require('../src/models');
+const { CALENDAR_EVENT_TYPES, CALENDAR_EVENT_SCOPES } = require('../src/config/constants');
+
+const APPLY = process.argv.includes('--apply');
+
+// Key of the retired setting
+const HOLIDAYS_KEY = 'attendance.holidays';
+
+// Connect to database
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+    logger.info('Holiday setting migration script started');
+  } catch (error) {
+    console.error('❌ MongoDB connection error:', error.message);
+    process.exit(1);
+  }
+};
+
+// Dates of the setting, oldest first, without duplicates or malformed entries
+const readHolidayDates = async () => {
+  const setting = await Setting.findOne({ key: HOLIDAYS_KEY }).lean();
+  if (!setting) return null;
+
+  const dates = Array.isArray(setting.value) ? setting.value : [];
+  return [...new Set(dates.filter((date) => /^\d{4}-\d{2}-\d{2}$/.test(String(date))))].sort();
+};
+
+// Whether a school-wide event already takes the day out of the calendar
+const isCovered = async (day) => {
+  const existing = await CalendarEvent.findOne({
+    scope: CALENDAR_EVENT_SCOPES.SCHOOL,
+    startDate: { $lte: day },
+    endDate: { $gte: day },
+  }).lean();
+  return Boolean(existing);
+};
+
+// Main execution
+const main = async () => {
+  console.log('📅 Holiday Setting Migration Script\n');
+  if (!APPLY) {
+    console.log('  ℹ️  Dry run: no changes will be written (use --apply to migrate)');
+  }
+
+  await connectDB();
+
+  const dates = await readHolidayDates();
+  if (dates === null) {
+    console.log(`\n  Setting ${HOLIDAYS_KEY} is not stored; nothing to migrate`);
+    await mongoose.connection.close();
+    process.exit(0);
+  }
+
+  // One date at a time, so dates repeated in the setting are only created once
+  const { created, skipped } = await dates.reduce(
+    (previous, date) =>
+      previous.then(async (totals) => {
+        const day = DateUtil.startOfDay(date);
+        if (await isCovered(day)) return { ...totals, skipped: [...totals.skipped, date] };
+
+        if (APPLY) {
+          await CalendarEvent.create({
+            title: 'Holiday',
+            type: CALENDAR_EVENT_TYPES.HOLIDAY,
+            scope: CALENDAR_EVENT_SCOPES.SCHOOL,
+            startDate: day,
+            endDate: day,
+            description: `Migrated from the ${HOLIDAYS_KEY} setting`,
+          });
+        }
+        return { ...totals, created: [...totals.created, date] };
+      }),
+    Promise.resolve({ created: [], skipped: [] })
+  );
+
+  if (APPLY) await Setting.deleteOne({ key: HOLIDAYS_KEY });
+
+  const verb = (done, pending) => (APPLY ? done : pending);
+  console.log('\n📊 Results:');
+  console.log(`  Holiday events: ${created.length} ${verb('created', 'to create')}`);
+  created.forEach((date) => console.log(`    - ${date}`));
+  console.log(`  Dates already in the calendar: ${skipped.length}`);
+  skipped.forEach((date) => console.log(`    - ${date}`));
+  console.log(`  Setting ${HOLIDAYS_KEY}: ${verb('deleted', 'to delete')}`);
+
+  console.log(`\n✅ Holiday setting migration ${APPLY ? 'completed' : 'dry run completed'}!`);
+  logger.info(`Holiday setting migration finished (${APPLY ? 'applied' : 'dry run'})`);
+
+  await mongoose.connection.close();
+  process.exit(0);
+};
+
+// Run the script
+main().catch(async (error) => {
+  console.error('❌ Script failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
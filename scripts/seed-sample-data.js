@@ -23,6 +23,7 @@ const Attendance = require('../src/models/Attendance');
 const Enrollment = require('../src/models/Enrollment');
 const { ROLES } = require('../src/config/constants');
 const logger = require('../src/utils/logger');
+const DateUtil = require('../src/utils/dateUtil');
 
 const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
 const ask = (question) => new Promise((resolve) => rl.question(question, (a) => resolve(a)));
@@ -147,7 +148,9 @@ async function seedStudents(adminId) {
       guardianEmail: `parent.${s.lastName.toLowerCase().replace(/\s+/g, '')}@example.com`,
       createdBy: adminId,
     });
-    console.log(`  ➕ Created student: ${student.studentNumber} - ${student.firstName} ${student.lastName}`);
+    console.log(
+      `  ➕ Created student: ${student.studentNumber} - ${student.firstName} ${student.lastName}`
+    );
     created.push(student);
   }
   console.log(`✅ ${created.length} students ready`);
@@ -176,15 +179,13 @@ async function seedEnrollments(students, subjects, adminId) {
 async function seedAttendance(students, subjects, adminId) {
   console.log('\n📅 Seeding attendance records...');
   let count = 0;
-  const today = new Date();
+  const today = DateUtil.startOfDay();
 
   for (const student of students) {
     for (const subject of subjects) {
       // Create attendance for the last 5 days
       for (let d = 0; d < 5; d++) {
-        const date = new Date(today);
-        date.setDate(date.getDate() - d);
-        date.setHours(0, 0, 0, 0);
+        const date = DateUtil.addDays(today, -d);
 
         const existing = await Attendance.findOne({
           student: student._id,
@@ -19,7 +19,10 @@ const fileUpload = require('express-fileupload');
 
 const connectDB = require('./config/database');
 const logger = require('./utils/logger');
+const DateUtil = require('./utils/dateUtil');
 const { errorHandler, notFound } = require('./middleware');
+const autoAbsentJob = require('./jobs/autoAbsentJob');
+const attendanceAlertJob = require('./jobs/attendanceAlertJob');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
@@ -30,6 +33,14 @@ const attendanceRoutes = require('./routes/attendanceRoutes');
 const recordRoutes = require('./routes/recordRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
 const emailRoutes = require('./routes/emailRoutes');
+const settingRoutes = require('./routes/settingRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const deviceRoutes = require('./routes/deviceRoutes');
+const correctionRoutes = require('./routes/correctionRoutes');
+const excuseRoutes = require('./routes/excuseRoutes');
+const calendarEventRoutes = require('./routes/calendarEventRoutes');
+const academicTermRoutes = require('./routes/academicTermRoutes');
+const attendanceAlertRoutes = require('./routes/attendanceAlertRoutes');
 const pingRoutes = require('./routes/pingRoutes');
 
 const app = express();
@@ -40,6 +51,9 @@ if (process.env.NODE_ENV === 'production') {
   app.set('trust proxy', 1); // Trust first proxy
 }
 
+// Attendance days are bucketed in this timezone; an invalid INSTITUTION_TIMEZONE throws here
+logger.info(`🕒 Institution timezone: ${DateUtil.getTimezone()}`);
+
 // Connect to Database
 connectDB();
 
@@ -124,9 +138,17 @@ app.use('/api/v1/users', userRoutes);
 app.use('/api/v1/students', studentRoutes);
 app.use('/api/v1/subjects', subjectRoutes);
 app.use('/api/v1/attendance', attendanceRoutes);
+app.use('/api/v1/attendance-corrections', correctionRoutes);
+app.use('/api/v1/excuses', excuseRoutes);
+app.use('/api/v1/calendar-events', calendarEventRoutes);
+app.use('/api/v1/terms', academicTermRoutes);
+app.use('/api/v1/attendance-alerts', attendanceAlertRoutes);
 app.use('/api/v1/records', recordRoutes);
 app.use('/api/v1/notifications', notificationRoutes);
 app.use('/api/v1/emails', emailRoutes);
+app.use('/api/v1/settings', settingRoutes);
+app.use('/api/v1/api-keys', apiKeyRoutes);
+app.use('/api/v1/devices', deviceRoutes);
 
 // Root Route
 app.get('/', (req, res) => {
@@ -150,6 +172,14 @@ const server = app.listen(PORT, () => {
   logger.info(`🚀 Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
 });
 
+// Background jobs
+if (process.env.AUTO_ABSENT_ENABLED !== 'false') {
+  autoAbsentJob.start(parseInt(process.env.AUTO_ABSENT_INTERVAL_MS, 10) || undefined);
+}
+if (process.env.ATTENDANCE_ALERTS_ENABLED !== 'false') {
+  attendanceAlertJob.start(process.env.ATTENDANCE_ALERT_RUN_AT || undefined);
+}
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   logger.error(`Unhandled Rejection: ${err.message}`);
@@ -27,6 +27,42 @@ module.exports = {
     SUBJECT_UPDATED: 'SUBJECT_UPDATED',
     SUBJECT_DELETED: 'SUBJECT_DELETED',
     ATTENDANCE_MARKED: 'ATTENDANCE_MARKED',
+    SETTING_UPDATED: 'SETTING_UPDATED',
+    LOGIN_SUCCESS: 'LOGIN_SUCCESS',
+    LOGIN_FAILED: 'LOGIN_FAILED',
+    ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+    ACCOUNT_UNLOCKED: 'ACCOUNT_UNLOCKED',
+    USER_INVITED: 'USER_INVITED',
+    INVITATION_ACCEPTED: 'INVITATION_ACCEPTED',
+    INVITATION_REVOKED: 'INVITATION_REVOKED',
+    API_KEY_CREATED: 'API_KEY_CREATED',
+    API_KEY_REVOKED: 'API_KEY_REVOKED',
+    IMPERSONATION_STARTED: 'IMPERSONATION_STARTED',
+    IMPERSONATION_ENDED: 'IMPERSONATION_ENDED',
+    CHECK_IN_WINDOW_OPENED: 'CHECK_IN_WINDOW_OPENED',
+    CHECK_IN_WINDOW_CLOSED: 'CHECK_IN_WINDOW_CLOSED',
+    DEVICE_REGISTERED: 'DEVICE_REGISTERED',
+    DEVICE_REVOKED: 'DEVICE_REVOKED',
+    CORRECTION_REQUESTED: 'CORRECTION_REQUESTED',
+    CORRECTION_APPROVED: 'CORRECTION_APPROVED',
+    CORRECTION_REJECTED: 'CORRECTION_REJECTED',
+    EXCUSE_SUBMITTED: 'EXCUSE_SUBMITTED',
+    EXCUSE_APPROVED: 'EXCUSE_APPROVED',
+    EXCUSE_REJECTED: 'EXCUSE_REJECTED',
+    ATTENDANCE_FINALIZED: 'ATTENDANCE_FINALIZED',
+    ATTENDANCE_UNLOCKED: 'ATTENDANCE_UNLOCKED',
+    ATTENDANCE_REVERTED: 'ATTENDANCE_REVERTED',
+    CALENDAR_EVENT_CREATED: 'CALENDAR_EVENT_CREATED',
+    CALENDAR_EVENT_UPDATED: 'CALENDAR_EVENT_UPDATED',
+    CALENDAR_EVENT_DELETED: 'CALENDAR_EVENT_DELETED',
+    CALENDAR_EVENTS_IMPORTED: 'CALENDAR_EVENTS_IMPORTED',
+    TERM_CREATED: 'TERM_CREATED',
+    TERM_UPDATED: 'TERM_UPDATED',
+    TERM_ACTIVATED: 'TERM_ACTIVATED',
+    TERM_DELETED: 'TERM_DELETED',
+    TERM_ROLLOVER: 'TERM_ROLLOVER',
+    ATTENDANCE_ALERT: 'ATTENDANCE_ALERT',
+    ATTENDANCE_SYNCED: 'ATTENDANCE_SYNCED',
   },
 
   // Attendance Status
@@ -37,6 +73,96 @@ module.exports = {
     EXCUSED: 'excused',
   },
 
+  // How an attendance record was created
+  ATTENDANCE_SOURCES: {
+    MANUAL: 'manual',
+    CHECK_IN: 'check_in',
+    QR: 'qr', // student self check-in by scanning a teacher's QR code
+    SCAN: 'scan', // card scan at a registered kiosk device
+    AUTO: 'auto', // absent records created by the auto-absent job
+    SYNC: 'sync', // marked offline and uploaded later through POST /attendance/sync
+  },
+
+  // Outcome of each item of an offline sync batch
+  ATTENDANCE_SYNC_RESULTS: {
+    CREATED: 'created',
+    UPDATED: 'updated',
+    UNCHANGED: 'unchanged',
+    CONFLICT: 'conflict',
+    ERROR: 'error',
+  },
+
+  // What an offline sync does when the server record changed after the client's base version
+  ATTENDANCE_SYNC_ON_CONFLICT: {
+    KEEP_SERVER: 'keep_server', // report the conflict and leave the record alone
+    OVERWRITE: 'overwrite', // apply the client's change and still report the conflict
+  },
+
+  // Default per-subject attendance policy (minutes relative to the schedule slot start)
+  ATTENDANCE_POLICY: {
+    GRACE_PERIOD_MINUTES: 5, // check-ins up to here are present
+    LATE_CUTOFF_MINUTES: 15, // then late up to here
+    ABSENT_AFTER_MINUTES: 30, // then absent up to here; check-in closes after it
+    CHECK_IN_OPENS_BEFORE_MINUTES: 15, // early check-ins count as on time
+  },
+
+  // Attendance correction request lifecycle
+  CORRECTION_STATUS: {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+  },
+
+  // Who filed an attendance correction request
+  CORRECTION_REQUESTER_TYPES: {
+    STAFF: 'staff',
+    STUDENT: 'student',
+    GUARDIAN: 'guardian',
+  },
+
+  // Excuse letter lifecycle
+  EXCUSE_STATUS: {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+  },
+
+  // Reason categories for excuse letters
+  EXCUSE_CATEGORIES: {
+    MEDICAL: 'medical',
+    FAMILY: 'family',
+    BEREAVEMENT: 'bereavement',
+    SCHOOL_ACTIVITY: 'school_activity',
+    OTHER: 'other',
+  },
+
+  // Academic calendar days without regular classes
+  CALENDAR_EVENT_TYPES: {
+    HOLIDAY: 'holiday',
+    SUSPENSION: 'suspension', // e.g. classes suspended for a typhoon
+    EXAM_DAY: 'exam_day',
+  },
+
+  // Who a calendar event applies to
+  CALENDAR_EVENT_SCOPES: {
+    SCHOOL: 'school',
+    SECTION: 'section',
+    SUBJECT: 'subject',
+  },
+
+  // Absenteeism rules evaluated after every mark and by the nightly alert job
+  ATTENDANCE_ALERT_TYPES: {
+    CONSECUTIVE_ABSENCES: 'consecutive_absences',
+    ABSENCE_RATE: 'absence_rate',
+    LATES_IN_PERIOD: 'lates_in_period',
+  },
+
+  // An alert stays active while its rule is crossed and resolves once it no longer is
+  ATTENDANCE_ALERT_STATUS: {
+    ACTIVE: 'active',
+    RESOLVED: 'resolved',
+  },
+
   // Notification Types
   NOTIFICATION_TYPES: {
     ATTENDANCE_ALERT: 'attendance_alert',
@@ -46,6 +172,32 @@ module.exports = {
     SYSTEM: 'system',
   },
 
+  // Reasons a login session was revoked
+  SESSION_REVOKE_REASONS: {
+    LOGOUT: 'logout',
+    REVOKED: 'revoked',
+    REUSE_DETECTED: 'reuse_detected',
+    PASSWORD_RESET: 'password_reset',
+    PASSWORD_CHANGED: 'password_changed',
+  },
+
+  // Purposes for short-lived, single-purpose JWTs
+  TOKEN_PURPOSES: {
+    TWO_FACTOR: 'two_factor',
+    TWO_FACTOR_SETUP: 'two_factor_setup',
+    INVITATION: 'invitation',
+  },
+
+  // System setting keys (see settingService for defaults and validation)
+  SETTING_KEYS: {
+    TWO_FACTOR_REQUIRED_ROLES: 'twoFactor.requiredRoles',
+    AUTO_ABSENT_NOTIFY: 'attendance.autoAbsentNotify',
+    KIOSK_DUPLICATE_SCAN_SECONDS: 'kiosk.duplicateScanSeconds',
+    ATTENDANCE_AUTO_LOCK_DAYS: 'attendance.autoLockDays',
+    ATTENDANCE_ALERT_RULES: 'attendance.alertRules',
+    DEPARTURE_NOTIFY: 'attendance.departureNotify',
+  },
+
   // HTTP Status Codes
   HTTP_STATUS: {
     OK: 200,
@@ -57,6 +209,8 @@ module.exports = {
     NOT_FOUND: 404,
     CONFLICT: 409,
     UNPROCESSABLE_ENTITY: 422,
+    LOCKED: 423,
+    TOO_MANY_REQUESTS: 429,
     INTERNAL_SERVER_ERROR: 500,
   },
 
@@ -66,6 +220,7 @@ module.exports = {
     UNAUTHORIZED: 'You are not authorized to access this resource',
     TOKEN_EXPIRED: 'Your session has expired. Please login again',
     TOKEN_INVALID: 'Invalid token. Please login again',
+    TOKEN_REVOKED: 'Your access token has been revoked. Please refresh your session or login again',
     USER_EXISTS: 'User with this email already exists',
     USER_NOT_FOUND: 'User not found',
     STUDENT_EXISTS: 'Student with this student number already exists',
@@ -86,6 +241,73 @@ module.exports = {
     WEAK_PASSWORD: 'Password must be at least 8 characters with letters and numbers',
     INVALID_EMAIL: 'Please provide a valid email address',
     REQUIRED_FIELDS: 'Please provide all required fields',
+    RESET_TOKEN_INVALID: 'Password reset token is invalid or has expired',
+    SESSION_NOT_FOUND: 'Session not found',
+    REFRESH_TOKEN_REUSED: 'This session was revoked for security reasons. Please login again',
+    TWO_FACTOR_INVALID_CODE: 'Invalid authentication code',
+    TWO_FACTOR_CHALLENGE_INVALID:
+      'Two-factor challenge is invalid or has expired. Please login again',
+    TWO_FACTOR_ALREADY_ENABLED: 'Two-factor authentication is already enabled',
+    TWO_FACTOR_NOT_ENABLED: 'Two-factor authentication is not enabled',
+    TWO_FACTOR_SETUP_NOT_STARTED: 'Start two-factor setup before enabling it',
+    TWO_FACTOR_REQUIRED_FOR_ROLE: 'Two-factor authentication is required for your role',
+    SETTING_NOT_FOUND: 'Setting not found',
+    SUBJECT_ACCESS_DENIED: 'You are not assigned to this subject',
+    SUBJECT_REQUIRED_FOR_ACCESS: 'A subject you are assigned to is required for this action',
+    STUDENT_ACCESS_DENIED: 'This student is not enrolled in any subject you are assigned to',
+    INVALID_INSTRUCTOR: 'Instructors must be active users who can mark attendance',
+    ACCOUNT_LOCKED:
+      'Account is temporarily locked due to too many failed login attempts. Try again later or contact an administrator',
+    ACCOUNT_PENDING: 'Account is not activated yet. Use the invitation link sent to your email',
+    INVITATION_INVALID: 'Invitation link is invalid or has expired',
+    INVITATION_NOT_PENDING: 'This user has already activated their account',
+    API_KEY_INVALID: 'API key is invalid, expired or revoked',
+    API_KEY_NOT_FOUND: 'API key not found',
+    API_KEY_NOT_ALLOWED: 'API keys cannot be used for this action',
+    API_KEY_SCOPE_NOT_ALLOWED: 'You cannot grant a scope you do not have',
+    IMPERSONATION_NOT_ALLOWED: 'This action is not available while impersonating a user',
+    ATTENDANCE_ALREADY_MARKED: 'Attendance has already been recorded for this session',
+    ATTENDANCE_LOCKED: 'Attendance for this session is finalized; an admin must unlock it first',
+    ATTENDANCE_ALREADY_FINALIZED: 'Attendance for this session is already finalized',
+    ATTENDANCE_NOT_LOCKED: 'Attendance for this session is not locked',
+    HISTORY_ENTRY_NOT_FOUND: 'History entry not found',
+    REVERT_NO_CHANGE: 'The record already matches this history entry',
+    NO_CLASSES_ON_DATE: 'No classes are held on this date according to the academic calendar',
+    CHECK_IN_WINDOW_NOT_FOUND: 'Check-in window not found',
+    CHECK_IN_WINDOW_CLOSED: 'This check-in window is closed',
+    CHECK_IN_TOKEN_INVALID: 'This QR code is invalid or has expired. Scan the code currently shown',
+    CHECK_IN_STUDENT_INVALID: 'No active student matches this student number and email',
+    CHECK_IN_CLIENT_USED:
+      'This device already checked in another student with this QR code. Each student must scan the code',
+    DEVICE_KEY_INVALID: 'Device key is invalid or revoked',
+    DEVICE_NOT_FOUND: 'Device not found',
+    CARD_NOT_RECOGNIZED: 'This card is not assigned to an active student',
+    CARD_ID_IN_USE: 'This card is already assigned to another student',
+    CORRECTION_NOT_FOUND: 'Correction request not found',
+    CORRECTION_NOT_PENDING: 'This correction request has already been reviewed',
+    CORRECTION_ALREADY_PENDING: 'A correction request for this record is already pending',
+    CORRECTION_SAME_STATUS: 'The proposed status is the same as the current status',
+    CORRECTION_SELF_REVIEW: 'You cannot review your own correction request',
+    CORRECTION_REVIEW_DENIED: 'Only the subject instructors or an admin can review this request',
+    CORRECTION_RECORD_NOT_FOUND: 'No attendance record matches these details',
+    CORRECTION_RECORD_AMBIGUOUS: 'Several records match this date; specify the schedule slot',
+    EXCUSE_NOT_FOUND: 'Excuse not found',
+    EXCUSE_NOT_PENDING: 'This excuse has already been reviewed',
+    EXCUSE_INVALID_RANGE: 'End date must be on or after the start date',
+    CALENDAR_EVENT_NOT_FOUND: 'Calendar event not found',
+    TERM_NOT_FOUND: 'Academic term not found',
+    TERM_NAME_EXISTS: 'An academic term with this name already exists',
+    TERM_IN_USE: 'This academic term still has subjects and cannot be deleted',
+    TERM_ROLLOVER_NO_SOURCE: 'No term to roll over from: pass fromTermId or set an active term',
+    TERM_ROLLOVER_SAME_TERM: 'A term cannot be rolled over into itself',
+    PRESENCE_INVALID_RANGE: 'End date must be on or after the start date and at most 31 days later',
+    ATTACHMENT_NOT_FOUND: 'Attachment not found',
+    FILE_TYPE_NOT_ALLOWED: 'Only PDF, JPEG and PNG files can be attached',
+    FILE_TOO_LARGE: 'Each attachment must be 5MB or smaller',
+    TOO_MANY_FILES: 'No more than 5 files can be attached',
+    NO_OPEN_SCHEDULE_SLOT: 'No scheduled session of this subject is open for check-in right now',
+    CANNOT_IMPERSONATE:
+      'Only active, non-superadmin accounts other than your own can be impersonated',
   },
 
   // Success Messages
@@ -119,6 +341,68 @@ module.exports = {
     EMAIL_SENT: 'Email sent successfully',
     LOGIN_SUCCESS: 'Login successful',
     LOGOUT_SUCCESS: 'Logout successful',
+    PASSWORD_RESET_REQUESTED:
+      'If an account with that email exists, a password reset link has been sent',
+    PASSWORD_RESET_SUCCESS: 'Password has been reset successfully. Please login again',
+    SESSIONS_RETRIEVED: 'Sessions retrieved successfully',
+    SESSION_REVOKED: 'Session revoked successfully',
+    TWO_FACTOR_REQUIRED: 'Two-factor authentication required',
+    TWO_FACTOR_SETUP_REQUIRED: 'Two-factor authentication must be set up before you can sign in',
+    TWO_FACTOR_SETUP_STARTED: 'Scan the QR code with your authenticator app, then confirm a code',
+    TWO_FACTOR_ENABLED: 'Two-factor authentication enabled. Store your recovery codes safely',
+    TWO_FACTOR_DISABLED: 'Two-factor authentication disabled',
+    RECOVERY_CODES_REGENERATED: 'Recovery codes regenerated. Previous codes no longer work',
+    SETTINGS_RETRIEVED: 'Settings retrieved successfully',
+    SETTING_UPDATED: 'Setting updated successfully',
+    ACCOUNT_UNLOCKED: 'Account unlocked successfully',
+    INSTRUCTORS_UPDATED: 'Subject instructors updated successfully',
+    INVITATION_SENT: 'Invitation sent successfully',
+    INVITATION_REVOKED: 'Invitation revoked successfully',
+    INVITATION_ACCEPTED: 'Account activated. You can now log in',
+    API_KEY_CREATED: 'API key created. Copy it now, it will not be shown again',
+    API_KEYS_RETRIEVED: 'API keys retrieved successfully',
+    API_KEY_REVOKED: 'API key revoked successfully',
+    IMPERSONATION_STARTED: 'Impersonation started',
+    IMPERSONATION_ENDED: 'Impersonation ended',
+    ATTENDANCE_POLICY_UPDATED: 'Attendance policy updated successfully',
+    CHECKED_IN: 'Check-in recorded successfully',
+    CHECK_IN_WINDOW_OPENED: 'Check-in window opened',
+    CHECK_IN_WINDOW_CLOSED: 'Check-in window closed',
+    DEVICE_REGISTERED: 'Device registered. Copy its key now, it will not be shown again',
+    DEVICES_RETRIEVED: 'Devices retrieved successfully',
+    DEVICE_REVOKED: 'Device revoked successfully',
+    SCAN_RECORDED: 'Scan recorded',
+    SCAN_DUPLICATE: 'Duplicate scan ignored',
+    CORRECTION_REQUESTED: 'Correction request submitted',
+    CORRECTIONS_RETRIEVED: 'Correction requests retrieved successfully',
+    CORRECTION_APPROVED: 'Correction request approved and applied',
+    CORRECTION_REJECTED: 'Correction request rejected',
+    EXCUSE_SUBMITTED: 'Excuse submitted',
+    EXCUSES_RETRIEVED: 'Excuses retrieved successfully',
+    EXCUSE_APPROVED: 'Excuse approved',
+    EXCUSE_REJECTED: 'Excuse rejected',
+    ATTENDANCE_FINALIZED: 'Attendance finalized',
+    ATTENDANCE_UNLOCKED: 'Attendance unlocked',
+    ATTENDANCE_HISTORY_RETRIEVED: 'Attendance history retrieved successfully',
+    ATTENDANCE_REVERTED: 'Attendance reverted successfully',
+    CALENDAR_EVENT_CREATED: 'Calendar event created successfully',
+    CALENDAR_EVENT_RETRIEVED: 'Calendar event retrieved successfully',
+    CALENDAR_EVENTS_RETRIEVED: 'Calendar events retrieved successfully',
+    CALENDAR_EVENT_UPDATED: 'Calendar event updated successfully',
+    CALENDAR_EVENT_DELETED: 'Calendar event deleted successfully',
+    CALENDAR_EVENTS_IMPORTED: 'Calendar events imported successfully',
+    TERM_CREATED: 'Academic term created successfully',
+    TERM_RETRIEVED: 'Academic term retrieved successfully',
+    TERMS_RETRIEVED: 'Academic terms retrieved successfully',
+    TERM_UPDATED: 'Academic term updated successfully',
+    TERM_ACTIVATED: 'Academic term activated successfully',
+    TERM_DELETED: 'Academic term deleted successfully',
+    TERM_ROLLOVER_PREVIEWED: 'Term rollover preview generated (nothing was changed)',
+    TERM_ROLLOVER_COMPLETED: 'Term rollover completed successfully',
+    ATTENDANCE_ALERTS_RETRIEVED: 'Attendance alerts retrieved successfully',
+    AT_RISK_STUDENTS_RETRIEVED: 'At-risk students retrieved successfully',
+    PRESENCE_REPORT_RETRIEVED: 'Time-on-campus report retrieved successfully',
+    ATTENDANCE_SYNCED: 'Offline attendance synced',
   },
 
   // Validation Rules
@@ -129,6 +413,63 @@ module.exports = {
     NAME_PATTERN: /^[a-zA-Z\s\-']+$/,
   },
 
+  // QR self check-in windows
+  CHECK_IN_WINDOW: {
+    ROTATION_SECONDS: 15, // a QR token is accepted for at most two rotations
+    DEFAULT_DURATION_MINUTES: 15,
+    MAX_DURATION_MINUTES: 240,
+    RATE_LIMIT_WINDOW_MS: 60 * 1000, // public check-ins allowed per IP in this window
+    RATE_LIMIT_MAX: 30,
+  },
+
+  // Kiosk / card reader devices
+  KIOSK: {
+    DEVICE_KEY_HEADER: 'x-device-key',
+    DEVICE_KEY_PREFIX: 'dev_',
+    DEVICE_KEY_PREFIX_LENGTH: 12, // characters kept in clear to identify a device key
+    DEVICE_LAST_SEEN_INTERVAL_MS: 60 * 1000, // how often lastSeenAt is written
+    DEPARTURE_GRACE_MINUTES: 30, // departure scans are accepted this long after a slot ends
+  },
+
+  // Offline attendance sync
+  OFFLINE_SYNC: {
+    MAX_BATCH_SIZE: 200,
+    CLIENT_ID_RETENTION_DAYS: 30, // replays of a client ID are recognized this long
+  },
+
+  // Uploaded attachments (stored under UPLOAD_DIR)
+  UPLOADS: {
+    MAX_FILE_SIZE_BYTES: 5 * 1024 * 1024, // 5MB
+    MAX_FILES: 5,
+    ALLOWED_MIME_TYPES: ['application/pdf', 'image/jpeg', 'image/png'],
+  },
+
+  // Background jobs
+  JOBS: {
+    AUTO_ABSENT_INTERVAL_MS: 5 * 60 * 1000, // 5 minutes
+    ATTENDANCE_ALERT_CHECK_INTERVAL_MS: 15 * 60 * 1000, // 15 minutes
+    ATTENDANCE_ALERT_RUN_AT: '22:00', // Institution time of the nightly evaluation
+  },
+
+  // Authentication
+  AUTH: {
+    PASSWORD_RESET_EXPIRES_MS: 60 * 60 * 1000, // 1 hour (matches reset email copy)
+    TWO_FACTOR_CHALLENGE_EXPIRES_IN: '5m',
+    TWO_FACTOR_SETUP_EXPIRES_IN: '15m',
+    TWO_FACTOR_RECOVERY_CODE_COUNT: 10,
+    LOGIN_DELAY_AFTER_ATTEMPTS: 3, // failures allowed before retries are throttled
+    LOGIN_DELAY_BASE_MS: 2 * 1000, // doubles with each further failure
+    LOGIN_DELAY_MAX_MS: 60 * 1000,
+    MAX_FAILED_LOGIN_ATTEMPTS: 10, // failures before the account is locked
+    ACCOUNT_LOCK_DURATION_MS: 30 * 60 * 1000, // 30 minutes
+    INVITATION_EXPIRES_MS: 7 * 24 * 60 * 60 * 1000, // 7 days (matches invitation email copy)
+    API_KEY_HEADER: 'x-api-key',
+    API_KEY_PREFIX: 'ntf_',
+    API_KEY_PREFIX_LENGTH: 12, // characters kept in clear to identify a key
+    API_KEY_LAST_USED_INTERVAL_MS: 60 * 1000, // how often lastUsedAt is written
+    IMPERSONATION_EXPIRES_IN: '15m',
+  },
+
   // Pagination
   PAGINATION: {
     DEFAULT_PAGE: 1,
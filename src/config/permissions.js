@@ -0,0 +1,165 @@
+/**
+ * Permission Matrix
+ * Declarative map of what each role may do, checked by rbac.requirePermission
+ * Permissions use the `resource:action` format
+ *
+ * @author Notified Development Team
+ * @version 1.0.0
+ */
+
+const { ROLES } = require('./constants');
+
+const PERMISSIONS = {
+  STUDENT_READ: 'student:read',
+  STUDENT_CREATE: 'student:create',
+  STUDENT_UPDATE: 'student:update',
+  STUDENT_DELETE: 'student:delete',
+
+  SUBJECT_READ: 'subject:read',
+  SUBJECT_CREATE: 'subject:create',
+  SUBJECT_UPDATE: 'subject:update',
+  SUBJECT_DELETE: 'subject:delete',
+  SUBJECT_ASSIGN_INSTRUCTORS: 'subject:assign-instructors',
+  // Without this, subject-scoped actions are limited to subjects the user teaches
+  SUBJECT_ACCESS_ALL: 'subject:access-all',
+
+  ENROLLMENT_READ: 'enrollment:read',
+  ENROLLMENT_MANAGE: 'enrollment:manage',
+
+  ATTENDANCE_READ: 'attendance:read',
+  ATTENDANCE_MARK: 'attendance:mark',
+  ATTENDANCE_UPDATE: 'attendance:update',
+  ATTENDANCE_DELETE: 'attendance:delete',
+  ATTENDANCE_IMPORT: 'attendance:import',
+  ATTENDANCE_EXPORT: 'attendance:export',
+  // Subject instructors can also review corrections for their own subjects
+  ATTENDANCE_REVIEW_CORRECTIONS: 'attendance:review-corrections',
+  // Reopen finalized sessions for editing
+  ATTENDANCE_UNLOCK: 'attendance:unlock',
+
+  EXCUSE_READ: 'excuse:read',
+  EXCUSE_SUBMIT: 'excuse:submit',
+  EXCUSE_REVIEW: 'excuse:review',
+
+  CALENDAR_READ: 'calendar:read',
+  CALENDAR_MANAGE: 'calendar:manage',
+
+  TERM_READ: 'term:read',
+  TERM_MANAGE: 'term:manage',
+
+  RECORD_READ: 'record:read',
+  RECORD_DELETE: 'record:delete',
+
+  NOTIFICATION_CREATE: 'notification:create',
+
+  EMAIL_SEND: 'email:send',
+  EMAIL_BULK: 'email:bulk',
+  EMAIL_CONFIG: 'email:config',
+
+  USER_MANAGE: 'user:manage',
+  USER_IMPERSONATE: 'user:impersonate',
+  API_KEY_MANAGE: 'api-key:manage',
+  DEVICE_MANAGE: 'device:manage',
+  SETTINGS_MANAGE: 'settings:manage',
+};
+
+// Grants every permission
+const ALL = '*';
+
+// Permissions reserved for superadmin
+const SUPERADMIN_ONLY = [PERMISSIONS.SETTINGS_MANAGE, PERMISSIONS.USER_IMPERSONATE];
+
+const ROLE_PERMISSIONS = {
+  [ROLES.SUPERADMIN]: [ALL],
+
+  [ROLES.ADMIN]: Object.values(PERMISSIONS).filter(
+    (permission) => !SUPERADMIN_ONLY.includes(permission)
+  ),
+
+  [ROLES.STAFF]: [
+    PERMISSIONS.STUDENT_READ,
+    PERMISSIONS.STUDENT_CREATE,
+    PERMISSIONS.STUDENT_UPDATE,
+    PERMISSIONS.SUBJECT_READ,
+    PERMISSIONS.SUBJECT_CREATE,
+    PERMISSIONS.SUBJECT_UPDATE,
+    PERMISSIONS.SUBJECT_ACCESS_ALL,
+    PERMISSIONS.ENROLLMENT_READ,
+    PERMISSIONS.ENROLLMENT_MANAGE,
+    PERMISSIONS.ATTENDANCE_READ,
+    PERMISSIONS.ATTENDANCE_MARK,
+    PERMISSIONS.ATTENDANCE_UPDATE,
+    PERMISSIONS.ATTENDANCE_IMPORT,
+    PERMISSIONS.ATTENDANCE_EXPORT,
+    PERMISSIONS.EXCUSE_READ,
+    PERMISSIONS.EXCUSE_SUBMIT,
+    PERMISSIONS.CALENDAR_READ,
+    PERMISSIONS.TERM_READ,
+    PERMISSIONS.RECORD_READ,
+    PERMISSIONS.NOTIFICATION_CREATE,
+    PERMISSIONS.EMAIL_SEND,
+    PERMISSIONS.EMAIL_BULK,
+  ],
+
+  // Manages the student register, class enrollment, excuse letters, the academic calendar and terms
+  [ROLES.REGISTRAR]: [
+    PERMISSIONS.STUDENT_READ,
+    PERMISSIONS.STUDENT_CREATE,
+    PERMISSIONS.STUDENT_UPDATE,
+    PERMISSIONS.SUBJECT_READ,
+    PERMISSIONS.SUBJECT_ACCESS_ALL,
+    PERMISSIONS.ENROLLMENT_READ,
+    PERMISSIONS.ENROLLMENT_MANAGE,
+    PERMISSIONS.ATTENDANCE_READ,
+    PERMISSIONS.EXCUSE_READ,
+    PERMISSIONS.EXCUSE_SUBMIT,
+    PERMISSIONS.EXCUSE_REVIEW,
+    PERMISSIONS.CALENDAR_READ,
+    PERMISSIONS.CALENDAR_MANAGE,
+    PERMISSIONS.TERM_READ,
+    PERMISSIONS.TERM_MANAGE,
+    PERMISSIONS.RECORD_READ,
+  ],
+
+  // Takes attendance for the classes they teach and contacts guardians about it
+  [ROLES.PROFESSOR]: [
+    PERMISSIONS.STUDENT_READ,
+    PERMISSIONS.SUBJECT_READ,
+    PERMISSIONS.ENROLLMENT_READ,
+    PERMISSIONS.ATTENDANCE_READ,
+    PERMISSIONS.ATTENDANCE_MARK,
+    PERMISSIONS.ATTENDANCE_UPDATE,
+    PERMISSIONS.ATTENDANCE_EXPORT,
+    PERMISSIONS.CALENDAR_READ,
+    PERMISSIONS.TERM_READ,
+    PERMISSIONS.EMAIL_SEND,
+  ],
+};
+
+/**
+ * Resolve the full permission list for a role
+ * @param {String} role - User role
+ * @returns {Array<String>} Permissions (wildcard expanded)
+ */
+const getRolePermissions = (role) => {
+  const granted = ROLE_PERMISSIONS[role] || [];
+  return granted.includes(ALL) ? Object.values(PERMISSIONS) : [...granted];
+};
+
+/**
+ * Check whether a role grants a permission
+ * @param {String} role - User role
+ * @param {String} permission - Permission to check
+ * @returns {Boolean}
+ */
+const roleHasPermission = (role, permission) => {
+  const granted = ROLE_PERMISSIONS[role] || [];
+  return granted.includes(ALL) || granted.includes(permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getRolePermissions,
+  roleHasPermission,
+};
@@ -0,0 +1,100 @@
+const academicTermService = require('../services/academicTermService');
+const termRolloverService = require('../services/termRolloverService');
+const ApiResponse = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { SUCCESS_MESSAGES } = require('../config/constants');
+
+/**
+ * Get academic terms with pagination
+ * @route GET /api/v1/terms
+ * @access Private
+ */
+exports.getTerms = asyncHandler(async (req, res) => {
+  const { page, limit } = req.query;
+
+  const result = await academicTermService.getTerms({ page, limit });
+
+  res.json(
+    ApiResponse.paginated(
+      result.terms,
+      result.pagination.page,
+      result.pagination.limit,
+      result.pagination.total,
+      SUCCESS_MESSAGES.TERMS_RETRIEVED
+    )
+  );
+});
+
+/**
+ * Get the active academic term
+ * @route GET /api/v1/terms/active
+ * @access Private
+ */
+exports.getActiveTerm = asyncHandler(async (req, res) => {
+  const term = await academicTermService.getActiveTerm();
+  res.json(ApiResponse.success(term, SUCCESS_MESSAGES.TERM_RETRIEVED));
+});
+
+/**
+ * Get an academic term
+ * @route GET /api/v1/terms/:id
+ * @access Private
+ */
+exports.getTermById = asyncHandler(async (req, res) => {
+  const term = await academicTermService.getTermById(req.params.id);
+  res.json(ApiResponse.success(term, SUCCESS_MESSAGES.TERM_RETRIEVED));
+});
+
+/**
+ * Create an academic term
+ * @route POST /api/v1/terms
+ * @access Private (Registrar/Admin)
+ */
+exports.createTerm = asyncHandler(async (req, res) => {
+  const term = await academicTermService.createTerm(req.body, req.user._id);
+  res.status(201).json(ApiResponse.created(term, SUCCESS_MESSAGES.TERM_CREATED));
+});
+
+/**
+ * Update an academic term
+ * @route PUT /api/v1/terms/:id
+ * @access Private (Registrar/Admin)
+ */
+exports.updateTerm = asyncHandler(async (req, res) => {
+  const term = await academicTermService.updateTerm(req.params.id, req.body, req.user._id);
+  res.json(ApiResponse.success(term, SUCCESS_MESSAGES.TERM_UPDATED));
+});
+
+/**
+ * Make an academic term the active one
+ * @route POST /api/v1/terms/:id/activate
+ * @access Private (Registrar/Admin)
+ */
+exports.activateTerm = asyncHandler(async (req, res) => {
+  const term = await academicTermService.activateTerm(req.params.id, req.user._id);
+  res.json(ApiResponse.success(term, SUCCESS_MESSAGES.TERM_ACTIVATED));
+});
+
+/**
+ * Delete an academic term
+ * @route DELETE /api/v1/terms/:id
+ * @access Private (Registrar/Admin)
+ */
+exports.deleteTerm = asyncHandler(async (req, res) => {
+  const term = await academicTermService.deleteTerm(req.params.id, req.user._id);
+  res.json(ApiResponse.success(term, SUCCESS_MESSAGES.TERM_DELETED));
+});
+
+/**
+ * Roll the active (or given) term over into this term; previews unless dryRun is false
+ * @route POST /api/v1/terms/:id/rollover
+ * @access Private (Registrar/Admin)
+ */
+exports.rolloverTerm = asyncHandler(async (req, res) => {
+  const report = await termRolloverService.rolloverTerm(req.params.id, req.body, req.user._id);
+
+  if (report.dryRun) {
+    return res.json(ApiResponse.success(report, SUCCESS_MESSAGES.TERM_ROLLOVER_PREVIEWED));
+  }
+  res.status(201).json(ApiResponse.created(report, SUCCESS_MESSAGES.TERM_ROLLOVER_COMPLETED));
+});
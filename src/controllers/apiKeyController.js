@@ -0,0 +1,34 @@
+const apiKeyService = require('../services/apiKeyService');
+const ApiResponse = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { SUCCESS_MESSAGES } = require('../config/constants');
+
+/**
+ * Get all API keys
+ * @route GET /api/v1/api-keys
+ * @access Private (Admin)
+ */
+exports.getApiKeys = asyncHandler(async (req, res) => {
+  const apiKeys = await apiKeyService.getApiKeys();
+  res.json(ApiResponse.success(apiKeys, SUCCESS_MESSAGES.API_KEYS_RETRIEVED));
+});
+
+/**
+ * Create an API key (the plain key is only returned in this response)
+ * @route POST /api/v1/api-keys
+ * @access Private (Admin)
+ */
+exports.createApiKey = asyncHandler(async (req, res) => {
+  const result = await apiKeyService.createApiKey(req.body, req.user);
+  res.status(201).json(ApiResponse.created(result, SUCCESS_MESSAGES.API_KEY_CREATED));
+});
+
+/**
+ * Revoke an API key
+ * @route DELETE /api/v1/api-keys/:id
+ * @access Private (Admin)
+ */
+exports.revokeApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await apiKeyService.revokeApiKey(req.params.id, req.user._id);
+  res.json(ApiResponse.success(apiKey, SUCCESS_MESSAGES.API_KEY_REVOKED));
+});
@@ -0,0 +1,41 @@
+const attendanceAlertService = require('../services/attendanceAlertService');
+const ApiResponse = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { SUCCESS_MESSAGES } = require('../config/constants');
+
+/**
+ * Get attendance alerts with pagination
+ * @route GET /api/v1/attendance-alerts
+ * @access Private (Staff/Admin/Professor; professors see their subjects only)
+ */
+exports.getAlerts = asyncHandler(async (req, res) => {
+  const { status, studentId, subjectId, term, page, limit } = req.query;
+
+  const result = await attendanceAlertService.getAlerts(
+    { status, studentId, subjectId, term },
+    { page, limit },
+    req.user
+  );
+
+  res.json(
+    ApiResponse.paginated(
+      result.alerts,
+      result.pagination.page,
+      result.pagination.limit,
+      result.pagination.total,
+      SUCCESS_MESSAGES.ATTENDANCE_ALERTS_RETRIEVED
+    )
+  );
+});
+
+/**
+ * Get students with active attendance alerts
+ * @route GET /api/v1/attendance-alerts/at-risk
+ * @access Private (Staff/Admin/Professor; professors see their subjects only)
+ */
+exports.getAtRiskStudents = asyncHandler(async (req, res) => {
+  const { subjectId, term } = req.query;
+
+  const students = await attendanceAlertService.getAtRiskStudents({ subjectId, term }, req.user);
+  res.json(ApiResponse.success(students, SUCCESS_MESSAGES.AT_RISK_STUDENTS_RETRIEVED));
+});
@@ -1,4 +1,7 @@
 const attendanceService = require('../services/attendanceService');
+const subjectService = require('../services/subjectService');
+const presenceService = require('../services/presenceService');
+const attendanceSyncService = require('../services/attendanceSyncService');
 const ApiResponse = require('../utils/apiResponse');
 const logger = require('../utils/logger');
 const { asyncHandler } = require('../middleware/errorHandler');
@@ -25,7 +28,8 @@ exports.markAttendance = asyncHandler(async (req, res) => {
     // fallback to current date
     normalized.date = new Date();
   } else {
-    normalized.date = parsedDate;
+    // Keep the original value so YYYY-MM-DD is read as an institution calendar day
+    normalized.date = dateVal;
   }
 
   normalized.status = req.body.status;
@@ -43,7 +47,7 @@ exports.markAttendance = asyncHandler(async (req, res) => {
  */
 exports.getAttendanceByDateRange = asyncHandler(async (req, res) => {
   // Support both flat query params and nested `dateRange[startDate]` / `dateRange[startDate]`
-  const { studentId, subjectId, status, page, limit, timeSlot } = req.query;
+  const { studentId, subjectId, status, page, limit, timeSlot, term } = req.query;
   let startDate = req.query.startDate;
   let endDate = req.query.endDate;
   // dateRange may arrive as nested fields
@@ -62,6 +66,7 @@ exports.getAttendanceByDateRange = asyncHandler(async (req, res) => {
   if (studentId) filters.studentId = studentId;
   if (subjectId) filters.subjectId = subjectId;
   if (status) filters.status = status;
+  if (term) filters.term = term;
 
   const result = await attendanceService.getAttendanceByDateRange(startDate, endDate, filters, {
     page,
@@ -80,7 +85,7 @@ exports.getAttendanceByDateRange = asyncHandler(async (req, res) => {
  */
 exports.getStudentAttendance = asyncHandler(async (req, res) => {
   const { studentId } = req.params;
-  const { subjectId, startDate, endDate, page, limit } = req.query;
+  const { subjectId, startDate, endDate, page, limit, term } = req.query;
 
   const filters = {};
   if (subjectId) filters.subjectId = subjectId;
@@ -88,6 +93,7 @@ exports.getStudentAttendance = asyncHandler(async (req, res) => {
     filters.startDate = startDate;
     filters.endDate = endDate;
   }
+  if (term) filters.term = term;
 
   const result = await attendanceService.getStudentAttendance(studentId, filters, { page, limit });
 
@@ -132,10 +138,38 @@ exports.getAttendanceSummary = asyncHandler(async (req, res) => {
  * @access Private (Staff)
  */
 exports.updateAttendance = asyncHandler(async (req, res) => {
+  await subjectService.assertAttendanceAccess(req.user, req.params.id);
   const attendance = await attendanceService.updateAttendance(req.params.id, req.body, req.user.id);
   res.json(ApiResponse.success(attendance, SUCCESS_MESSAGES.ATTENDANCE_UPDATED));
 });
 
+/**
+ * Get the version timeline of an attendance record
+ * @route GET /api/v1/attendance/:id/history
+ * @access Private
+ */
+exports.getAttendanceHistory = asyncHandler(async (req, res) => {
+  await subjectService.assertAttendanceAccess(req.user, req.params.id);
+  const history = await attendanceService.getAttendanceHistory(req.params.id);
+  res.json(ApiResponse.success(history, SUCCESS_MESSAGES.ATTENDANCE_HISTORY_RETRIEVED));
+});
+
+/**
+ * Restore an attendance record to an earlier version
+ * @route POST /api/v1/attendance/:id/revert
+ * @access Private (Staff)
+ */
+exports.revertAttendance = asyncHandler(async (req, res) => {
+  await subjectService.assertAttendanceAccess(req.user, req.params.id);
+  const attendance = await attendanceService.revertAttendance(
+    req.params.id,
+    req.body.historyId,
+    req.user.id,
+    req.body.reason
+  );
+  res.json(ApiResponse.success(attendance, SUCCESS_MESSAGES.ATTENDANCE_REVERTED));
+});
+
 /**
  * Delete attendance
  * @route DELETE /api/v1/attendance/:id
@@ -172,7 +206,7 @@ exports.getAllTodayAttendance = asyncHandler(async (req, res) => {
  * @access Private
  */
 exports.getTodayStats = asyncHandler(async (req, res) => {
-  const stats = await attendanceService.getTodayStats();
+  const stats = await attendanceService.getTodayStats(req.query.term);
   res.json(ApiResponse.success(stats, "Today's attendance statistics retrieved successfully"));
 });
 
@@ -187,13 +221,25 @@ exports.bulkMarkAttendance = asyncHandler(async (req, res) => {
   res.status(201).json(ApiResponse.success(result, 'Bulk attendance marked successfully'));
 });
 
+/**
+ * Apply attendance marked offline, reporting conflicts with later server edits
+ * @route POST /api/v1/attendance/sync
+ * @access Private (Staff)
+ */
+exports.syncAttendance = asyncHandler(async (req, res) => {
+  const { records, onConflict } = req.body;
+  const result = await attendanceSyncService.syncRecords(records, { onConflict }, req.user.id);
+  res.status(200).json(ApiResponse.success(result, SUCCESS_MESSAGES.ATTENDANCE_SYNCED));
+});
+
 /**
  * Get attendance records with filters
  * @route GET /api/v1/attendance/records
  * @access Private
  */
 exports.getAttendanceRecords = asyncHandler(async (req, res) => {
-  const { startDate, endDate, studentId, subjectId, status, timeSlot, page, limit } = req.query;
+  const { startDate, endDate, studentId, subjectId, status, timeSlot, term, page, limit } =
+    req.query;
 
   const filters = {};
   if (studentId) filters.studentId = studentId;
@@ -202,6 +248,15 @@ exports.getAttendanceRecords = asyncHandler(async (req, res) => {
   if (startDate) filters.startDate = startDate;
   if (endDate) filters.endDate = endDate;
   if (timeSlot) filters.timeSlot = timeSlot;
+  if (term) filters.term = term;
+
+  // Instructors only see the subjects they teach
+  if (subjectId) {
+    await subjectService.assertSubjectAccess(req.user, subjectId);
+  } else {
+    const subjectIds = await subjectService.getAccessibleSubjectIds(req.user);
+    if (subjectIds) filters.subjectIds = subjectIds;
+  }
 
   const result = await attendanceService.getAttendanceRecords(filters, { page, limit });
 
@@ -221,9 +276,9 @@ exports.getAttendanceRecords = asyncHandler(async (req, res) => {
  */
 exports.getDailySummary = asyncHandler(async (req, res) => {
   const { date } = req.params;
-  const { subjectId } = req.query;
+  const { subjectId, term } = req.query;
 
-  const summary = await attendanceService.getDailySummary(date, subjectId);
+  const summary = await attendanceService.getDailySummary(date, subjectId, term);
 
   // Debugging log — log the summary object to help trace `success` undefined error
   // This will show up in the server logs when the endpoint is hit
@@ -244,12 +299,13 @@ exports.getDailySummary = asyncHandler(async (req, res) => {
  * @access Private
  */
 exports.getStudentsSummary = asyncHandler(async (req, res) => {
-  const { subjectId, startDate, endDate } = req.query;
+  const { subjectId, startDate, endDate, term } = req.query;
 
   const filters = {};
   if (subjectId) filters.subjectId = subjectId;
   if (startDate) filters.startDate = startDate;
   if (endDate) filters.endDate = endDate;
+  if (term) filters.term = term;
 
   const summary = await attendanceService.getStudentsSummary(filters);
   res.json(ApiResponse.success(summary, 'Students summary retrieved successfully'));
@@ -279,7 +335,7 @@ exports.importFromExcel = asyncHandler(async (req, res) => {
  * @access Private
  */
 exports.exportToExcel = asyncHandler(async (req, res) => {
-  const { startDate, endDate, studentId, subjectId, status } = req.query;
+  const { startDate, endDate, studentId, subjectId, status, term } = req.query;
 
   const filters = {};
   if (studentId) filters.studentId = studentId;
@@ -287,6 +343,15 @@ exports.exportToExcel = asyncHandler(async (req, res) => {
   if (status) filters.status = status;
   if (startDate) filters.startDate = startDate;
   if (endDate) filters.endDate = endDate;
+  if (term) filters.term = term;
+
+  // Instructors only export the subjects they teach
+  if (subjectId) {
+    await subjectService.assertSubjectAccess(req.user, subjectId);
+  } else {
+    const subjectIds = await subjectService.getAccessibleSubjectIds(req.user);
+    if (subjectIds) filters.subjectIds = subjectIds;
+  }
 
   const buffer = await attendanceService.exportToExcel(filters);
 
@@ -297,3 +362,33 @@ exports.exportToExcel = asyncHandler(async (req, res) => {
   res.setHeader('Content-Disposition', `attachment; filename=attendance-${Date.now()}.xlsx`);
   res.send(buffer);
 });
+
+/**
+ * Get a student's daily time-on-campus report (paired arrivals and departures)
+ * @route GET /api/v1/attendance/presence/student/:studentId
+ * @access Private
+ */
+exports.getStudentPresence = asyncHandler(async (req, res) => {
+  const { startDate, endDate } = req.query;
+
+  const report = await presenceService.getStudentPresence(
+    req.params.studentId,
+    { startDate, endDate },
+    req.user
+  );
+  res.json(ApiResponse.success(report, SUCCESS_MESSAGES.PRESENCE_REPORT_RETRIEVED));
+});
+
+/**
+ * Get a section's time-on-campus report for one day
+ * @route GET /api/v1/attendance/presence/section/:section
+ * @access Private
+ */
+exports.getSectionPresence = asyncHandler(async (req, res) => {
+  const report = await presenceService.getSectionPresence(
+    req.params.section,
+    req.query.date,
+    req.user
+  );
+  res.json(ApiResponse.success(report, SUCCESS_MESSAGES.PRESENCE_REPORT_RETRIEVED));
+});
@@ -11,21 +11,41 @@ const ApiResponse = require('../utils/apiResponse');
 const { asyncHandler } = require('../middleware');
 const { SUCCESS_MESSAGES } = require('../config/constants');
 
+/**
+ * Set the refresh token in an httpOnly cookie
+ * @param {Object} res - Express response
+ * @param {String} token - Refresh token
+ */
+const setRefreshTokenCookie = (res, token) => {
+  res.cookie('refreshToken', token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
+  });
+};
+
+/**
+ * Build the client context recorded on a login session
+ * @param {Object} req - Express request
+ * @returns {Object} Client context
+ */
+const getClientContext = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent'),
+  deviceLabel: req.body && req.body.deviceLabel,
+});
+
 /**
  * @route   POST /api/v1/auth/register
  * @desc    Register a new user
  * @access  Public
  */
 const register = asyncHandler(async (req, res) => {
-  const result = await authService.register(req.body);
+  const result = await authService.register(req.body, getClientContext(req));
 
   // Set refresh token in httpOnly cookie
-  res.cookie('refreshToken', result.tokens.refreshToken, {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'strict',
-    maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
-  });
+  setRefreshTokenCookie(res, result.tokens.refreshToken);
 
   ApiResponse.created(
     res,
@@ -44,15 +64,43 @@ const register = asyncHandler(async (req, res) => {
  */
 const login = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
-  const result = await authService.login(email, password);
+  const result = await authService.login(email, password, getClientContext(req));
+
+  // Password accepted but a second factor (or 2FA enrollment) is still needed
+  if (result.twoFactorRequired) {
+    return ApiResponse.success(res, result, SUCCESS_MESSAGES.TWO_FACTOR_REQUIRED);
+  }
+  if (result.twoFactorSetupRequired) {
+    return ApiResponse.success(res, result, SUCCESS_MESSAGES.TWO_FACTOR_SETUP_REQUIRED);
+  }
 
   // Set refresh token in httpOnly cookie
-  res.cookie('refreshToken', result.tokens.refreshToken, {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'strict',
-    maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
-  });
+  setRefreshTokenCookie(res, result.tokens.refreshToken);
+
+  ApiResponse.success(
+    res,
+    {
+      user: result.user,
+      accessToken: result.tokens.accessToken,
+    },
+    SUCCESS_MESSAGES.LOGIN_SUCCESS
+  );
+});
+
+/**
+ * @route   POST /api/v1/auth/2fa/verify
+ * @desc    Complete login with a TOTP or recovery code
+ * @access  Public (requires challenge token from login)
+ */
+const verifyTwoFactor = asyncHandler(async (req, res) => {
+  const { challengeToken, code } = req.body;
+  const result = await authService.verifyTwoFactorLogin(
+    challengeToken,
+    code,
+    getClientContext(req)
+  );
+
+  setRefreshTokenCookie(res, result.tokens.refreshToken);
 
   ApiResponse.success(
     res,
@@ -64,13 +112,77 @@ const login = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * @route   POST /api/v1/auth/2fa/setup
+ * @desc    Generate a TOTP secret and otpauth URI for the authenticator app
+ * @access  Private (or setup challenge token)
+ */
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const result = await authService.setupTwoFactor(req.user._id);
+  ApiResponse.success(res, result, SUCCESS_MESSAGES.TWO_FACTOR_SETUP_STARTED);
+});
+
+/**
+ * @route   POST /api/v1/auth/2fa/enable
+ * @desc    Confirm 2FA setup with a code; returns recovery codes
+ * @access  Private (or setup challenge token)
+ */
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  const { recoveryCodes } = await authService.enableTwoFactor(req.user._id, req.body.code);
+
+  // Mandatory enrollment during login finishes by signing the user in
+  if (req.twoFactorSetupChallenge) {
+    const result = await authService.completeLogin(req.user, getClientContext(req));
+    setRefreshTokenCookie(res, result.tokens.refreshToken);
+
+    return ApiResponse.success(
+      res,
+      {
+        user: result.user,
+        accessToken: result.tokens.accessToken,
+        recoveryCodes,
+      },
+      SUCCESS_MESSAGES.TWO_FACTOR_ENABLED
+    );
+  }
+
+  ApiResponse.success(res, { recoveryCodes }, SUCCESS_MESSAGES.TWO_FACTOR_ENABLED);
+});
+
+/**
+ * @route   POST /api/v1/auth/2fa/disable
+ * @desc    Turn off 2FA (requires password and a code)
+ * @access  Private
+ */
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+  await authService.disableTwoFactor(req.user._id, password, code);
+  ApiResponse.success(res, null, SUCCESS_MESSAGES.TWO_FACTOR_DISABLED);
+});
+
+/**
+ * @route   POST /api/v1/auth/2fa/recovery-codes
+ * @desc    Replace recovery codes (requires a TOTP code)
+ * @access  Private
+ */
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const result = await authService.regenerateRecoveryCodes(req.user._id, req.body.code);
+  ApiResponse.success(res, result, SUCCESS_MESSAGES.RECOVERY_CODES_REGENERATED);
+});
+
 /**
  * @route   POST /api/v1/auth/logout
- * @desc    Logout user
+ * @desc    Logout user from the current device
  * @access  Private
  */
 const logout = asyncHandler(async (req, res) => {
-  await authService.logout(req.user._id);
+  // Ending an impersonation must not sign the real user out
+  if (req.impersonation) {
+    await authService.endImpersonation(req.user, req.impersonation.impersonator);
+    return ApiResponse.success(res, null, SUCCESS_MESSAGES.IMPERSONATION_ENDED);
+  }
+
+  await authService.logout(req.user._id, req.sessionId);
 
   // Clear refresh token cookie
   res.clearCookie('refreshToken');
@@ -85,19 +197,40 @@ const logout = asyncHandler(async (req, res) => {
  */
 const refreshToken = asyncHandler(async (req, res) => {
   const refreshToken = req.cookies.refreshToken || req.body.refreshToken;
-  const tokens = await authService.refreshToken(refreshToken);
+  const tokens = await authService.refreshToken(refreshToken, getClientContext(req));
 
   // Update refresh token cookie
-  res.cookie('refreshToken', tokens.refreshToken, {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'strict',
-    maxAge: 30 * 24 * 60 * 60 * 1000,
-  });
+  setRefreshTokenCookie(res, tokens.refreshToken);
 
   ApiResponse.success(res, { accessToken: tokens.accessToken }, 'Token refreshed successfully');
 });
 
+/**
+ * @route   GET /api/v1/auth/sessions
+ * @desc    List active sessions (devices) for the current user
+ * @access  Private
+ */
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await authService.getSessions(req.user._id, req.sessionId);
+  ApiResponse.success(res, sessions, SUCCESS_MESSAGES.SESSIONS_RETRIEVED);
+});
+
+/**
+ * @route   DELETE /api/v1/auth/sessions/:id
+ * @desc    Revoke one of the current user's sessions
+ * @access  Private
+ */
+const revokeSession = asyncHandler(async (req, res) => {
+  await authService.revokeSession(req.user._id, req.params.id);
+
+  // Revoking the session in use is the same as logging out
+  if (req.sessionId && String(req.sessionId) === req.params.id) {
+    res.clearCookie('refreshToken');
+  }
+
+  ApiResponse.success(res, null, SUCCESS_MESSAGES.SESSION_REVOKED);
+});
+
 /**
  * @route   GET /api/v1/auth/profile
  * @desc    Get current user profile
@@ -105,7 +238,31 @@ const refreshToken = asyncHandler(async (req, res) => {
  */
 const getProfile = asyncHandler(async (req, res) => {
   const user = await authService.getProfile(req.user._id);
-  ApiResponse.success(res, user, 'Profile retrieved successfully');
+  const profile = user.toJSON();
+
+  // Lets the client show an "impersonating" banner
+  profile.impersonation = req.impersonation
+    ? {
+        impersonatedBy: {
+          id: req.impersonation.impersonator._id,
+          name: req.impersonation.impersonator.name,
+          email: req.impersonation.impersonator.email,
+        },
+        expiresAt: req.impersonation.expiresAt,
+      }
+    : null;
+
+  ApiResponse.success(res, profile, 'Profile retrieved successfully');
+});
+
+/**
+ * @route   GET /api/v1/auth/permissions
+ * @desc    Get the current user's permissions (for showing/hiding UI actions)
+ * @access  Private
+ */
+const getPermissions = asyncHandler(async (req, res) => {
+  const permissions = authService.getPermissions(req.user);
+  ApiResponse.success(res, permissions, 'Permissions retrieved successfully');
 });
 
 /**
@@ -125,16 +282,64 @@ const updateProfile = asyncHandler(async (req, res) => {
  */
 const changePassword = asyncHandler(async (req, res) => {
   const { currentPassword, newPassword } = req.body;
-  await authService.changePassword(req.user._id, currentPassword, newPassword);
+  await authService.changePassword(req.user._id, currentPassword, newPassword, req.sessionId);
   ApiResponse.success(res, null, 'Password changed successfully');
 });
 
+/**
+ * @route   POST /api/v1/auth/forgot-password
+ * @desc    Send password reset link to the user's email
+ * @access  Public
+ */
+const forgotPassword = asyncHandler(async (req, res) => {
+  await authService.forgotPassword(req.body.email);
+  ApiResponse.success(res, null, SUCCESS_MESSAGES.PASSWORD_RESET_REQUESTED);
+});
+
+/**
+ * @route   POST /api/v1/auth/reset-password
+ * @desc    Reset password using the emailed reset token
+ * @access  Public
+ */
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, newPassword } = req.body;
+  await authService.resetPassword(token, newPassword);
+
+  // All refresh tokens were invalidated by the reset
+  res.clearCookie('refreshToken');
+
+  ApiResponse.success(res, null, SUCCESS_MESSAGES.PASSWORD_RESET_SUCCESS);
+});
+
+/**
+ * @route   POST /api/v1/auth/accept-invite
+ * @desc    Activate an invited account by choosing a password
+ * @access  Public
+ */
+const acceptInvite = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+  await authService.acceptInvitation(token, password);
+
+  ApiResponse.success(res, null, SUCCESS_MESSAGES.INVITATION_ACCEPTED);
+});
+
 module.exports = {
   register,
   login,
+  verifyTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
   logout,
   refreshToken,
+  getSessions,
+  revokeSession,
   getProfile,
+  getPermissions,
   updateProfile,
   changePassword,
+  forgotPassword,
+  resetPassword,
+  acceptInvite,
 };
@@ -0,0 +1,94 @@
+const calendarEventService = require('../services/calendarEventService');
+const ApiResponse = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { SUCCESS_MESSAGES } = require('../config/constants');
+
+/**
+ * Get calendar events with filters and pagination
+ * @route GET /api/v1/calendar-events
+ * @access Private
+ */
+exports.getEvents = asyncHandler(async (req, res) => {
+  const { type, scope, subjectId, section, startDate, endDate, page, limit } = req.query;
+
+  const filters = {};
+  if (type) filters.type = type;
+  if (scope) filters.scope = scope;
+  if (subjectId) filters.subjectId = subjectId;
+  if (section) filters.section = section;
+  if (startDate) filters.startDate = startDate;
+  if (endDate) filters.endDate = endDate;
+
+  const result = await calendarEventService.getEvents(filters, { page, limit });
+
+  res.json(
+    ApiResponse.paginated(
+      result.events,
+      result.pagination.page,
+      result.pagination.limit,
+      result.pagination.total,
+      SUCCESS_MESSAGES.CALENDAR_EVENTS_RETRIEVED
+    )
+  );
+});
+
+/**
+ * Get a calendar event
+ * @route GET /api/v1/calendar-events/:id
+ * @access Private
+ */
+exports.getEventById = asyncHandler(async (req, res) => {
+  const event = await calendarEventService.getEventById(req.params.id);
+  res.json(ApiResponse.success(event, SUCCESS_MESSAGES.CALENDAR_EVENT_RETRIEVED));
+});
+
+/**
+ * Create a calendar event
+ * @route POST /api/v1/calendar-events
+ * @access Private (Registrar/Admin)
+ */
+exports.createEvent = asyncHandler(async (req, res) => {
+  const event = await calendarEventService.createEvent(req.body, req.user._id);
+  res.status(201).json(ApiResponse.created(event, SUCCESS_MESSAGES.CALENDAR_EVENT_CREATED));
+});
+
+/**
+ * Update a calendar event
+ * @route PUT /api/v1/calendar-events/:id
+ * @access Private (Registrar/Admin)
+ */
+exports.updateEvent = asyncHandler(async (req, res) => {
+  const event = await calendarEventService.updateEvent(req.params.id, req.body, req.user._id);
+  res.json(ApiResponse.success(event, SUCCESS_MESSAGES.CALENDAR_EVENT_UPDATED));
+});
+
+/**
+ * Delete a calendar event
+ * @route DELETE /api/v1/calendar-events/:id
+ * @access Private (Registrar/Admin)
+ */
+exports.deleteEvent = asyncHandler(async (req, res) => {
+  const event = await calendarEventService.deleteEvent(req.params.id, req.user._id);
+  res.json(ApiResponse.success(event, SUCCESS_MESSAGES.CALENDAR_EVENT_DELETED));
+});
+
+/**
+ * Import calendar events from Excel
+ * @route POST /api/v1/calendar-events/import/excel
+ * @access Private (Registrar/Admin)
+ */
+exports.importFromExcel = asyncHandler(async (req, res) => {
+  const { files } = req;
+
+  if (!files || !files.file) {
+    return ApiResponse.error(res, 'No file uploaded', 400);
+  }
+
+  const result = await calendarEventService.importFromExcel(files.file, req.user._id);
+
+  if (!result.success) {
+    return ApiResponse.error(res, result.message, 400, result.errors);
+  }
+
+  res.status(201).json(ApiResponse.created(result, SUCCESS_MESSAGES.CALENDAR_EVENTS_IMPORTED));
+});
@@ -0,0 +1,47 @@
+const checkInService = require('../services/checkInService');
+const ApiResponse = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { SUCCESS_MESSAGES } = require('../config/constants');
+
+/**
+ * Open a QR check-in window for a subject
+ * @route POST /api/v1/attendance/check-in-windows
+ * @access Private (Staff/Admin/Professor)
+ */
+exports.openWindow = asyncHandler(async (req, res) => {
+  const result = await checkInService.openWindow(req.body, req.user);
+  res.status(201).json(ApiResponse.created(result, SUCCESS_MESSAGES.CHECK_IN_WINDOW_OPENED));
+});
+
+/**
+ * Get the current QR token of a check-in window (poll to rotate)
+ * @route GET /api/v1/attendance/check-in-windows/:id/qr
+ * @access Private (Staff/Admin/Professor)
+ */
+exports.getQrToken = asyncHandler(async (req, res) => {
+  const result = await checkInService.getQrToken(req.params.id, req.user);
+  res.json(ApiResponse.success(result));
+});
+
+/**
+ * Close a check-in window
+ * @route POST /api/v1/attendance/check-in-windows/:id/close
+ * @access Private (Staff/Admin/Professor)
+ */
+exports.closeWindow = asyncHandler(async (req, res) => {
+  const window = await checkInService.closeWindow(req.params.id, req.user);
+  res.json(ApiResponse.success(window, SUCCESS_MESSAGES.CHECK_IN_WINDOW_CLOSED));
+});
+
+/**
+ * Student self check-in with a scanned QR token
+ * @route POST /api/v1/attendance/check-in
+ * @access Public
+ */
+exports.checkIn = asyncHandler(async (req, res) => {
+  const { attendance } = await checkInService.checkIn(req.body, {
+    ip: req.ip,
+    deviceId: req.body.deviceId,
+  });
+  res.status(201).json(ApiResponse.created(attendance, SUCCESS_MESSAGES.CHECKED_IN));
+});
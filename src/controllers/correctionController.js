@@ -0,0 +1,111 @@
+const correctionService = require('../services/correctionService');
+const ApiResponse = require('../utils/apiResponse');
+const FileStorageUtil = require('../utils/fileStorageUtil');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { SUCCESS_MESSAGES } = require('../config/constants');
+
+const getAttachments = (req) => FileStorageUtil.toArray(req.files && req.files.attachments);
+
+/**
+ * File a correction request for an attendance record
+ * @route POST /api/v1/attendance-corrections
+ * @access Private (Staff/Admin/Professor)
+ */
+exports.requestCorrection = asyncHandler(async (req, res) => {
+  const correction = await correctionService.requestCorrection(
+    req.body,
+    getAttachments(req),
+    req.user
+  );
+  res.status(201).json(ApiResponse.created(correction, SUCCESS_MESSAGES.CORRECTION_REQUESTED));
+});
+
+/**
+ * File a correction request as a student or guardian
+ * @route POST /api/v1/attendance-corrections/request
+ * @access Public
+ */
+exports.requestCorrectionPublic = asyncHandler(async (req, res) => {
+  const correction = await correctionService.requestCorrectionPublic(req.body, getAttachments(req));
+  res.status(201).json(ApiResponse.created(correction, SUCCESS_MESSAGES.CORRECTION_REQUESTED));
+});
+
+/**
+ * Get correction requests with filters and pagination
+ * @route GET /api/v1/attendance-corrections
+ * @access Private (Staff/Admin/Professor)
+ */
+exports.getCorrections = asyncHandler(async (req, res) => {
+  const { status, subjectId, studentId, page, limit } = req.query;
+
+  const filters = {};
+  if (status) filters.status = status;
+  if (subjectId) filters.subjectId = subjectId;
+  if (studentId) filters.studentId = studentId;
+
+  const result = await correctionService.getCorrections(filters, { page, limit }, req.user);
+
+  res.json(
+    ApiResponse.paginated(
+      result.corrections,
+      result.pagination.page,
+      result.pagination.limit,
+      result.pagination.total,
+      SUCCESS_MESSAGES.CORRECTIONS_RETRIEVED
+    )
+  );
+});
+
+/**
+ * Get a correction request
+ * @route GET /api/v1/attendance-corrections/:id
+ * @access Private (Staff/Admin/Professor)
+ */
+exports.getCorrectionById = asyncHandler(async (req, res) => {
+  const correction = await correctionService.getCorrectionById(req.params.id, req.user);
+  res.json(ApiResponse.success(correction));
+});
+
+/**
+ * Download a correction request attachment
+ * @route GET /api/v1/attendance-corrections/:id/attachments/:attachmentId
+ * @access Private (Staff/Admin/Professor)
+ */
+exports.downloadAttachment = asyncHandler(async (req, res) => {
+  const file = await correctionService.getAttachment(
+    req.params.id,
+    req.params.attachmentId,
+    req.user
+  );
+  res.download(file.path, file.name);
+});
+
+/**
+ * Approve a correction request and apply the proposed status
+ * @route POST /api/v1/attendance-corrections/:id/approve
+ * @access Private (Admin or subject instructor)
+ */
+exports.approveCorrection = asyncHandler(async (req, res) => {
+  const correction = await correctionService.reviewCorrection(
+    req.params.id,
+    true,
+    req.body.note,
+    req.user
+  );
+  res.json(ApiResponse.success(correction, SUCCESS_MESSAGES.CORRECTION_APPROVED));
+});
+
+/**
+ * Reject a correction request
+ * @route POST /api/v1/attendance-corrections/:id/reject
+ * @access Private (Admin or subject instructor)
+ */
+exports.rejectCorrection = asyncHandler(async (req, res) => {
+  const correction = await correctionService.reviewCorrection(
+    req.params.id,
+    false,
+    req.body.note,
+    req.user
+  );
+  res.json(ApiResponse.success(correction, SUCCESS_MESSAGES.CORRECTION_REJECTED));
+});
@@ -0,0 +1,34 @@
+const deviceService = require('../services/deviceService');
+const ApiResponse = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { SUCCESS_MESSAGES } = require('../config/constants');
+
+/**
+ * Get all devices
+ * @route GET /api/v1/devices
+ * @access Private (Admin)
+ */
+exports.getDevices = asyncHandler(async (req, res) => {
+  const devices = await deviceService.getDevices();
+  res.json(ApiResponse.success(devices, SUCCESS_MESSAGES.DEVICES_RETRIEVED));
+});
+
+/**
+ * Register a device (the plain key is only returned in this response)
+ * @route POST /api/v1/devices
+ * @access Private (Admin)
+ */
+exports.registerDevice = asyncHandler(async (req, res) => {
+  const result = await deviceService.registerDevice(req.body, req.user);
+  res.status(201).json(ApiResponse.created(result, SUCCESS_MESSAGES.DEVICE_REGISTERED));
+});
+
+/**
+ * Revoke a device
+ * @route DELETE /api/v1/devices/:id
+ * @access Private (Admin)
+ */
+exports.revokeDevice = asyncHandler(async (req, res) => {
+  const device = await deviceService.revokeDevice(req.params.id, req.user._id);
+  res.json(ApiResponse.success(device, SUCCESS_MESSAGES.DEVICE_REVOKED));
+});
@@ -7,6 +7,7 @@
  */
 
 const emailService = require('../services/emailService');
+const subjectService = require('../services/subjectService');
 const ApiResponse = require('../utils/apiResponse');
 const { asyncHandler } = require('../middleware');
 const { SUCCESS_MESSAGES } = require('../config/constants');
@@ -150,6 +151,9 @@ const sendGuardianEmail = asyncHandler(async (req, res) => {
     return ApiResponse.error(res, 'Message must be between 10 and 5000 characters', 400);
   }
 
+  // Instructors may only contact guardians of students in their subjects
+  await subjectService.assertStudentAccess(req.user, studentId);
+
   // Sanitize inputs
   const sanitizedData = {
     studentId,
@@ -93,7 +93,7 @@ exports.checkEnrollment = asyncHandler(async (req, res) => {
 exports.getStudentEnrollments = asyncHandler(async (req, res) => {
   const { studentId } = req.params;
 
-  const enrollments = await enrollmentService.getStudentEnrollments(studentId);
+  const enrollments = await enrollmentService.getStudentEnrollments(studentId, req.query.term);
 
   res.json(ApiResponse.success(enrollments, 'Student enrollments retrieved successfully'));
 });
@@ -0,0 +1,100 @@
+const excuseService = require('../services/excuseService');
+const ApiResponse = require('../utils/apiResponse');
+const FileStorageUtil = require('../utils/fileStorageUtil');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { SUCCESS_MESSAGES } = require('../config/constants');
+
+/**
+ * Submit an excuse letter for a student
+ * @route POST /api/v1/excuses
+ * @access Private (Registrar/Staff/Admin)
+ */
+exports.submitExcuse = asyncHandler(async (req, res) => {
+  const files = FileStorageUtil.toArray(req.files && req.files.attachments);
+  const excuse = await excuseService.submitExcuse(req.body, files, req.user._id);
+  res.status(201).json(ApiResponse.created(excuse, SUCCESS_MESSAGES.EXCUSE_SUBMITTED));
+});
+
+/**
+ * Get excuses with filters and pagination
+ * @route GET /api/v1/excuses
+ * @access Private (Registrar/Staff/Admin)
+ */
+exports.getExcuses = asyncHandler(async (req, res) => {
+  const { status, studentId, subjectId, category, startDate, endDate, page, limit } = req.query;
+
+  const filters = {};
+  if (status) filters.status = status;
+  if (studentId) filters.studentId = studentId;
+  if (subjectId) filters.subjectId = subjectId;
+  if (category) filters.category = category;
+  if (startDate) filters.startDate = startDate;
+  if (endDate) filters.endDate = endDate;
+
+  const result = await excuseService.getExcuses(filters, { page, limit });
+
+  res.json(
+    ApiResponse.paginated(
+      result.excuses,
+      result.pagination.page,
+      result.pagination.limit,
+      result.pagination.total,
+      SUCCESS_MESSAGES.EXCUSES_RETRIEVED
+    )
+  );
+});
+
+/**
+ * Get every excuse of a student
+ * @route GET /api/v1/excuses/student/:studentId
+ * @access Private (Registrar/Staff/Admin)
+ */
+exports.getStudentExcuses = asyncHandler(async (req, res) => {
+  const result = await excuseService.getStudentExcuses(req.params.studentId);
+  res.json(ApiResponse.success(result, SUCCESS_MESSAGES.EXCUSES_RETRIEVED));
+});
+
+/**
+ * Get an excuse
+ * @route GET /api/v1/excuses/:id
+ * @access Private (Registrar/Staff/Admin)
+ */
+exports.getExcuseById = asyncHandler(async (req, res) => {
+  const excuse = await excuseService.getExcuseById(req.params.id);
+  res.json(ApiResponse.success(excuse));
+});
+
+/**
+ * Download an excuse attachment
+ * @route GET /api/v1/excuses/:id/attachments/:attachmentId
+ * @access Private (Registrar/Staff/Admin)
+ */
+exports.downloadAttachment = asyncHandler(async (req, res) => {
+  const file = await excuseService.getAttachment(req.params.id, req.params.attachmentId);
+  res.download(file.path, file.name);
+});
+
+/**
+ * Approve an excuse and excuse the absences it covers
+ * @route POST /api/v1/excuses/:id/approve
+ * @access Private (Registrar/Admin)
+ */
+exports.approveExcuse = asyncHandler(async (req, res) => {
+  const result = await excuseService.reviewExcuse(req.params.id, true, req.body.note, req.user._id);
+  res.json(ApiResponse.success(result, SUCCESS_MESSAGES.EXCUSE_APPROVED));
+});
+
+/**
+ * Reject an excuse
+ * @route POST /api/v1/excuses/:id/reject
+ * @access Private (Registrar/Admin)
+ */
+exports.rejectExcuse = asyncHandler(async (req, res) => {
+  const result = await excuseService.reviewExcuse(
+    req.params.id,
+    false,
+    req.body.note,
+    req.user._id
+  );
+  res.json(ApiResponse.success(result, SUCCESS_MESSAGES.EXCUSE_REJECTED));
+});
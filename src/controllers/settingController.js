@@ -0,0 +1,24 @@
+const settingService = require('../services/settingService');
+const ApiResponse = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { SUCCESS_MESSAGES } = require('../config/constants');
+
+/**
+ * Get all system settings
+ * @route GET /api/v1/settings
+ * @access Private (Superadmin)
+ */
+exports.getSettings = asyncHandler(async (req, res) => {
+  const settings = await settingService.getAll();
+  res.json(ApiResponse.success(settings, SUCCESS_MESSAGES.SETTINGS_RETRIEVED));
+});
+
+/**
+ * Update a system setting
+ * @route PUT /api/v1/settings/:key
+ * @access Private (Superadmin)
+ */
+exports.updateSetting = asyncHandler(async (req, res) => {
+  const setting = await settingService.set(req.params.key, req.body.value, req.user._id);
+  res.json(ApiResponse.success(setting, SUCCESS_MESSAGES.SETTING_UPDATED));
+});
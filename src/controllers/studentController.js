@@ -111,7 +111,7 @@ const generateStudentNumber = asyncHandler(async (req, res) => {
  */
 const getStudentAttendanceSummary = asyncHandler(async (req, res) => {
   const { studentId } = req.params;
-  const summary = await studentService.getStudentAttendanceSummary(studentId);
+  const summary = await studentService.getStudentAttendanceSummary(studentId, req.query.term);
   ApiResponse.success(res, summary, 'Attendance summary retrieved successfully');
 });
 
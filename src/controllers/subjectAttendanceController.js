@@ -1,6 +1,9 @@
 const subjectAttendanceService = require('../services/subjectAttendanceService');
+const attendanceLockService = require('../services/attendanceLockService');
 const ApiResponse = require('../utils/apiResponse');
+const DateUtil = require('../utils/dateUtil');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { SUCCESS_MESSAGES } = require('../config/constants');
 
 /**
  * Mark attendance for a subject
@@ -34,6 +37,40 @@ exports.markSubjectAttendance = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Record a check-in, deriving the status from the subject schedule and attendance policy
+ * @route POST /api/v1/attendance/subject/check-in
+ * @access Private (Staff/Admin/Professor)
+ */
+exports.checkInSubjectAttendance = asyncHandler(async (req, res) => {
+  const { attendance } = await subjectAttendanceService.checkInSubjectAttendance(
+    {
+      subjectId: req.body.subjectId,
+      studentId: req.body.studentId,
+      scheduleSlot: req.body.scheduleSlot,
+      recordedAt: req.body.recordedAt,
+      remarks: req.body.remarks,
+    },
+    req.user.id
+  );
+
+  res.status(201).json(ApiResponse.success(attendance, SUCCESS_MESSAGES.CHECKED_IN));
+});
+
+/**
+ * Record a card scan from a kiosk device
+ * @route POST /api/v1/attendance/scan
+ * @access Device (X-Device-Key)
+ */
+exports.recordScan = asyncHandler(async (req, res) => {
+  const result = await subjectAttendanceService.recordScan(req.body, req.device, req.user.id);
+
+  if (result.duplicate) {
+    return res.json(ApiResponse.success(result, SUCCESS_MESSAGES.SCAN_DUPLICATE));
+  }
+  res.status(201).json(ApiResponse.created(result, SUCCESS_MESSAGES.SCAN_RECORDED));
+});
+
 /**
  * Bulk mark attendance for a subject
  * @route POST /api/v1/attendance/subject/bulk-mark
@@ -98,14 +135,13 @@ exports.getSubjectAttendanceByDate = asyncHandler(async (req, res) => {
   // Query attendance records directly from the database
   const { Attendance } = require('../models');
 
-  const targetDate = new Date(date);
-  targetDate.setHours(0, 0, 0, 0);
+  const targetDate = DateUtil.startOfDay(date);
 
   const query = {
     subject: subjectId,
     date: {
       $gte: targetDate,
-      $lt: new Date(targetDate.getTime() + 24 * 60 * 60 * 1000),
+      $lt: DateUtil.addDays(targetDate, 1),
     },
   };
 
@@ -147,15 +183,42 @@ exports.getSubjectAttendanceByDate = asyncHandler(async (req, res) => {
       : null,
   }));
 
+  const lock = await attendanceLockService.getLockState(
+    subjectId,
+    targetDate,
+    query.scheduleSlot || null
+  );
+
   res.json({
     success: true,
     message: 'Attendance records retrieved successfully',
     data: transformedRecords,
     count: transformedRecords.length,
+    lock,
     timestamp: new Date().toISOString(),
   });
 });
 
+/**
+ * Finalize a session so its attendance can no longer be changed
+ * @route POST /api/v1/attendance/subject/finalize
+ * @access Private (Staff/Admin/Professor)
+ */
+exports.finalizeAttendance = asyncHandler(async (req, res) => {
+  const lock = await attendanceLockService.finalize(req.body, req.user._id);
+  res.json(ApiResponse.success(lock, SUCCESS_MESSAGES.ATTENDANCE_FINALIZED));
+});
+
+/**
+ * Unlock a finalized session
+ * @route POST /api/v1/attendance/subject/unlock
+ * @access Private (Admin)
+ */
+exports.unlockAttendance = asyncHandler(async (req, res) => {
+  const lock = await attendanceLockService.unlock(req.body, req.user._id);
+  res.json(ApiResponse.success(lock, SUCCESS_MESSAGES.ATTENDANCE_UNLOCKED));
+});
+
 /**
  * Get attendance summary for a subject
  * @route GET /api/v1/attendance/subject/:id/summary
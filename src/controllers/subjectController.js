@@ -9,12 +9,13 @@ const { SUCCESS_MESSAGES } = require('../config/constants');
  * @access Private
  */
 exports.getAllSubjects = asyncHandler(async (req, res) => {
-  const { page, limit, yearLevel, section, isActive } = req.query;
+  const { page, limit, yearLevel, section, isActive, term } = req.query;
 
   const filters = {};
   if (yearLevel) filters.yearLevel = parseInt(yearLevel);
   if (section) filters.section = section;
   if (isActive !== undefined) filters.isActive = isActive === 'true';
+  if (term) filters.term = term;
 
   const result = await subjectService.getAllSubjects(filters, { page, limit });
 
@@ -45,10 +46,20 @@ exports.getSubjectById = asyncHandler(async (req, res) => {
  * @access Private
  */
 exports.getSubjectByCode = asyncHandler(async (req, res) => {
-  const subject = await subjectService.getSubjectByCode(req.params.subjectCode);
+  const subject = await subjectService.getSubjectByCode(req.params.subjectCode, req.query.term);
   res.json(ApiResponse.success(subject, SUCCESS_MESSAGES.SUBJECT_RETRIEVED));
 });
 
+/**
+ * Get subjects taught by the current user
+ * @route GET /api/v1/subjects/mine
+ * @access Private
+ */
+exports.getMySubjects = asyncHandler(async (req, res) => {
+  const subjects = await subjectService.getMySubjects(req.user.id, req.query.term);
+  res.json(ApiResponse.success(subjects, SUCCESS_MESSAGES.SUBJECTS_RETRIEVED));
+});
+
 /**
  * Create new subject
  * @route POST /api/v1/subjects
@@ -69,6 +80,26 @@ exports.updateSubject = asyncHandler(async (req, res) => {
   res.json(ApiResponse.success(subject, SUCCESS_MESSAGES.SUBJECT_UPDATED));
 });
 
+/**
+ * Update subject attendance policy
+ * @route PUT /api/v1/subjects/:id/attendance-policy
+ * @access Private (Admin/Staff)
+ */
+exports.updateAttendancePolicy = asyncHandler(async (req, res) => {
+  const subject = await subjectService.updateAttendancePolicy(req.params.id, req.body, req.user.id);
+  res.json(ApiResponse.success(subject, SUCCESS_MESSAGES.ATTENDANCE_POLICY_UPDATED));
+});
+
+/**
+ * Assign subject instructors
+ * @route PUT /api/v1/subjects/:id/instructors
+ * @access Private (Admin)
+ */
+exports.assignInstructors = asyncHandler(async (req, res) => {
+  const subject = await subjectService.assignInstructors(req.params.id, req.body, req.user.id);
+  res.json(ApiResponse.success(subject, SUCCESS_MESSAGES.INSTRUCTORS_UPDATED));
+});
+
 /**
  * Update subject schedules
  * @route PUT /api/v1/subjects/:id/schedules
@@ -99,13 +130,13 @@ exports.deleteSubject = asyncHandler(async (req, res) => {
  * @access Private
  */
 exports.searchSubjects = asyncHandler(async (req, res) => {
-  const { q, page, limit } = req.query;
+  const { q, page, limit, term } = req.query;
 
   if (!q) {
     return res.status(400).json(ApiResponse.error('Search query is required'));
   }
 
-  const result = await subjectService.searchSubjects(q, { page, limit });
+  const result = await subjectService.searchSubjects(q, { page, limit }, term);
 
   res.json(
     ApiResponse.paginated(
@@ -125,7 +156,11 @@ exports.searchSubjects = asyncHandler(async (req, res) => {
  */
 exports.getSubjectsByYearAndSection = asyncHandler(async (req, res) => {
   const { yearLevel, section } = req.params;
-  const subjects = await subjectService.getSubjectsByYearAndSection(parseInt(yearLevel), section);
+  const subjects = await subjectService.getSubjectsByYearAndSection(
+    parseInt(yearLevel),
+    section,
+    req.query.term
+  );
   res.json(ApiResponse.success(subjects, SUCCESS_MESSAGES.SUBJECTS_RETRIEVED));
 });
 
@@ -1,5 +1,6 @@
 const userService = require('../services/userService');
-const { ApiResponse } = require('../utils/apiResponse');
+const authService = require('../services/authService');
+const ApiResponse = require('../utils/apiResponse');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { SUCCESS_MESSAGES } = require('../config/constants');
 
@@ -72,6 +73,59 @@ exports.toggleUserStatus = asyncHandler(async (req, res) => {
   res.json(ApiResponse.success(user, 'User status updated successfully'));
 });
 
+/**
+ * Invite a new user to set up their own account
+ * @route POST /api/v1/users/invite
+ * @access Private (Admin)
+ */
+exports.inviteUser = asyncHandler(async (req, res) => {
+  const user = await userService.inviteUser(req.body, req.user.id);
+  res.status(201).json(ApiResponse.created(user, SUCCESS_MESSAGES.INVITATION_SENT));
+});
+
+/**
+ * Resend a pending user's invitation
+ * @route POST /api/v1/users/:id/invite/resend
+ * @access Private (Admin)
+ */
+exports.resendInvitation = asyncHandler(async (req, res) => {
+  const user = await userService.resendInvitation(req.params.id, req.user.id);
+  res.json(ApiResponse.success(user, SUCCESS_MESSAGES.INVITATION_SENT));
+});
+
+/**
+ * Revoke a pending user's invitation
+ * @route DELETE /api/v1/users/:id/invite
+ * @access Private (Admin)
+ */
+exports.revokeInvitation = asyncHandler(async (req, res) => {
+  await userService.revokeInvitation(req.params.id, req.user.id);
+  res.json(ApiResponse.success(null, SUCCESS_MESSAGES.INVITATION_REVOKED));
+});
+
+/**
+ * Start impersonating a user (returns a short-lived access token)
+ * @route POST /api/v1/users/:id/impersonate
+ * @access Private (Superadmin)
+ */
+exports.impersonateUser = asyncHandler(async (req, res) => {
+  const result = await authService.impersonateUser(req.params.id, req.user, {
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+  res.json(ApiResponse.success(result, SUCCESS_MESSAGES.IMPERSONATION_STARTED));
+});
+
+/**
+ * Unlock an account locked by failed login attempts
+ * @route PATCH /api/v1/users/:id/unlock
+ * @access Private (Admin)
+ */
+exports.unlockUser = asyncHandler(async (req, res) => {
+  const user = await userService.unlockUser(req.params.id, req.user.id);
+  res.json(ApiResponse.success(user, SUCCESS_MESSAGES.ACCOUNT_UNLOCKED));
+});
+
 /**
  * Search users
  * @route GET /api/v1/users/search
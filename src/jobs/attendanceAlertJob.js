@@ -0,0 +1,96 @@
+/**
+ * Attendance Alert Job
+ * Evaluates the absenteeism rules for every active subject once a night, so alerts also
+ * follow changes no mark triggers (rates drifting, lates leaving the period, edited rules)
+ *
+ * @author Notified Development Team
+ * @version 1.0.0
+ */
+
+const attendanceAlertService = require('../services/attendanceAlertService');
+const { JOBS } = require('../config/constants');
+const DateUtil = require('../utils/dateUtil');
+const ScheduleUtil = require('../utils/scheduleUtil');
+const logger = require('../utils/logger');
+
+class AttendanceAlertJob {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.runAt = JOBS.ATTENDANCE_ALERT_RUN_AT;
+    // Institution day (YYYY-MM-DD) of the last successful run
+    this.lastRunDay = null;
+  }
+
+  /**
+   * Start checking on an interval whether the nightly run is due
+   * @param {String} runAt - Time of day (HH:mm, institution timezone) to run after
+   * @param {Number} intervalMs - Interval between checks
+   */
+  start(
+    runAt = JOBS.ATTENDANCE_ALERT_RUN_AT,
+    intervalMs = JOBS.ATTENDANCE_ALERT_CHECK_INTERVAL_MS
+  ) {
+    if (this.timer) return;
+
+    this.runAt = runAt;
+    this.timer = setInterval(() => this.tick(), intervalMs);
+    // Do not keep the process alive just for this job
+    this.timer.unref();
+
+    logger.info(`Attendance alert job scheduled daily after ${runAt}`);
+  }
+
+  /**
+   * Stop the job
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Run once per day, after the run time; a failed run is retried at the next check
+   * @param {Date} now - Current time
+   * @returns {Promise<Object|null>} Run result, or null when not due, skipped or failed
+   */
+  async tick(now = new Date()) {
+    const day = DateUtil.toDateKey(now);
+    if (
+      this.lastRunDay === day ||
+      DateUtil.getMinutesOfDay(now) < ScheduleUtil.toMinutes(this.runAt)
+    ) {
+      return null;
+    }
+
+    const result = await this.run(now);
+    if (result) this.lastRunDay = day;
+    return result;
+  }
+
+  /**
+   * Run the job once; overlapping runs are skipped
+   * @param {Date} now - Current time
+   * @returns {Promise<Object|null>} Run result, or null when skipped or failed
+   */
+  async run(now = new Date()) {
+    if (this.running) return null;
+
+    this.running = true;
+    try {
+      const result = await attendanceAlertService.evaluateAll(now);
+      logger.info(
+        `Attendance alert job evaluated ${result.subjects} subject(s): ` +
+          `${result.triggered} alert(s) raised, ${result.resolved} resolved`
+      );
+      return result;
+    } catch (error) {
+      logger.error('Error in attendance alert job:', error);
+      return null;
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new AttendanceAlertJob();
@@ -0,0 +1,66 @@
+/**
+ * Auto-Absent Job
+ * Periodically marks enrolled students absent for schedule slots that have ended
+ * without a record, so summaries count missed sessions
+ *
+ * @author Notified Development Team
+ * @version 1.0.0
+ */
+
+const subjectAttendanceService = require('../services/subjectAttendanceService');
+const { JOBS } = require('../config/constants');
+const logger = require('../utils/logger');
+
+class AutoAbsentJob {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start running the job on an interval
+   * @param {Number} intervalMs - Interval between runs
+   */
+  start(intervalMs = JOBS.AUTO_ABSENT_INTERVAL_MS) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.run(), intervalMs);
+    // Do not keep the process alive just for this job
+    this.timer.unref();
+
+    logger.info(`Auto-absent job scheduled every ${Math.round(intervalMs / 1000)}s`);
+  }
+
+  /**
+   * Stop the job
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Run the job once; overlapping runs are skipped
+   * @param {Date} now - Current time
+   * @returns {Promise<Object|null>} Run result, or null when skipped or failed
+   */
+  async run(now = new Date()) {
+    if (this.running) return null;
+
+    this.running = true;
+    try {
+      const result = await subjectAttendanceService.markAbsentForEndedSlots(now);
+      if (result.created > 0) {
+        logger.info(`Auto-absent job created ${result.created} absent record(s)`);
+      }
+      return result;
+    } catch (error) {
+      logger.error('Error in auto-absent job:', error);
+      return null;
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new AutoAbsentJob();
@@ -8,15 +8,42 @@
 
 const JWTUtil = require('../utils/jwtUtil');
 const ApiResponse = require('../utils/apiResponse');
+const RequestContext = require('../utils/requestContext');
 const { User } = require('../models');
+const apiKeyService = require('../services/apiKeyService');
+const deviceService = require('../services/deviceService');
 const logger = require('../utils/logger');
-const { ERROR_MESSAGES } = require('../config/constants');
+const { AUTH, KIOSK, ERROR_MESSAGES, TOKEN_PURPOSES } = require('../config/constants');
+const { PERMISSIONS } = require('../config/permissions');
+
+/**
+ * Authenticate a request made with an API key (X-API-Key header)
+ * The request acts as the key's creator, limited to the key's scopes
+ */
+const protectWithApiKey = async (req, res, next, key) => {
+  const result = await apiKeyService.authenticate(key, req.ip);
+
+  if (!result) {
+    return ApiResponse.unauthorized(res, ERROR_MESSAGES.API_KEY_INVALID);
+  }
+
+  req.user = result.user;
+  req.apiKey = result.apiKey;
+
+  // Lets audit records created during this request name the key
+  return RequestContext.run({ apiKey: result.apiKey }, next);
+};
 
 /**
  * Protect route - verify JWT token
  */
 const protect = async (req, res, next) => {
   try {
+    const apiKey = req.headers[AUTH.API_KEY_HEADER];
+    if (apiKey) {
+      return await protectWithApiKey(req, res, next, apiKey);
+    }
+
     let token;
 
     // Check for token in Authorization header
@@ -55,8 +82,37 @@ const protect = async (req, res, next) => {
       return ApiResponse.unauthorized(res, 'Your account has been deactivated');
     }
 
-    // Attach user to request object
+    // Revoked by logout, password change, role change or deactivation
+    // (tokens issued before token versions existed carry no `tv` and count as version 0)
+    if ((decoded.tv || 0) !== user.tokenVersion) {
+      return ApiResponse.unauthorized(res, ERROR_MESSAGES.TOKEN_REVOKED);
+    }
+
+    // Impersonation token: acts as the user, on behalf of a superadmin
+    if (decoded.imp) {
+      const impersonator = await User.findById(decoded.imp).select(
+        'name email role isActive tokenVersion'
+      );
+
+      if (
+        !impersonator ||
+        !impersonator.isActive ||
+        !impersonator.hasPermission(PERMISSIONS.USER_IMPERSONATE) ||
+        decoded.itv !== impersonator.tokenVersion
+      ) {
+        return ApiResponse.unauthorized(res, ERROR_MESSAGES.TOKEN_REVOKED);
+      }
+
+      req.user = user;
+      req.impersonation = { impersonator, expiresAt: new Date(decoded.exp * 1000) };
+
+      // Lets audit records created during this request name the superadmin
+      return RequestContext.run({ impersonator }, next);
+    }
+
+    // Attach user and login session to request object
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     logger.error(`Authentication error: ${error.message}`);
@@ -64,6 +120,28 @@ const protect = async (req, res, next) => {
   }
 };
 
+/**
+ * Reject requests authenticated with an API key
+ * For account and credential endpoints that only make sense for a signed-in person
+ */
+const forbidApiKey = (req, res, next) => {
+  if (req.headers[AUTH.API_KEY_HEADER]) {
+    return ApiResponse.forbidden(res, ERROR_MESSAGES.API_KEY_NOT_ALLOWED);
+  }
+  next();
+};
+
+/**
+ * Reject requests made while impersonating a user
+ * For credential and security settings that only the account owner may change
+ */
+const forbidImpersonation = (req, res, next) => {
+  if (req.impersonation) {
+    return ApiResponse.forbidden(res, ERROR_MESSAGES.IMPERSONATION_NOT_ALLOWED);
+  }
+  next();
+};
+
 /**
  * Optional authentication - doesn't require token but attaches user if present
  */
@@ -81,7 +159,7 @@ const optionalAuth = async (req, res, next) => {
       try {
         const decoded = JWTUtil.verifyAccessToken(token);
         const user = await User.findById(decoded.id).select('-password -refreshToken');
-        if (user && user.isActive) {
+        if (user && user.isActive && (decoded.tv || 0) === user.tokenVersion) {
           req.user = user;
         }
       } catch (error) {
@@ -97,7 +175,68 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Two-factor setup authentication
+ * Accepts a normal access token, or the setup challenge token issued by login when
+ * the user's role requires 2FA but they have not enrolled yet
+ */
+const protectTwoFactorSetup = async (req, res, next) => {
+  const challengeToken = req.body && req.body.challengeToken;
+
+  if (!challengeToken) {
+    return protect(req, res, next);
+  }
+
+  try {
+    let decoded;
+    try {
+      decoded = JWTUtil.verifyPurposeToken(challengeToken, TOKEN_PURPOSES.TWO_FACTOR_SETUP);
+    } catch (error) {
+      return ApiResponse.unauthorized(res, ERROR_MESSAGES.TWO_FACTOR_CHALLENGE_INVALID);
+    }
+
+    const user = await User.findById(decoded.id).select('-password -refreshToken');
+
+    if (!user || !user.isActive) {
+      return ApiResponse.unauthorized(res, ERROR_MESSAGES.TWO_FACTOR_CHALLENGE_INVALID);
+    }
+
+    req.user = user;
+    req.twoFactorSetupChallenge = true;
+    next();
+  } catch (error) {
+    logger.error(`Two-factor setup authentication error: ${error.message}`);
+    return ApiResponse.serverError(res, ERROR_MESSAGES.INTERNAL_ERROR);
+  }
+};
+
+/**
+ * Kiosk device authentication (X-Device-Key header)
+ * Only for scan ingestion; the request acts as the admin who registered the device
+ */
+const protectDevice = async (req, res, next) => {
+  try {
+    const key = req.headers[KIOSK.DEVICE_KEY_HEADER];
+    const result = key ? await deviceService.authenticate(key, req.ip) : null;
+
+    if (!result) {
+      return ApiResponse.unauthorized(res, ERROR_MESSAGES.DEVICE_KEY_INVALID);
+    }
+
+    req.user = result.user;
+    req.device = result.device;
+    next();
+  } catch (error) {
+    logger.error(`Device authentication error: ${error.message}`);
+    return ApiResponse.serverError(res, ERROR_MESSAGES.INTERNAL_ERROR);
+  }
+};
+
 module.exports = {
   protect,
   optionalAuth,
+  protectTwoFactorSetup,
+  protectDevice,
+  forbidApiKey,
+  forbidImpersonation,
 };
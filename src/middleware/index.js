@@ -6,9 +6,18 @@
  * @version 1.0.0
  */
 
-const { protect, optionalAuth } = require('./auth');
+const {
+  protect,
+  optionalAuth,
+  protectTwoFactorSetup,
+  protectDevice,
+  forbidApiKey,
+  forbidImpersonation,
+} = require('./auth');
 const {
   restrictTo,
+  requirePermission,
+  requireSubjectAccess,
   requireSuperAdmin,
   requireAdmin,
   requireStaff,
@@ -22,9 +31,15 @@ module.exports = {
   // Authentication
   protect,
   optionalAuth,
+  protectTwoFactorSetup,
+  protectDevice,
+  forbidApiKey,
+  forbidImpersonation,
 
   // Authorization
   restrictTo,
+  requirePermission,
+  requireSubjectAccess,
   requireSuperAdmin,
   requireAdmin,
   requireStaff,
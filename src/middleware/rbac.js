@@ -8,6 +8,8 @@
 
 const ApiResponse = require('../utils/apiResponse');
 const { ROLES, ERROR_MESSAGES } = require('../config/constants');
+const { PERMISSIONS, roleHasPermission } = require('../config/permissions');
+const subjectService = require('../services/subjectService');
 const logger = require('../utils/logger');
 
 /**
@@ -61,6 +63,68 @@ const requireStaff = (req, res, next) => {
   next();
 };
 
+/**
+ * Require every listed permission (see config/permissions.js)
+ * @param  {...String} permissions - Required permissions
+ * @returns {Function} Middleware function
+ */
+const requirePermission =
+  (...permissions) =>
+  (req, res, next) => {
+    if (!req.user) {
+      return ApiResponse.unauthorized(res, ERROR_MESSAGES.UNAUTHORIZED);
+    }
+
+    // API key requests are also limited to the key's scopes
+    const missing = permissions.filter(
+      (permission) =>
+        !roleHasPermission(req.user.role, permission) ||
+        (req.apiKey && !req.apiKey.hasScope(permission))
+    );
+
+    if (missing.length > 0) {
+      const actor = req.apiKey ? `API key ${req.apiKey.prefix} of user` : 'User';
+      logger.warn(
+        `${actor} ${req.user.email} (${req.user.role}) lacks ${missing.join(', ')} for ${req.method} ${req.originalUrl}`
+      );
+      return ApiResponse.forbidden(res, 'You do not have permission to perform this action');
+    }
+
+    next();
+  };
+
+/**
+ * Limit a subject-scoped action to the subject's instructors
+ * Users with subject:access-all (admins, staff, registrars) are not restricted
+ * @param {Function} getSubjectIds - Returns the subject ID (or IDs) targeted by the request
+ * @returns {Function} Middleware function
+ */
+const requireSubjectAccess = (getSubjectIds) => async (req, res, next) => {
+  if (!req.user) {
+    return ApiResponse.unauthorized(res, ERROR_MESSAGES.UNAUTHORIZED);
+  }
+
+  if (roleHasPermission(req.user.role, PERMISSIONS.SUBJECT_ACCESS_ALL)) {
+    return next();
+  }
+
+  try {
+    const subjectIds = [...new Set([].concat(getSubjectIds(req)).filter(Boolean).map(String))];
+
+    if (subjectIds.length === 0) {
+      return ApiResponse.forbidden(res, ERROR_MESSAGES.SUBJECT_REQUIRED_FOR_ACCESS);
+    }
+
+    await Promise.all(
+      subjectIds.map((subjectId) => subjectService.assertSubjectAccess(req.user, subjectId))
+    );
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Check if user has at least the specified role level
  * @param {String} requiredRole - Required role level
@@ -110,6 +174,8 @@ const canModifyResource = (resourceUserIdField = 'createdBy') => {
 
 module.exports = {
   restrictTo,
+  requirePermission,
+  requireSubjectAccess,
   requireSuperAdmin,
   requireAdmin,
   requireStaff,
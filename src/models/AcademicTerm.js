@@ -0,0 +1,69 @@
+/**
+ * AcademicTerm Model
+ * Mongoose schema for school years and semesters; subjects and enrollments belong to a term
+ *
+ * @author Notified Development Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+const academicTermSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Term name is required'],
+      trim: true,
+      maxlength: [100, 'Term name cannot exceed 100 characters'],
+    },
+    // Both dates are normalized to midnight; the range is inclusive
+    startDate: {
+      type: Date,
+      required: [true, 'Start date is required'],
+    },
+    endDate: {
+      type: Date,
+      required: [true, 'End date is required'],
+    },
+    // At most one term is active; it is the default for new subjects and for list/stat endpoints
+    isActive: {
+      type: Boolean,
+      default: false,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+academicTermSchema.pre('validate', function (next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must be on or after the start date');
+  }
+  next();
+});
+
+// Indexes
+academicTermSchema.index({ name: 1 }, { unique: true });
+academicTermSchema.index(
+  { isActive: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+academicTermSchema.index({ startDate: -1 });
+
+// Static method to find the active term
+academicTermSchema.statics.findActive = function () {
+  return this.findOne({ isActive: true });
+};
+
+const AcademicTerm = mongoose.model('AcademicTerm', academicTermSchema);
+
+module.exports = AcademicTerm;
@@ -0,0 +1,108 @@
+/**
+ * ApiKey Model
+ * Mongoose schema for admin-managed API keys used by machine integrations
+ * (kiosk scripts, sync jobs). Requests made with a key act as the admin who created it,
+ * limited to the key's scopes
+ *
+ * @author Notified Development Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { AUTH } = require('../config/constants');
+const { PERMISSIONS } = require('../config/permissions');
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters'],
+    },
+    prefix: {
+      type: String,
+      required: true, // First characters of the key, shown to identify it
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      select: false, // SHA-256 of the full key
+    },
+    scopes: {
+      type: [{ type: String, enum: Object.values(PERMISSIONS) }],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: 'At least one scope is required',
+      },
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Creator is required'],
+    },
+    expiresAt: {
+      type: Date,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    lastUsedIp: {
+      type: String,
+      trim: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+apiKeySchema.index({ keyHash: 1 }, { unique: true });
+apiKeySchema.index({ createdBy: 1 });
+
+// Static method to generate a new random key
+apiKeySchema.statics.generateKey = function () {
+  return `${AUTH.API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+};
+
+// Static method to hash a key for storage/comparison
+apiKeySchema.statics.hashKey = function (key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+// Static method to find the key matching a raw key value
+apiKeySchema.statics.findByKey = function (key) {
+  return this.findOne({ keyHash: this.hashKey(key) });
+};
+
+// Instance method to check if the key can still be used
+apiKeySchema.methods.isActive = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Instance method to check if the key grants a permission
+apiKeySchema.methods.hasScope = function (permission) {
+  return this.scopes.includes(permission);
+};
+
+// Remove sensitive data from JSON response
+apiKeySchema.methods.toJSON = function () {
+  const apiKey = this.toObject();
+  delete apiKey.keyHash;
+  delete apiKey.__v;
+  apiKey.isActive = this.isActive();
+  return apiKey;
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
@@ -8,7 +8,7 @@
  */
 
 const mongoose = require('mongoose');
-const { ATTENDANCE_STATUS } = require('../config/constants');
+const { ATTENDANCE_STATUS, ATTENDANCE_SOURCES } = require('../config/constants');
 
 const attendanceSchema = new mongoose.Schema(
   {
@@ -46,6 +46,30 @@ const attendanceSchema = new mongoose.Schema(
       trim: true,
       maxlength: [500, 'Remarks cannot exceed 500 characters'],
     },
+    source: {
+      type: String,
+      enum: Object.values(ATTENDANCE_SOURCES),
+      default: ATTENDANCE_SOURCES.MANUAL,
+    },
+    // Actual check-in time (the date field is normalized to midnight)
+    recordedAt: {
+      type: Date,
+    },
+    // Minutes after the schedule slot start, for check-ins
+    minutesLate: {
+      type: Number,
+      min: 0,
+    },
+    // Kiosk device that recorded a scan
+    device: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Device',
+    },
+    // Approved excuse letter that made this record excused
+    excuse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Excuse',
+    },
     editedAt: {
       type: Date,
     },
@@ -61,12 +85,24 @@ const attendanceSchema = new mongoose.Schema(
         remarks: String,
         editedAt: Date,
         editedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        // Approved correction request that caused this edit
+        correction: { type: mongoose.Schema.Types.ObjectId, ref: 'AttendanceCorrection' },
+        // Excuse letter of this version, or the approved excuse that caused this edit
+        excuse: { type: mongoose.Schema.Types.ObjectId, ref: 'Excuse' },
+        // Earlier history entry restored by this edit
+        revertedFrom: { type: mongoose.Schema.Types.ObjectId },
       },
     ],
     markedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: [true, 'Marker user is required'],
+      // Records created by the auto-absent job have no marker
+      required: [
+        function () {
+          return this.source !== ATTENDANCE_SOURCES.AUTO;
+        },
+        'Marker user is required',
+      ],
     },
   },
   {
@@ -127,9 +163,10 @@ attendanceSchema.statics.findByDateRange = function (startDate, endDate, filters
 };
 
 // Static method to get attendance summary
+// Departure records mirror the arrival's status and are not counted
 attendanceSchema.statics.getAttendanceSummary = async function (filters = {}) {
   return await this.aggregate([
-    { $match: filters },
+    { $match: { ...filters, timeSlot: { $ne: 'departure' } } },
     {
       $group: {
         _id: '$status',
@@ -0,0 +1,95 @@
+/**
+ * AttendanceAlert Model
+ * Mongoose schema for absenteeism alerts raised when a student crosses an alert rule in a
+ * subject. One alert is active per student, subject and rule; it resolves when the student
+ * falls back under the rule, so crossing the threshold again raises a new alert
+ *
+ * @author Notified Development Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const { ATTENDANCE_ALERT_TYPES, ATTENDANCE_ALERT_STATUS } = require('../config/constants');
+
+const attendanceAlertSchema = new mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      required: [true, 'Student is required'],
+    },
+    subject: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subject',
+      required: [true, 'Subject is required'],
+    },
+    // Identifies the rule that fired, e.g. "absence_rate:20" or "lates_in_period:5/7d"
+    rule: {
+      type: String,
+      required: [true, 'Rule is required'],
+    },
+    type: {
+      type: String,
+      enum: Object.values(ATTENDANCE_ALERT_TYPES),
+      required: [true, 'Alert type is required'],
+    },
+    threshold: {
+      type: Number,
+      required: true,
+    },
+    // Days in the period (lates_in_period only)
+    days: {
+      type: Number,
+    },
+    // Measured value when the alert fired and at the latest evaluation
+    value: {
+      type: Number,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(ATTENDANCE_ALERT_STATUS),
+      default: ATTENDANCE_ALERT_STATUS.ACTIVE,
+    },
+    triggeredAt: {
+      type: Date,
+      default: Date.now,
+    },
+    resolvedAt: {
+      type: Date,
+    },
+    // Users who received the in-app notification
+    notifiedUsers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    guardianNotified: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+attendanceAlertSchema.index(
+  { student: 1, subject: 1, rule: 1 },
+  { unique: true, partialFilterExpression: { status: ATTENDANCE_ALERT_STATUS.ACTIVE } }
+);
+attendanceAlertSchema.index({ status: 1, subject: 1 });
+attendanceAlertSchema.index({ student: 1, triggeredAt: -1 });
+
+// Static method to find the active alerts of a subject (optionally for some students)
+attendanceAlertSchema.statics.findActive = function (subjectId, studentIds = null) {
+  const query = { subject: subjectId, status: ATTENDANCE_ALERT_STATUS.ACTIVE };
+  if (studentIds) query.student = { $in: studentIds };
+  return this.find(query);
+};
+
+const AttendanceAlert = mongoose.model('AttendanceAlert', attendanceAlertSchema);
+
+module.exports = AttendanceAlert;
@@ -0,0 +1,105 @@
+/**
+ * AttendanceCorrection Model
+ * Mongoose schema for requests to change an attendance record's status
+ * Filed by staff, students or guardians and reviewed by the subject instructors or an admin
+ *
+ * @author Notified Development Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const attachmentSchema = require('./attachmentSchema');
+const {
+  ATTENDANCE_STATUS,
+  CORRECTION_STATUS,
+  CORRECTION_REQUESTER_TYPES,
+} = require('../config/constants');
+
+const attendanceCorrectionSchema = new mongoose.Schema(
+  {
+    attendance: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Attendance',
+      required: [true, 'Attendance record is required'],
+    },
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      required: true,
+    },
+    subject: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subject',
+    },
+    // Status of the record when the request was filed
+    currentStatus: {
+      type: String,
+      enum: Object.values(ATTENDANCE_STATUS),
+      required: true,
+    },
+    proposedStatus: {
+      type: String,
+      enum: Object.values(ATTENDANCE_STATUS),
+      required: [true, 'Proposed status is required'],
+    },
+    reason: {
+      type: String,
+      required: [true, 'Reason is required'],
+      trim: true,
+      maxlength: [1000, 'Reason cannot exceed 1000 characters'],
+    },
+    attachments: {
+      type: [attachmentSchema],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: Object.values(CORRECTION_STATUS),
+      default: CORRECTION_STATUS.PENDING,
+    },
+    requesterType: {
+      type: String,
+      enum: Object.values(CORRECTION_REQUESTER_TYPES),
+      required: true,
+    },
+    // Set for staff requests
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Contact details for the outcome notification
+    requesterName: {
+      type: String,
+      trim: true,
+    },
+    requesterEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    reviewNote: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Review note cannot exceed 500 characters'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+attendanceCorrectionSchema.index({ status: 1, createdAt: -1 });
+attendanceCorrectionSchema.index({ subject: 1, status: 1 });
+attendanceCorrectionSchema.index({ attendance: 1, status: 1 });
+
+const AttendanceCorrection = mongoose.model('AttendanceCorrection', attendanceCorrectionSchema);
+
+module.exports = AttendanceCorrection;
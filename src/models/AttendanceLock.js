@@ -0,0 +1,86 @@
+/**
+ * AttendanceLock Model
+ * Mongoose schema for finalized attendance sessions (subject, date and schedule slot)
+ * A lock without a schedule slot covers every session of the subject on that date
+ *
+ * @author Notified Development Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+const unlockSchema = new mongoose.Schema(
+  {
+    unlockedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    unlockedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    reason: {
+      type: String,
+      required: [true, 'Unlock reason is required'],
+      trim: true,
+      maxlength: [500, 'Unlock reason cannot exceed 500 characters'],
+    },
+  },
+  { _id: false }
+);
+
+const attendanceLockSchema = new mongoose.Schema(
+  {
+    subject: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subject',
+      required: [true, 'Subject is required'],
+    },
+    // Normalized to midnight
+    date: {
+      type: Date,
+      required: [true, 'Date is required'],
+    },
+    scheduleSlot: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // False once an admin unlocks the session; finalizing again sets it back
+    locked: {
+      type: Boolean,
+      default: true,
+    },
+    lockedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    lockedAt: {
+      type: Date,
+    },
+    unlocks: {
+      type: [unlockSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+attendanceLockSchema.index({ subject: 1, date: 1, scheduleSlot: 1 }, { unique: true });
+
+// Static method to find the locks that apply to a session (its own and the whole day's)
+attendanceLockSchema.statics.findForSession = function (subjectId, date, scheduleSlot) {
+  return this.find({
+    subject: subjectId,
+    date,
+    scheduleSlot: { $in: [...new Set([scheduleSlot || null, null])] },
+  });
+};
+
+const AttendanceLock = mongoose.model('AttendanceLock', attendanceLockSchema);
+
+module.exports = AttendanceLock;
@@ -0,0 +1,68 @@
+/**
+ * AttendanceSyncItem Model
+ * Mongoose schema for applied items of offline attendance sync batches
+ * A client ID already applied for a user is answered from here instead of being applied again
+ *
+ * @author Notified Development Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const { ATTENDANCE_SYNC_RESULTS, OFFLINE_SYNC } = require('../config/constants');
+
+const attendanceSyncItemSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+    },
+    // Generated by the client; unique per user
+    clientId: {
+      type: String,
+      required: [true, 'Client ID is required'],
+      trim: true,
+      maxlength: [100, 'Client ID cannot exceed 100 characters'],
+    },
+    // When the record was marked on the client
+    clientTimestamp: {
+      type: Date,
+    },
+    attendance: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Attendance',
+    },
+    // Only applied items are kept: conflicts and errors can be retried with the same client ID
+    result: {
+      type: String,
+      enum: [
+        ATTENDANCE_SYNC_RESULTS.CREATED,
+        ATTENDANCE_SYNC_RESULTS.UPDATED,
+        ATTENDANCE_SYNC_RESULTS.UNCHANGED,
+      ],
+      required: true,
+    },
+    // Record version (number of history entries) after the item was applied
+    version: {
+      type: Number,
+    },
+    // Conflict that was overwritten when the batch asked for it
+    conflict: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+attendanceSyncItemSchema.index({ user: 1, clientId: 1 }, { unique: true });
+attendanceSyncItemSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: OFFLINE_SYNC.CLIENT_ID_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+const AttendanceSyncItem = mongoose.model('AttendanceSyncItem', attendanceSyncItemSchema);
+
+module.exports = AttendanceSyncItem;
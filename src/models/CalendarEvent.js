@@ -0,0 +1,112 @@
+/**
+ * CalendarEvent Model
+ * Mongoose schema for academic calendar days without regular classes
+ * (holidays, class suspensions and exam days) for the whole school, a section or a subject
+ *
+ * @author Notified Development Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const { CALENDAR_EVENT_TYPES, CALENDAR_EVENT_SCOPES } = require('../config/constants');
+const DateUtil = require('../utils/dateUtil');
+
+const calendarEventSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, 'Title is required'],
+      trim: true,
+      maxlength: [100, 'Title cannot exceed 100 characters'],
+    },
+    type: {
+      type: String,
+      enum: Object.values(CALENDAR_EVENT_TYPES),
+      required: [true, 'Event type is required'],
+    },
+    // Both dates are normalized to midnight; the range is inclusive
+    startDate: {
+      type: Date,
+      required: [true, 'Start date is required'],
+    },
+    endDate: {
+      type: Date,
+      required: [true, 'End date is required'],
+    },
+    scope: {
+      type: String,
+      enum: Object.values(CALENDAR_EVENT_SCOPES),
+      default: CALENDAR_EVENT_SCOPES.SCHOOL,
+    },
+    // Set for section-scoped events; matches Subject.section
+    section: {
+      type: String,
+      trim: true,
+    },
+    // Set for subject-scoped events
+    subject: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subject',
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters'],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+calendarEventSchema.pre('validate', function (next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must be on or after the start date');
+  }
+  if (this.scope === CALENDAR_EVENT_SCOPES.SECTION && !this.section) {
+    this.invalidate('section', 'Section is required for section events');
+  }
+  if (this.scope === CALENDAR_EVENT_SCOPES.SUBJECT && !this.subject) {
+    this.invalidate('subject', 'Subject is required for subject events');
+  }
+  next();
+});
+
+// Indexes
+calendarEventSchema.index({ startDate: 1, endDate: 1 });
+calendarEventSchema.index({ subject: 1, startDate: 1 });
+
+// Static method to find events overlapping a date range (open-ended when a bound is missing)
+calendarEventSchema.statics.findOverlapping = function (startDate, endDate) {
+  const query = {};
+  if (startDate) query.endDate = { $gte: DateUtil.startOfDay(startDate) };
+  if (endDate) query.startDate = { $lte: DateUtil.startOfDay(endDate) };
+  return this.find(query);
+};
+
+// Static method to find events cancelling classes on a date for a subject or section
+calendarEventSchema.statics.findCovering = function (date, { subjectId, section } = {}) {
+  const day = DateUtil.startOfDay(date);
+
+  const scopes = [{ scope: CALENDAR_EVENT_SCOPES.SCHOOL }];
+  if (section) scopes.push({ scope: CALENDAR_EVENT_SCOPES.SECTION, section });
+  if (subjectId) scopes.push({ scope: CALENDAR_EVENT_SCOPES.SUBJECT, subject: subjectId });
+
+  return this.find({
+    startDate: { $lte: day },
+    endDate: { $gte: day },
+    $or: scopes,
+  }).sort({ startDate: 1 });
+};
+
+const CalendarEvent = mongoose.model('CalendarEvent', calendarEventSchema);
+
+module.exports = CalendarEvent;
@@ -0,0 +1,159 @@
+/**
+ * CheckInWindow Model
+ * Mongoose schema for QR self check-in windows opened by teachers
+ * While a window is open it issues short-lived QR tokens signed with a per-window secret;
+ * tokens rotate every few seconds so a shared screenshot stops working almost immediately
+ *
+ * @author Notified Development Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { CHECK_IN_WINDOW } = require('../config/constants');
+
+const checkInWindowSchema = new mongoose.Schema(
+  {
+    subject: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subject',
+      required: [true, 'Subject is required'],
+    },
+    scheduleSlot: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Session date (normalized to midnight, like Attendance.date)
+    date: {
+      type: Date,
+      required: true,
+    },
+    openedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Opener is required'],
+    },
+    opensAt: {
+      type: Date,
+      required: true,
+    },
+    closesAt: {
+      type: Date,
+      required: true,
+    },
+    closedAt: {
+      type: Date,
+    },
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    rotationSeconds: {
+      type: Number,
+      default: CHECK_IN_WINDOW.ROTATION_SECONDS,
+    },
+    secret: {
+      type: String,
+      required: true,
+      select: false, // HMAC key for QR tokens
+    },
+    // Students checked in per token step and client (device ID or IP)
+    claims: {
+      type: [
+        {
+          _id: false,
+          step: Number,
+          client: String,
+          student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student' },
+        },
+      ],
+      default: [],
+      select: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+checkInWindowSchema.index({ subject: 1, closesAt: -1 });
+
+// Static method to generate a window secret
+checkInWindowSchema.statics.generateSecret = function () {
+  return crypto.randomBytes(32).toString('hex');
+};
+
+// Static method to split a QR token into its window ID, rotation step and signature
+checkInWindowSchema.statics.parseToken = function (token) {
+  const [windowId, step, signature] = String(token).split('.');
+  if (!mongoose.isValidObjectId(windowId) || !/^\d+$/.test(step || '') || !signature) {
+    return null;
+  }
+  return { windowId, step: Number(step), signature };
+};
+
+// Static method to claim a token step for a student on behalf of a client
+// Atomic, so a client can use each token for one student only; false when already used
+checkInWindowSchema.statics.claimToken = async function (windowId, step, client, studentId) {
+  const result = await this.updateOne(
+    {
+      _id: windowId,
+      claims: { $not: { $elemMatch: { step, client, student: { $ne: studentId } } } },
+    },
+    { $addToSet: { claims: { step, client, student: studentId } } }
+  );
+  return result.matchedCount > 0;
+};
+
+// Instance method to check if the window accepts check-ins
+checkInWindowSchema.methods.isOpen = function (now = new Date()) {
+  return !this.closedAt && this.opensAt <= now && this.closesAt > now;
+};
+
+// Instance method to get the rotation step for a time
+checkInWindowSchema.methods.getStep = function (now = new Date()) {
+  return Math.floor(now.getTime() / (this.rotationSeconds * 1000));
+};
+
+// Instance method to sign a rotation step (requires the secret to be selected)
+checkInWindowSchema.methods.sign = function (step) {
+  return crypto.createHmac('sha256', this.secret).update(`${this._id}.${step}`).digest('base64url');
+};
+
+// Instance method to issue the QR token for the current rotation step
+checkInWindowSchema.methods.generateToken = function (now = new Date()) {
+  const step = this.getStep(now);
+  const rotationMs = this.rotationSeconds * 1000;
+  return {
+    token: `${this._id}.${step}.${this.sign(step)}`,
+    expiresAt: new Date(Math.min((step + 1) * rotationMs, this.closesAt.getTime())),
+  };
+};
+
+// Instance method to verify a QR token; the previous step is accepted to allow for scan delay
+checkInWindowSchema.methods.verifyToken = function (token, now = new Date()) {
+  const parsed = this.constructor.parseToken(token);
+  if (!parsed || parsed.windowId !== this._id.toString()) return false;
+
+  const current = this.getStep(now);
+  if (parsed.step !== current && parsed.step !== current - 1) return false;
+
+  const expected = Buffer.from(this.sign(parsed.step));
+  const actual = Buffer.from(parsed.signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Remove sensitive data from JSON response
+checkInWindowSchema.methods.toJSON = function () {
+  const window = this.toObject();
+  delete window.secret;
+  delete window.__v;
+  window.isOpen = this.isOpen();
+  return window;
+};
+
+const CheckInWindow = mongoose.model('CheckInWindow', checkInWindowSchema);
+
+module.exports = CheckInWindow;
@@ -0,0 +1,102 @@
+/**
+ * Device Model
+ * Mongoose schema for registered kiosk / card reader devices
+ * Each device authenticates scans with its own secret key; scans are recorded as the
+ * admin who registered the device
+ *
+ * @author Notified Development Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { KIOSK } = require('../config/constants');
+
+const deviceSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters'],
+    },
+    // When set, scans only match schedule slots held in this room/building
+    room: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Room cannot exceed 50 characters'],
+    },
+    building: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Building cannot exceed 100 characters'],
+    },
+    prefix: {
+      type: String,
+      required: true, // First characters of the key, shown to identify it
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      select: false, // SHA-256 of the full key
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Creator is required'],
+    },
+    lastSeenAt: {
+      type: Date,
+    },
+    lastSeenIp: {
+      type: String,
+      trim: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+deviceSchema.index({ keyHash: 1 }, { unique: true });
+
+// Static method to generate a new random device key
+deviceSchema.statics.generateKey = function () {
+  return `${KIOSK.DEVICE_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+};
+
+// Static method to hash a key for storage/comparison
+deviceSchema.statics.hashKey = function (key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+// Static method to find the device matching a raw key value
+deviceSchema.statics.findByKey = function (key) {
+  return this.findOne({ keyHash: this.hashKey(key) });
+};
+
+// Instance method to check if the device can still submit scans
+deviceSchema.methods.isActive = function () {
+  return !this.revokedAt;
+};
+
+// Remove sensitive data from JSON response
+deviceSchema.methods.toJSON = function () {
+  const device = this.toObject();
+  delete device.keyHash;
+  delete device.__v;
+  device.isActive = this.isActive();
+  return device;
+};
+
+const Device = mongoose.model('Device', deviceSchema);
+
+module.exports = Device;
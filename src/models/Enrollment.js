@@ -32,6 +32,12 @@ const enrollmentSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
     },
+    // Copied from the subject so term statistics don't need a join
+    term: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AcademicTerm',
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -68,6 +74,7 @@ const enrollmentSchema = new mongoose.Schema(
 enrollmentSchema.index({ student: 1, subject: 1 }, { unique: true });
 enrollmentSchema.index({ student: 1 });
 enrollmentSchema.index({ subject: 1 });
+enrollmentSchema.index({ term: 1 });
 
 // Static method to enroll student
 enrollmentSchema.statics.enrollStudent = function (studentId, subjectId, userId) {
@@ -0,0 +1,104 @@
+/**
+ * Excuse Model
+ * Mongoose schema for excuse letters covering a student's absences over a date range
+ * Approval turns absences in the range into excused ones, including future dates
+ *
+ * @author Notified Development Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const attachmentSchema = require('./attachmentSchema');
+const { EXCUSE_STATUS, EXCUSE_CATEGORIES } = require('../config/constants');
+const DateUtil = require('../utils/dateUtil');
+
+const excuseSchema = new mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      required: [true, 'Student is required'],
+    },
+    // Both dates are normalized to midnight; the range is inclusive
+    startDate: {
+      type: Date,
+      required: [true, 'Start date is required'],
+    },
+    endDate: {
+      type: Date,
+      required: [true, 'End date is required'],
+    },
+    // Empty means every subject
+    subjects: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Subject' }],
+      default: [],
+    },
+    category: {
+      type: String,
+      enum: Object.values(EXCUSE_CATEGORIES),
+      required: [true, 'Category is required'],
+    },
+    reason: {
+      type: String,
+      required: [true, 'Reason is required'],
+      trim: true,
+      maxlength: [1000, 'Reason cannot exceed 1000 characters'],
+    },
+    attachments: {
+      type: [attachmentSchema],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: Object.values(EXCUSE_STATUS),
+      default: EXCUSE_STATUS.PENDING,
+    },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    reviewNote: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Review note cannot exceed 500 characters'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+excuseSchema.index({ student: 1, startDate: -1 });
+excuseSchema.index({ status: 1, createdAt: -1 });
+excuseSchema.index({ student: 1, status: 1, startDate: 1, endDate: 1 });
+
+// Static method to find approved excuses covering a subject on a date for some students
+excuseSchema.statics.findCovering = function (studentIds, subjectId, date) {
+  const day = DateUtil.startOfDay(date);
+
+  // Records without a subject are only covered by excuses for every subject
+  const subjectFilter = subjectId
+    ? [{ subjects: { $size: 0 } }, { subjects: subjectId }]
+    : [{ subjects: { $size: 0 } }];
+
+  return this.find({
+    student: { $in: studentIds },
+    status: EXCUSE_STATUS.APPROVED,
+    startDate: { $lte: day },
+    endDate: { $gte: day },
+    $or: subjectFilter,
+  });
+};
+
+const Excuse = mongoose.model('Excuse', excuseSchema);
+
+module.exports = Excuse;
@@ -9,6 +9,8 @@
 
 const mongoose = require('mongoose');
 const { RECORD_TYPES } = require('../config/constants');
+const RequestContext = require('../utils/requestContext');
+const DateUtil = require('../utils/dateUtil');
 
 const recordSchema = new mongoose.Schema(
   {
@@ -34,6 +36,16 @@ const recordSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
     },
+    // Set when the action was performed with an API key (performedBy is the key's creator)
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey',
+    },
+    // Set when a superadmin performed the action while impersonating performedBy
+    impersonatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
     metadata: {
       type: mongoose.Schema.Types.Mixed,
       default: {},
@@ -50,6 +62,16 @@ recordSchema.index({ student: 1 });
 recordSchema.index({ subject: 1 });
 recordSchema.index({ createdAt: -1 });
 
+// Attribute records to the API key or impersonating superadmin behind the request
+recordSchema.pre('save', function (next) {
+  if (this.isNew) {
+    const { apiKey, impersonator } = RequestContext.get();
+    if (apiKey && !this.apiKey) this.apiKey = apiKey._id;
+    if (impersonator && !this.impersonatedBy) this.impersonatedBy = impersonator._id;
+  }
+  next();
+});
+
 // Static method to create a student-related record
 recordSchema.statics.createStudentRecord = function (
   studentId,
@@ -94,6 +116,8 @@ recordSchema.statics.findByType = function (recordType, limit = 50) {
     .populate('student', 'studentNumber firstName lastName')
     .populate('subject', 'subjectCode subjectName')
     .populate('performedBy', 'name email')
+    .populate('apiKey', 'name prefix')
+    .populate('impersonatedBy', 'name email')
     .sort({ createdAt: -1 })
     .limit(limit);
 };
@@ -106,19 +130,17 @@ recordSchema.statics.findByDateRange = function (startDate, endDate) {
     .populate('student', 'studentNumber firstName lastName')
     .populate('subject', 'subjectCode subjectName')
     .populate('performedBy', 'name email')
+    .populate('apiKey', 'name prefix')
+    .populate('impersonatedBy', 'name email')
     .sort({ createdAt: -1 });
 };
 
 // Static method to get today's records
 recordSchema.statics.getTodayRecords = function () {
-  const startOfDay = new Date();
-  startOfDay.setHours(0, 0, 0, 0);
-
-  const endOfDay = new Date();
-  endOfDay.setHours(23, 59, 59, 999);
+  const { start, end } = DateUtil.getDayRange();
 
   return this.find({
-    createdAt: { $gte: startOfDay, $lte: endOfDay },
+    createdAt: { $gte: start, $lt: end },
   }).populate('student', 'studentNumber firstName lastName');
 };
 
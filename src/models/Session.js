@@ -0,0 +1,118 @@
+/**
+ * Session Model
+ * Mongoose schema for per-device login sessions
+ * Each session is one refresh token family: the token is rotated on every refresh
+ * and presenting an already-rotated token revokes the whole family
+ *
+ * @author Notified Development Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { SESSION_REVOKE_REASONS } = require('../config/constants');
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+    },
+    tokenHash: {
+      type: String,
+      select: false, // SHA-256 of the current refresh token in this family
+    },
+    deviceLabel: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Device label cannot exceed 100 characters'],
+    },
+    ipAddress: {
+      type: String,
+      trim: true,
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'User agent cannot exceed 500 characters'],
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry is required'],
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      enum: Object.values(SESSION_REVOKE_REASONS),
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB purge sessions once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to hash a refresh token for storage/comparison
+sessionSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to get active sessions for a user
+sessionSchema.statics.findActiveByUser = function (userId) {
+  return this.find({
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function (userId, reason, exceptSessionId = null) {
+  const query = { user: userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  return this.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// Instance method to check if session can still be used
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Instance method to revoke session
+sessionSchema.methods.revoke = function (reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Instance method to check a presented refresh token against the current one
+sessionSchema.methods.matchesToken = function (token) {
+  if (!this.tokenHash) return false;
+  const presented = Buffer.from(this.constructor.hashToken(token));
+  const current = Buffer.from(this.tokenHash);
+  return presented.length === current.length && crypto.timingSafeEqual(presented, current);
+};
+
+// Remove sensitive data from JSON response
+sessionSchema.methods.toJSON = function () {
+  const session = this.toObject();
+  delete session.tokenHash;
+  delete session.__v;
+  return session;
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
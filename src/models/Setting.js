@@ -0,0 +1,38 @@
+/**
+ * Setting Model
+ * Mongoose schema for system-wide settings managed by superadmins
+ * Known keys, defaults and validation live in settingService
+ *
+ * @author Notified Development Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+const settingSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, 'Setting key is required'],
+      trim: true,
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+      required: [true, 'Setting value is required'],
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+settingSchema.index({ key: 1 }, { unique: true });
+
+const Setting = mongoose.model('Setting', settingSchema);
+
+module.exports = Setting;
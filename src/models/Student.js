@@ -61,6 +61,13 @@ const studentSchema = new mongoose.Schema(
         'Please provide a valid guardian email address',
       ],
     },
+    // Barcode/RFID card credential read by kiosk devices
+    cardId: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Card ID cannot exceed 100 characters'],
+      select: false,
+    },
     status: {
       type: String,
       enum: ['active', 'inactive', 'graduated', 'transferred', 'suspended', 'dropped'],
@@ -100,6 +107,7 @@ const studentSchema = new mongoose.Schema(
 
 // Indexes for faster queries
 studentSchema.index({ studentNumber: 1 }, { unique: true });
+studentSchema.index({ cardId: 1 }, { unique: true, sparse: true });
 studentSchema.index({ email: 1 });
 studentSchema.index({ section: 1 });
 studentSchema.index({ firstName: 1, lastName: 1 });
@@ -142,7 +150,8 @@ studentSchema.statics.findByStudentNumber = function (studentNumber) {
 studentSchema.methods.getAttendanceSummary = async function () {
   const Attendance = mongoose.model('Attendance');
   const summary = await Attendance.aggregate([
-    { $match: { student: this._id } },
+    // Departure records mirror the arrival's status and are not counted
+    { $match: { student: this._id, timeSlot: { $ne: 'departure' } } },
     { $group: { _id: '$status', count: { $sum: 1 } } },
   ]);
   return summary;
@@ -8,6 +8,7 @@
  */
 
 const mongoose = require('mongoose');
+const { ATTENDANCE_POLICY } = require('../config/constants');
 
 const scheduleSlotSchema = new mongoose.Schema(
   {
@@ -46,6 +47,44 @@ const scheduleSlotSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Thresholds for classifying check-ins, in minutes after the schedule slot starts
+const attendancePolicySchema = new mongoose.Schema(
+  {
+    gracePeriodMinutes: {
+      type: Number,
+      min: [0, 'Grace period cannot be negative'],
+      max: [240, 'Grace period cannot exceed 240 minutes'],
+      default: ATTENDANCE_POLICY.GRACE_PERIOD_MINUTES,
+    },
+    lateCutoffMinutes: {
+      type: Number,
+      min: [0, 'Late cutoff cannot be negative'],
+      max: [240, 'Late cutoff cannot exceed 240 minutes'],
+      default: ATTENDANCE_POLICY.LATE_CUTOFF_MINUTES,
+    },
+    absentAfterMinutes: {
+      type: Number,
+      min: [0, 'Absent-after cutoff cannot be negative'],
+      max: [240, 'Absent-after cutoff cannot exceed 240 minutes'],
+      default: ATTENDANCE_POLICY.ABSENT_AFTER_MINUTES,
+    },
+  },
+  { _id: false }
+);
+
+attendancePolicySchema.pre('validate', function (next) {
+  if (
+    this.gracePeriodMinutes > this.lateCutoffMinutes ||
+    this.lateCutoffMinutes > this.absentAfterMinutes
+  ) {
+    this.invalidate(
+      'lateCutoffMinutes',
+      'Cutoffs must satisfy grace period <= late cutoff <= absent-after cutoff'
+    );
+  }
+  next();
+});
+
 const subjectSchema = new mongoose.Schema(
   {
     subjectCode: {
@@ -85,6 +124,10 @@ const subjectSchema = new mongoose.Schema(
       type: [scheduleSlotSchema],
       default: [],
     },
+    attendancePolicy: {
+      type: attendancePolicySchema,
+      default: () => ({}),
+    },
     // Keep legacy schedule field for backward compatibility
     schedule: {
       type: {
@@ -104,6 +147,22 @@ const subjectSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
     },
+    // Teacher responsible for the class
+    instructor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Additional teachers with the same access (e.g. lab or substitute teachers)
+    coInstructors: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+      default: [],
+    },
+    // School year / semester the class runs in; subject codes are unique per term
+    term: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AcademicTerm',
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -129,9 +188,12 @@ const subjectSchema = new mongoose.Schema(
 );
 
 // Indexes for faster queries
-subjectSchema.index({ subjectCode: 1 }, { unique: true });
+subjectSchema.index({ subjectCode: 1, term: 1 }, { unique: true });
+subjectSchema.index({ term: 1 });
 subjectSchema.index({ yearLevel: 1 });
 subjectSchema.index({ section: 1 });
+subjectSchema.index({ instructor: 1 });
+subjectSchema.index({ coInstructors: 1 });
 
 // Virtual populate for enrolled students (through attendance/enrollment records)
 subjectSchema.virtual('enrollments', {
@@ -140,9 +202,11 @@ subjectSchema.virtual('enrollments', {
   foreignField: 'subject',
 });
 
-// Static method to find by subject code
-subjectSchema.statics.findByCode = function (subjectCode) {
-  return this.findOne({ subjectCode: subjectCode.toUpperCase() });
+// Static method to find by subject code, optionally within a term
+subjectSchema.statics.findByCode = function (subjectCode, termId) {
+  const query = { subjectCode: subjectCode.toUpperCase() };
+  if (termId) query.term = termId;
+  return this.findOne(query);
 };
 
 // Static method to find by year level and section
@@ -150,6 +214,20 @@ subjectSchema.statics.findByYearAndSection = function (yearLevel, section) {
   return this.find({ yearLevel, section });
 };
 
+// Static method to find subjects taught by a user (primary or co-instructor)
+subjectSchema.statics.findTaughtBy = function (userId) {
+  return this.find({ $or: [{ instructor: userId }, { coInstructors: userId }] });
+};
+
+// Instance method to check if a user teaches this subject
+subjectSchema.methods.isTaughtBy = function (userId) {
+  const id = userId.toString();
+  return (
+    (this.instructor && this.instructor.toString() === id) ||
+    (this.coInstructors || []).some((coInstructor) => coInstructor.toString() === id)
+  );
+};
+
 // Instance method to get enrolled student count
 subjectSchema.methods.getEnrollmentCount = async function () {
   const Enrollment = mongoose.model('Enrollment');
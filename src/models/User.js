@@ -1,15 +1,17 @@
 /**
  * User Model
  * Mongoose schema for user authentication and management
- * Supports role-based access control (superadmin, admin, staff)
+ * Supports role-based access control (superadmin, admin, staff, professor, registrar)
  *
  * @author Notified Development Team
  * @version 1.0.0
  */
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
-const { ROLES } = require('../config/constants');
+const { ROLES, AUTH } = require('../config/constants');
+const { roleHasPermission } = require('../config/permissions');
 
 const userSchema = new mongoose.Schema(
   {
@@ -32,7 +34,13 @@ const userSchema = new mongoose.Schema(
     },
     password: {
       type: String,
-      required: [true, 'Password is required'],
+      // Invited users choose their password when accepting the invitation
+      required: [
+        function () {
+          return !this.isPending;
+        },
+        'Password is required',
+      ],
       minlength: [8, 'Password must be at least 8 characters'],
       select: false, // Don't include password in queries by default
     },
@@ -48,10 +56,60 @@ const userSchema = new mongoose.Schema(
     lastLogin: {
       type: Date,
     },
-    refreshToken: {
+    isPending: {
+      type: Boolean,
+      default: false, // Invited but not yet activated
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    invitationToken: {
       type: String,
+      select: false, // SHA-256 hash of the current invitation's token ID
+    },
+    invitationExpires: {
+      type: Date,
+    },
+    passwordResetToken: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
       select: false,
     },
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorSecret: {
+      type: String,
+      select: false, // Base32 TOTP secret; set during setup, active once enabled
+    },
+    twoFactorRecoveryCodes: {
+      type: [String],
+      select: false, // SHA-256 hashes of unused recovery codes
+    },
+    twoFactorLastUsedStep: {
+      type: Number,
+      select: false, // Last accepted TOTP time step, prevents code replay
+    },
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedLoginAt: {
+      type: Date,
+    },
+    lockUntil: {
+      type: Date,
+    },
+    // Embedded in access tokens as `tv`; bumping it invalidates every issued access token
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
   },
   {
     timestamps: true, // Adds createdAt and updatedAt
@@ -64,6 +122,11 @@ const userSchema = new mongoose.Schema(
 userSchema.index({ email: 1 }, { unique: true });
 userSchema.index({ role: 1 });
 
+// Virtual for temporary lockout after repeated failed logins
+userSchema.virtual('isLocked').get(function () {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+});
+
 // Hash password before saving
 userSchema.pre('save', async function (next) {
   // Only hash password if it has been modified
@@ -94,20 +157,112 @@ userSchema.methods.hasRoleLevel = function (role) {
     [ROLES.SUPERADMIN]: 3,
     [ROLES.ADMIN]: 2,
     [ROLES.STAFF]: 1,
+    [ROLES.REGISTRAR]: 1,
+    [ROLES.PROFESSOR]: 1,
   };
   return roleHierarchy[this.role] >= roleHierarchy[role];
 };
 
+// Instance method to check a permission from the role permission matrix
+userSchema.methods.hasPermission = function (permission) {
+  return roleHasPermission(this.role, permission);
+};
+
+// Instance method to issue a password reset token
+// Only the SHA-256 hash is stored; the plain token is returned for the reset email
+userSchema.methods.createPasswordResetToken = function () {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + AUTH.PASSWORD_RESET_EXPIRES_MS);
+  return resetToken;
+};
+
+// Instance method to issue a new invitation, replacing any earlier one
+// Only the SHA-256 hash of the token ID is stored; the plain ID is signed into the emailed link
+userSchema.methods.createInvitationToken = function () {
+  const tokenId = crypto.randomBytes(16).toString('hex');
+  this.invitationToken = crypto.createHash('sha256').update(tokenId).digest('hex');
+  this.invitationExpires = new Date(Date.now() + AUTH.INVITATION_EXPIRES_MS);
+  return tokenId;
+};
+
+// Instance method to check a token ID against the current invitation
+userSchema.methods.matchesInvitationToken = function (tokenId) {
+  if (!this.invitationToken || !tokenId) return false;
+
+  const hashed = crypto.createHash('sha256').update(tokenId).digest();
+  return crypto.timingSafeEqual(hashed, Buffer.from(this.invitationToken, 'hex'));
+};
+
+// Instance method to get how long the next login attempt must wait (progressive delay)
+// Returns 0 when an attempt is allowed now
+userSchema.methods.getLoginRetryDelay = function () {
+  const extraFailures = this.failedLoginAttempts - AUTH.LOGIN_DELAY_AFTER_ATTEMPTS;
+  if (extraFailures < 0 || !this.lastFailedLoginAt) return 0;
+
+  const delay = Math.min(AUTH.LOGIN_DELAY_BASE_MS * 2 ** extraFailures, AUTH.LOGIN_DELAY_MAX_MS);
+  return Math.max(0, this.lastFailedLoginAt.getTime() + delay - Date.now());
+};
+
+// Static method to record a failed login atomically (safe under parallel attempts)
+// Locks the account once the failure threshold is reached
+userSchema.statics.registerFailedLogin = async function (userId) {
+  const user = await this.findByIdAndUpdate(
+    userId,
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+    { new: true }
+  );
+
+  if (!user || user.isLocked || user.failedLoginAttempts < AUTH.MAX_FAILED_LOGIN_ATTEMPTS) {
+    return { user, locked: false };
+  }
+
+  user.lockUntil = new Date(Date.now() + AUTH.ACCOUNT_LOCK_DURATION_MS);
+  await user.save();
+
+  return { user, locked: true };
+};
+
+// Static method to clear failed-login state (successful login, lock expiry or admin unlock)
+userSchema.statics.resetLoginAttempts = function (userId) {
+  return this.updateOne(
+    { _id: userId },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lastFailedLoginAt: 1, lockUntil: 1 } }
+  );
+};
+
+// Static method to invalidate all of a user's access tokens
+// (refresh tokens of sessions that are still active can obtain new ones)
+userSchema.statics.revokeAccessTokens = function (userId) {
+  return this.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+};
+
 // Static method to find user by email
 userSchema.statics.findByEmail = function (email) {
   return this.findOne({ email: email.toLowerCase() });
 };
 
+// Static method to find the user owning an unexpired password reset token
+userSchema.statics.findByPasswordResetToken = function (resetToken) {
+  const hashedToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  return this.findOne({
+    passwordResetToken: hashedToken,
+    passwordResetExpires: { $gt: new Date() },
+  }).select('+passwordResetToken +passwordResetExpires');
+};
+
 // Remove sensitive data from JSON response
 userSchema.methods.toJSON = function () {
   const user = this.toObject();
   delete user.password;
-  delete user.refreshToken;
+  delete user.refreshToken; // Legacy single-session field, superseded by Session
+  delete user.passwordResetToken;
+  delete user.passwordResetExpires;
+  delete user.invitationToken;
+  delete user.tokenVersion;
+  delete user.twoFactorSecret;
+  delete user.twoFactorRecoveryCodes;
+  delete user.twoFactorLastUsedStep;
   delete user.__v;
   return user;
 };
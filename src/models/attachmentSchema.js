@@ -0,0 +1,36 @@
+/**
+ * Attachment Schema
+ * Embedded schema for files uploaded with a request (stored by FileStorageUtil)
+ *
+ * @author Notified Development Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+
+const attachmentSchema = new mongoose.Schema({
+  originalName: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Random name on disk, under UPLOAD_DIR/<folder>
+  storedName: {
+    type: String,
+    required: true,
+  },
+  folder: {
+    type: String,
+    required: true,
+  },
+  mimeType: {
+    type: String,
+    required: true,
+  },
+  size: {
+    type: Number,
+    required: true,
+  },
+});
+
+module.exports = attachmentSchema;
@@ -13,6 +13,18 @@ const Attendance = require('./Attendance');
 const Record = require('./Record');
 const Notification = require('./Notification');
 const Enrollment = require('./Enrollment');
+const Session = require('./Session');
+const Setting = require('./Setting');
+const ApiKey = require('./ApiKey');
+const CheckInWindow = require('./CheckInWindow');
+const Device = require('./Device');
+const AttendanceCorrection = require('./AttendanceCorrection');
+const Excuse = require('./Excuse');
+const AttendanceLock = require('./AttendanceLock');
+const CalendarEvent = require('./CalendarEvent');
+const AcademicTerm = require('./AcademicTerm');
+const AttendanceAlert = require('./AttendanceAlert');
+const AttendanceSyncItem = require('./AttendanceSyncItem');
 
 module.exports = {
   User,
@@ -22,4 +34,16 @@ module.exports = {
   Record,
   Notification,
   Enrollment,
+  Session,
+  Setting,
+  ApiKey,
+  CheckInWindow,
+  Device,
+  AttendanceCorrection,
+  Excuse,
+  AttendanceLock,
+  CalendarEvent,
+  AcademicTerm,
+  AttendanceAlert,
+  AttendanceSyncItem,
 };
@@ -0,0 +1,114 @@
+/**
+ * Academic Term Routes
+ * School years and semesters that subjects, enrollments and statistics are scoped to
+ *
+ * @author Notified Development Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const { body } = require('express-validator');
+const { protect, requirePermission, validate } = require('../middleware');
+const { PERMISSIONS } = require('../config/permissions');
+const academicTermController = require('../controllers/academicTermController');
+
+const router = express.Router();
+
+/**
+ * All routes require authentication
+ */
+router.use(protect);
+
+// Validation rules
+const termFieldValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Name must not exceed 100 characters'),
+  body('startDate').optional().isISO8601().withMessage('Invalid start date'),
+  body('endDate').optional().isISO8601().withMessage('Invalid end date'),
+];
+
+const createTermValidation = [
+  body('name').exists().withMessage('Name is required'),
+  body('startDate').exists().withMessage('Start date is required'),
+  body('endDate').exists().withMessage('End date is required'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  ...termFieldValidation,
+];
+
+const rolloverValidation = [
+  body('fromTermId').optional().isMongoId().withMessage('Invalid term ID'),
+  body('subjectIds').optional().isArray().withMessage('subjectIds must be an array'),
+  body('subjectIds.*').isMongoId().withMessage('Each subject ID must be a valid MongoDB ObjectId'),
+  body('carryEnrollments')
+    .optional()
+    .isBoolean()
+    .withMessage('carryEnrollments must be a boolean')
+    .toBoolean(),
+  body('promoteStudents')
+    .optional()
+    .isBoolean()
+    .withMessage('promoteStudents must be a boolean')
+    .toBoolean(),
+  body('sectionMap').optional().isObject().withMessage('sectionMap must be an object'),
+  body('sectionMap.*').isString().withMessage('Each mapped section must be a string'),
+  body('graduatingYearLevel')
+    .optional()
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Graduating year level must be between 1 and 12')
+    .toInt(),
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean').toBoolean(),
+];
+
+// Routes
+router.get('/', requirePermission(PERMISSIONS.TERM_READ), academicTermController.getTerms);
+
+router.get(
+  '/active',
+  requirePermission(PERMISSIONS.TERM_READ),
+  academicTermController.getActiveTerm
+);
+
+router.post(
+  '/',
+  requirePermission(PERMISSIONS.TERM_MANAGE),
+  createTermValidation,
+  validate,
+  academicTermController.createTerm
+);
+
+router.get('/:id', requirePermission(PERMISSIONS.TERM_READ), academicTermController.getTermById);
+
+router.put(
+  '/:id',
+  requirePermission(PERMISSIONS.TERM_MANAGE),
+  termFieldValidation,
+  validate,
+  academicTermController.updateTerm
+);
+
+router.post(
+  '/:id/activate',
+  requirePermission(PERMISSIONS.TERM_MANAGE),
+  academicTermController.activateTerm
+);
+
+router.post(
+  '/:id/rollover',
+  requirePermission(PERMISSIONS.TERM_MANAGE),
+  rolloverValidation,
+  validate,
+  academicTermController.rolloverTerm
+);
+
+router.delete(
+  '/:id',
+  requirePermission(PERMISSIONS.TERM_MANAGE),
+  academicTermController.deleteTerm
+);
+
+module.exports = router;
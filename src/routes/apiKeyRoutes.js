@@ -0,0 +1,41 @@
+/**
+ * API Key Routes
+ *
+ * @author Notified Development Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const { body } = require('express-validator');
+const { protect, forbidApiKey, requirePermission, validate } = require('../middleware');
+const { PERMISSIONS } = require('../config/permissions');
+const apiKeyController = require('../controllers/apiKeyController');
+
+const router = express.Router();
+
+/**
+ * All routes require a signed-in admin; API keys cannot manage API keys
+ */
+router.use(forbidApiKey);
+router.use(protect);
+router.use(requirePermission(PERMISSIONS.API_KEY_MANAGE));
+
+// Validation rules
+const createApiKeyValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name must not exceed 100 characters'),
+  body('scopes').isArray({ min: 1 }).withMessage('scopes must be a non-empty array'),
+  body('scopes.*').isIn(Object.values(PERMISSIONS)).withMessage('Invalid scope'),
+  body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('Invalid expiry date'),
+];
+
+// Routes
+router.get('/', apiKeyController.getApiKeys);
+router.post('/', createApiKeyValidation, validate, apiKeyController.createApiKey);
+router.delete('/:id', apiKeyController.revokeApiKey);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+/**
+ * Attendance Alert Routes
+ * Absenteeism alerts raised by the rules in the attendance.alertRules setting
+ *
+ * @author Notified Development Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const { protect, requirePermission } = require('../middleware');
+const { PERMISSIONS } = require('../config/permissions');
+const attendanceAlertController = require('../controllers/attendanceAlertController');
+
+const router = express.Router();
+
+/**
+ * All routes require authentication
+ */
+router.use(protect);
+
+router.get(
+  '/',
+  requirePermission(PERMISSIONS.ATTENDANCE_READ),
+  attendanceAlertController.getAlerts
+);
+
+router.get(
+  '/at-risk',
+  requirePermission(PERMISSIONS.ATTENDANCE_READ),
+  attendanceAlertController.getAtRiskStudents
+);
+
+module.exports = router;
@@ -6,18 +6,82 @@
  */
 
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const { body } = require('express-validator');
 
 const router = express.Router();
-const { protect, requireAdmin, requireStaff, validate } = require('../middleware');
+const {
+  protect,
+  protectDevice,
+  requirePermission,
+  requireSubjectAccess,
+  validate,
+} = require('../middleware');
+const { PERMISSIONS } = require('../config/permissions');
 const attendanceController = require('../controllers/attendanceController');
 const subjectAttendanceController = require('../controllers/subjectAttendanceController');
+const checkInController = require('../controllers/checkInController');
+const {
+  CHECK_IN_WINDOW,
+  ATTENDANCE_STATUS,
+  ATTENDANCE_SYNC_ON_CONFLICT,
+  OFFLINE_SYNC,
+} = require('../config/constants');
+
+// Public check-ins are throttled per IP on top of the global API limit
+const checkInLimiter = rateLimit({
+  windowMs: CHECK_IN_WINDOW.RATE_LIMIT_WINDOW_MS,
+  max: CHECK_IN_WINDOW.RATE_LIMIT_MAX,
+  message: 'Too many check-in attempts from this IP, please try again later',
+});
+
+/**
+ * Student self check-in (public: students do not have accounts)
+ * The rotating QR token proves presence; the student number and email identify the student
+ */
+router.post(
+  '/check-in',
+  checkInLimiter,
+  [
+    body('token').notEmpty().withMessage('Check-in token is required'),
+    body('studentNumber').notEmpty().withMessage('Student number is required'),
+    body('email').isEmail().withMessage('A valid email is required'),
+    body('deviceId')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Device ID must be 1 to 100 characters'),
+  ],
+  validate,
+  checkInController.checkIn
+);
+
+/**
+ * Card scans from registered kiosk devices (X-Device-Key header)
+ */
+router.post(
+  '/scan',
+  protectDevice,
+  [
+    body('cardId').trim().notEmpty().withMessage('Card ID is required'),
+    body('scannedAt').optional().isISO8601().withMessage('Invalid scan time'),
+  ],
+  validate,
+  subjectAttendanceController.recordScan
+);
 
 /**
- * All routes require authentication
+ * All other routes require authentication
  */
 router.use(protect);
 
+// Subject ID resolvers for requireSubjectAccess
+const subjectFromBody = (req) => req.body.subjectId || req.body.subject || req.body.subject_id;
+const subjectFromParam = (req) => req.params.id;
+const subjectFromSubjectIdParam = (req) => req.params.subjectId;
+const subjectsFromRecords = (req) => req.body.records.map((record) => record.subjectId);
+
 // Validation rules
 const markAttendanceValidation = [
   // Ensure student ID is present (supports legacy `student`/`student_id`) and validate format
@@ -84,6 +148,45 @@ const bulkMarkValidation = [
   body('records.*.date').optional().isISO8601().withMessage('Invalid date format'),
 ];
 
+// Offline sync validation
+const syncValidation = [
+  body('records')
+    .isArray({ min: 1, max: OFFLINE_SYNC.MAX_BATCH_SIZE })
+    .withMessage(`Records must be an array of 1 to ${OFFLINE_SYNC.MAX_BATCH_SIZE} items`),
+  body('records.*.clientId')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Client ID is required and must not exceed 100 characters'),
+  body('records.*.clientTimestamp').isISO8601().withMessage('Invalid client timestamp'),
+  body('records.*.studentId').isMongoId().withMessage('Invalid student ID'),
+  body('records.*.subjectId').isMongoId().withMessage('Invalid subject ID'),
+  body('records.*.date').isISO8601().withMessage('Invalid date format'),
+  body('records.*.status').isIn(Object.values(ATTENDANCE_STATUS)).withMessage('Invalid status'),
+  body('records.*.timeSlot')
+    .optional()
+    .isIn(['arrival', 'departure'])
+    .withMessage('Invalid time slot'),
+  body('records.*.scheduleSlot')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Invalid schedule slot'),
+  body('records.*.remarks')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Remarks must not exceed 500 characters'),
+  body('records.*.baseVersion')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Base version must be a non-negative integer')
+    .toInt(),
+  body('onConflict')
+    .optional()
+    .isIn(Object.values(ATTENDANCE_SYNC_ON_CONFLICT))
+    .withMessage('Invalid conflict resolution'),
+];
+
 // Subject-specific attendance validation - FIXED to accept both string and number IDs
 const markSubjectAttendanceValidation = [
   body('subjectId')
@@ -121,6 +224,34 @@ const markSubjectAttendanceValidation = [
     .withMessage('Remarks must not exceed 500 characters'),
 ];
 
+const checkInSubjectAttendanceValidation = [
+  body('subjectId').isMongoId().withMessage('Invalid subject ID'),
+  body('studentId').isMongoId().withMessage('Invalid student ID'),
+  body('scheduleSlot').optional().isString().withMessage('Invalid schedule slot'),
+  body('recordedAt').optional().isISO8601().withMessage('Invalid check-in time'),
+  body('remarks')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Remarks must not exceed 500 characters'),
+];
+
+const openCheckInWindowValidation = [
+  body('subjectId').isMongoId().withMessage('Invalid subject ID'),
+  body('scheduleSlot').optional({ nullable: true }).isString().withMessage('Invalid schedule slot'),
+  body('durationMinutes')
+    .optional()
+    .isInt({ min: 1, max: CHECK_IN_WINDOW.MAX_DURATION_MINUTES })
+    .withMessage(`Duration must be between 1 and ${CHECK_IN_WINDOW.MAX_DURATION_MINUTES} minutes`)
+    .toInt(),
+];
+
+const sessionLockValidation = [
+  body('subjectId').isMongoId().withMessage('Invalid subject ID'),
+  body('date').isISO8601().withMessage('Invalid date format'),
+  body('scheduleSlot').optional({ nullable: true }).isString().withMessage('Invalid schedule slot'),
+];
+
 // Updated bulk mark validation to support both formats
 const bulkMarkSubjectAttendanceValidation = [
   body('subjectId')
@@ -190,78 +321,252 @@ const bulkMarkSubjectAttendanceValidation = [
 // Subject-specific attendance routes
 router.post(
   '/subject/mark',
-  requireStaff,
+  requirePermission(PERMISSIONS.ATTENDANCE_MARK),
   markSubjectAttendanceValidation,
   validate,
+  requireSubjectAccess(subjectFromBody),
   subjectAttendanceController.markSubjectAttendance
 );
 
+router.post(
+  '/subject/check-in',
+  requirePermission(PERMISSIONS.ATTENDANCE_MARK),
+  checkInSubjectAttendanceValidation,
+  validate,
+  requireSubjectAccess(subjectFromBody),
+  subjectAttendanceController.checkInSubjectAttendance
+);
+
+// QR check-in windows (subject access is checked against the window's subject)
+router.post(
+  '/check-in-windows',
+  requirePermission(PERMISSIONS.ATTENDANCE_MARK),
+  openCheckInWindowValidation,
+  validate,
+  requireSubjectAccess(subjectFromBody),
+  checkInController.openWindow
+);
+
+router.get(
+  '/check-in-windows/:id/qr',
+  requirePermission(PERMISSIONS.ATTENDANCE_MARK),
+  checkInController.getQrToken
+);
+
+router.post(
+  '/check-in-windows/:id/close',
+  requirePermission(PERMISSIONS.ATTENDANCE_MARK),
+  checkInController.closeWindow
+);
+
 router.post(
   '/subject/bulk-mark',
-  requireStaff,
+  requirePermission(PERMISSIONS.ATTENDANCE_MARK),
   bulkMarkSubjectAttendanceValidation,
   validate,
+  requireSubjectAccess(subjectFromBody),
   subjectAttendanceController.bulkMarkSubjectAttendance
 );
 
-router.get('/subject/:id/date/:date', subjectAttendanceController.getSubjectAttendanceByDate);
+// Finalized sessions reject changes until an admin unlocks them
+router.post(
+  '/subject/finalize',
+  requirePermission(PERMISSIONS.ATTENDANCE_MARK),
+  sessionLockValidation,
+  validate,
+  requireSubjectAccess(subjectFromBody),
+  subjectAttendanceController.finalizeAttendance
+);
+
+router.post(
+  '/subject/unlock',
+  requirePermission(PERMISSIONS.ATTENDANCE_UNLOCK),
+  [
+    ...sessionLockValidation,
+    body('reason')
+      .trim()
+      .notEmpty()
+      .withMessage('Reason is required')
+      .isLength({ max: 500 })
+      .withMessage('Reason must not exceed 500 characters'),
+  ],
+  validate,
+  subjectAttendanceController.unlockAttendance
+);
+
+router.get(
+  '/subject/:id/date/:date',
+  requirePermission(PERMISSIONS.ATTENDANCE_READ),
+  requireSubjectAccess(subjectFromParam),
+  subjectAttendanceController.getSubjectAttendanceByDate
+);
 
-router.get('/subject/:id/summary', subjectAttendanceController.getSubjectAttendanceSummary);
+router.get(
+  '/subject/:id/summary',
+  requirePermission(PERMISSIONS.ATTENDANCE_READ),
+  requireSubjectAccess(subjectFromParam),
+  subjectAttendanceController.getSubjectAttendanceSummary
+);
 
-router.get('/subject/:id/stats', subjectAttendanceController.getSubjectAttendanceStats);
+router.get(
+  '/subject/:id/stats',
+  requirePermission(PERMISSIONS.ATTENDANCE_READ),
+  requireSubjectAccess(subjectFromParam),
+  subjectAttendanceController.getSubjectAttendanceStats
+);
 
 // General attendance routes
 router.post(
   '/mark',
-  requireStaff,
+  requirePermission(PERMISSIONS.ATTENDANCE_MARK),
   markAttendanceValidation,
   validate,
+  requireSubjectAccess(subjectFromBody),
   attendanceController.markAttendance
 );
 
 // Short alias for frontend: GET /api/v1/attendance => returns filtered records
-router.get('/', attendanceController.getAttendanceRecords);
+router.get(
+  '/',
+  requirePermission(PERMISSIONS.ATTENDANCE_READ),
+  attendanceController.getAttendanceRecords
+);
 
 router.post(
   '/bulk-mark',
-  requireStaff,
+  requirePermission(PERMISSIONS.ATTENDANCE_MARK),
   bulkMarkValidation,
   validate,
+  requireSubjectAccess(subjectsFromRecords),
   attendanceController.bulkMarkAttendance
 );
 
-router.get('/records', attendanceController.getAttendanceRecords);
+// Attendance marked offline; replays of a client ID are answered without applying it again
+router.post(
+  '/sync',
+  requirePermission(PERMISSIONS.ATTENDANCE_MARK),
+  syncValidation,
+  validate,
+  requireSubjectAccess(subjectsFromRecords),
+  attendanceController.syncAttendance
+);
+
+router.get(
+  '/records',
+  requirePermission(PERMISSIONS.ATTENDANCE_READ),
+  attendanceController.getAttendanceRecords
+);
 
-router.get('/summary/daily/:date', attendanceController.getDailySummary);
+router.get(
+  '/summary/daily/:date',
+  requirePermission(PERMISSIONS.ATTENDANCE_READ),
+  attendanceController.getDailySummary
+);
 
-router.get('/summary/students', attendanceController.getStudentsSummary);
+router.get(
+  '/summary/students',
+  requirePermission(PERMISSIONS.ATTENDANCE_READ),
+  attendanceController.getStudentsSummary
+);
 
-router.post('/import/excel', requireStaff, attendanceController.importFromExcel);
+router.post(
+  '/import/excel',
+  requirePermission(PERMISSIONS.ATTENDANCE_IMPORT),
+  attendanceController.importFromExcel
+);
 
-router.get('/export/excel', attendanceController.exportToExcel);
+router.get(
+  '/export/excel',
+  requirePermission(PERMISSIONS.ATTENDANCE_EXPORT),
+  attendanceController.exportToExcel
+);
 
 // Existing routes
-router.get('/range', attendanceController.getAttendanceByDateRange);
-router.get('/student/:studentId/summary', attendanceController.getAttendanceSummary);
-router.get('/student/:studentId', attendanceController.getStudentAttendance);
-router.get('/subject/:subjectId/today', attendanceController.getTodayAttendance);
-router.get('/subject/:subjectId', attendanceController.getSubjectAttendance);
-router.get('/today', attendanceController.getAllTodayAttendance);
-router.get('/today/stats', attendanceController.getTodayStats);
+router.get(
+  '/range',
+  requirePermission(PERMISSIONS.ATTENDANCE_READ),
+  attendanceController.getAttendanceByDateRange
+);
+router.get(
+  '/student/:studentId/summary',
+  requirePermission(PERMISSIONS.ATTENDANCE_READ),
+  attendanceController.getAttendanceSummary
+);
+router.get(
+  '/student/:studentId',
+  requirePermission(PERMISSIONS.ATTENDANCE_READ),
+  attendanceController.getStudentAttendance
+);
+router.get(
+  '/subject/:subjectId/today',
+  requirePermission(PERMISSIONS.ATTENDANCE_READ),
+  requireSubjectAccess(subjectFromSubjectIdParam),
+  attendanceController.getTodayAttendance
+);
+router.get(
+  '/subject/:subjectId',
+  requirePermission(PERMISSIONS.ATTENDANCE_READ),
+  requireSubjectAccess(subjectFromSubjectIdParam),
+  attendanceController.getSubjectAttendance
+);
+router.get(
+  '/today',
+  requirePermission(PERMISSIONS.ATTENDANCE_READ),
+  attendanceController.getAllTodayAttendance
+);
+router.get(
+  '/today/stats',
+  requirePermission(PERMISSIONS.ATTENDANCE_READ),
+  attendanceController.getTodayStats
+);
+router.get(
+  '/presence/student/:studentId',
+  requirePermission(PERMISSIONS.ATTENDANCE_READ),
+  attendanceController.getStudentPresence
+);
+router.get(
+  '/presence/section/:section',
+  requirePermission(PERMISSIONS.ATTENDANCE_READ),
+  attendanceController.getSectionPresence
+);
 router.post(
   '/',
-  requireStaff,
+  requirePermission(PERMISSIONS.ATTENDANCE_MARK),
   markAttendanceValidation,
   validate,
+  requireSubjectAccess(subjectFromBody),
   attendanceController.markAttendance
 );
+router.get(
+  '/:id/history',
+  requirePermission(PERMISSIONS.ATTENDANCE_READ),
+  attendanceController.getAttendanceHistory
+);
+router.post(
+  '/:id/revert',
+  requirePermission(PERMISSIONS.ATTENDANCE_UPDATE),
+  [
+    body('historyId').isMongoId().withMessage('Invalid history entry ID'),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reason must not exceed 500 characters'),
+  ],
+  validate,
+  attendanceController.revertAttendance
+);
 router.put(
   '/:id',
-  requireStaff,
+  requirePermission(PERMISSIONS.ATTENDANCE_UPDATE),
   updateAttendanceValidation,
   validate,
   attendanceController.updateAttendance
 );
-router.delete('/:id', requireAdmin, attendanceController.deleteAttendance);
+router.delete(
+  '/:id',
+  requirePermission(PERMISSIONS.ATTENDANCE_DELETE),
+  attendanceController.deleteAttendance
+);
 
 module.exports = router;
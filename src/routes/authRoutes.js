@@ -8,10 +8,19 @@
 const express = require('express');
 const { body } = require('express-validator');
 const authController = require('../controllers/authController');
-const { protect, validate } = require('../middleware');
+const {
+  protect,
+  protectTwoFactorSetup,
+  forbidApiKey,
+  forbidImpersonation,
+  validate,
+} = require('../middleware');
 
 const router = express.Router();
 
+// Account endpoints are for people; integrations authenticate with API keys elsewhere
+router.use(forbidApiKey);
+
 // Validation rules
 const registerValidation = [
   body('name').trim().notEmpty().withMessage('Name is required'),
@@ -28,13 +37,85 @@ const loginValidation = [
   body('password').notEmpty().withMessage('Password is required'),
 ];
 
+const forgotPasswordValidation = [body('email').isEmail().withMessage('Valid email is required')];
+
+const resetPasswordValidation = [
+  body('token').notEmpty().withMessage('Reset token is required'),
+  body('newPassword')
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters')
+    .matches(/^(?=.*[A-Za-z])(?=.*\d)/)
+    .withMessage('Password must contain letters and numbers'),
+];
+
+const acceptInviteValidation = [
+  body('token').notEmpty().withMessage('Invitation token is required'),
+  body('password')
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters')
+    .matches(/^(?=.*[A-Za-z])(?=.*\d)/)
+    .withMessage('Password must contain letters and numbers'),
+];
+
+const twoFactorVerifyValidation = [
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  body('code').trim().notEmpty().withMessage('Authentication code is required'),
+];
+
+const twoFactorCodeValidation = [
+  body('code').trim().notEmpty().withMessage('Authentication code is required'),
+];
+
+const twoFactorDisableValidation = [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').trim().notEmpty().withMessage('Authentication code is required'),
+];
+
 // Routes
 router.post('/register', registerValidation, validate, authController.register);
 router.post('/login', loginValidation, validate, authController.login);
+router.post('/2fa/verify', twoFactorVerifyValidation, validate, authController.verifyTwoFactor);
+// Credentials, 2FA and sessions stay out of reach of impersonation tokens
+router.post(
+  '/2fa/setup',
+  protectTwoFactorSetup,
+  forbidImpersonation,
+  authController.setupTwoFactor
+);
+router.post(
+  '/2fa/enable',
+  protectTwoFactorSetup,
+  forbidImpersonation,
+  twoFactorCodeValidation,
+  validate,
+  authController.enableTwoFactor
+);
+router.post(
+  '/2fa/disable',
+  protect,
+  forbidImpersonation,
+  twoFactorDisableValidation,
+  validate,
+  authController.disableTwoFactor
+);
+router.post(
+  '/2fa/recovery-codes',
+  protect,
+  forbidImpersonation,
+  twoFactorCodeValidation,
+  validate,
+  authController.regenerateRecoveryCodes
+);
 router.post('/logout', protect, authController.logout);
 router.post('/refresh-token', authController.refreshToken);
+router.post('/forgot-password', forgotPasswordValidation, validate, authController.forgotPassword);
+router.post('/reset-password', resetPasswordValidation, validate, authController.resetPassword);
+router.post('/accept-invite', acceptInviteValidation, validate, authController.acceptInvite);
+router.get('/sessions', protect, forbidImpersonation, authController.getSessions);
+router.delete('/sessions/:id', protect, forbidImpersonation, authController.revokeSession);
 router.get('/profile', protect, authController.getProfile);
-router.put('/profile', protect, authController.updateProfile);
-router.put('/change-password', protect, authController.changePassword);
+router.get('/permissions', protect, authController.getPermissions);
+router.put('/profile', protect, forbidImpersonation, authController.updateProfile);
+router.put('/change-password', protect, forbidImpersonation, authController.changePassword);
 
 module.exports = router;
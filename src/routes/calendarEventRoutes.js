@@ -0,0 +1,99 @@
+/**
+ * Calendar Event Routes
+ * Academic calendar: holidays, class suspensions and exam days
+ *
+ * @author Notified Development Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const { body } = require('express-validator');
+const { protect, requirePermission, validate } = require('../middleware');
+const { PERMISSIONS } = require('../config/permissions');
+const { CALENDAR_EVENT_TYPES, CALENDAR_EVENT_SCOPES } = require('../config/constants');
+const calendarEventController = require('../controllers/calendarEventController');
+
+const router = express.Router();
+
+/**
+ * All routes require authentication
+ */
+router.use(protect);
+
+// Validation rules
+const eventFieldValidation = [
+  body('title')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Title cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Title must not exceed 100 characters'),
+  body('type')
+    .optional()
+    .isIn(Object.values(CALENDAR_EVENT_TYPES))
+    .withMessage(`Type must be one of: ${Object.values(CALENDAR_EVENT_TYPES).join(', ')}`),
+  body('startDate').optional().isISO8601().withMessage('Invalid start date'),
+  body('endDate').optional().isISO8601().withMessage('Invalid end date'),
+  body('scope')
+    .optional()
+    .isIn(Object.values(CALENDAR_EVENT_SCOPES))
+    .withMessage(`Scope must be one of: ${Object.values(CALENDAR_EVENT_SCOPES).join(', ')}`),
+  body('section')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Section must not exceed 50 characters'),
+  body('subjectId').optional().isMongoId().withMessage('Invalid subject ID'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters'),
+];
+
+const createEventValidation = [
+  body('title').exists().withMessage('Title is required'),
+  body('type').exists().withMessage('Type is required'),
+  body('startDate').exists().withMessage('Start date is required'),
+  ...eventFieldValidation,
+];
+
+// Routes
+router.get('/', requirePermission(PERMISSIONS.CALENDAR_READ), calendarEventController.getEvents);
+
+router.post(
+  '/',
+  requirePermission(PERMISSIONS.CALENDAR_MANAGE),
+  createEventValidation,
+  validate,
+  calendarEventController.createEvent
+);
+
+router.post(
+  '/import/excel',
+  requirePermission(PERMISSIONS.CALENDAR_MANAGE),
+  calendarEventController.importFromExcel
+);
+
+router.get(
+  '/:id',
+  requirePermission(PERMISSIONS.CALENDAR_READ),
+  calendarEventController.getEventById
+);
+
+router.put(
+  '/:id',
+  requirePermission(PERMISSIONS.CALENDAR_MANAGE),
+  eventFieldValidation,
+  validate,
+  calendarEventController.updateEvent
+);
+
+router.delete(
+  '/:id',
+  requirePermission(PERMISSIONS.CALENDAR_MANAGE),
+  calendarEventController.deleteEvent
+);
+
+module.exports = router;
@@ -0,0 +1,104 @@
+/**
+ * Attendance Correction Routes
+ *
+ * @author Notified Development Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const { body } = require('express-validator');
+const { protect, requirePermission, validate } = require('../middleware');
+const { PERMISSIONS } = require('../config/permissions');
+const { ATTENDANCE_STATUS } = require('../config/constants');
+const correctionController = require('../controllers/correctionController');
+
+const router = express.Router();
+
+// Validation rules
+const proposalValidation = [
+  body('proposedStatus')
+    .isIn(Object.values(ATTENDANCE_STATUS))
+    .withMessage(`Proposed status must be one of: ${Object.values(ATTENDANCE_STATUS).join(', ')}`),
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isLength({ max: 1000 })
+    .withMessage('Reason must not exceed 1000 characters'),
+];
+
+const reviewValidation = [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must not exceed 500 characters'),
+];
+
+/**
+ * Correction request from a student or guardian (public: they do not have accounts)
+ * The email must match the student's or guardian's email on file
+ */
+router.post(
+  '/request',
+  [
+    body('studentNumber').notEmpty().withMessage('Student number is required'),
+    body('email').isEmail().withMessage('A valid email is required'),
+    body('subjectCode').notEmpty().withMessage('Subject code is required'),
+    body('date').isISO8601().withMessage('Invalid date format'),
+    body('scheduleSlot').optional().trim(),
+    ...proposalValidation,
+  ],
+  validate,
+  correctionController.requestCorrectionPublic
+);
+
+/**
+ * All routes below require authentication
+ */
+router.use(protect);
+
+router.get(
+  '/',
+  requirePermission(PERMISSIONS.ATTENDANCE_READ),
+  correctionController.getCorrections
+);
+
+router.post(
+  '/',
+  requirePermission(PERMISSIONS.ATTENDANCE_READ),
+  [body('attendanceId').isMongoId().withMessage('Invalid attendance ID'), ...proposalValidation],
+  validate,
+  correctionController.requestCorrection
+);
+
+router.get(
+  '/:id',
+  requirePermission(PERMISSIONS.ATTENDANCE_READ),
+  correctionController.getCorrectionById
+);
+
+router.get(
+  '/:id/attachments/:attachmentId',
+  requirePermission(PERMISSIONS.ATTENDANCE_READ),
+  correctionController.downloadAttachment
+);
+
+// Reviewers need attendance:review-corrections or must teach the record's subject
+router.post(
+  '/:id/approve',
+  requirePermission(PERMISSIONS.ATTENDANCE_UPDATE),
+  reviewValidation,
+  validate,
+  correctionController.approveCorrection
+);
+
+router.post(
+  '/:id/reject',
+  requirePermission(PERMISSIONS.ATTENDANCE_UPDATE),
+  reviewValidation,
+  validate,
+  correctionController.rejectCorrection
+);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+/**
+ * Device Routes
+ *
+ * @author Notified Development Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const { body } = require('express-validator');
+const { protect, forbidApiKey, requirePermission, validate } = require('../middleware');
+const { PERMISSIONS } = require('../config/permissions');
+const deviceController = require('../controllers/deviceController');
+
+const router = express.Router();
+
+/**
+ * All routes require a signed-in admin
+ */
+router.use(forbidApiKey);
+router.use(protect);
+router.use(requirePermission(PERMISSIONS.DEVICE_MANAGE));
+
+// Validation rules
+const registerDeviceValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name must not exceed 100 characters'),
+  body('room')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Room must not exceed 50 characters'),
+  body('building')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Building must not exceed 100 characters'),
+];
+
+// Routes
+router.get('/', deviceController.getDevices);
+router.post('/', registerDeviceValidation, validate, deviceController.registerDevice);
+router.delete('/:id', deviceController.revokeDevice);
+
+module.exports = router;
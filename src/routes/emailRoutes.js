@@ -10,7 +10,8 @@ const express = require('express');
 const { body } = require('express-validator');
 const router = express.Router();
 const emailController = require('../controllers/emailController');
-const { protect, restrictTo, validate } = require('../middleware');
+const { protect, requirePermission, validate } = require('../middleware');
+const { PERMISSIONS } = require('../config/permissions');
 
 // All routes require authentication
 router.use(protect);
@@ -107,16 +108,22 @@ const testEmailValidation = [
  * @desc    Send single email
  * @access  Private
  */
-router.post('/send', sendSingleEmailValidation, validate, emailController.sendSingleEmail);
+router.post(
+  '/send',
+  requirePermission(PERMISSIONS.EMAIL_SEND),
+  sendSingleEmailValidation,
+  validate,
+  emailController.sendSingleEmail
+);
 
 /**
  * @route   POST /api/v1/emails/send-bulk
  * @desc    Send bulk emails
- * @access  Private (Admin/Staff/System Admin)
+ * @access  Private (email:bulk)
  */
 router.post(
   '/send-bulk',
-  restrictTo('admin', 'staff', 'system_admin'),
+  requirePermission(PERMISSIONS.EMAIL_BULK),
   sendBulkEmailValidation,
   validate,
   emailController.sendBulkEmail
@@ -129,6 +136,7 @@ router.post(
  */
 router.post(
   '/send-guardian',
+  requirePermission(PERMISSIONS.EMAIL_SEND),
   sendGuardianEmailValidation,
   validate,
   emailController.sendGuardianEmail
@@ -137,18 +145,18 @@ router.post(
 /**
  * @route   GET /api/v1/emails/config
  * @desc    Check email configuration status
- * @access  Private (Admin/System Admin)
+ * @access  Private (email:config)
  */
-router.get('/config', restrictTo('admin', 'system_admin'), emailController.getEmailConfig);
+router.get('/config', requirePermission(PERMISSIONS.EMAIL_CONFIG), emailController.getEmailConfig);
 
 /**
  * @route   POST /api/v1/emails/test
  * @desc    Test email configuration
- * @access  Private (Admin/System Admin)
+ * @access  Private (email:config)
  */
 router.post(
   '/test',
-  restrictTo('admin', 'system_admin'),
+  requirePermission(PERMISSIONS.EMAIL_CONFIG),
   testEmailValidation,
   validate,
   emailController.testEmailConfig
@@ -0,0 +1,87 @@
+/**
+ * Excuse Routes
+ *
+ * @author Notified Development Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const { body } = require('express-validator');
+const { protect, requirePermission, validate } = require('../middleware');
+const { PERMISSIONS } = require('../config/permissions');
+const { EXCUSE_CATEGORIES } = require('../config/constants');
+const excuseController = require('../controllers/excuseController');
+
+const router = express.Router();
+
+/**
+ * All routes require authentication
+ */
+router.use(protect);
+
+// Validation rules
+const submitExcuseValidation = [
+  body('studentId').isMongoId().withMessage('Invalid student ID'),
+  body('startDate').isISO8601().withMessage('Invalid start date'),
+  body('endDate').optional().isISO8601().withMessage('Invalid end date'),
+  body('category')
+    .isIn(Object.values(EXCUSE_CATEGORIES))
+    .withMessage(`Category must be one of: ${Object.values(EXCUSE_CATEGORIES).join(', ')}`),
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isLength({ max: 1000 })
+    .withMessage('Reason must not exceed 1000 characters'),
+];
+
+const reviewValidation = [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must not exceed 500 characters'),
+];
+
+// Routes
+router.get('/', requirePermission(PERMISSIONS.EXCUSE_READ), excuseController.getExcuses);
+
+router.post(
+  '/',
+  requirePermission(PERMISSIONS.EXCUSE_SUBMIT),
+  submitExcuseValidation,
+  validate,
+  excuseController.submitExcuse
+);
+
+router.get(
+  '/student/:studentId',
+  requirePermission(PERMISSIONS.EXCUSE_READ),
+  excuseController.getStudentExcuses
+);
+
+router.get('/:id', requirePermission(PERMISSIONS.EXCUSE_READ), excuseController.getExcuseById);
+
+router.get(
+  '/:id/attachments/:attachmentId',
+  requirePermission(PERMISSIONS.EXCUSE_READ),
+  excuseController.downloadAttachment
+);
+
+router.post(
+  '/:id/approve',
+  requirePermission(PERMISSIONS.EXCUSE_REVIEW),
+  reviewValidation,
+  validate,
+  excuseController.approveExcuse
+);
+
+router.post(
+  '/:id/reject',
+  requirePermission(PERMISSIONS.EXCUSE_REVIEW),
+  reviewValidation,
+  validate,
+  excuseController.rejectExcuse
+);
+
+module.exports = router;
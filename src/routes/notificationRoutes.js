@@ -8,7 +8,8 @@
 const express = require('express');
 const { body } = require('express-validator');
 const router = express.Router();
-const { protect, requireStaff, validate } = require('../middleware');
+const { protect, requirePermission, validate } = require('../middleware');
+const { PERMISSIONS } = require('../config/permissions');
 const notificationController = require('../controllers/notificationController');
 
 /**
@@ -58,7 +59,7 @@ router.delete('/:id', notificationController.deleteNotification);
 router.get('/', notificationController.getNotifications);
 router.post(
   '/',
-  requireStaff,
+  requirePermission(PERMISSIONS.NOTIFICATION_CREATE),
   createNotificationValidation,
   validate,
   notificationController.createNotification
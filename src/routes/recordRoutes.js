@@ -7,23 +7,25 @@
 
 const express = require('express');
 const router = express.Router();
-const { protect, requireAdmin, requireStaff } = require('../middleware');
+const { protect, requirePermission } = require('../middleware');
+const { PERMISSIONS } = require('../config/permissions');
 const recordController = require('../controllers/recordController');
 
 /**
- * All routes require authentication
+ * All routes require authentication and access to the audit trail
  */
 router.use(protect);
+router.use(requirePermission(PERMISSIONS.RECORD_READ));
 
 // Routes (order matters - specific routes before parameterized ones)
-router.get('/stats', requireStaff, recordController.getRecordStats);
-router.get('/today', requireStaff, recordController.getTodayRecords);
-router.get('/range', requireStaff, recordController.getRecordsByDateRange);
-router.get('/type/:recordType', requireStaff, recordController.getRecordsByType);
+router.get('/stats', recordController.getRecordStats);
+router.get('/today', recordController.getTodayRecords);
+router.get('/range', recordController.getRecordsByDateRange);
+router.get('/type/:recordType', recordController.getRecordsByType);
 router.get('/student/:studentId', recordController.getStudentRecords);
 router.get('/subject/:subjectId', recordController.getSubjectRecords);
-router.get('/:id', requireStaff, recordController.getRecordById);
-router.get('/', requireStaff, recordController.getAllRecords);
-router.delete('/:id', requireAdmin, recordController.deleteRecord);
+router.get('/:id', recordController.getRecordById);
+router.get('/', recordController.getAllRecords);
+router.delete('/:id', requirePermission(PERMISSIONS.RECORD_DELETE), recordController.deleteRecord);
 
 module.exports = router;
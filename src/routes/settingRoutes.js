@@ -0,0 +1,29 @@
+/**
+ * Setting Routes
+ *
+ * @author Notified Development Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const { body } = require('express-validator');
+const { protect, requirePermission, validate } = require('../middleware');
+const { PERMISSIONS } = require('../config/permissions');
+const settingController = require('../controllers/settingController');
+
+const router = express.Router();
+
+/**
+ * All routes require authentication and settings permission (superadmin)
+ */
+router.use(protect);
+router.use(requirePermission(PERMISSIONS.SETTINGS_MANAGE));
+
+// Validation rules
+const updateSettingValidation = [body('value').exists().withMessage('Value is required')];
+
+// Routes
+router.get('/', settingController.getSettings);
+router.put('/:key', updateSettingValidation, validate, settingController.updateSetting);
+
+module.exports = router;
@@ -9,7 +9,8 @@ const express = require('express');
 const { body } = require('express-validator');
 const studentController = require('../controllers/studentController');
 const enrollmentController = require('../controllers/enrollmentController');
-const { protect, requireStaff, requireAdmin, validate } = require('../middleware');
+const { protect, requirePermission, validate } = require('../middleware');
+const { PERMISSIONS } = require('../config/permissions');
 
 const router = express.Router();
 
@@ -36,17 +37,45 @@ const studentValidation = [
   body('lastName').trim().notEmpty().withMessage('Last name is required'),
   body('email').isEmail().withMessage('Valid email is required'),
   body('guardianName').trim().notEmpty().withMessage('Guardian name is required'),
+  body('cardId')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Card ID must not exceed 100 characters'),
 ];
 
 // Routes
-router.get('/', getAllStudents);
-router.get('/generate/student-number', generateStudentNumber);
-router.get('/number/:studentNumber', getStudentByNumber);
-router.get('/:studentId/enrollments', enrollmentController.getStudentEnrollments);
-router.get('/:studentId/attendance/summary', studentController.getStudentAttendanceSummary);
-router.get('/:id', getStudentById);
-router.post('/', requireStaff, studentValidation, validate, createStudent);
-router.put('/:id', requireStaff, updateStudent);
-router.delete('/:id', requireAdmin, deleteStudent);
+router.get('/', requirePermission(PERMISSIONS.STUDENT_READ), getAllStudents);
+router.get(
+  '/generate/student-number',
+  requirePermission(PERMISSIONS.STUDENT_CREATE),
+  generateStudentNumber
+);
+router.get(
+  '/number/:studentNumber',
+  requirePermission(PERMISSIONS.STUDENT_READ),
+  getStudentByNumber
+);
+router.get(
+  '/:studentId/enrollments',
+  requirePermission(PERMISSIONS.ENROLLMENT_READ),
+  enrollmentController.getStudentEnrollments
+);
+router.get(
+  '/:studentId/attendance/summary',
+  requirePermission(PERMISSIONS.ATTENDANCE_READ),
+  studentController.getStudentAttendanceSummary
+);
+router.get('/:id', requirePermission(PERMISSIONS.STUDENT_READ), getStudentById);
+router.post(
+  '/',
+  requirePermission(PERMISSIONS.STUDENT_CREATE),
+  studentValidation,
+  validate,
+  createStudent
+);
+router.put('/:id', requirePermission(PERMISSIONS.STUDENT_UPDATE), updateStudent);
+router.delete('/:id', requirePermission(PERMISSIONS.STUDENT_DELETE), deleteStudent);
 
 module.exports = router;
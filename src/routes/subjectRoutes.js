@@ -8,7 +8,8 @@
 const express = require('express');
 const { body } = require('express-validator');
 const router = express.Router();
-const { protect, requireAdmin, requireStaff, validate } = require('../middleware');
+const { protect, requirePermission, validate } = require('../middleware');
+const { PERMISSIONS } = require('../config/permissions');
 const subjectController = require('../controllers/subjectController');
 const enrollmentController = require('../controllers/enrollmentController');
 
@@ -49,6 +50,7 @@ const createSubjectValidation = [
     .withMessage('Section is required')
     .isLength({ min: 1, max: 50 })
     .withMessage('Section must be between 1 and 50 characters'),
+  body('termId').optional().isMongoId().withMessage('Invalid term ID'),
 ];
 
 const updateSubjectValidation = [
@@ -78,6 +80,7 @@ const updateSubjectValidation = [
     .trim()
     .isLength({ min: 1, max: 50 })
     .withMessage('Section must be between 1 and 50 characters'),
+  body('termId').optional().isMongoId().withMessage('Invalid term ID'),
 ];
 
 const enrollStudentValidation = [
@@ -93,11 +96,34 @@ const bulkEnrollValidation = [
   body('studentIds.*').isMongoId().withMessage('Each student ID must be a valid MongoDB ObjectId'),
 ];
 
+const assignInstructorsValidation = [
+  body('instructor').optional({ nullable: true }).isMongoId().withMessage('Invalid instructor ID'),
+  body('coInstructors').optional().isArray().withMessage('coInstructors must be an array'),
+  body('coInstructors.*')
+    .isMongoId()
+    .withMessage('Each co-instructor ID must be a valid MongoDB ObjectId'),
+];
+
+const attendancePolicyValidation = [
+  body('gracePeriodMinutes')
+    .optional()
+    .isInt({ min: 0, max: 240 })
+    .withMessage('Grace period must be between 0 and 240 minutes'),
+  body('lateCutoffMinutes')
+    .optional()
+    .isInt({ min: 0, max: 240 })
+    .withMessage('Late cutoff must be between 0 and 240 minutes'),
+  body('absentAfterMinutes')
+    .optional()
+    .isInt({ min: 0, max: 240 })
+    .withMessage('Absent-after cutoff must be between 0 and 240 minutes'),
+];
+
 // Enrollment routes (must come before :id routes)
 router.post(
   '/:id/enroll',
   protect,
-  requireStaff,
+  requirePermission(PERMISSIONS.ENROLLMENT_MANAGE),
   enrollStudentValidation,
   validate,
   enrollmentController.enrollStudent
@@ -106,41 +132,106 @@ router.post(
 router.delete(
   '/:id/enroll/:studentId',
   protect,
-  requireStaff,
+  requirePermission(PERMISSIONS.ENROLLMENT_MANAGE),
   enrollmentController.unenrollStudent
 );
 
-router.get('/:id/students', protect, enrollmentController.getEnrolledStudents);
+router.get(
+  '/:id/students',
+  protect,
+  requirePermission(PERMISSIONS.ENROLLMENT_READ),
+  enrollmentController.getEnrolledStudents
+);
 
 router.post(
   '/:id/students/bulk',
   protect,
-  requireStaff,
+  requirePermission(PERMISSIONS.ENROLLMENT_MANAGE),
   bulkEnrollValidation,
   validate,
   enrollmentController.bulkEnrollStudents
 );
 
-router.get('/:id/students/:studentId/enrolled', protect, enrollmentController.checkEnrollment);
+router.get(
+  '/:id/students/:studentId/enrolled',
+  protect,
+  requirePermission(PERMISSIONS.ENROLLMENT_READ),
+  enrollmentController.checkEnrollment
+);
 
 // Schedule routes
-router.put('/:id/schedules', protect, requireStaff, subjectController.updateSubjectSchedules);
+router.put(
+  '/:id/schedules',
+  protect,
+  requirePermission(PERMISSIONS.SUBJECT_UPDATE),
+  subjectController.updateSubjectSchedules
+);
+router.put(
+  '/:id/attendance-policy',
+  protect,
+  requirePermission(PERMISSIONS.SUBJECT_UPDATE),
+  attendancePolicyValidation,
+  validate,
+  subjectController.updateAttendancePolicy
+);
+
+// Instructor routes
+router.put(
+  '/:id/instructors',
+  protect,
+  requirePermission(PERMISSIONS.SUBJECT_ASSIGN_INSTRUCTORS),
+  assignInstructorsValidation,
+  validate,
+  subjectController.assignInstructors
+);
 
 // Subject routes
-router.get('/search', protect, subjectController.searchSubjects);
+router.get(
+  '/mine',
+  protect,
+  requirePermission(PERMISSIONS.SUBJECT_READ),
+  subjectController.getMySubjects
+);
+router.get(
+  '/search',
+  protect,
+  requirePermission(PERMISSIONS.SUBJECT_READ),
+  subjectController.searchSubjects
+);
 router.get(
   '/year/:yearLevel/section/:section',
   protect,
+  requirePermission(PERMISSIONS.SUBJECT_READ),
   subjectController.getSubjectsByYearAndSection
 );
-router.get('/code/:subjectCode', protect, subjectController.getSubjectByCode);
-router.get('/:id/enrollments', protect, subjectController.getSubjectEnrollments);
-router.get('/:id', protect, subjectController.getSubjectById);
-router.get('/', protect, subjectController.getAllSubjects);
+router.get(
+  '/code/:subjectCode',
+  protect,
+  requirePermission(PERMISSIONS.SUBJECT_READ),
+  subjectController.getSubjectByCode
+);
+router.get(
+  '/:id/enrollments',
+  protect,
+  requirePermission(PERMISSIONS.ENROLLMENT_READ),
+  subjectController.getSubjectEnrollments
+);
+router.get(
+  '/:id',
+  protect,
+  requirePermission(PERMISSIONS.SUBJECT_READ),
+  subjectController.getSubjectById
+);
+router.get(
+  '/',
+  protect,
+  requirePermission(PERMISSIONS.SUBJECT_READ),
+  subjectController.getAllSubjects
+);
 router.post(
   '/',
   protect,
-  requireStaff,
+  requirePermission(PERMISSIONS.SUBJECT_CREATE),
   createSubjectValidation,
   validate,
   subjectController.createSubject
@@ -148,11 +239,16 @@ router.post(
 router.put(
   '/:id',
   protect,
-  requireStaff,
+  requirePermission(PERMISSIONS.SUBJECT_UPDATE),
   updateSubjectValidation,
   validate,
   subjectController.updateSubject
 );
-router.delete('/:id', protect, requireAdmin, subjectController.deleteSubject);
+router.delete(
+  '/:id',
+  protect,
+  requirePermission(PERMISSIONS.SUBJECT_DELETE),
+  subjectController.deleteSubject
+);
 
 module.exports = router;
@@ -8,14 +8,16 @@
 const express = require('express');
 const { body } = require('express-validator');
 const router = express.Router();
-const { protect, requireAdmin, validate } = require('../middleware');
+const { protect, forbidApiKey, requirePermission, validate } = require('../middleware');
+const { PERMISSIONS } = require('../config/permissions');
+const { ROLES } = require('../config/constants');
 const userController = require('../controllers/userController');
 
 /**
- * All routes require authentication and admin privileges
+ * All routes require authentication and user management permission
  */
 router.use(protect);
-router.use(requireAdmin);
+router.use(requirePermission(PERMISSIONS.USER_MANAGE));
 
 // Validation rules
 const createUserValidation = [
@@ -39,7 +41,24 @@ const createUserValidation = [
     .withMessage('Password must be at least 8 characters long')
     .matches(/^(?=.*[A-Za-z])(?=.*\d)/)
     .withMessage('Password must contain at least one letter and one number'),
-  body('role').optional().isIn(['superadmin', 'admin', 'staff']).withMessage('Invalid role'),
+  body('role').optional().isIn(Object.values(ROLES)).withMessage('Invalid role'),
+];
+
+const inviteUserValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+  body('role').optional().isIn(Object.values(ROLES)).withMessage('Invalid role'),
 ];
 
 const updateUserValidation = [
@@ -54,7 +73,7 @@ const updateUserValidation = [
     .isEmail()
     .withMessage('Please provide a valid email')
     .normalizeEmail(),
-  body('role').optional().isIn(['superadmin', 'admin', 'staff']).withMessage('Invalid role'),
+  body('role').optional().isIn(Object.values(ROLES)).withMessage('Invalid role'),
   body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
 ];
 
@@ -64,8 +83,18 @@ router.get('/search', userController.searchUsers);
 router.get('/:id', userController.getUserById);
 router.get('/', userController.getAllUsers);
 router.post('/', createUserValidation, validate, userController.createUser);
+router.post('/invite', inviteUserValidation, validate, userController.inviteUser);
+router.post('/:id/invite/resend', userController.resendInvitation);
+router.delete('/:id/invite', userController.revokeInvitation);
 router.put('/:id', updateUserValidation, validate, userController.updateUser);
 router.patch('/:id/toggle-status', userController.toggleUserStatus);
+router.patch('/:id/unlock', userController.unlockUser);
+router.post(
+  '/:id/impersonate',
+  forbidApiKey,
+  requirePermission(PERMISSIONS.USER_IMPERSONATE),
+  userController.impersonateUser
+);
 router.delete('/:id', userController.deleteUser);
 
 module.exports = router;
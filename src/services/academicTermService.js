@@ -0,0 +1,309 @@
+const { AcademicTerm, Subject, Enrollment, Record } = require('../models');
+const { RECORD_TYPES, ERROR_MESSAGES } = require('../config/constants');
+const ValidationUtil = require('../utils/validationUtil');
+const DateUtil = require('../utils/dateUtil');
+const logger = require('../utils/logger');
+
+const EDITABLE_FIELDS = ['name', 'startDate', 'endDate'];
+
+// `?term=all` turns term scoping off
+const ALL_TERMS = 'all';
+
+/**
+ * Academic Term Service
+ * Manages school years and semesters. Subjects and enrollments belong to a term, and list and
+ * statistics endpoints default to the active term so past terms don't leak into current figures
+ */
+class AcademicTermService {
+  /**
+   * Create an academic term
+   * @param {Object} termData - name, startDate, endDate, isActive
+   * @param {String} userId - User creating the term
+   * @returns {Promise<Object>} Created term
+   */
+  async createTerm(termData, userId) {
+    try {
+      const data = this.normalize(termData);
+      await this.assertNameAvailable(data.name);
+
+      const term = await AcademicTerm.create({ ...data, createdBy: userId });
+
+      await Record.create({
+        recordType: RECORD_TYPES.TERM_CREATED,
+        recordData: `Academic term "${term.name}" (${this.describe(term)}) created`,
+        performedBy: userId,
+        metadata: { termId: term._id },
+      });
+
+      logger.info(`Academic term ${term._id} created by ${userId}`);
+
+      if (termData.isActive) return await this.activateTerm(term._id, userId);
+      return term.toObject();
+    } catch (error) {
+      logger.error('Error in createTerm:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get academic terms, most recent first
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Paginated terms
+   */
+  async getTerms(pagination) {
+    try {
+      const { page = 1, limit = 10 } = ValidationUtil.validatePagination(pagination);
+      const skip = (page - 1) * limit;
+
+      const [terms, total] = await Promise.all([
+        AcademicTerm.find().sort({ startDate: -1 }).skip(skip).limit(limit).lean(),
+        AcademicTerm.countDocuments(),
+      ]);
+
+      return {
+        terms,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+      };
+    } catch (error) {
+      logger.error('Error in getTerms:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an academic term with its subject and enrollment counts
+   * @param {String} id - Term ID
+   * @returns {Promise<Object>} Term
+   */
+  async getTermById(id) {
+    try {
+      const term = await this.findTerm(id);
+
+      const [subjectCount, enrollmentCount] = await Promise.all([
+        Subject.countDocuments({ term: term._id }),
+        Enrollment.countDocuments({ term: term._id, isActive: true }),
+      ]);
+
+      return { ...term.toObject(), subjectCount, enrollmentCount };
+    } catch (error) {
+      logger.error('Error in getTermById:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the active academic term
+   * @returns {Promise<Object|null>} Active term or null when none is set
+   */
+  async getActiveTerm() {
+    try {
+      return await AcademicTerm.findActive().lean();
+    } catch (error) {
+      logger.error('Error in getActiveTerm:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an academic term
+   * @param {String} id - Term ID
+   * @param {Object} updateData - Fields to change
+   * @param {String} userId - User making the change
+   * @returns {Promise<Object>} Updated term
+   */
+  async updateTerm(id, updateData, userId) {
+    try {
+      const term = await this.findTerm(id);
+
+      const data = this.normalize(updateData);
+      if (data.name && data.name !== term.name) await this.assertNameAvailable(data.name, id);
+
+      EDITABLE_FIELDS.forEach((field) => {
+        if (data[field] !== undefined) term[field] = data[field];
+      });
+      term.updatedBy = userId;
+      await term.save();
+
+      await Record.create({
+        recordType: RECORD_TYPES.TERM_UPDATED,
+        recordData: `Academic term "${term.name}" updated`,
+        performedBy: userId,
+        metadata: { termId: term._id, changes: Object.keys(data) },
+      });
+
+      logger.info(`Academic term ${term._id} updated by ${userId}`);
+
+      return term.toObject();
+    } catch (error) {
+      logger.error('Error in updateTerm:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make a term the active one; the previously active term is deactivated
+   * @param {String} id - Term ID
+   * @param {String} userId - User making the change
+   * @returns {Promise<Object>} Activated term
+   */
+  async activateTerm(id, userId) {
+    try {
+      const term = await this.findTerm(id);
+      if (term.isActive) return term.toObject();
+
+      // Clear the old flag first; the partial unique index allows one active term
+      await AcademicTerm.updateMany({ isActive: true }, { isActive: false, updatedBy: userId });
+      term.isActive = true;
+      term.updatedBy = userId;
+      await term.save();
+
+      await Record.create({
+        recordType: RECORD_TYPES.TERM_ACTIVATED,
+        recordData: `Academic term "${term.name}" set as the active term`,
+        performedBy: userId,
+        metadata: { termId: term._id },
+      });
+
+      logger.info(`Academic term ${term._id} activated by ${userId}`);
+
+      return term.toObject();
+    } catch (error) {
+      logger.error('Error in activateTerm:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an academic term that has no subjects
+   * @param {String} id - Term ID
+   * @param {String} userId - User deleting the term
+   * @returns {Promise<Object>} Deleted term
+   */
+  async deleteTerm(id, userId) {
+    try {
+      const term = await this.findTerm(id);
+
+      if (await Subject.exists({ term: term._id })) {
+        const error = new Error(ERROR_MESSAGES.TERM_IN_USE);
+        error.statusCode = 409;
+        throw error;
+      }
+
+      await term.deleteOne();
+
+      await Record.create({
+        recordType: RECORD_TYPES.TERM_DELETED,
+        recordData: `Academic term "${term.name}" deleted`,
+        performedBy: userId,
+        metadata: { termId: term._id },
+      });
+
+      logger.info(`Academic term ${term._id} deleted by ${userId}`);
+
+      return term.toObject();
+    } catch (error) {
+      logger.error('Error in deleteTerm:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve the `?term=` parameter of list and statistics endpoints
+   * @param {String} term - Term ID, 'all', or empty for the active term
+   * @returns {Promise<Object|null>} Term, or null to leave results unscoped
+   *   ('all', or no term given and none active)
+   */
+  async resolveTerm(term) {
+    if (term === ALL_TERMS) return null;
+    if (!term) return await AcademicTerm.findActive().lean();
+
+    const found = await AcademicTerm.findById(term).lean();
+    if (!found) {
+      const error = new Error(ERROR_MESSAGES.TERM_NOT_FOUND);
+      error.statusCode = 404;
+      throw error;
+    }
+    return found;
+  }
+
+  /**
+   * Restrict an attendance query to a term: records for the term's subjects, plus
+   * subject-less (campus) records dated within the term
+   * @param {Object} query - Attendance filter (find or $match); gains an `$and` clause
+   * @param {Object|null} term - Term from resolveTerm; null leaves the query unchanged
+   * @returns {Promise<Object>} The same query
+   */
+  async scopeAttendanceQuery(query, term) {
+    if (!term) return query;
+
+    const subjectIds = await Subject.distinct('_id', { term: term._id });
+    const clause = {
+      $or: [
+        { subject: { $in: subjectIds } },
+        {
+          subject: null,
+          date: { $gte: term.startDate, $lt: DateUtil.addDays(term.endDate, 1) },
+        },
+      ],
+    };
+
+    query.$and = [...(query.$and || []), clause];
+    return query;
+  }
+
+  /**
+   * Find a term document or throw 404
+   * @private
+   */
+  async findTerm(id) {
+    const term = await AcademicTerm.findById(id);
+    if (!term) {
+      const error = new Error(ERROR_MESSAGES.TERM_NOT_FOUND);
+      error.statusCode = 404;
+      throw error;
+    }
+    return term;
+  }
+
+  /**
+   * Reject a term name that is already taken
+   * @private
+   */
+  async assertNameAvailable(name, excludeId) {
+    const query = { name };
+    if (excludeId) query._id = { $ne: excludeId };
+
+    if (await AcademicTerm.exists(query)) {
+      const error = new Error(ERROR_MESSAGES.TERM_NAME_EXISTS);
+      error.statusCode = 409;
+      throw error;
+    }
+  }
+
+  /**
+   * Keep editable fields and normalize dates to the start of their day
+   * @private
+   */
+  normalize(termData) {
+    const data = {};
+    EDITABLE_FIELDS.forEach((field) => {
+      if (termData[field] !== undefined) data[field] = termData[field];
+    });
+    if (typeof data.name === 'string') data.name = data.name.trim();
+
+    if (data.startDate) data.startDate = DateUtil.startOfDay(data.startDate);
+    if (data.endDate) data.endDate = DateUtil.startOfDay(data.endDate);
+
+    return data;
+  }
+
+  /**
+   * Describe a term's date range for audit records
+   * @private
+   */
+  describe(term) {
+    return `${DateUtil.toDateKey(term.startDate)} to ${DateUtil.toDateKey(term.endDate)}`;
+  }
+}
+
+module.exports = new AcademicTermService();
@@ -0,0 +1,152 @@
+const { ApiKey, User, Record } = require('../models');
+const { AUTH, RECORD_TYPES, ERROR_MESSAGES } = require('../config/constants');
+const { roleHasPermission } = require('../config/permissions');
+const logger = require('../utils/logger');
+
+/**
+ * API Key Service
+ * Handles business logic for API keys used by machine integrations
+ */
+class ApiKeyService {
+  /**
+   * Create an API key
+   * The plain key is only returned here; it is stored hashed
+   * @param {Object} keyData - Key data (name, scopes, expiresAt)
+   * @param {Object} user - Admin creating the key (the key acts as this user)
+   * @returns {Promise<Object>} Created key details and the plain key
+   */
+  async createApiKey(keyData, user) {
+    try {
+      const { name, scopes, expiresAt } = keyData;
+
+      // A key can never do more than its creator
+      const uniqueScopes = [...new Set(scopes)];
+      if (uniqueScopes.some((scope) => !roleHasPermission(user.role, scope))) {
+        const error = new Error(ERROR_MESSAGES.API_KEY_SCOPE_NOT_ALLOWED);
+        error.statusCode = 403;
+        throw error;
+      }
+
+      if (expiresAt && new Date(expiresAt) <= new Date()) {
+        const error = new Error('Expiry date must be in the future');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const key = ApiKey.generateKey();
+
+      const apiKey = await ApiKey.create({
+        name,
+        prefix: key.slice(0, AUTH.API_KEY_PREFIX_LENGTH),
+        keyHash: ApiKey.hashKey(key),
+        scopes: uniqueScopes,
+        createdBy: user._id,
+        expiresAt: expiresAt || undefined,
+      });
+
+      await Record.create({
+        recordType: RECORD_TYPES.API_KEY_CREATED,
+        recordData: `API key "${apiKey.name}" (${apiKey.prefix}) created`,
+        performedBy: user._id,
+        metadata: { apiKeyId: apiKey._id, scopes: apiKey.scopes, expiresAt: apiKey.expiresAt },
+      });
+
+      logger.info(`API key created: ${apiKey.name} (${apiKey.prefix}) by ${user.email}`);
+
+      return { apiKey: apiKey.toJSON(), key };
+    } catch (error) {
+      logger.error('Error in createApiKey:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all API keys
+   * @returns {Promise<Array>} API keys (without secrets)
+   */
+  async getApiKeys() {
+    try {
+      const apiKeys = await ApiKey.find()
+        .populate('createdBy', 'name email')
+        .populate('revokedBy', 'name email')
+        .sort({ createdAt: -1 });
+
+      return apiKeys.map((apiKey) => apiKey.toJSON());
+    } catch (error) {
+      logger.error('Error in getApiKeys:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke an API key
+   * @param {String} id - API key ID
+   * @param {String} userId - Admin revoking the key
+   * @returns {Promise<Object>} Revoked key
+   */
+  async revokeApiKey(id, userId) {
+    try {
+      const apiKey = await ApiKey.findById(id);
+
+      if (!apiKey) {
+        const error = new Error(ERROR_MESSAGES.API_KEY_NOT_FOUND);
+        error.statusCode = 404;
+        throw error;
+      }
+
+      if (!apiKey.revokedAt) {
+        apiKey.revokedAt = new Date();
+        apiKey.revokedBy = userId;
+        await apiKey.save();
+
+        await Record.create({
+          recordType: RECORD_TYPES.API_KEY_REVOKED,
+          recordData: `API key "${apiKey.name}" (${apiKey.prefix}) revoked`,
+          performedBy: userId,
+          metadata: { apiKeyId: apiKey._id },
+        });
+
+        logger.info(`API key revoked: ${apiKey.name} (${apiKey.prefix}) by user ${userId}`);
+      }
+
+      return apiKey.toJSON();
+    } catch (error) {
+      logger.error('Error in revokeApiKey:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a raw API key to the key and the user it acts as
+   * @param {String} key - Plain API key from the request
+   * @param {String} ipAddress - Client IP address
+   * @returns {Promise<Object|null>} { apiKey, user }, or null when the key cannot be used
+   */
+  async authenticate(key, ipAddress) {
+    const apiKey = await ApiKey.findByKey(key);
+
+    if (!apiKey || !apiKey.isActive()) {
+      return null;
+    }
+
+    const user = await User.findById(apiKey.createdBy).select('-password -refreshToken');
+
+    if (!user || !user.isActive) {
+      return null;
+    }
+
+    // Throttle lastUsedAt writes for busy integrations
+    const now = new Date();
+    if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > AUTH.API_KEY_LAST_USED_INTERVAL_MS) {
+      apiKey.lastUsedAt = now;
+      apiKey.lastUsedIp = ipAddress;
+      ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: now, lastUsedIp: ipAddress }).catch(
+        (error) => logger.error(`Failed to update API key usage: ${error.message}`)
+      );
+    }
+
+    return { apiKey, user };
+  }
+}
+
+module.exports = new ApiKeyService();
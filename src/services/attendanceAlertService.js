@@ -0,0 +1,440 @@
+const {
+  AttendanceAlert,
+  Attendance,
+  Enrollment,
+  Student,
+  Subject,
+  Record,
+  Notification,
+} = require('../models');
+const {
+  RECORD_TYPES,
+  ATTENDANCE_STATUS,
+  ATTENDANCE_ALERT_TYPES,
+  ATTENDANCE_ALERT_STATUS,
+  NOTIFICATION_TYPES,
+  SETTING_KEYS,
+} = require('../config/constants');
+const ValidationUtil = require('../utils/validationUtil');
+const DateUtil = require('../utils/dateUtil');
+const emailUtil = require('../utils/emailUtil');
+const logger = require('../utils/logger');
+const settingService = require('./settingService');
+const academicTermService = require('./academicTermService');
+const subjectService = require('./subjectService');
+
+const EMPTY_RESULT = { evaluated: 0, triggered: 0, resolved: 0 };
+
+/**
+ * Attendance Alert Service
+ * Evaluates the absenteeism rules (setting attendance.alertRules) for each student in a subject.
+ * Crossing a rule raises an alert and notifies the subject's instructors and the guardian once;
+ * the alert resolves when the student is back under the rule, and only a new crossing notifies
+ * again. Excused sessions are left out of every rule, as are departure records
+ */
+class AttendanceAlertService {
+  /**
+   * Evaluate the rules for students of a subject
+   * @param {String} subjectId - Subject ID
+   * @param {Array|null} studentIds - Students to evaluate (defaults to every active enrollment)
+   * @param {Date} now - Evaluation time
+   * @returns {Promise<Object>} { evaluated, triggered, resolved }
+   */
+  async evaluateSubject(subjectId, studentIds = null, now = new Date()) {
+    try {
+      const rules = await settingService.get(SETTING_KEYS.ATTENDANCE_ALERT_RULES);
+      if (rules.length === 0) return EMPTY_RESULT;
+
+      const subject = await Subject.findById(subjectId)
+        .select('subjectCode subjectName instructor coInstructors')
+        .lean();
+      if (!subject) return EMPTY_RESULT;
+
+      const enrollmentQuery = { subject: subject._id, isActive: true };
+      if (studentIds) enrollmentQuery.student = { $in: studentIds };
+      const enrolled = await Enrollment.distinct('student', enrollmentQuery);
+      if (enrolled.length === 0) return EMPTY_RESULT;
+
+      const [records, activeAlerts] = await Promise.all([
+        Attendance.find({
+          subject: subject._id,
+          student: { $in: enrolled },
+          status: { $ne: ATTENDANCE_STATUS.EXCUSED },
+          timeSlot: { $ne: 'departure' },
+        })
+          .select('student status date')
+          .sort({ date: 1, createdAt: 1 })
+          .lean(),
+        AttendanceAlert.findActive(subject._id, enrolled),
+      ]);
+
+      const recordsByStudent = new Map();
+      records.forEach((record) => {
+        const key = record.student.toString();
+        recordsByStudent.set(key, [...(recordsByStudent.get(key) || []), record]);
+      });
+      const alertsByKey = new Map(
+        activeAlerts.map((alert) => [`${alert.student}:${alert.rule}`, alert])
+      );
+
+      const crossings = [];
+      const updates = [];
+      enrolled.forEach((studentId) => {
+        const sessions = recordsByStudent.get(studentId.toString()) || [];
+        rules.forEach((rule) => {
+          const value = this.measure(rule, sessions, now);
+          const crossed = value >= rule.threshold;
+          const alert = alertsByKey.get(`${studentId}:${this.ruleKey(rule)}`);
+
+          if (crossed && !alert) {
+            crossings.push({ studentId, rule, value });
+          } else if (alert && (!crossed || alert.value !== value)) {
+            const update = { value };
+            if (!crossed) {
+              update.status = ATTENDANCE_ALERT_STATUS.RESOLVED;
+              update.resolvedAt = now;
+            }
+            updates.push({ updateOne: { filter: { _id: alert._id }, update } });
+          }
+        });
+      });
+
+      // Alerts of rules that were removed or changed in the setting are resolved
+      const ruleKeys = new Set(rules.map((rule) => this.ruleKey(rule)));
+      activeAlerts
+        .filter((alert) => !ruleKeys.has(alert.rule))
+        .forEach((alert) => {
+          updates.push({
+            updateOne: {
+              filter: { _id: alert._id },
+              update: { status: ATTENDANCE_ALERT_STATUS.RESOLVED, resolvedAt: now },
+            },
+          });
+        });
+
+      if (updates.length > 0) await AttendanceAlert.bulkWrite(updates);
+
+      const students = crossings.length
+        ? await Student.find({ _id: { $in: crossings.map(({ studentId }) => studentId) } })
+            .select('studentNumber firstName lastName guardianEmail createdBy')
+            .lean()
+        : [];
+      const studentsById = new Map(students.map((student) => [student._id.toString(), student]));
+
+      const raised = await Promise.all(
+        crossings
+          .filter(({ studentId }) => studentsById.has(studentId.toString()))
+          .map(({ studentId, rule, value }) =>
+            this.raise(subject, studentsById.get(studentId.toString()), rule, value, now)
+          )
+      );
+
+      return {
+        evaluated: enrolled.length,
+        triggered: raised.filter(Boolean).length,
+        resolved: updates.filter(({ updateOne }) => updateOne.update.status).length,
+      };
+    } catch (error) {
+      logger.error('Error in evaluateSubject:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Evaluate every active subject of the active term (the nightly run)
+   * @param {Date} now - Evaluation time
+   * @returns {Promise<Object>} { subjects, evaluated, triggered, resolved }
+   */
+  async evaluateAll(now = new Date()) {
+    try {
+      const term = await academicTermService.resolveTerm();
+      const subjectQuery = { isActive: true };
+      if (term) subjectQuery.term = term._id;
+      const subjectIds = await Subject.distinct('_id', subjectQuery);
+
+      // One subject at a time keeps the run's memory use flat
+      return await subjectIds.reduce(
+        (previous, subjectId) =>
+          previous.then(async (totals) => {
+            const result = await this.evaluateSubject(subjectId, null, now);
+            return {
+              subjects: totals.subjects + 1,
+              evaluated: totals.evaluated + result.evaluated,
+              triggered: totals.triggered + result.triggered,
+              resolved: totals.resolved + result.resolved,
+            };
+          }),
+        Promise.resolve({ subjects: 0, ...EMPTY_RESULT })
+      );
+    } catch (error) {
+      logger.error('Error in evaluateAll:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Evaluate students after their attendance changed, without delaying the response
+   * @param {String} subjectId - Subject ID (subject-less records are not evaluated)
+   * @param {Array} studentIds - Students whose attendance changed
+   */
+  scheduleEvaluation(subjectId, studentIds) {
+    if (!subjectId || studentIds.length === 0) return;
+
+    setImmediate(() => {
+      this.evaluateSubject(subjectId, studentIds).catch((error) => {
+        logger.error('Failed to evaluate attendance alerts:', error);
+      });
+    });
+  }
+
+  /**
+   * Get attendance alerts, most recent first
+   * @param {Object} filters - status, studentId, subjectId, term (ID or 'all')
+   * @param {Object} pagination - Pagination options
+   * @param {Object} user - Authenticated user (instructors see their subjects only)
+   * @returns {Promise<Object>} Paginated alerts
+   */
+  async getAlerts(filters, pagination, user) {
+    try {
+      const { page = 1, limit = 10 } = ValidationUtil.validatePagination(pagination);
+      const skip = (page - 1) * limit;
+
+      const query = await this.scopeQuery(filters, user);
+      if (filters.status) query.status = filters.status;
+      if (filters.studentId) query.student = filters.studentId;
+
+      const [alerts, total] = await Promise.all([
+        AttendanceAlert.find(query)
+          .populate('student', 'studentNumber firstName lastName section')
+          .populate('subject', 'subjectCode subjectName section')
+          .sort({ triggeredAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        AttendanceAlert.countDocuments(query),
+      ]);
+
+      return {
+        alerts,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+      };
+    } catch (error) {
+      logger.error('Error in getAlerts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get students with active alerts, those with the most alerts first
+   * @param {Object} filters - subjectId, term (ID or 'all'; defaults to the active term)
+   * @param {Object} user - Authenticated user (instructors see their subjects only)
+   * @returns {Promise<Array>} Students with their active alerts
+   */
+  async getAtRiskStudents(filters, user) {
+    try {
+      const query = await this.scopeQuery(filters, user);
+      query.status = ATTENDANCE_ALERT_STATUS.ACTIVE;
+
+      const alerts = await AttendanceAlert.find(query)
+        .populate('student', 'studentNumber firstName lastName section guardianName')
+        .populate('subject', 'subjectCode subjectName section')
+        .sort({ triggeredAt: -1 })
+        .lean();
+
+      const byStudent = new Map();
+      alerts
+        .filter((alert) => alert.student)
+        .forEach(({ student, ...alert }) => {
+          const key = student._id.toString();
+          if (!byStudent.has(key)) byStudent.set(key, { student, alerts: [] });
+          byStudent.get(key).alerts.push({
+            id: alert._id,
+            subject: alert.subject,
+            type: alert.type,
+            rule: alert.rule,
+            threshold: alert.threshold,
+            value: alert.value,
+            triggeredAt: alert.triggeredAt,
+          });
+        });
+
+      return [...byStudent.values()]
+        .map((entry) => ({ ...entry, alertCount: entry.alerts.length }))
+        .sort(
+          (a, b) =>
+            b.alertCount - a.alertCount ||
+            a.student.lastName.localeCompare(b.student.lastName) ||
+            a.student.firstName.localeCompare(b.student.firstName)
+        );
+    } catch (error) {
+      logger.error('Error in getAtRiskStudents:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Measure a rule over a student's sessions in a subject (oldest first, excused left out)
+   * @param {Object} rule - Alert rule
+   * @param {Array} sessions - Attendance records
+   * @param {Date} now - Evaluation time
+   * @returns {Number} Measured value, compared against the rule's threshold
+   * @private
+   */
+  measure(rule, sessions, now) {
+    if (rule.type === ATTENDANCE_ALERT_TYPES.CONSECUTIVE_ABSENCES) {
+      // Absences since the last session the student attended
+      return sessions.reduce(
+        (streak, session) => (session.status === ATTENDANCE_STATUS.ABSENT ? streak + 1 : 0),
+        0
+      );
+    }
+
+    if (rule.type === ATTENDANCE_ALERT_TYPES.ABSENCE_RATE) {
+      // Too few sessions to judge a rate
+      if (sessions.length === 0 || sessions.length < (rule.minSessions || 1)) return 0;
+
+      const absences = sessions.filter(
+        (session) => session.status === ATTENDANCE_STATUS.ABSENT
+      ).length;
+      return Math.round((absences / sessions.length) * 1000) / 10;
+    }
+
+    // Lates in the last `days` days, today included
+    const since = DateUtil.addDays(DateUtil.startOfDay(now), -(rule.days - 1));
+    return sessions.filter(
+      (session) => session.status === ATTENDANCE_STATUS.LATE && session.date >= since
+    ).length;
+  }
+
+  /**
+   * Record a newly crossed rule and notify the instructors and the guardian
+   * @returns {Promise<Object|null>} Alert, or null when another evaluation raised it first
+   * @private
+   */
+  async raise(subject, student, rule, value, now) {
+    let alert;
+    try {
+      alert = await AttendanceAlert.create({
+        student: student._id,
+        subject: subject._id,
+        rule: this.ruleKey(rule),
+        type: rule.type,
+        threshold: rule.threshold,
+        days: rule.days,
+        value,
+        triggeredAt: now,
+      });
+    } catch (error) {
+      if (error.code === 11000) return null;
+      throw error;
+    }
+
+    const studentName = `${student.firstName} ${student.lastName}`;
+    const reason = this.describe(rule, value);
+
+    const recipients = this.getRecipients(subject, student);
+    await Promise.all(
+      recipients.map((recipient) =>
+        Notification.createNotification(recipient, {
+          student: student._id,
+          type: NOTIFICATION_TYPES.ATTENDANCE_ALERT,
+          title: `At-risk student: ${studentName}`,
+          message: `${studentName} has ${reason} in ${subject.subjectCode} - ${subject.subjectName}`,
+          priority: 'high',
+          metadata: { alertId: alert._id, subjectId: subject._id, rule: alert.rule, value },
+        })
+      )
+    );
+
+    if (student.guardianEmail) {
+      try {
+        await emailUtil.sendAttendanceAlertEmail(student.guardianEmail, {
+          studentName,
+          studentNumber: student.studentNumber,
+          subject: `${subject.subjectCode} - ${subject.subjectName}`,
+          reason,
+        });
+        alert.guardianNotified = true;
+      } catch (emailError) {
+        // The alert stands even when the email cannot be sent
+        logger.error('Failed to send attendance alert email:', emailError);
+      }
+    }
+
+    alert.notifiedUsers = recipients;
+    await alert.save();
+
+    await Record.create({
+      student: student._id,
+      subject: subject._id,
+      recordType: RECORD_TYPES.ATTENDANCE_ALERT,
+      recordData: `Attendance alert for ${subject.subjectName}: ${reason}`,
+      metadata: {
+        alertId: alert._id,
+        rule: alert.rule,
+        value,
+        notifiedUsers: recipients,
+        guardianNotified: alert.guardianNotified,
+      },
+    });
+
+    logger.info(
+      `Attendance alert ${alert.rule} raised for student ${student._id} in ${subject._id}`
+    );
+
+    return alert;
+  }
+
+  /**
+   * The subject's instructors, or the student's creator when the subject has none
+   * @private
+   */
+  getRecipients(subject, student) {
+    const instructors = [subject.instructor, ...(subject.coInstructors || [])].filter(Boolean);
+    const recipients = instructors.length > 0 ? instructors : [student.createdBy].filter(Boolean);
+    return [...new Set(recipients.map(String))];
+  }
+
+  /**
+   * Build the alert filter shared by the list endpoints: subject, term and the user's subjects
+   * @private
+   */
+  async scopeQuery(filters, user) {
+    const clauses = [];
+    if (filters.subjectId) clauses.push({ subject: filters.subjectId });
+
+    const term = await academicTermService.resolveTerm(filters.term);
+    if (term) clauses.push({ subject: { $in: await Subject.distinct('_id', { term: term._id }) } });
+
+    const accessible = await subjectService.getAccessibleSubjectIds(user);
+    if (accessible) clauses.push({ subject: { $in: accessible } });
+
+    return clauses.length > 0 ? { $and: clauses } : {};
+  }
+
+  /**
+   * Identify a rule; changing a threshold makes it a new rule with its own alerts
+   * @private
+   */
+  ruleKey(rule) {
+    return rule.type === ATTENDANCE_ALERT_TYPES.LATES_IN_PERIOD
+      ? `${rule.type}:${rule.threshold}/${rule.days}d`
+      : `${rule.type}:${rule.threshold}`;
+  }
+
+  /**
+   * Describe a crossed rule for notifications, e.g. "3 consecutive absences"
+   * @private
+   */
+  describe(rule, value) {
+    if (rule.type === ATTENDANCE_ALERT_TYPES.CONSECUTIVE_ABSENCES) {
+      return `${value} consecutive absences`;
+    }
+    if (rule.type === ATTENDANCE_ALERT_TYPES.ABSENCE_RATE) {
+      return `an absence rate of ${value}%`;
+    }
+    return `${value} lates in the last ${rule.days} days`;
+  }
+}
+
+module.exports = new AttendanceAlertService();
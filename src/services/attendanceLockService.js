@@ -0,0 +1,216 @@
+const { AttendanceLock, Subject, Record } = require('../models');
+const { RECORD_TYPES, ERROR_MESSAGES, SETTING_KEYS } = require('../config/constants');
+const DateUtil = require('../utils/dateUtil');
+const logger = require('../utils/logger');
+const settingService = require('./settingService');
+
+/**
+ * Attendance Lock Service
+ * Finalizes attendance sessions so later edits need an admin to unlock them first
+ */
+class AttendanceLockService {
+  /**
+   * Get the lock state of a session
+   * A session is locked when it, or the whole day, was finalized, or when it is older than
+   * the attendance.autoLockDays setting and was never finalized or unlocked
+   * @param {String} subjectId - Subject ID
+   * @param {Date|String} date - Session date
+   * @param {String} scheduleSlot - Schedule slot name (null for the whole day)
+   * @returns {Promise<Object>} { locked, auto, scheduleSlot, lockedBy, lockedAt }
+   */
+  async getLockState(subjectId, date, scheduleSlot = null) {
+    const day = DateUtil.startOfDay(date);
+    const locks = await AttendanceLock.findForSession(subjectId, day, scheduleSlot)
+      .populate('lockedBy', 'name email')
+      .lean();
+
+    const lock = locks.find((candidate) => candidate.locked);
+    if (lock) {
+      return {
+        locked: true,
+        auto: false,
+        scheduleSlot: lock.scheduleSlot,
+        lockedBy: lock.lockedBy,
+        lockedAt: lock.lockedAt,
+      };
+    }
+
+    // Sessions that were explicitly unlocked stay open
+    const autoLockAt = locks.length === 0 ? await this.getAutoLockTime(day) : null;
+    if (autoLockAt && autoLockAt <= new Date()) {
+      return {
+        locked: true,
+        auto: true,
+        scheduleSlot: scheduleSlot || null,
+        lockedBy: null,
+        lockedAt: autoLockAt,
+      };
+    }
+
+    return {
+      locked: false,
+      auto: false,
+      scheduleSlot: scheduleSlot || null,
+      lockedBy: null,
+      lockedAt: null,
+    };
+  }
+
+  /**
+   * Ensure a session is not locked before changing its attendance
+   * Records without a subject are not session-scoped and are never locked
+   * @param {String} subjectId - Subject ID
+   * @param {Date|String} date - Session date
+   * @param {String} scheduleSlot - Schedule slot name
+   * @throws {Error} 423 when the session is locked
+   */
+  async assertUnlocked(subjectId, date, scheduleSlot = null) {
+    if (!subjectId) return;
+
+    const state = await this.getLockState(subjectId, date, scheduleSlot);
+
+    if (state.locked) {
+      const error = new Error(ERROR_MESSAGES.ATTENDANCE_LOCKED);
+      error.statusCode = 423;
+      error.data = state;
+      throw error;
+    }
+  }
+
+  /**
+   * Finalize a session (or every session of a subject on a date)
+   * @param {Object} lockData - subjectId, date, scheduleSlot
+   * @param {String} userId - User finalizing the session
+   * @returns {Promise<Object>} Lock state
+   */
+  async finalize(lockData, userId) {
+    try {
+      const { subjectId } = lockData;
+      const scheduleSlot = lockData.scheduleSlot || null;
+      const day = DateUtil.startOfDay(lockData.date);
+
+      const subject = await Subject.findById(subjectId);
+      if (!subject) {
+        const error = new Error(ERROR_MESSAGES.SUBJECT_NOT_FOUND);
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const existing = await AttendanceLock.findOne({
+        subject: subjectId,
+        date: day,
+        scheduleSlot,
+      });
+      if (existing && existing.locked) {
+        const error = new Error(ERROR_MESSAGES.ATTENDANCE_ALREADY_FINALIZED);
+        error.statusCode = 409;
+        throw error;
+      }
+
+      await AttendanceLock.findOneAndUpdate(
+        { subject: subjectId, date: day, scheduleSlot },
+        { locked: true, lockedBy: userId, lockedAt: new Date() },
+        { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+
+      await Record.create({
+        subject: subjectId,
+        recordType: RECORD_TYPES.ATTENDANCE_FINALIZED,
+        recordData: `Attendance finalized for ${subject.subjectName} on ${DateUtil.toDateKey(day)}${
+          scheduleSlot ? ` (${scheduleSlot})` : ''
+        }`,
+        performedBy: userId,
+        metadata: { date: day, scheduleSlot },
+      });
+
+      logger.info(`Attendance finalized for subject ${subjectId} on ${DateUtil.toDateKey(day)}`);
+
+      return await this.getLockState(subjectId, day, scheduleSlot);
+    } catch (error) {
+      logger.error('Error in finalize attendance:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Unlock a session so its attendance can be edited again
+   * Also lifts a whole-day lock covering the session, and keeps auto-locking from
+   * applying to it
+   * @param {Object} unlockData - subjectId, date, scheduleSlot, reason
+   * @param {String} userId - Admin unlocking the session
+   * @returns {Promise<Object>} Lock state
+   */
+  async unlock(unlockData, userId) {
+    try {
+      const { subjectId, reason } = unlockData;
+      const scheduleSlot = unlockData.scheduleSlot || null;
+      const day = DateUtil.startOfDay(unlockData.date);
+
+      const subject = await Subject.findById(subjectId);
+      if (!subject) {
+        const error = new Error(ERROR_MESSAGES.SUBJECT_NOT_FOUND);
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const state = await this.getLockState(subjectId, day, scheduleSlot);
+      if (!state.locked) {
+        const error = new Error(ERROR_MESSAGES.ATTENDANCE_NOT_LOCKED);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const unlockEntry = { unlockedBy: userId, unlockedAt: new Date(), reason };
+
+      if (state.auto) {
+        await AttendanceLock.create({
+          subject: subjectId,
+          date: day,
+          scheduleSlot,
+          locked: false,
+          unlocks: [unlockEntry],
+        });
+      } else {
+        await AttendanceLock.updateMany(
+          {
+            subject: subjectId,
+            date: day,
+            scheduleSlot: { $in: [...new Set([scheduleSlot, null])] },
+            locked: true,
+          },
+          { $set: { locked: false }, $push: { unlocks: unlockEntry } }
+        );
+      }
+
+      await Record.create({
+        subject: subjectId,
+        recordType: RECORD_TYPES.ATTENDANCE_UNLOCKED,
+        recordData: `Attendance unlocked for ${subject.subjectName} on ${DateUtil.toDateKey(day)}${
+          scheduleSlot ? ` (${scheduleSlot})` : ''
+        }: ${reason}`,
+        performedBy: userId,
+        metadata: { date: day, scheduleSlot, reason, auto: state.auto },
+      });
+
+      logger.info(`Attendance unlocked for subject ${subjectId} on ${DateUtil.toDateKey(day)}`);
+
+      return await this.getLockState(subjectId, day, scheduleSlot);
+    } catch (error) {
+      logger.error('Error in unlock attendance:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get when a session date becomes auto-locked, or null when auto-locking is off
+   * @param {Date} day - Session date (midnight)
+   * @returns {Promise<Date|null>}
+   * @private
+   */
+  async getAutoLockTime(day) {
+    const days = await settingService.get(SETTING_KEYS.ATTENDANCE_AUTO_LOCK_DAYS);
+    return days > 0 ? DateUtil.addDays(day, days + 1) : null;
+  }
+}
+
+module.exports = new AttendanceLockService();
@@ -9,8 +9,17 @@ const {
   NOTIFICATION_TYPES,
 } = require('../config/constants');
 const ValidationUtil = require('../utils/validationUtil');
+const DateUtil = require('../utils/dateUtil');
 const { EmailUtil } = require('../utils/emailUtil');
 const logger = require('../utils/logger');
+const excuseService = require('./excuseService');
+const attendanceLockService = require('./attendanceLockService');
+const calendarEventService = require('./calendarEventService');
+const academicTermService = require('./academicTermService');
+const attendanceAlertService = require('./attendanceAlertService');
+
+// Fields captured by each history entry
+const HISTORY_FIELDS = ['status', 'timeSlot', 'scheduleSlot', 'remarks'];
 
 /**
  * Attendance Service
@@ -25,7 +34,7 @@ class AttendanceService {
    */
   async markAttendance(attendanceData, userId) {
     try {
-      const { studentId, subjectId, date, status, remarks } = attendanceData;
+      const { studentId, subjectId, date, remarks } = attendanceData;
 
       // Validate student exists
       const student = await Student.findById(studentId);
@@ -47,8 +56,7 @@ class AttendanceService {
       }
 
       // Check if attendance already marked for this date
-      const attendanceDate = new Date(date);
-      attendanceDate.setHours(0, 0, 0, 0);
+      const attendanceDate = DateUtil.startOfDay(date);
 
       // Check for existing attendance for the same student/date.
       // If subject is present, include it in the check; otherwise look for records with no subject.
@@ -56,7 +64,7 @@ class AttendanceService {
         student: studentId,
         date: {
           $gte: attendanceDate,
-          $lt: new Date(attendanceDate.getTime() + 24 * 60 * 60 * 1000),
+          $lt: DateUtil.addDays(attendanceDate, 1),
         },
       };
 
@@ -84,12 +92,33 @@ class AttendanceService {
         throw error;
       }
 
+      await attendanceLockService.assertUnlocked(
+        subjectId,
+        attendanceDate,
+        attendanceData.scheduleSlot
+      );
+
+      // Holidays, suspensions and exam days have no attendance to take
+      await calendarEventService.assertClassDay(attendanceDate, {
+        subjectId,
+        section: subject ? subject.section : student.section,
+      });
+
+      // Absences covered by an approved excuse are recorded as excused
+      const { status, excuse } = await excuseService.resolveStatus(
+        studentId,
+        subjectId,
+        attendanceDate,
+        attendanceData.status
+      );
+
       // Create attendance record
       const attendance = await Attendance.create({
         student: studentId,
         subject: subjectId,
         date: attendanceDate,
         status,
+        excuse,
         timeSlot: attendanceData.timeSlot,
         scheduleSlot: attendanceData.scheduleSlot,
         remarks,
@@ -105,6 +134,8 @@ class AttendanceService {
         performedBy: userId,
       });
 
+      attendanceAlertService.scheduleEvaluation(subjectId, [studentId]);
+
       // Send notification if absent or late
       if (status === ATTENDANCE_STATUS.ABSENT || status === ATTENDANCE_STATUS.LATE) {
         const subjectName = subject ? subject.subjectName : 'the school';
@@ -113,7 +144,7 @@ class AttendanceService {
           student: studentId,
           type: NOTIFICATION_TYPES.ATTENDANCE_ALERT,
           title: `Attendance Alert: ${student.fullName}`,
-          message: `${student.fullName} was marked ${status}${subject ? ` in ${subject.subjectName}` : ''} on ${attendanceDate.toLocaleDateString()}`,
+          message: `${student.fullName} was marked ${status}${subject ? ` in ${subject.subjectName}` : ''} on ${DateUtil.formatDate(attendanceDate)}`,
           priority: status === ATTENDANCE_STATUS.ABSENT ? 'high' : 'medium',
         });
 
@@ -165,8 +196,8 @@ class AttendanceService {
       // Build query
       const query = {
         date: {
-          $gte: new Date(startDate),
-          $lte: new Date(endDate),
+          $gte: DateUtil.startOfDay(startDate),
+          $lt: DateUtil.addDays(DateUtil.startOfDay(endDate), 1),
         },
       };
 
@@ -174,6 +205,7 @@ class AttendanceService {
       if (filters.subjectId) query.subject = filters.subjectId;
       if (filters.status) query.status = filters.status;
       if (filters.timeSlot) query.timeSlot = filters.timeSlot;
+      await this.scopeToTerm(query, filters);
 
       const [records, total] = await Promise.all([
         Attendance.find(query)
@@ -217,7 +249,7 @@ class AttendanceService {
   /**
    * Get attendance for a specific student
    * @param {String} studentId - Student ID
-   * @param {Object} filters - Filters (subjectId, startDate, endDate)
+   * @param {Object} filters - Filters (subjectId, startDate, endDate, term)
    * @param {Object} pagination - Pagination options
    * @returns {Promise<Object>} Student attendance records
    */
@@ -238,10 +270,11 @@ class AttendanceService {
       if (filters.subjectId) query.subject = filters.subjectId;
       if (filters.startDate && filters.endDate) {
         query.date = {
-          $gte: new Date(filters.startDate),
-          $lte: new Date(filters.endDate),
+          $gte: DateUtil.startOfDay(filters.startDate),
+          $lt: DateUtil.addDays(DateUtil.startOfDay(filters.endDate), 1),
         };
       }
+      await this.scopeToTerm(query, filters);
 
       const [records, total] = await Promise.all([
         Attendance.find(query)
@@ -300,11 +333,10 @@ class AttendanceService {
       const query = { subject: subjectId };
 
       if (filters.date) {
-        const filterDate = new Date(filters.date);
-        filterDate.setHours(0, 0, 0, 0);
+        const filterDate = DateUtil.startOfDay(filters.date);
         query.date = {
           $gte: filterDate,
-          $lt: new Date(filterDate.getTime() + 24 * 60 * 60 * 1000),
+          $lt: DateUtil.addDays(filterDate, 1),
         };
       }
       if (filters.status) query.status = filters.status;
@@ -348,10 +380,20 @@ class AttendanceService {
    */
   async getAttendanceSummary(studentId, subjectId = null) {
     try {
-      const query = { student: studentId };
-      if (subjectId) query.subject = subjectId;
+      if (
+        !ValidationUtil.isValidObjectId(studentId) ||
+        (subjectId && !ValidationUtil.isValidObjectId(subjectId))
+      ) {
+        const error = new Error('Invalid student or subject ID');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      // Aggregation does not cast IDs
+      const query = { student: new mongoose.Types.ObjectId(studentId) };
+      if (subjectId) query.subject = new mongoose.Types.ObjectId(subjectId);
 
-      const summary = await Attendance.getAttendanceSummary(studentId, subjectId);
+      const summary = await Attendance.getAttendanceSummary(query);
 
       return summary;
     } catch (error) {
@@ -365,9 +407,11 @@ class AttendanceService {
    * @param {String} id - Attendance ID
    * @param {Object} updateData - Data to update
    * @param {String} userId - User ID performing update
+   * @param {Object} options - Optional correctionId linking the edit to a correction request,
+   *   or revertedFrom (history entry ID) and reason when restoring an earlier version
    * @returns {Promise<Object>} Updated attendance
    */
-  async updateAttendance(id, updateData, userId) {
+  async updateAttendance(id, updateData, userId, options = {}) {
     try {
       const attendance = await Attendance.findById(id);
 
@@ -377,6 +421,12 @@ class AttendanceService {
         throw error;
       }
 
+      await attendanceLockService.assertUnlocked(
+        attendance.subject,
+        attendance.date,
+        attendance.scheduleSlot
+      );
+
       const oldStatus = attendance.status;
 
       // Add audit information and history entry
@@ -385,8 +435,11 @@ class AttendanceService {
         timeSlot: attendance.timeSlot,
         scheduleSlot: attendance.scheduleSlot,
         remarks: attendance.remarks,
+        excuse: attendance.excuse,
         editedAt: new Date(),
         editedBy: userId,
+        correction: options.correctionId,
+        revertedFrom: options.revertedFrom,
       };
 
       // Update attendance
@@ -399,14 +452,32 @@ class AttendanceService {
       await attendance.save();
 
       // Create activity record
+      let recordType = RECORD_TYPES.ATTENDANCE_MARKED;
+      let recordData = `Attendance updated from ${oldStatus} to ${attendance.status}`;
+      let metadata;
+      if (options.correctionId) {
+        recordData += ' (correction request approved)';
+        metadata = { correctionId: options.correctionId };
+      }
+      if (options.revertedFrom) {
+        recordType = RECORD_TYPES.ATTENDANCE_REVERTED;
+        recordData = `Attendance reverted from ${oldStatus} to ${attendance.status}${
+          options.reason ? `: ${options.reason}` : ''
+        }`;
+        metadata = { historyId: options.revertedFrom, reason: options.reason };
+      }
+
       await Record.create({
         student: attendance.student,
         subject: attendance.subject,
-        recordType: RECORD_TYPES.ATTENDANCE_MARKED,
-        recordData: `Attendance updated from ${oldStatus} to ${attendance.status}`,
+        recordType,
+        recordData,
         performedBy: userId,
+        metadata,
       });
 
+      attendanceAlertService.scheduleEvaluation(attendance.subject, [attendance.student]);
+
       logger.info(`Attendance updated: ${id} by user ${userId}`);
 
       const populatedAttendance = await Attendance.findById(attendance._id)
@@ -422,6 +493,149 @@ class AttendanceService {
     }
   }
 
+  /**
+   * Get an attendance record's versions, oldest first
+   * Each history entry is an earlier version of the record; `changes` lists what differs in
+   * the version that followed it. The last item is the current version.
+   * @param {String} id - Attendance ID
+   * @returns {Promise<Object>} { attendance, timeline }
+   */
+  async getAttendanceHistory(id) {
+    try {
+      const attendance = await Attendance.findById(id)
+        .populate('student', 'studentNumber firstName lastName')
+        .populate('subject', 'subjectCode subjectName')
+        .populate('markedBy', 'name email')
+        .populate('editedBy', 'name email')
+        .populate('history.editedBy', 'name email')
+        .lean();
+
+      if (!attendance) {
+        const error = new Error(ERROR_MESSAGES.ATTENDANCE_NOT_FOUND);
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const versions = [
+        ...attendance.history.map((entry) => ({
+          id: entry._id,
+          current: false,
+          status: entry.status,
+          timeSlot: entry.timeSlot || null,
+          scheduleSlot: entry.scheduleSlot || null,
+          remarks: entry.remarks || null,
+          editedAt: entry.editedAt || null,
+          editedBy: entry.editedBy || null,
+          correction: entry.correction || null,
+          excuse: entry.excuse || null,
+          revertedFrom: entry.revertedFrom || null,
+        })),
+        {
+          id: null,
+          current: true,
+          status: attendance.status,
+          timeSlot: attendance.timeSlot || null,
+          scheduleSlot: attendance.scheduleSlot || null,
+          remarks: attendance.remarks || null,
+          editedAt: attendance.editedAt || attendance.createdAt,
+          editedBy: attendance.editedBy || attendance.markedBy || null,
+          correction: null,
+          excuse: attendance.excuse || null,
+          revertedFrom: null,
+        },
+      ];
+
+      const timeline = versions.map((version, index) => {
+        const next = versions[index + 1];
+        const changes = next
+          ? HISTORY_FIELDS.filter((field) => version[field] !== next[field]).map((field) => ({
+              field,
+              from: version[field],
+              to: next[field],
+            }))
+          : [];
+
+        return {
+          ...version,
+          changes,
+          summary: changes.length
+            ? changes.map((change) => `${change.field}: ${change.from} -> ${change.to}`).join(', ')
+            : null,
+        };
+      });
+
+      return {
+        attendance: {
+          id: attendance._id,
+          student: attendance.student,
+          subject: attendance.subject,
+          date: attendance.date,
+          source: attendance.source,
+          markedBy: attendance.markedBy || null,
+          createdAt: attendance.createdAt,
+        },
+        timeline,
+      };
+    } catch (error) {
+      logger.error('Error in getAttendanceHistory:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Restore an attendance record to an earlier version from its history
+   * The restore is itself an edit: the current version is added to history and audited
+   * @param {String} id - Attendance ID
+   * @param {String} historyId - History entry to restore
+   * @param {String} userId - User performing the revert
+   * @param {String} reason - Optional reason
+   * @returns {Promise<Object>} Updated attendance record
+   */
+  async revertAttendance(id, historyId, userId, reason) {
+    try {
+      const attendance = await Attendance.findById(id);
+
+      if (!attendance) {
+        const error = new Error(ERROR_MESSAGES.ATTENDANCE_NOT_FOUND);
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const entry = attendance.history.id(historyId);
+
+      if (!entry) {
+        const error = new Error(ERROR_MESSAGES.HISTORY_ENTRY_NOT_FOUND);
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const restored = {};
+      HISTORY_FIELDS.forEach((field) => {
+        restored[field] = entry[field] || undefined;
+      });
+      // An excused version comes back with the excuse it had; the link only describes those
+      restored.excuse =
+        restored.status === ATTENDANCE_STATUS.EXCUSED ? entry.excuse || undefined : undefined;
+
+      if (
+        HISTORY_FIELDS.every((field) => (attendance[field] || undefined) === restored[field]) &&
+        String(attendance.excuse || '') === String(restored.excuse || '')
+      ) {
+        const error = new Error(ERROR_MESSAGES.REVERT_NO_CHANGE);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      return await this.updateAttendance(id, restored, userId, {
+        revertedFrom: entry._id,
+        reason,
+      });
+    } catch (error) {
+      logger.error('Error in revertAttendance:', error);
+      throw error;
+    }
+  }
+
   /**
    * Delete attendance record
    * @param {String} id - Attendance ID
@@ -438,6 +652,12 @@ class AttendanceService {
         throw error;
       }
 
+      await attendanceLockService.assertUnlocked(
+        attendance.subject,
+        attendance.date,
+        attendance.scheduleSlot
+      );
+
       await attendance.deleteOne();
 
       // Create activity record
@@ -463,14 +683,13 @@ class AttendanceService {
    */
   async getTodayAttendance(subjectId) {
     try {
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
+      const { start, end } = DateUtil.getDayRange();
 
       const records = await Attendance.find({
         subject: subjectId,
         date: {
-          $gte: today,
-          $lt: new Date(today.getTime() + 24 * 60 * 60 * 1000),
+          $gte: start,
+          $lt: end,
         },
       })
         .populate('student', 'studentNumber firstName lastName section')
@@ -491,12 +710,10 @@ class AttendanceService {
    */
   async getAllTodayAttendance() {
     try {
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      const endOfDay = new Date(today.getTime() + 24 * 60 * 60 * 1000);
+      const { start, end } = DateUtil.getDayRange();
 
       const records = await Attendance.find({
-        date: { $gte: today, $lt: endOfDay },
+        date: { $gte: start, $lt: end },
       })
         .populate('student', 'studentNumber firstName lastName section email')
         .populate('subject', 'subjectCode subjectName')
@@ -513,23 +730,38 @@ class AttendanceService {
 
   /**
    * Get aggregated attendance statistics for today across all subjects
+   * @param {String} term - Term ID or 'all' (defaults to the active term)
    * @returns {Promise<Object>} Today's attendance stats
    */
-  async getTodayStats() {
+  async getTodayStats(term) {
     try {
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      const endOfDay = new Date(today.getTime() + 24 * 60 * 60 * 1000 - 1);
+      const { start: today, end: tomorrow } = DateUtil.getDayRange();
+      const resolvedTerm = await academicTermService.resolveTerm(term);
+
+      // Subjects without classes today are left out of the counts
+      const withoutClasses = await calendarEventService.getSubjectsWithoutClasses(today);
 
       // Count all enrolments (active) - counts each student-subject enrollment
-      const totalEnrolled = await Enrollment.countDocuments({ isActive: true });
+      const totalEnrolled = withoutClasses.all
+        ? 0
+        : await Enrollment.countDocuments({
+            isActive: true,
+            subject: { $nin: withoutClasses.subjectIds },
+            ...(resolvedTerm && { term: resolvedTerm._id }),
+          });
+
+      // Departure records mirror the arrival's status and are not counted
+      const match = await calendarEventService.excludeDaysWithoutClasses(
+        { date: { $gte: today, $lt: tomorrow }, timeSlot: { $ne: 'departure' } },
+        today,
+        today
+      );
+      await academicTermService.scopeAttendanceQuery(match, resolvedTerm);
 
       // Aggregate attendance counts by status
       const statsAgg = await Attendance.aggregate([
         {
-          $match: {
-            date: { $gte: today, $lte: endOfDay },
-          },
+          $match: match,
         },
         {
           $group: {
@@ -628,6 +860,7 @@ class AttendanceService {
 
       if (filters.studentId) query.student = filters.studentId;
       if (filters.subjectId) query.subject = filters.subjectId;
+      else if (filters.subjectIds) query.subject = { $in: filters.subjectIds };
       if (filters.status) query.status = filters.status;
       if (filters.timeSlot) query.timeSlot = filters.timeSlot;
       if (filters.scheduleSlot) query.scheduleSlot = filters.scheduleSlot;
@@ -635,16 +868,14 @@ class AttendanceService {
       if (filters.startDate || filters.endDate) {
         query.date = {};
         if (filters.startDate) {
-          const start = new Date(filters.startDate);
-          start.setHours(0, 0, 0, 0);
+          const start = DateUtil.startOfDay(filters.startDate);
           query.date.$gte = start;
         }
         if (filters.endDate) {
-          const end = new Date(filters.endDate);
-          end.setHours(23, 59, 59, 999);
-          query.date.$lte = end;
+          query.date.$lt = DateUtil.addDays(DateUtil.startOfDay(filters.endDate), 1);
         }
       }
+      await this.scopeToTerm(query, filters);
 
       const [records, total] = await Promise.all([
         Attendance.find(query)
@@ -699,21 +930,24 @@ class AttendanceService {
    * Get daily attendance summary
    * @param {String} date - Date to get summary for
    * @param {String} subjectId - Optional subject ID filter
+   * @param {String} term - Term ID or 'all' (defaults to the active term)
    * @returns {Promise<Object>} Daily summary
    */
-  async getDailySummary(date, subjectId = null) {
+  async getDailySummary(date, subjectId = null, term = null) {
     try {
-      const targetDate = new Date(date);
-      targetDate.setHours(0, 0, 0, 0);
+      const targetDate = DateUtil.startOfDay(date);
 
       const query = {
         date: {
           $gte: targetDate,
-          $lt: new Date(targetDate.getTime() + 24 * 60 * 60 * 1000),
+          $lt: DateUtil.addDays(targetDate, 1),
         },
+        timeSlot: { $ne: 'departure' },
       };
 
       if (subjectId) query.subject = subjectId;
+      await calendarEventService.excludeDaysWithoutClasses(query, targetDate, targetDate);
+      await this.scopeToTerm(query, { subjectId, term });
 
       const summary = await Attendance.aggregate([
         { $match: query },
@@ -756,15 +990,23 @@ class AttendanceService {
    */
   async getStudentsSummary(filters = {}) {
     try {
-      const query = {};
+      const query = { timeSlot: { $ne: 'departure' } };
 
       if (filters.subjectId) query.subject = filters.subjectId;
 
       if (filters.startDate || filters.endDate) {
         query.date = {};
-        if (filters.startDate) query.date.$gte = new Date(filters.startDate);
-        if (filters.endDate) query.date.$lte = new Date(filters.endDate);
+        if (filters.startDate) query.date.$gte = DateUtil.startOfDay(filters.startDate);
+        if (filters.endDate) {
+          query.date.$lt = DateUtil.addDays(DateUtil.startOfDay(filters.endDate), 1);
+        }
       }
+      await calendarEventService.excludeDaysWithoutClasses(
+        query,
+        filters.startDate,
+        filters.endDate
+      );
+      await this.scopeToTerm(query, filters);
 
       const summary = await Attendance.aggregate([
         { $match: query },
@@ -882,6 +1124,9 @@ class AttendanceService {
       // Fallbacks: if header mapping is empty, fallback to historical indexes
       const hasMapping = Object.keys(headerIndexMap).length > 0;
 
+      // Subject codes repeat across terms; imports target the active term
+      const activeTerm = await academicTermService.resolveTerm();
+
       // Iterate data rows (skip header row)
       const rows = [];
       worksheet.eachRow((row, rowNumber) => {
@@ -974,7 +1219,7 @@ class AttendanceService {
               const found = await Subject.findById(subCandidate);
               if (found) subjectId = found._id;
             } else {
-              const found = await Subject.findOne({ subjectCode: subCandidate });
+              const found = await Subject.findByCode(subCandidate, activeTerm?._id);
               if (found) subjectId = found._id;
             }
           }
@@ -982,9 +1227,10 @@ class AttendanceService {
           // Normalize date
           let dateValue = null;
           if (dateCellRaw instanceof Date) {
-            dateValue = dateCellRaw;
+            // Spreadsheet date cells arrive as UTC midnight; keep their calendar day
+            dateValue = dateCellRaw.toISOString().slice(0, 10);
           } else if (dateCellRaw) {
-            dateValue = new Date((dateCellRaw || '').toString());
+            dateValue = dateCellRaw.toString().trim();
           }
 
           // Normalize status
@@ -1082,13 +1328,17 @@ class AttendanceService {
 
       if (filters.studentId) query.student = filters.studentId;
       if (filters.subjectId) query.subject = filters.subjectId;
+      else if (filters.subjectIds) query.subject = { $in: filters.subjectIds };
       if (filters.status) query.status = filters.status;
 
       if (filters.startDate || filters.endDate) {
         query.date = {};
-        if (filters.startDate) query.date.$gte = new Date(filters.startDate);
-        if (filters.endDate) query.date.$lte = new Date(filters.endDate);
+        if (filters.startDate) query.date.$gte = DateUtil.startOfDay(filters.startDate);
+        if (filters.endDate) {
+          query.date.$lt = DateUtil.addDays(DateUtil.startOfDay(filters.endDate), 1);
+        }
       }
+      await this.scopeToTerm(query, filters);
 
       const records = await Attendance.find(query)
         .populate('student', 'studentNumber firstName lastName section')
@@ -1132,7 +1382,7 @@ class AttendanceService {
           section: record.student?.section || 'N/A',
           subjectCode: record.subject?.subjectCode || 'N/A',
           subjectName: record.subject?.subjectName || 'N/A',
-          date: new Date(record.date).toLocaleDateString(),
+          date: DateUtil.formatDate(record.date),
           status: record.status,
           scheduleSlot: record.scheduleSlot || 'N/A',
           remarks: record.remarks || '',
@@ -1148,6 +1398,16 @@ class AttendanceService {
       throw error;
     }
   }
+
+  /**
+   * Scope an attendance query to the `?term=` term unless a single subject is selected
+   * @private
+   */
+  async scopeToTerm(query, filters = {}) {
+    if (filters.subjectId) return query;
+    const term = await academicTermService.resolveTerm(filters.term);
+    return await academicTermService.scopeAttendanceQuery(query, term);
+  }
 }
 
 module.exports = new AttendanceService();
@@ -0,0 +1,264 @@
+const { Attendance, AttendanceSyncItem, Record } = require('../models');
+const {
+  RECORD_TYPES,
+  ATTENDANCE_SOURCES,
+  ATTENDANCE_SYNC_RESULTS,
+  ATTENDANCE_SYNC_ON_CONFLICT,
+} = require('../config/constants');
+const DateUtil = require('../utils/dateUtil');
+const logger = require('../utils/logger');
+const subjectAttendanceService = require('./subjectAttendanceService');
+
+/**
+ * Attendance Sync Service
+ * Applies attendance marked offline. Every item carries a client ID, so a batch can be uploaded
+ * again after a lost response, and the version of the record the client started from
+ * (`baseVersion`, the number of history entries it saw). A record edited on the server since
+ * that version is a conflict, reported back instead of being silently overwritten
+ */
+class AttendanceSyncService {
+  /**
+   * Apply a batch of offline attendance marks
+   * @param {Array} items - clientId, clientTimestamp, subjectId, studentId, date, status and
+   *   optional timeSlot, scheduleSlot, remarks and baseVersion (omitted for records the client
+   *   has never seen on the server)
+   * @param {Object} options - onConflict: 'keep_server' (default) or 'overwrite'
+   * @param {String} userId - User uploading the batch
+   * @returns {Promise<Object>} { results (in request order), summary }
+   */
+  async syncRecords(items, options, userId) {
+    try {
+      const context = {
+        onConflict: options.onConflict || ATTENDANCE_SYNC_ON_CONFLICT.KEEP_SERVER,
+        applied: new Map(),
+        // Version each record reached during this batch, keyed like the record itself
+        chains: new Map(),
+      };
+
+      const previouslyApplied = await AttendanceSyncItem.find({
+        user: userId,
+        clientId: { $in: items.map((item) => item.clientId) },
+      }).lean();
+      previouslyApplied.forEach((applied) => context.applied.set(applied.clientId, applied));
+
+      // Oldest client change first, so later offline edits land on top of earlier ones
+      const order = items
+        .map((item, index) => ({ item, index }))
+        .sort((a, b) => new Date(a.item.clientTimestamp) - new Date(b.item.clientTimestamp));
+
+      const results = new Array(items.length);
+      await order.reduce(
+        (previous, { item, index }) =>
+          previous.then(async () => {
+            results[index] = await this.syncItem(item, context, userId);
+          }),
+        Promise.resolve()
+      );
+
+      const summary = Object.values(ATTENDANCE_SYNC_RESULTS).reduce(
+        (counts, result) => ({
+          ...counts,
+          [result]: results.filter((item) => item.result === result).length,
+        }),
+        { total: results.length }
+      );
+
+      await Record.create({
+        recordType: RECORD_TYPES.ATTENDANCE_SYNCED,
+        recordData:
+          `Synced ${summary.total} offline attendance mark(s): ${summary.created} created, ` +
+          `${summary.updated} updated, ${summary.conflict} conflict(s), ${summary.error} error(s)`,
+        performedBy: userId,
+        metadata: {
+          summary,
+          conflicts: results
+            .filter((item) => item.conflict && !item.duplicate)
+            .map(({ clientId, result, attendanceId }) => ({ clientId, result, attendanceId })),
+        },
+      });
+
+      logger.info(`Offline attendance sync of ${summary.total} item(s) by user ${userId}`);
+
+      return { results, summary };
+    } catch (error) {
+      logger.error('Error in syncRecords:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply one item; failures are reported per item rather than failing the batch
+   * @private
+   */
+  async syncItem(item, context, userId) {
+    const { clientId } = item;
+
+    const previous = context.applied.get(clientId);
+    if (previous) return this.describeApplied(previous, true);
+
+    try {
+      const timeSlot = item.timeSlot || 'arrival';
+      const scheduleSlot = item.scheduleSlot || null;
+      const dayStart = DateUtil.startOfDay(item.date);
+      const key = [
+        item.studentId,
+        item.subjectId,
+        DateUtil.toDateKey(dayStart),
+        scheduleSlot,
+        timeSlot,
+      ].join(':');
+
+      // Automatic absences and single manual marks have no time slot; they are the arrival
+      const existing = await Attendance.findOne({
+        student: item.studentId,
+        subject: item.subjectId,
+        date: { $gte: dayStart, $lt: DateUtil.addDays(dayStart, 1) },
+        scheduleSlot,
+        timeSlot: timeSlot === 'arrival' ? { $in: [null, 'arrival'] } : timeSlot,
+      }).lean();
+
+      // Items of one batch build on each other: a later edit of a record the batch already
+      // changed starts from the version that change produced
+      const clientBase = item.baseVersion ?? null;
+      const chain = context.chains.get(key);
+      const baseVersion = chain && chain.base === clientBase ? chain.version : clientBase;
+
+      let conflict = null;
+      if (existing) {
+        const version = existing.history.length;
+
+        // Untouched automatic absences are placeholders the teacher's mark replaces
+        const placeholder = existing.source === ATTENDANCE_SOURCES.AUTO && version === 0;
+
+        if (!placeholder && version !== baseVersion) {
+          conflict = this.describeConflict(existing, baseVersion, item);
+          if (context.onConflict === ATTENDANCE_SYNC_ON_CONFLICT.KEEP_SERVER) {
+            return {
+              clientId,
+              result: ATTENDANCE_SYNC_RESULTS.CONFLICT,
+              attendanceId: existing._id,
+              version,
+              conflict,
+            };
+          }
+        } else if (
+          !placeholder &&
+          existing.status === item.status &&
+          (item.remarks === undefined || item.remarks === existing.remarks)
+        ) {
+          context.chains.set(key, { base: clientBase, version });
+          return await this.saveApplied(
+            item,
+            { result: ATTENDANCE_SYNC_RESULTS.UNCHANGED, attendanceId: existing._id, version },
+            context,
+            userId
+          );
+        }
+      }
+
+      const { attendance, isUpdate } = await subjectAttendanceService.markSubjectAttendance(
+        {
+          subjectId: item.subjectId,
+          studentId: item.studentId,
+          date: item.date,
+          status: item.status,
+          // Update the record found above, even an untimed one, rather than adding another
+          timeSlot: existing ? existing.timeSlot : timeSlot,
+          scheduleSlot,
+          remarks: item.remarks,
+          source: ATTENDANCE_SOURCES.SYNC,
+        },
+        userId
+      );
+      const version = (attendance.history || []).length;
+      context.chains.set(key, { base: clientBase, version });
+
+      return await this.saveApplied(
+        item,
+        {
+          result: isUpdate ? ATTENDANCE_SYNC_RESULTS.UPDATED : ATTENDANCE_SYNC_RESULTS.CREATED,
+          attendanceId: attendance._id,
+          version,
+          conflict,
+        },
+        context,
+        userId
+      );
+    } catch (error) {
+      return {
+        clientId,
+        result: ATTENDANCE_SYNC_RESULTS.ERROR,
+        error: { statusCode: error.statusCode || 500, message: error.message },
+      };
+    }
+  }
+
+  /**
+   * Remember an applied item so replays of its client ID are answered, not applied again
+   * @private
+   */
+  async saveApplied(item, { result, attendanceId, version, conflict }, context, userId) {
+    let applied;
+    try {
+      applied = await AttendanceSyncItem.create({
+        user: userId,
+        clientId: item.clientId,
+        clientTimestamp: item.clientTimestamp,
+        attendance: attendanceId,
+        result,
+        version,
+        conflict: conflict || undefined,
+      });
+    } catch (error) {
+      // The same item uploaded concurrently was stored first
+      if (error.code !== 11000) throw error;
+      const stored = await AttendanceSyncItem.findOne({
+        user: userId,
+        clientId: item.clientId,
+      }).lean();
+      return this.describeApplied(stored, true);
+    }
+
+    context.applied.set(item.clientId, applied.toObject());
+    return this.describeApplied(applied, false);
+  }
+
+  /**
+   * Per-item result of an applied item
+   * @private
+   */
+  describeApplied(applied, duplicate) {
+    const result = {
+      clientId: applied.clientId,
+      result: applied.result,
+      attendanceId: applied.attendance,
+      version: applied.version,
+    };
+    if (applied.conflict) result.conflict = applied.conflict;
+    if (duplicate) result.duplicate = true;
+    return result;
+  }
+
+  /**
+   * Describe how the server record moved on from the client's base version
+   * @private
+   */
+  describeConflict(existing, baseVersion, item) {
+    return {
+      baseVersion,
+      serverVersion: existing.history.length,
+      clientTimestamp: item.clientTimestamp,
+      server: {
+        status: existing.status,
+        timeSlot: existing.timeSlot,
+        scheduleSlot: existing.scheduleSlot,
+        remarks: existing.remarks,
+        source: existing.source,
+        updatedAt: existing.editedAt || existing.createdAt,
+        updatedBy: existing.editedBy || existing.markedBy,
+      },
+    };
+  }
+}
+
+module.exports = new AttendanceSyncService();
@@ -6,20 +6,39 @@
  * @version 1.0.0
  */
 
-const { User } = require('../models');
+const crypto = require('crypto');
+const { User, Session, Record } = require('../models');
 const JWTUtil = require('../utils/jwtUtil');
 const ValidationUtil = require('../utils/validationUtil');
+const TOTPUtil = require('../utils/totpUtil');
 const EmailUtil = require('../utils/emailUtil');
 const logger = require('../utils/logger');
-const { ERROR_MESSAGES, SUCCESS_MESSAGES, ROLES } = require('../config/constants');
+const { getRolePermissions } = require('../config/permissions');
+const settingService = require('./settingService');
+const notificationService = require('./notificationService');
+const {
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  ROLES,
+  AUTH,
+  HTTP_STATUS,
+  RECORD_TYPES,
+  NOTIFICATION_TYPES,
+  SESSION_REVOKE_REASONS,
+  SETTING_KEYS,
+  TOKEN_PURPOSES,
+} = require('../config/constants');
+
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep';
 
 class AuthService {
   /**
    * Register a new user
    * @param {Object} userData - User registration data
+   * @param {Object} context - Client context (ipAddress, userAgent, deviceLabel)
    * @returns {Promise<Object>} Created user and tokens
    */
-  async register(userData) {
+  async register(userData, context = {}) {
     const { name, email, password, role } = userData;
 
     // Validate email
@@ -47,12 +66,8 @@ class AuthService {
       role: role || ROLES.STAFF,
     });
 
-    // Generate tokens
-    const tokens = this.generateTokens(user);
-
-    // Save refresh token
-    user.refreshToken = tokens.refreshToken;
-    await user.save();
+    // Start a session for this device
+    const tokens = await this.startSession(user, context);
 
     // Send welcome email (non-blocking)
     EmailUtil.sendWelcomeEmail(user.email, user.name).catch((err) => {
@@ -74,11 +89,14 @@ class AuthService {
 
   /**
    * Login user
+   * When two-factor authentication applies, no tokens are issued; instead a short-lived
+   * challenge token is returned for /2fa/verify (or for mandatory 2FA setup)
    * @param {String} email - User email
    * @param {String} password - User password
-   * @returns {Promise<Object>} User and tokens
+   * @param {Object} context - Client context (ipAddress, userAgent, deviceLabel)
+   * @returns {Promise<Object>} User and tokens, or a two-factor challenge
    */
-  async login(email, password) {
+  async login(email, password, context = {}) {
     // Validate inputs
     if (!email || !password) {
       throw new Error(ERROR_MESSAGES.REQUIRED_FIELDS);
@@ -96,22 +114,111 @@ class AuthService {
       throw new Error('Your account has been deactivated');
     }
 
+    // Invited users have no password until they accept the invitation
+    if (user.isPending) {
+      const error = new Error(ERROR_MESSAGES.ACCOUNT_PENDING);
+      error.statusCode = HTTP_STATUS.FORBIDDEN;
+      throw error;
+    }
+
+    // Brute-force protection: temporary lock and progressive delay
+    await this.assertLoginAllowed(user);
+
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await this.handleFailedLogin(user, context, 'invalid_password');
       throw new Error(ERROR_MESSAGES.INVALID_CREDENTIALS);
     }
 
-    // Update last login
-    user.lastLogin = new Date();
+    // Second factor
+    if (user.twoFactorEnabled) {
+      return {
+        twoFactorRequired: true,
+        challengeToken: JWTUtil.generatePurposeToken(
+          { id: user._id },
+          TOKEN_PURPOSES.TWO_FACTOR,
+          AUTH.TWO_FACTOR_CHALLENGE_EXPIRES_IN
+        ),
+      };
+    }
 
-    // Generate tokens
-    const tokens = this.generateTokens(user);
+    if (await this.isTwoFactorRequired(user.role)) {
+      return {
+        twoFactorSetupRequired: true,
+        challengeToken: JWTUtil.generatePurposeToken(
+          { id: user._id },
+          TOKEN_PURPOSES.TWO_FACTOR_SETUP,
+          AUTH.TWO_FACTOR_SETUP_EXPIRES_IN
+        ),
+      };
+    }
+
+    return this.completeLogin(user, context);
+  }
+
+  /**
+   * Complete a two-factor login using a TOTP or recovery code
+   * @param {String} challengeToken - Challenge token returned by login
+   * @param {String} code - TOTP code or recovery code
+   * @param {Object} context - Client context (ipAddress, userAgent, deviceLabel)
+   * @returns {Promise<Object>} User and tokens
+   */
+  async verifyTwoFactorLogin(challengeToken, code, context = {}) {
+    let decoded;
+    try {
+      decoded = JWTUtil.verifyPurposeToken(challengeToken, TOKEN_PURPOSES.TWO_FACTOR);
+    } catch (err) {
+      const error = new Error(ERROR_MESSAGES.TWO_FACTOR_CHALLENGE_INVALID);
+      error.statusCode = 401;
+      throw error;
+    }
 
-    // Save refresh token
-    user.refreshToken = tokens.refreshToken;
+    const user = await User.findById(decoded.id).select(TWO_FACTOR_FIELDS);
+
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      const error = new Error(ERROR_MESSAGES.TWO_FACTOR_CHALLENGE_INVALID);
+      error.statusCode = 401;
+      throw error;
+    }
+
+    await this.assertLoginAllowed(user);
+
+    const isCodeValid = await this.consumeSecondFactor(user, code);
+    if (!isCodeValid) {
+      await this.handleFailedLogin(user, context, 'invalid_2fa_code');
+      const error = new Error(ERROR_MESSAGES.TWO_FACTOR_INVALID_CODE);
+      error.statusCode = 401;
+      throw error;
+    }
+
+    return this.completeLogin(user, context);
+  }
+
+  /**
+   * Finish authentication: record the login and start a session
+   * @param {Object} user - Authenticated user document
+   * @param {Object} context - Client context (ipAddress, userAgent, deviceLabel)
+   * @returns {Promise<Object>} User and tokens
+   */
+  async completeLogin(user, context = {}) {
+    // Update last login and clear failed attempts
+    user.lastLogin = new Date();
+    user.failedLoginAttempts = 0;
+    user.lastFailedLoginAt = undefined;
+    user.lockUntil = undefined;
     await user.save();
 
+    // Start a session for this device (other devices stay signed in)
+    const tokens = await this.startSession(user, context);
+
+    await Record.create({
+      recordType: RECORD_TYPES.LOGIN_SUCCESS,
+      recordData: `User ${user.email} logged in`,
+      performedBy: user._id,
+      metadata: { ipAddress: context.ipAddress, userAgent: context.userAgent },
+    });
+
     logger.info(`User logged in: ${user.email}`);
 
     return {
@@ -127,26 +234,38 @@ class AuthService {
   }
 
   /**
-   * Logout user
+   * Logout user from the current session
    * @param {String} userId - User ID
+   * @param {String} sessionId - Session ID carried by the access token
    * @returns {Promise<void>}
    */
-  async logout(userId) {
-    await User.findByIdAndUpdate(userId, {
-      refreshToken: null,
-    });
+  async logout(userId, sessionId) {
+    if (sessionId) {
+      await Session.updateOne(
+        { _id: sessionId, user: userId, revokedAt: { $exists: false } },
+        { revokedAt: new Date(), revokedReason: SESSION_REVOKE_REASONS.LOGOUT }
+      );
+    }
+
+    // Kill the access token now instead of when it expires; other devices refresh theirs
+    await User.revokeAccessTokens(userId);
 
     logger.info(`User logged out: ${userId}`);
   }
 
   /**
    * Refresh access token
+   * Rotates the refresh token; presenting a token that was already rotated out
+   * is treated as theft and revokes the whole session
    * @param {String} refreshToken - Refresh token
+   * @param {Object} context - Client context (ipAddress, userAgent)
    * @returns {Promise<Object>} New tokens
    */
-  async refreshToken(refreshToken) {
+  async refreshToken(refreshToken, context = {}) {
     if (!refreshToken) {
-      throw new Error('Refresh token is required');
+      const error = new Error('Refresh token is required');
+      error.statusCode = 401;
+      throw error;
     }
 
     // Verify refresh token
@@ -154,32 +273,172 @@ class AuthService {
     try {
       decoded = JWTUtil.verifyRefreshToken(refreshToken);
     } catch (error) {
-      throw new Error('Invalid or expired refresh token');
+      error.statusCode = 401;
+      throw error;
     }
 
-    // Find user and verify refresh token
-    const user = await User.findById(decoded.id).select('+refreshToken');
+    const session = decoded.sid ? await Session.findById(decoded.sid).select('+tokenHash') : null;
 
-    if (!user || user.refreshToken !== refreshToken) {
-      throw new Error('Invalid refresh token');
+    if (!session || session.user.toString() !== String(decoded.id) || !session.isActive()) {
+      const error = new Error('Invalid refresh token');
+      error.statusCode = 401;
+      throw error;
     }
 
-    if (!user.isActive) {
-      throw new Error('Account is deactivated');
+    // Reuse detection: a validly signed token that is no longer the current one
+    if (!session.matchesToken(refreshToken)) {
+      await session.revoke(SESSION_REVOKE_REASONS.REUSE_DETECTED);
+      await User.revokeAccessTokens(session.user);
+      logger.warn(`Refresh token reuse detected for user ${decoded.id}, session ${session._id}`);
+      const error = new Error(ERROR_MESSAGES.REFRESH_TOKEN_REUSED);
+      error.statusCode = 401;
+      throw error;
     }
 
-    // Generate new tokens
-    const tokens = this.generateTokens(user);
+    const user = await User.findById(decoded.id);
 
-    // Update refresh token
-    user.refreshToken = tokens.refreshToken;
-    await user.save();
+    if (!user) {
+      const error = new Error('Invalid refresh token');
+      error.statusCode = 401;
+      throw error;
+    }
+
+    if (!user.isActive) {
+      const error = new Error('Account is deactivated');
+      error.statusCode = 401;
+      throw error;
+    }
+
+    // Rotate refresh token within the same session
+    const tokens = this.generateTokens(user, session);
+    session.lastUsedAt = new Date();
+    if (context.ipAddress) session.ipAddress = context.ipAddress;
+    if (context.userAgent) session.userAgent = context.userAgent;
+    await session.save();
 
     logger.info(`Tokens refreshed for user: ${user.email}`);
 
     return tokens;
   }
 
+  /**
+   * Start impersonating a user (superadmin support tool)
+   * Issues a short-lived access token for the target that also names the superadmin.
+   * There is no refresh token or session; the impersonation simply expires
+   * @param {String} targetId - User to impersonate
+   * @param {Object} impersonator - Superadmin starting the impersonation
+   * @param {Object} context - Client context (ipAddress, userAgent)
+   * @returns {Promise<Object>} Access token, expiry and impersonated user
+   */
+  async impersonateUser(targetId, impersonator, context = {}) {
+    const user = await User.findById(targetId);
+
+    if (!user) {
+      const error = new Error(ERROR_MESSAGES.USER_NOT_FOUND);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (
+      user._id.equals(impersonator._id) ||
+      user.role === ROLES.SUPERADMIN ||
+      !user.isActive ||
+      user.isPending
+    ) {
+      const error = new Error(ERROR_MESSAGES.CANNOT_IMPERSONATE);
+      error.statusCode = HTTP_STATUS.FORBIDDEN;
+      throw error;
+    }
+
+    const accessToken = JWTUtil.generateAccessToken(
+      {
+        id: user._id,
+        email: user.email,
+        role: user.role,
+        tv: user.tokenVersion,
+        imp: impersonator._id,
+        itv: impersonator.tokenVersion,
+      },
+      AUTH.IMPERSONATION_EXPIRES_IN
+    );
+    const { exp } = JWTUtil.decodeToken(accessToken);
+
+    await Record.create({
+      recordType: RECORD_TYPES.IMPERSONATION_STARTED,
+      recordData: `${impersonator.email} started impersonating ${user.email}`,
+      performedBy: impersonator._id,
+      metadata: {
+        userId: user._id,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+      },
+    });
+
+    logger.warn(`Impersonation started: ${impersonator.email} as ${user.email}`);
+
+    return { accessToken, expiresAt: new Date(exp * 1000), user };
+  }
+
+  /**
+   * End an impersonation (logout with an impersonation token)
+   * Leaves the impersonated user's own sessions and tokens untouched
+   * @param {Object} user - Impersonated user
+   * @param {Object} impersonator - Superadmin
+   * @returns {Promise<void>}
+   */
+  async endImpersonation(user, impersonator) {
+    await Record.create({
+      recordType: RECORD_TYPES.IMPERSONATION_ENDED,
+      recordData: `${impersonator.email} stopped impersonating ${user.email}`,
+      performedBy: impersonator._id,
+      metadata: { userId: user._id },
+    });
+
+    logger.info(`Impersonation ended: ${impersonator.email} as ${user.email}`);
+  }
+
+  /**
+   * Get active sessions for a user
+   * @param {String} userId - User ID
+   * @param {String} currentSessionId - Session ID of the requesting client
+   * @returns {Promise<Array>} Sessions
+   */
+  async getSessions(userId, currentSessionId) {
+    const sessions = await Session.findActiveByUser(userId).lean();
+
+    return sessions.map((session) => ({
+      id: session._id,
+      deviceLabel: session.deviceLabel || null,
+      ipAddress: session.ipAddress || null,
+      userAgent: session.userAgent || null,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: currentSessionId ? session._id.toString() === String(currentSessionId) : false,
+    }));
+  }
+
+  /**
+   * Revoke one of the user's sessions (e.g. a lost device)
+   * @param {String} userId - User ID
+   * @param {String} sessionId - Session ID to revoke
+   * @returns {Promise<void>}
+   */
+  async revokeSession(userId, sessionId) {
+    const session = await Session.findOne({ _id: sessionId, user: userId });
+
+    if (!session || !session.isActive()) {
+      const error = new Error(ERROR_MESSAGES.SESSION_NOT_FOUND);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    await session.revoke(SESSION_REVOKE_REASONS.REVOKED);
+    await User.revokeAccessTokens(userId);
+
+    logger.info(`Session ${sessionId} revoked by user ${userId}`);
+  }
+
   /**
    * Get current user profile
    * @param {String} userId - User ID
@@ -195,6 +454,18 @@ class AuthService {
     return user;
   }
 
+  /**
+   * Get the effective permissions of the current user
+   * @param {Object} user - Authenticated user
+   * @returns {Object} Role and permission list
+   */
+  getPermissions(user) {
+    return {
+      role: user.role,
+      permissions: getRolePermissions(user.role),
+    };
+  }
+
   /**
    * Update user profile
    * @param {String} userId - User ID
@@ -233,9 +504,10 @@ class AuthService {
    * @param {String} userId - User ID
    * @param {String} currentPassword - Current password
    * @param {String} newPassword - New password
+   * @param {String} sessionId - Session of the requesting client, which stays signed in
    * @returns {Promise<void>}
    */
-  async changePassword(userId, currentPassword, newPassword) {
+  async changePassword(userId, currentPassword, newPassword, sessionId = null) {
     const user = await User.findById(userId).select('+password');
 
     if (!user) {
@@ -254,28 +526,498 @@ class AuthService {
       throw new Error(passwordValidation.message);
     }
 
-    // Update password
+    // Update password and invalidate outstanding access tokens
     user.password = newPassword;
+    user.tokenVersion += 1;
     await user.save();
 
+    // Sign out every other device
+    await Session.revokeAllForUser(user._id, SESSION_REVOKE_REASONS.PASSWORD_CHANGED, sessionId);
+
     logger.info(`Password changed for user: ${user.email}`);
   }
 
+  /**
+   * Request a password reset link
+   * Responds identically whether or not the email is registered to avoid account enumeration
+   * @param {String} email - User email
+   * @returns {Promise<void>}
+   */
+  async forgotPassword(email) {
+    if (!email || !ValidationUtil.isValidEmail(email)) {
+      const error = new Error(ERROR_MESSAGES.INVALID_EMAIL);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const user = await User.findByEmail(email);
+
+    if (!user || !user.isActive || user.isPending) {
+      logger.warn(`Password reset requested for unknown, inactive or pending account: ${email}`);
+      return;
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+
+    try {
+      await EmailUtil.sendPasswordResetEmail(user.email, resetToken);
+    } catch (emailError) {
+      // Don't leave a usable token behind if the user never received it. The caller still
+      // gets the usual response: a failure here would reveal that the account exists
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save();
+
+      logger.error(`Failed to send password reset email to ${user.email}: ${emailError.message}`);
+      return;
+    }
+
+    logger.info(`Password reset requested for user: ${user.email}`);
+  }
+
+  /**
+   * Reset password using a single-use reset token
+   * @param {String} resetToken - Plain reset token from the emailed link
+   * @param {String} newPassword - New password
+   * @returns {Promise<void>}
+   */
+  async resetPassword(resetToken, newPassword) {
+    if (!resetToken) {
+      const error = new Error(ERROR_MESSAGES.RESET_TOKEN_INVALID);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const passwordValidation = ValidationUtil.validatePassword(newPassword);
+    if (!passwordValidation.valid) {
+      const error = new Error(passwordValidation.message);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const user = await User.findByPasswordResetToken(resetToken);
+
+    if (!user) {
+      const error = new Error(ERROR_MESSAGES.RESET_TOKEN_INVALID);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Set new password and consume the token
+    user.password = newPassword;
+    user.tokenVersion += 1;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    // Sign out every device
+    await Session.revokeAllForUser(user._id, SESSION_REVOKE_REASONS.PASSWORD_RESET);
+
+    logger.info(`Password reset completed for user: ${user.email}`);
+  }
+
+  /**
+   * Activate an invited account by setting its password
+   * @param {String} inviteToken - Signed invitation token from the emailed link
+   * @param {String} password - Password chosen by the invitee
+   * @returns {Promise<void>}
+   */
+  async acceptInvitation(inviteToken, password) {
+    let decoded;
+    try {
+      decoded = JWTUtil.verifyPurposeToken(inviteToken, TOKEN_PURPOSES.INVITATION);
+    } catch (error) {
+      const invalid = new Error(ERROR_MESSAGES.INVITATION_INVALID);
+      invalid.statusCode = 400;
+      throw invalid;
+    }
+
+    const passwordValidation = ValidationUtil.validatePassword(password);
+    if (!passwordValidation.valid) {
+      const error = new Error(passwordValidation.message);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const user = await User.findById(decoded.id).select('+invitationToken');
+
+    // Only the most recent invitation is valid, and only once
+    if (!user || !user.isPending || !user.matchesInvitationToken(decoded.jti)) {
+      const error = new Error(ERROR_MESSAGES.INVITATION_INVALID);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    user.password = password;
+    user.isPending = false;
+    user.invitationToken = undefined;
+    user.invitationExpires = undefined;
+    await user.save();
+
+    await Record.create({
+      recordType: RECORD_TYPES.INVITATION_ACCEPTED,
+      recordData: `Invitation accepted by ${user.email}`,
+      performedBy: user._id,
+      metadata: { userId: user._id, invitedBy: user.invitedBy },
+    });
+
+    logger.info(`Invitation accepted: ${user.email}`);
+  }
+
+  /**
+   * Start two-factor enrollment by generating a new TOTP secret
+   * The secret is not used for login until confirmed via enableTwoFactor
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} Secret and otpauth URI for the QR code
+   */
+  async setupTwoFactor(userId) {
+    const user = await User.findById(userId).select('+twoFactorSecret');
+
+    if (!user) {
+      throw new Error(ERROR_MESSAGES.USER_NOT_FOUND);
+    }
+
+    if (user.twoFactorEnabled) {
+      const error = new Error(ERROR_MESSAGES.TWO_FACTOR_ALREADY_ENABLED);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const secret = TOTPUtil.generateSecret();
+    user.twoFactorSecret = secret;
+    await user.save();
+
+    return {
+      secret,
+      otpauthUri: TOTPUtil.buildOtpAuthUri(secret, user.email),
+    };
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * @param {String} userId - User ID
+   * @param {String} code - Current TOTP code
+   * @returns {Promise<Object>} Plain recovery codes (shown once)
+   */
+  async enableTwoFactor(userId, code) {
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+
+    if (!user) {
+      throw new Error(ERROR_MESSAGES.USER_NOT_FOUND);
+    }
+
+    if (user.twoFactorEnabled) {
+      const error = new Error(ERROR_MESSAGES.TWO_FACTOR_ALREADY_ENABLED);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (!user.twoFactorSecret) {
+      const error = new Error(ERROR_MESSAGES.TWO_FACTOR_SETUP_NOT_STARTED);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const step = TOTPUtil.verifyCode(user.twoFactorSecret, code);
+    if (step === null) {
+      const error = new Error(ERROR_MESSAGES.TWO_FACTOR_INVALID_CODE);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const recoveryCodes = TOTPUtil.generateRecoveryCodes(AUTH.TWO_FACTOR_RECOVERY_CODE_COUNT);
+
+    user.twoFactorEnabled = true;
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorRecoveryCodes = recoveryCodes.map((c) => TOTPUtil.hashRecoveryCode(c));
+    await user.save();
+
+    logger.info(`Two-factor authentication enabled for user: ${user.email}`);
+
+    return { recoveryCodes };
+  }
+
+  /**
+   * Turn off two-factor authentication
+   * @param {String} userId - User ID
+   * @param {String} password - Current password
+   * @param {String} code - TOTP code or recovery code
+   * @returns {Promise<void>}
+   */
+  async disableTwoFactor(userId, password, code) {
+    const user = await User.findById(userId).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (!user) {
+      throw new Error(ERROR_MESSAGES.USER_NOT_FOUND);
+    }
+
+    if (!user.twoFactorEnabled) {
+      const error = new Error(ERROR_MESSAGES.TWO_FACTOR_NOT_ENABLED);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (await this.isTwoFactorRequired(user.role)) {
+      const error = new Error(ERROR_MESSAGES.TWO_FACTOR_REQUIRED_FOR_ROLE);
+      error.statusCode = 403;
+      throw error;
+    }
+
+    const isPasswordValid = await user.comparePassword(password || '');
+    if (!isPasswordValid) {
+      const error = new Error('Current password is incorrect');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const isCodeValid = await this.consumeSecondFactor(user, code);
+    if (!isCodeValid) {
+      const error = new Error(ERROR_MESSAGES.TWO_FACTOR_INVALID_CODE);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorRecoveryCodes = undefined;
+    user.twoFactorLastUsedStep = undefined;
+    await user.save();
+
+    logger.info(`Two-factor authentication disabled for user: ${user.email}`);
+  }
+
+  /**
+   * Replace all recovery codes
+   * @param {String} userId - User ID
+   * @param {String} code - Current TOTP code (recovery codes are not accepted here)
+   * @returns {Promise<Object>} New plain recovery codes (shown once)
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+
+    if (!user) {
+      throw new Error(ERROR_MESSAGES.USER_NOT_FOUND);
+    }
+
+    if (!user.twoFactorEnabled) {
+      const error = new Error(ERROR_MESSAGES.TWO_FACTOR_NOT_ENABLED);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const isCodeValid = await this.consumeSecondFactor(user, code, { allowRecoveryCode: false });
+    if (!isCodeValid) {
+      const error = new Error(ERROR_MESSAGES.TWO_FACTOR_INVALID_CODE);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const recoveryCodes = TOTPUtil.generateRecoveryCodes(AUTH.TWO_FACTOR_RECOVERY_CODE_COUNT);
+    user.twoFactorRecoveryCodes = recoveryCodes.map((c) => TOTPUtil.hashRecoveryCode(c));
+    await user.save();
+
+    logger.info(`Recovery codes regenerated for user: ${user.email}`);
+
+    return { recoveryCodes };
+  }
+
+  /**
+   * Check whether a role must use two-factor authentication
+   * @param {String} role - User role
+   * @returns {Promise<Boolean>}
+   */
+  async isTwoFactorRequired(role) {
+    const requiredRoles = await settingService.get(SETTING_KEYS.TWO_FACTOR_REQUIRED_ROLES);
+    return requiredRoles.includes(role);
+  }
+
+  /**
+   * Check a second-factor code and consume it so it cannot be replayed
+   * @param {Object} user - User document selected with the two-factor fields
+   * @param {String} code - TOTP code or recovery code
+   * @param {Object} options - { allowRecoveryCode }
+   * @returns {Promise<Boolean>} Whether the code was accepted
+   * @private
+   */
+  async consumeSecondFactor(user, code, { allowRecoveryCode = true } = {}) {
+    if (!code || !user.twoFactorSecret) {
+      return false;
+    }
+
+    const step = TOTPUtil.verifyCode(user.twoFactorSecret, code);
+    if (step !== null) {
+      // A code may only be used once within its time window
+      if (user.twoFactorLastUsedStep !== undefined && step <= user.twoFactorLastUsedStep) {
+        return false;
+      }
+      user.twoFactorLastUsedStep = step;
+      await user.save();
+      return true;
+    }
+
+    if (!allowRecoveryCode) {
+      return false;
+    }
+
+    const hashedCode = TOTPUtil.hashRecoveryCode(code);
+    const remaining = (user.twoFactorRecoveryCodes || []).filter((c) => c !== hashedCode);
+    if (remaining.length === (user.twoFactorRecoveryCodes || []).length) {
+      return false;
+    }
+
+    user.twoFactorRecoveryCodes = remaining;
+    await user.save();
+
+    logger.warn(`Recovery code used by ${user.email}; ${remaining.length} remaining`);
+    return true;
+  }
+
+  /**
+   * Reject a login attempt while the account is locked or throttled
+   * @param {Object} user - User document
+   * @returns {Promise<void>}
+   * @private
+   */
+  async assertLoginAllowed(user) {
+    if (user.isLocked) {
+      const error = new Error(ERROR_MESSAGES.ACCOUNT_LOCKED);
+      error.statusCode = HTTP_STATUS.LOCKED;
+      throw error;
+    }
+
+    // Lock has expired: start counting from zero again
+    if (user.lockUntil) {
+      await User.resetLoginAttempts(user._id);
+      user.failedLoginAttempts = 0;
+      user.lastFailedLoginAt = undefined;
+      user.lockUntil = undefined;
+      return;
+    }
+
+    const retryDelay = user.getLoginRetryDelay();
+    if (retryDelay > 0) {
+      const error = new Error(
+        `Too many failed login attempts. Try again in ${Math.ceil(retryDelay / 1000)} seconds`
+      );
+      error.statusCode = HTTP_STATUS.TOO_MANY_REQUESTS;
+      throw error;
+    }
+  }
+
+  /**
+   * Count a failed login, audit it and lock the account at the threshold
+   * @param {Object} user - User document
+   * @param {Object} context - Client context (ipAddress, userAgent)
+   * @param {String} reason - Failure reason for the audit trail
+   * @returns {Promise<void>}
+   * @private
+   */
+  async handleFailedLogin(user, context, reason) {
+    const { user: updated, locked } = await User.registerFailedLogin(user._id);
+    const metadata = {
+      userId: user._id,
+      reason,
+      attempts: updated ? updated.failedLoginAttempts : undefined,
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent,
+    };
+
+    await Record.create({
+      recordType: RECORD_TYPES.LOGIN_FAILED,
+      recordData: `Failed login for ${user.email}`,
+      metadata,
+    });
+
+    if (!locked) return;
+
+    await Record.create({
+      recordType: RECORD_TYPES.ACCOUNT_LOCKED,
+      recordData: `Account ${user.email} locked after ${updated.failedLoginAttempts} failed login attempts`,
+      metadata: { ...metadata, lockUntil: updated.lockUntil },
+    });
+
+    logger.warn(`Account locked: ${user.email} until ${updated.lockUntil.toISOString()}`);
+
+    // Alert superadmins (non-blocking)
+    this.notifyAccountLocked(updated, context).catch((err) => {
+      logger.error(`Failed to send account lock notifications: ${err.message}`);
+    });
+  }
+
+  /**
+   * Send a SYSTEM notification about a locked account to every active superadmin
+   * @param {Object} user - Locked user
+   * @param {Object} context - Client context (ipAddress)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async notifyAccountLocked(user, context) {
+    const superadmins = await User.find({ role: ROLES.SUPERADMIN, isActive: true }).select('_id');
+
+    await Promise.all(
+      superadmins.map((admin) =>
+        notificationService.createNotification({
+          recipient: admin._id,
+          type: NOTIFICATION_TYPES.SYSTEM,
+          title: 'Account locked',
+          message: `${user.name} (${user.email}) was locked after ${user.failedLoginAttempts} failed login attempts${context.ipAddress ? ` from ${context.ipAddress}` : ''}. The lock expires at ${user.lockUntil.toISOString()}.`,
+          priority: 'high',
+          metadata: { userId: user._id, lockUntil: user.lockUntil, ipAddress: context.ipAddress },
+        })
+      )
+    );
+  }
+
+  /**
+   * Create a session for a newly authenticated client and issue its tokens
+   * @param {Object} user - User object
+   * @param {Object} context - Client context (ipAddress, userAgent, deviceLabel)
+   * @returns {Promise<Object>} Access and refresh tokens
+   * @private
+   */
+  async startSession(user, context = {}) {
+    const session = new Session({
+      user: user._id,
+      deviceLabel: context.deviceLabel,
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent,
+    });
+
+    const tokens = this.generateTokens(user, session);
+
+    // Session lives exactly as long as its refresh token
+    session.expiresAt = new Date(JWTUtil.decodeToken(tokens.refreshToken).exp * 1000);
+    await session.save();
+
+    return tokens;
+  }
+
   /**
    * Generate JWT tokens
+   * Records the new refresh token hash on the session; caller saves the session
    * @param {Object} user - User object
+   * @param {Object} session - Session the tokens belong to
    * @returns {Object} Access and refresh tokens
    * @private
    */
-  generateTokens(user) {
+  generateTokens(user, session) {
     const payload = {
       id: user._id,
       email: user.email,
       role: user.role,
+      sid: session._id,
+      tv: user.tokenVersion,
     };
 
     const accessToken = JWTUtil.generateAccessToken(payload);
-    const refreshToken = JWTUtil.generateRefreshToken(payload);
+    const refreshToken = JWTUtil.generateRefreshToken({
+      id: user._id,
+      sid: session._id,
+      jti: crypto.randomBytes(16).toString('hex'),
+    });
+
+    session.tokenHash = Session.hashToken(refreshToken);
 
     return { accessToken, refreshToken };
   }
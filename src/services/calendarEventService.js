@@ -0,0 +1,488 @@
+const ExcelJS = require('exceljs');
+const fs = require('fs').promises;
+const { CalendarEvent, Subject, Record } = require('../models');
+const { CALENDAR_EVENT_SCOPES, RECORD_TYPES, ERROR_MESSAGES } = require('../config/constants');
+const ValidationUtil = require('../utils/validationUtil');
+const DateUtil = require('../utils/dateUtil');
+const logger = require('../utils/logger');
+const academicTermService = require('./academicTermService');
+
+const EDITABLE_FIELDS = [
+  'title',
+  'type',
+  'startDate',
+  'endDate',
+  'scope',
+  'section',
+  'subject',
+  'description',
+];
+
+// Spreadsheet header (normalized) -> event field
+const IMPORT_HEADERS = {
+  title: 'title',
+  name: 'title',
+  event: 'title',
+  type: 'type',
+  'event type': 'type',
+  date: 'startDate',
+  'start date': 'startDate',
+  from: 'startDate',
+  'end date': 'endDate',
+  to: 'endDate',
+  scope: 'scope',
+  section: 'section',
+  subject: 'subjectCode',
+  'subject code': 'subjectCode',
+  description: 'description',
+  notes: 'description',
+  remarks: 'description',
+};
+
+/**
+ * Calendar Event Service
+ * Manages the academic calendar; days covered by an event have no regular classes, so they
+ * cannot be marked, are skipped by the auto-absent job and are left out of attendance rates
+ */
+class CalendarEventService {
+  /**
+   * Create a calendar event
+   * @param {Object} eventData - title, type, startDate, endDate, scope, section, subject, description
+   * @param {String} userId - User creating the event
+   * @returns {Promise<Object>} Created event
+   */
+  async createEvent(eventData, userId) {
+    try {
+      const data = await this.normalize(eventData);
+      // Single-day events only need a start date
+      if (!data.endDate) data.endDate = data.startDate;
+
+      const event = await CalendarEvent.create({ ...data, createdBy: userId });
+
+      await Record.create({
+        subject: event.subject,
+        recordType: RECORD_TYPES.CALENDAR_EVENT_CREATED,
+        recordData: `Calendar event "${event.title}" (${event.type}) added for ${this.describe(event)}`,
+        performedBy: userId,
+        metadata: { calendarEventId: event._id },
+      });
+
+      logger.info(`Calendar event ${event._id} created by ${userId}`);
+
+      return await this.populate(CalendarEvent.findById(event._id)).lean();
+    } catch (error) {
+      logger.error('Error in createEvent:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get calendar events with filters and pagination
+   * @param {Object} filters - type, scope, subjectId, section, startDate, endDate
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Paginated events
+   */
+  async getEvents(filters, pagination) {
+    try {
+      const { page = 1, limit = 10 } = ValidationUtil.validatePagination(pagination);
+      const skip = (page - 1) * limit;
+
+      // Events overlapping the requested period
+      const query = CalendarEvent.findOverlapping(filters.startDate, filters.endDate).getFilter();
+      if (filters.type) query.type = filters.type;
+      if (filters.scope) query.scope = filters.scope;
+      if (filters.subjectId) query.subject = filters.subjectId;
+      if (filters.section) query.section = filters.section;
+
+      const [events, total] = await Promise.all([
+        this.populate(CalendarEvent.find(query))
+          .sort({ startDate: 1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        CalendarEvent.countDocuments(query),
+      ]);
+
+      return {
+        events,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+      };
+    } catch (error) {
+      logger.error('Error in getEvents:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a calendar event
+   * @param {String} id - Event ID
+   * @returns {Promise<Object>} Event
+   */
+  async getEventById(id) {
+    try {
+      const event = await this.populate(CalendarEvent.findById(id)).lean();
+
+      if (!event) {
+        const error = new Error(ERROR_MESSAGES.CALENDAR_EVENT_NOT_FOUND);
+        error.statusCode = 404;
+        throw error;
+      }
+
+      return event;
+    } catch (error) {
+      logger.error('Error in getEventById:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a calendar event
+   * @param {String} id - Event ID
+   * @param {Object} updateData - Fields to change
+   * @param {String} userId - User making the change
+   * @returns {Promise<Object>} Updated event
+   */
+  async updateEvent(id, updateData, userId) {
+    try {
+      const event = await CalendarEvent.findById(id);
+
+      if (!event) {
+        const error = new Error(ERROR_MESSAGES.CALENDAR_EVENT_NOT_FOUND);
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const data = await this.normalize(updateData);
+      EDITABLE_FIELDS.forEach((field) => {
+        if (data[field] !== undefined) event[field] = data[field];
+      });
+      event.updatedBy = userId;
+      await event.save();
+
+      await Record.create({
+        subject: event.subject,
+        recordType: RECORD_TYPES.CALENDAR_EVENT_UPDATED,
+        recordData: `Calendar event "${event.title}" updated`,
+        performedBy: userId,
+        metadata: { calendarEventId: event._id, changes: Object.keys(data) },
+      });
+
+      logger.info(`Calendar event ${event._id} updated by ${userId}`);
+
+      return await this.populate(CalendarEvent.findById(event._id)).lean();
+    } catch (error) {
+      logger.error('Error in updateEvent:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a calendar event
+   * @param {String} id - Event ID
+   * @param {String} userId - User deleting the event
+   * @returns {Promise<Object>} Deleted event
+   */
+  async deleteEvent(id, userId) {
+    try {
+      const event = await CalendarEvent.findByIdAndDelete(id);
+
+      if (!event) {
+        const error = new Error(ERROR_MESSAGES.CALENDAR_EVENT_NOT_FOUND);
+        error.statusCode = 404;
+        throw error;
+      }
+
+      await Record.create({
+        subject: event.subject,
+        recordType: RECORD_TYPES.CALENDAR_EVENT_DELETED,
+        recordData: `Calendar event "${event.title}" for ${this.describe(event)} deleted`,
+        performedBy: userId,
+        metadata: { calendarEventId: event._id },
+      });
+
+      logger.info(`Calendar event ${event._id} deleted by ${userId}`);
+
+      return event;
+    } catch (error) {
+      logger.error('Error in deleteEvent:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Import calendar events from the first sheet of an Excel workbook
+   * Nothing is imported when any row is invalid
+   * @param {Object} file - Uploaded file object
+   * @param {String} userId - User performing the import
+   * @returns {Promise<Object>} Import result
+   */
+  async importFromExcel(file, userId) {
+    try {
+      const workbook = new ExcelJS.Workbook();
+      try {
+        await workbook.xlsx.readFile(file.tempFilePath);
+      } finally {
+        await fs.unlink(file.tempFilePath).catch(() => {});
+      }
+
+      const worksheet = workbook.getWorksheet(1);
+      if (!worksheet) {
+        const error = new Error('No worksheet found in uploaded workbook');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const columns = {};
+      worksheet.getRow(1).eachCell((cell, colNumber) => {
+        const header = (cell.text || '')
+          .trim()
+          .toLowerCase()
+          .replace(/[\s\-_.]+/g, ' ');
+        if (IMPORT_HEADERS[header]) columns[IMPORT_HEADERS[header]] = colNumber;
+      });
+
+      const rows = [];
+      worksheet.eachRow((row, rowNumber) => {
+        if (rowNumber > 1) rows.push({ row, rowNumber });
+      });
+
+      const parsed = rows.map(({ row, rowNumber }) => {
+        const read = (field) => {
+          if (!columns[field]) return undefined;
+          const { value, text } = row.getCell(columns[field]);
+          // Date cells arrive as UTC midnight; keep their calendar day
+          if (value instanceof Date) return value.toISOString().slice(0, 10);
+          return (text || '').trim() || undefined;
+        };
+
+        return {
+          rowNumber,
+          data: {
+            title: read('title'),
+            type: (read('type') || '').toLowerCase().replace(/\s+/g, '_') || undefined,
+            startDate: read('startDate'),
+            endDate: read('endDate') || read('startDate'),
+            scope: (read('scope') || '').toLowerCase() || undefined,
+            section: read('section'),
+            subjectCode: read('subjectCode'),
+            description: read('description'),
+          },
+        };
+      });
+
+      const subjectCodes = [
+        ...new Set(parsed.map(({ data }) => data.subjectCode).filter(Boolean)),
+      ].map((code) => code.toUpperCase());
+      // Subject codes repeat across terms; events are planned for the active term
+      const activeTerm = await academicTermService.resolveTerm();
+      const subjects = await Subject.find({
+        subjectCode: { $in: subjectCodes },
+        ...(activeTerm && { term: activeTerm._id }),
+      })
+        .select('subjectCode')
+        .lean();
+      const subjectByCode = new Map(subjects.map((subject) => [subject.subjectCode, subject._id]));
+
+      const checked = await Promise.all(
+        parsed.map(async ({ rowNumber, data }) => {
+          const { subjectCode, ...fields } = data;
+          const errors = [];
+          let subject;
+          if (subjectCode) {
+            subject = subjectByCode.get(subjectCode.toUpperCase());
+            if (!subject) errors.push(`Unknown subject code: ${subjectCode}`);
+          }
+
+          const scope =
+            fields.scope ||
+            (subjectCode && CALENDAR_EVENT_SCOPES.SUBJECT) ||
+            (fields.section && CALENDAR_EVENT_SCOPES.SECTION) ||
+            CALENDAR_EVENT_SCOPES.SCHOOL;
+
+          const event = new CalendarEvent({
+            ...fields,
+            scope,
+            subject,
+            startDate: this.parseDate(fields.startDate),
+            endDate: this.parseDate(fields.endDate),
+            createdBy: userId,
+          });
+
+          // validate() rather than validateSync() so the model's range and scope checks run
+          await event.validate().catch((validationError) => {
+            Object.values(validationError.errors || {}).forEach(({ message }) => {
+              errors.push(message);
+            });
+          });
+
+          return { event, errors: errors.map((error) => ({ row: rowNumber, error })) };
+        })
+      );
+      const events = checked.map(({ event }) => event);
+      const errors = checked.flatMap((row) => row.errors);
+
+      if (errors.length > 0 || events.length === 0) {
+        return {
+          success: false,
+          imported: 0,
+          errors,
+          message: events.length === 0 ? 'No events found in the workbook' : 'Import failed',
+        };
+      }
+
+      const created = await CalendarEvent.insertMany(events);
+
+      await Record.create({
+        recordType: RECORD_TYPES.CALENDAR_EVENTS_IMPORTED,
+        recordData: `Imported ${created.length} calendar event(s) from ${file.name}`,
+        performedBy: userId,
+        metadata: { calendarEventIds: created.map((event) => event._id) },
+      });
+
+      logger.info(`${created.length} calendar events imported by ${userId}`);
+
+      return { success: true, imported: created.length, errors: [] };
+    } catch (error) {
+      logger.error('Error in importFromExcel calendar events:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the first event cancelling classes on a date
+   * @param {Date|String} date - Date
+   * @param {Object} target - subjectId and/or section (school-wide events always apply)
+   * @returns {Promise<Object|null>} Event or null
+   */
+  async getEventOn(date, target = {}) {
+    const [event] = await CalendarEvent.findCovering(date, target).limit(1).lean();
+    return event || null;
+  }
+
+  /**
+   * Refuse to record attendance on a day without classes
+   * @param {Date|String} date - Date
+   * @param {Object} target - subjectId and/or section
+   * @throws {Error} 400 with the event in `data`
+   */
+  async assertClassDay(date, target = {}) {
+    const event = await this.getEventOn(date, target);
+
+    if (event) {
+      const error = new Error(ERROR_MESSAGES.NO_CLASSES_ON_DATE);
+      error.statusCode = 400;
+      error.data = { event };
+      throw error;
+    }
+  }
+
+  /**
+   * Get the subjects without classes on a date
+   * @param {Date|String} date - Date
+   * @returns {Promise<Object>} { all, subjectIds } where all means a school-wide event
+   */
+  async getSubjectsWithoutClasses(date) {
+    const events = await CalendarEvent.findOverlapping(date, date).lean();
+
+    if (events.some((event) => event.scope === CALENDAR_EVENT_SCOPES.SCHOOL)) {
+      return { all: true, subjectIds: [] };
+    }
+
+    const subjectIds = await Promise.all(events.map((event) => this.getEventSubjectIds(event)));
+    return { all: false, subjectIds: subjectIds.flat() };
+  }
+
+  /**
+   * Remove attendance on days without classes from an attendance query
+   * @param {Object} query - Attendance filter (find or $match); gains a `$nor` clause
+   * @param {Date|String} startDate - Start of the period (optional)
+   * @param {Date|String} endDate - End of the period, inclusive (optional)
+   * @returns {Promise<Object>} The same query
+   */
+  async excludeDaysWithoutClasses(query, startDate, endDate) {
+    const events = await CalendarEvent.findOverlapping(startDate, endDate).lean();
+
+    const conditions = await Promise.all(
+      events.map(async (event) => {
+        const date = { $gte: event.startDate, $lt: DateUtil.addDays(event.endDate, 1) };
+        if (event.scope === CALENDAR_EVENT_SCOPES.SCHOOL) return { date };
+        return { date, subject: { $in: await this.getEventSubjectIds(event) } };
+      })
+    );
+
+    if (conditions.length > 0) query.$nor = conditions;
+    return query;
+  }
+
+  /**
+   * Get the subjects a section or subject event applies to
+   * @private
+   */
+  async getEventSubjectIds(event) {
+    if (event.scope === CALENDAR_EVENT_SCOPES.SUBJECT) return [event.subject];
+    return await Subject.distinct('_id', { section: event.section });
+  }
+
+  /**
+   * Normalize event input: dates to the start of their day and a known subject
+   * @private
+   */
+  async normalize(eventData) {
+    const data = {};
+    EDITABLE_FIELDS.forEach((field) => {
+      if (eventData[field] !== undefined) data[field] = eventData[field];
+    });
+    if (eventData.subjectId !== undefined) data.subject = eventData.subjectId;
+
+    if (data.startDate) data.startDate = DateUtil.startOfDay(data.startDate);
+    if (data.endDate) data.endDate = DateUtil.startOfDay(data.endDate);
+
+    if (data.subject) {
+      const subject = await Subject.findById(data.subject);
+      if (!subject) {
+        const error = new Error(ERROR_MESSAGES.SUBJECT_NOT_FOUND);
+        error.statusCode = 404;
+        throw error;
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * Parse an imported date, leaving invalid values for model validation to report
+   * @private
+   */
+  parseDate(value) {
+    if (!value || Number.isNaN(new Date(value).getTime())) return undefined;
+    return DateUtil.startOfDay(value);
+  }
+
+  /**
+   * Describe who an event applies to and when, for audit records
+   * @private
+   */
+  describe(event) {
+    const start = DateUtil.toDateKey(event.startDate);
+    const end = DateUtil.toDateKey(event.endDate);
+    const range = start === end ? start : `${start} to ${end}`;
+
+    if (event.scope === CALENDAR_EVENT_SCOPES.SECTION)
+      return `section ${event.section} on ${range}`;
+    if (event.scope === CALENDAR_EVENT_SCOPES.SUBJECT) return `the subject on ${range}`;
+    return `the whole school on ${range}`;
+  }
+
+  /**
+   * Populate event references
+   * @private
+   */
+  populate(query) {
+    return query
+      .populate('subject', 'subjectCode subjectName section')
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email');
+  }
+}
+
+module.exports = new CalendarEventService();
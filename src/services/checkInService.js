@@ -0,0 +1,251 @@
+const { CheckInWindow, Subject, Student, Record } = require('../models');
+const {
+  CHECK_IN_WINDOW,
+  ATTENDANCE_SOURCES,
+  RECORD_TYPES,
+  ERROR_MESSAGES,
+} = require('../config/constants');
+const logger = require('../utils/logger');
+const ScheduleUtil = require('../utils/scheduleUtil');
+const DateUtil = require('../utils/dateUtil');
+const subjectService = require('./subjectService');
+const subjectAttendanceService = require('./subjectAttendanceService');
+
+/**
+ * Check-In Service
+ * Handles QR self check-in: teachers open a window and display a rotating QR code,
+ * students scan it and check themselves in
+ */
+class CheckInService {
+  /**
+   * Open a check-in window for a subject session
+   * Any window still open for the subject is closed first
+   * @param {Object} windowData - subjectId, optional scheduleSlot and durationMinutes
+   * @param {Object} user - Teacher opening the window
+   * @returns {Promise<Object>} { window, qr }
+   */
+  async openWindow(windowData, user) {
+    try {
+      const { subjectId, durationMinutes = CHECK_IN_WINDOW.DEFAULT_DURATION_MINUTES } = windowData;
+      const now = new Date();
+
+      const subject = await Subject.findOne({ _id: subjectId, isActive: true });
+      if (!subject) {
+        const error = new Error(ERROR_MESSAGES.SUBJECT_NOT_FOUND);
+        error.statusCode = 404;
+        throw error;
+      }
+
+      // Default to the schedule slot running now, if any
+      let { scheduleSlot } = windowData;
+      if (scheduleSlot === undefined) {
+        const match = ScheduleUtil.findOpenSlot(subject, now);
+        scheduleSlot = match ? match.slot.slotName || null : null;
+      }
+
+      await CheckInWindow.updateMany(
+        { subject: subject._id, closedAt: null, closesAt: { $gt: now } },
+        { closedAt: now, closedBy: user._id }
+      );
+
+      const date = DateUtil.startOfDay(now);
+
+      const window = await CheckInWindow.create({
+        subject: subject._id,
+        scheduleSlot: scheduleSlot || null,
+        date,
+        openedBy: user._id,
+        opensAt: now,
+        closesAt: new Date(now.getTime() + durationMinutes * 60 * 1000),
+        secret: CheckInWindow.generateSecret(),
+      });
+
+      const scheduleInfo = window.scheduleSlot ? ` (${window.scheduleSlot})` : '';
+      await Record.create({
+        subject: subject._id,
+        recordType: RECORD_TYPES.CHECK_IN_WINDOW_OPENED,
+        recordData: `Check-in window opened for ${subject.subjectName}${scheduleInfo}`,
+        performedBy: user._id,
+        metadata: { windowId: window._id, closesAt: window.closesAt },
+      });
+
+      logger.info(
+        `Check-in window ${window._id} opened for subject ${subject._id} by ${user.email}`
+      );
+
+      return { window: window.toJSON(), qr: window.generateToken(now) };
+    } catch (error) {
+      logger.error('Error in openWindow:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the current QR token of an open window
+   * @param {String} windowId - Window ID
+   * @param {Object} user - Teacher displaying the code
+   * @returns {Promise<Object>} { window, qr }
+   */
+  async getQrToken(windowId, user) {
+    try {
+      const window = await this.getAccessibleWindow(windowId, user);
+
+      if (!window.isOpen()) {
+        const error = new Error(ERROR_MESSAGES.CHECK_IN_WINDOW_CLOSED);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      return { window: window.toJSON(), qr: window.generateToken() };
+    } catch (error) {
+      logger.error('Error in getQrToken:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close a window before it expires
+   * @param {String} windowId - Window ID
+   * @param {Object} user - Teacher closing the window
+   * @returns {Promise<Object>} Closed window
+   */
+  async closeWindow(windowId, user) {
+    try {
+      const window = await this.getAccessibleWindow(windowId, user);
+
+      if (window.isOpen()) {
+        window.closedAt = new Date();
+        window.closedBy = user._id;
+        await window.save();
+
+        await Record.create({
+          subject: window.subject,
+          recordType: RECORD_TYPES.CHECK_IN_WINDOW_CLOSED,
+          recordData: 'Check-in window closed',
+          performedBy: user._id,
+          metadata: { windowId: window._id },
+        });
+      }
+
+      return window.toJSON();
+    } catch (error) {
+      logger.error('Error in closeWindow:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check a student in with a scanned QR token
+   * The status is derived from the schedule slot start and the subject's attendance policy,
+   * or from the window opening time when the window is not tied to a scheduled slot
+   * Each client (device ID, or IP without one) can use a token for one student only
+   * @param {Object} checkInData - token, studentNumber, email
+   * @param {Object} context - Request context (ip, optional deviceId)
+   * @returns {Promise<Object>} { attendance, isUpdate }
+   */
+  async checkIn(checkInData, context = {}) {
+    try {
+      const { token, studentNumber, email } = checkInData;
+      const now = new Date();
+
+      const parsed = CheckInWindow.parseToken(token);
+      const window = parsed
+        ? await CheckInWindow.findById(parsed.windowId).select('+secret')
+        : null;
+
+      if (!window || !window.verifyToken(token, now)) {
+        const error = new Error(ERROR_MESSAGES.CHECK_IN_TOKEN_INVALID);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      if (!window.isOpen(now)) {
+        const error = new Error(ERROR_MESSAGES.CHECK_IN_WINDOW_CLOSED);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const student = await Student.findOne({
+        studentNumber: String(studentNumber).trim(),
+        email: String(email).trim().toLowerCase(),
+        isActive: true,
+      });
+      if (!student) {
+        const error = new Error(ERROR_MESSAGES.CHECK_IN_STUDENT_INVALID);
+        error.statusCode = 404;
+        throw error;
+      }
+
+      // A forwarded code cannot be used to check a whole group in from one phone
+      const client = context.deviceId ? `device:${context.deviceId}` : `ip:${context.ip}`;
+      if (!(await CheckInWindow.claimToken(window._id, parsed.step, client, student._id))) {
+        const error = new Error(ERROR_MESSAGES.CHECK_IN_CLIENT_USED);
+        error.statusCode = 409;
+        throw error;
+      }
+
+      const subject = await Subject.findById(window.subject);
+      const slotMinutesLate = ScheduleUtil.getMinutesLate(subject, window.scheduleSlot, now);
+      const minutesLate =
+        slotMinutesLate !== null
+          ? slotMinutesLate
+          : Math.floor((now.getTime() - window.opensAt.getTime()) / 60000);
+      const status = ScheduleUtil.classifyCheckIn(minutesLate, ScheduleUtil.getPolicy(subject));
+
+      await subjectAttendanceService.assertNotRecorded(
+        student._id,
+        subject._id,
+        window.date,
+        window.scheduleSlot
+      );
+
+      // Enrollment is validated by markSubjectAttendance; the teacher who opened the window
+      // is recorded as the marker
+      const result = await subjectAttendanceService.markSubjectAttendance(
+        {
+          subjectId: subject._id,
+          studentId: student._id,
+          date: window.date,
+          status,
+          scheduleSlot: window.scheduleSlot,
+          source: ATTENDANCE_SOURCES.QR,
+          recordedAt: now,
+          minutesLate,
+        },
+        window.openedBy
+      );
+
+      logger.info(
+        `QR check-in: student ${student.studentNumber} in window ${window._id} from ${context.ip}`
+      );
+
+      return result;
+    } catch (error) {
+      logger.error('Error in checkIn:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Load a window the user may manage (via access to its subject)
+   * @param {String} windowId - Window ID
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>} Window document (with secret)
+   * @private
+   */
+  async getAccessibleWindow(windowId, user) {
+    const window = await CheckInWindow.findById(windowId).select('+secret');
+
+    if (!window) {
+      const error = new Error(ERROR_MESSAGES.CHECK_IN_WINDOW_NOT_FOUND);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    await subjectService.assertSubjectAccess(user, window.subject);
+
+    return window;
+  }
+}
+
+module.exports = new CheckInService();
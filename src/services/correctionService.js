@@ -0,0 +1,463 @@
+const {
+  AttendanceCorrection,
+  Attendance,
+  Student,
+  Subject,
+  Record,
+  Notification,
+  User,
+} = require('../models');
+const {
+  CORRECTION_STATUS,
+  CORRECTION_REQUESTER_TYPES,
+  RECORD_TYPES,
+  ERROR_MESSAGES,
+  NOTIFICATION_TYPES,
+} = require('../config/constants');
+const { PERMISSIONS, roleHasPermission } = require('../config/permissions');
+const ValidationUtil = require('../utils/validationUtil');
+const FileStorageUtil = require('../utils/fileStorageUtil');
+const EmailUtil = require('../utils/emailUtil');
+const DateUtil = require('../utils/dateUtil');
+const logger = require('../utils/logger');
+const attendanceService = require('./attendanceService');
+const subjectService = require('./subjectService');
+
+const ATTACHMENT_FOLDER = 'corrections';
+
+/**
+ * Correction Service
+ * Handles attendance correction requests: filing, review and applying approved changes
+ */
+class CorrectionService {
+  /**
+   * File a correction request as a staff member
+   * @param {Object} requestData - attendanceId, proposedStatus, reason
+   * @param {Array<Object>} files - Uploaded attachments
+   * @param {Object} user - Requesting user
+   * @returns {Promise<Object>} Created correction request
+   */
+  async requestCorrection(requestData, files, user) {
+    try {
+      await subjectService.assertAttendanceAccess(user, requestData.attendanceId);
+
+      const attendance = await Attendance.findById(requestData.attendanceId);
+
+      return await this.createCorrection(attendance, requestData, files, {
+        requesterType: CORRECTION_REQUESTER_TYPES.STAFF,
+        requestedBy: user._id,
+        requesterName: user.name,
+        requesterEmail: user.email,
+      });
+    } catch (error) {
+      logger.error('Error in requestCorrection:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * File a correction request as a student or guardian (no account)
+   * The email must be the student's or the guardian's email on file
+   * @param {Object} requestData - studentNumber, email, subjectCode, date, scheduleSlot,
+   *   proposedStatus, reason
+   * @param {Array<Object>} files - Uploaded attachments
+   * @returns {Promise<Object>} Created correction request
+   */
+  async requestCorrectionPublic(requestData, files) {
+    try {
+      const { studentNumber, subjectCode, date, scheduleSlot } = requestData;
+      const email = String(requestData.email).trim().toLowerCase();
+
+      const student = await Student.findOne({ studentNumber: String(studentNumber).trim() });
+      const isStudent = student && student.email === email;
+      const isGuardian = student && student.guardianEmail === email;
+      // The code may exist in several terms; the record's date picks the right one
+      const subjectIds = await Subject.distinct('_id', {
+        subjectCode: String(subjectCode).toUpperCase(),
+      });
+
+      if ((!isStudent && !isGuardian) || subjectIds.length === 0) {
+        const error = new Error(ERROR_MESSAGES.CORRECTION_RECORD_NOT_FOUND);
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const dayStart = DateUtil.startOfDay(date);
+      const query = {
+        student: student._id,
+        subject: { $in: subjectIds },
+        date: { $gte: dayStart, $lt: DateUtil.addDays(dayStart, 1) },
+        // Departure scans mirror the arrival's status
+        timeSlot: { $ne: 'departure' },
+      };
+      if (scheduleSlot) query.scheduleSlot = scheduleSlot;
+
+      const records = await Attendance.find(query).limit(2);
+
+      if (records.length === 0) {
+        const error = new Error(ERROR_MESSAGES.CORRECTION_RECORD_NOT_FOUND);
+        error.statusCode = 404;
+        throw error;
+      }
+      if (records.length > 1) {
+        const error = new Error(ERROR_MESSAGES.CORRECTION_RECORD_AMBIGUOUS);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      return await this.createCorrection(records[0], requestData, files, {
+        requesterType: isStudent
+          ? CORRECTION_REQUESTER_TYPES.STUDENT
+          : CORRECTION_REQUESTER_TYPES.GUARDIAN,
+        requesterName: isStudent ? student.fullName : student.guardianName,
+        requesterEmail: email,
+      });
+    } catch (error) {
+      logger.error('Error in requestCorrectionPublic:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get correction requests visible to a user
+   * Reviewers with attendance:review-corrections see every request; others see requests
+   * for subjects they can access and requests they filed
+   * @param {Object} filters - status, subjectId, studentId
+   * @param {Object} pagination - Pagination options
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>} Paginated correction requests
+   */
+  async getCorrections(filters, pagination, user) {
+    try {
+      const { page = 1, limit = 10 } = ValidationUtil.validatePagination(pagination);
+      const skip = (page - 1) * limit;
+
+      const query = {};
+      if (filters.status) query.status = filters.status;
+      if (filters.subjectId) query.subject = filters.subjectId;
+      if (filters.studentId) query.student = filters.studentId;
+
+      if (!roleHasPermission(user.role, PERMISSIONS.ATTENDANCE_REVIEW_CORRECTIONS)) {
+        const subjectIds = await subjectService.getAccessibleSubjectIds(user);
+        if (subjectIds) {
+          query.$or = [{ subject: { $in: subjectIds } }, { requestedBy: user._id }];
+        }
+      }
+
+      const [corrections, total] = await Promise.all([
+        this.populate(AttendanceCorrection.find(query))
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        AttendanceCorrection.countDocuments(query),
+      ]);
+
+      return {
+        corrections,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+      };
+    } catch (error) {
+      logger.error('Error in getCorrections:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a correction request
+   * @param {String} id - Correction request ID
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>} Correction request
+   */
+  async getCorrectionById(id, user) {
+    try {
+      const correction = await this.getVisibleCorrection(id, user);
+      return await this.populate(AttendanceCorrection.findById(correction._id)).lean();
+    } catch (error) {
+      logger.error('Error in getCorrectionById:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the file of a correction request attachment
+   * @param {String} id - Correction request ID
+   * @param {String} attachmentId - Attachment ID
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>} { path, name }
+   */
+  async getAttachment(id, attachmentId, user) {
+    try {
+      const correction = await this.getVisibleCorrection(id, user);
+      const attachment = correction.attachments.id(attachmentId);
+
+      if (!attachment) {
+        const error = new Error(ERROR_MESSAGES.ATTACHMENT_NOT_FOUND);
+        error.statusCode = 404;
+        throw error;
+      }
+
+      return { path: FileStorageUtil.resolve(attachment), name: attachment.originalName };
+    } catch (error) {
+      logger.error('Error in getAttachment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve or reject a correction request
+   * An approved change is applied through attendanceService.updateAttendance, and the
+   * resulting history entry links back to the request
+   * @param {String} id - Correction request ID
+   * @param {Boolean} approve - true to approve, false to reject
+   * @param {String} note - Optional reviewer note
+   * @param {Object} user - Reviewer
+   * @returns {Promise<Object>} Reviewed correction request
+   */
+  async reviewCorrection(id, approve, note, user) {
+    try {
+      const correction = await AttendanceCorrection.findById(id);
+
+      if (!correction) {
+        const error = new Error(ERROR_MESSAGES.CORRECTION_NOT_FOUND);
+        error.statusCode = 404;
+        throw error;
+      }
+
+      if (correction.status !== CORRECTION_STATUS.PENDING) {
+        const error = new Error(ERROR_MESSAGES.CORRECTION_NOT_PENDING);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      await this.assertReviewer(correction, user);
+
+      // Claim the request before applying it, so concurrent reviews cannot both go through
+      const review = {
+        status: approve ? CORRECTION_STATUS.APPROVED : CORRECTION_STATUS.REJECTED,
+        reviewedBy: user._id,
+        reviewedAt: new Date(),
+      };
+      if (note) review.reviewNote = note;
+      const claimed = await AttendanceCorrection.findOneAndUpdate(
+        { _id: correction._id, status: CORRECTION_STATUS.PENDING },
+        review,
+        { new: true }
+      );
+      if (!claimed) {
+        const error = new Error(ERROR_MESSAGES.CORRECTION_NOT_PENDING);
+        error.statusCode = 400;
+        throw error;
+      }
+      Object.assign(correction, review);
+
+      if (approve) {
+        try {
+          await attendanceService.updateAttendance(
+            correction.attendance,
+            { status: correction.proposedStatus },
+            user._id,
+            { correctionId: correction._id }
+          );
+        } catch (error) {
+          // Hand the request back for review when the change could not be applied
+          await AttendanceCorrection.updateOne(
+            { _id: correction._id },
+            {
+              $set: { status: CORRECTION_STATUS.PENDING },
+              $unset: { reviewedBy: 1, reviewedAt: 1, reviewNote: 1 },
+            }
+          );
+          throw error;
+        }
+      }
+
+      await Record.create({
+        student: correction.student,
+        subject: correction.subject,
+        recordType: approve ? RECORD_TYPES.CORRECTION_APPROVED : RECORD_TYPES.CORRECTION_REJECTED,
+        recordData: `Correction to ${correction.proposedStatus} ${correction.status}`,
+        performedBy: user._id,
+        metadata: { correctionId: correction._id, attendanceId: correction.attendance },
+      });
+
+      logger.info(`Correction request ${correction._id} ${correction.status} by ${user.email}`);
+
+      setImmediate(() => {
+        this.notifyRequester(correction).catch((notifyError) => {
+          logger.error('Failed to notify correction requester:', notifyError);
+        });
+      });
+
+      return await this.populate(AttendanceCorrection.findById(correction._id)).lean();
+    } catch (error) {
+      logger.error('Error in reviewCorrection:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate and store a correction request for an attendance record
+   * @private
+   */
+  async createCorrection(attendance, requestData, files, requester) {
+    if (!attendance) {
+      const error = new Error(ERROR_MESSAGES.ATTENDANCE_NOT_FOUND);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (attendance.status === requestData.proposedStatus) {
+      const error = new Error(ERROR_MESSAGES.CORRECTION_SAME_STATUS);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const pending = await AttendanceCorrection.exists({
+      attendance: attendance._id,
+      status: CORRECTION_STATUS.PENDING,
+    });
+    if (pending) {
+      const error = new Error(ERROR_MESSAGES.CORRECTION_ALREADY_PENDING);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    FileStorageUtil.validate(files);
+    const attachments = await FileStorageUtil.save(files, ATTACHMENT_FOLDER);
+
+    let correction;
+    try {
+      correction = await AttendanceCorrection.create({
+        attendance: attendance._id,
+        student: attendance.student,
+        subject: attendance.subject,
+        currentStatus: attendance.status,
+        proposedStatus: requestData.proposedStatus,
+        reason: requestData.reason,
+        attachments,
+        ...requester,
+      });
+    } catch (error) {
+      await FileStorageUtil.remove(attachments);
+      throw error;
+    }
+
+    await Record.create({
+      student: attendance.student,
+      subject: attendance.subject,
+      recordType: RECORD_TYPES.CORRECTION_REQUESTED,
+      recordData: `Correction from ${attendance.status} to ${correction.proposedStatus} requested by ${correction.requesterType}`,
+      performedBy: requester.requestedBy,
+      metadata: { correctionId: correction._id, attendanceId: attendance._id },
+    });
+
+    logger.info(`Correction request ${correction._id} filed for attendance ${attendance._id}`);
+
+    return correction.toObject();
+  }
+
+  /**
+   * Load a correction request the user may see
+   * @private
+   */
+  async getVisibleCorrection(id, user) {
+    const correction = await AttendanceCorrection.findById(id);
+
+    if (!correction) {
+      const error = new Error(ERROR_MESSAGES.CORRECTION_NOT_FOUND);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const isRequester = correction.requestedBy && correction.requestedBy.equals(user._id);
+    if (!isRequester && !roleHasPermission(user.role, PERMISSIONS.ATTENDANCE_REVIEW_CORRECTIONS)) {
+      await subjectService.assertSubjectAccess(user, correction.subject);
+    }
+
+    return correction;
+  }
+
+  /**
+   * Ensure a user may review a correction request: an admin reviewer or one of the
+   * subject's instructors, and never the requester
+   * @private
+   */
+  async assertReviewer(correction, user) {
+    if (correction.requestedBy && correction.requestedBy.equals(user._id)) {
+      const error = new Error(ERROR_MESSAGES.CORRECTION_SELF_REVIEW);
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (roleHasPermission(user.role, PERMISSIONS.ATTENDANCE_REVIEW_CORRECTIONS)) {
+      return;
+    }
+
+    const subject = correction.subject
+      ? await Subject.findById(correction.subject).select('instructor coInstructors')
+      : null;
+
+    if (!subject || !subject.isTaughtBy(user._id)) {
+      const error = new Error(ERROR_MESSAGES.CORRECTION_REVIEW_DENIED);
+      error.statusCode = 403;
+      throw error;
+    }
+  }
+
+  /**
+   * Tell the requester the outcome: an in-app notification for staff, an email otherwise
+   * @private
+   */
+  async notifyRequester(correction) {
+    const approved = correction.status === CORRECTION_STATUS.APPROVED;
+    const [student, subject] = await Promise.all([
+      Student.findById(correction.student),
+      correction.subject ? Subject.findById(correction.subject) : null,
+    ]);
+    const studentName = student ? student.fullName : 'the student';
+    const attendance = await Attendance.findById(correction.attendance).select('date').lean();
+
+    if (correction.requestedBy) {
+      const requester = await User.findById(correction.requestedBy).select('isActive');
+      if (!requester || !requester.isActive) return;
+
+      await Notification.createNotification(correction.requestedBy, {
+        student: correction.student,
+        type: NOTIFICATION_TYPES.SYSTEM,
+        title: `Correction ${correction.status}: ${studentName}`,
+        message: `Your request to change ${studentName}'s attendance to ${correction.proposedStatus}${
+          subject ? ` in ${subject.subjectName}` : ''
+        } was ${correction.status}${correction.reviewNote ? `: ${correction.reviewNote}` : ''}`,
+        metadata: { correctionId: correction._id },
+      });
+      return;
+    }
+
+    if (correction.requesterEmail) {
+      await EmailUtil.sendCorrectionOutcomeEmail(correction.requesterEmail, {
+        studentName,
+        subject: subject ? `${subject.subjectCode} - ${subject.subjectName}` : null,
+        date: attendance ? attendance.date : correction.createdAt,
+        proposedStatus: correction.proposedStatus,
+        approved,
+        note: correction.reviewNote,
+      });
+    }
+  }
+
+  /**
+   * Populate the references shown in correction responses
+   * @private
+   */
+  populate(query) {
+    return query
+      .populate('attendance', 'date status timeSlot scheduleSlot')
+      .populate('student', 'studentNumber firstName lastName')
+      .populate('subject', 'subjectCode subjectName')
+      .populate('requestedBy', 'name email')
+      .populate('reviewedBy', 'name email');
+  }
+}
+
+module.exports = new CorrectionService();
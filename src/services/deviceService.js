@@ -0,0 +1,136 @@
+const { Device, User, Record } = require('../models');
+const { KIOSK, RECORD_TYPES, ERROR_MESSAGES } = require('../config/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Device Service
+ * Handles business logic for kiosk / card reader devices
+ */
+class DeviceService {
+  /**
+   * Register a device
+   * The plain key is only returned here; it is stored hashed
+   * @param {Object} deviceData - Device data (name, room, building)
+   * @param {Object} user - Admin registering the device (scans are recorded as this user)
+   * @returns {Promise<Object>} Registered device and the plain key
+   */
+  async registerDevice(deviceData, user) {
+    try {
+      const { name, room, building } = deviceData;
+      const key = Device.generateKey();
+
+      const device = await Device.create({
+        name,
+        room: room || undefined,
+        building: building || undefined,
+        prefix: key.slice(0, KIOSK.DEVICE_KEY_PREFIX_LENGTH),
+        keyHash: Device.hashKey(key),
+        createdBy: user._id,
+      });
+
+      await Record.create({
+        recordType: RECORD_TYPES.DEVICE_REGISTERED,
+        recordData: `Device "${device.name}" (${device.prefix}) registered`,
+        performedBy: user._id,
+        metadata: { deviceId: device._id, room: device.room, building: device.building },
+      });
+
+      logger.info(`Device registered: ${device.name} (${device.prefix}) by ${user.email}`);
+
+      return { device: device.toJSON(), key };
+    } catch (error) {
+      logger.error('Error in registerDevice:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all devices
+   * @returns {Promise<Array>} Devices (without secrets)
+   */
+  async getDevices() {
+    try {
+      const devices = await Device.find()
+        .populate('createdBy', 'name email')
+        .populate('revokedBy', 'name email')
+        .sort({ createdAt: -1 });
+
+      return devices.map((device) => device.toJSON());
+    } catch (error) {
+      logger.error('Error in getDevices:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a device
+   * @param {String} id - Device ID
+   * @param {String} userId - Admin revoking the device
+   * @returns {Promise<Object>} Revoked device
+   */
+  async revokeDevice(id, userId) {
+    try {
+      const device = await Device.findById(id);
+
+      if (!device) {
+        const error = new Error(ERROR_MESSAGES.DEVICE_NOT_FOUND);
+        error.statusCode = 404;
+        throw error;
+      }
+
+      if (!device.revokedAt) {
+        device.revokedAt = new Date();
+        device.revokedBy = userId;
+        await device.save();
+
+        await Record.create({
+          recordType: RECORD_TYPES.DEVICE_REVOKED,
+          recordData: `Device "${device.name}" (${device.prefix}) revoked`,
+          performedBy: userId,
+          metadata: { deviceId: device._id },
+        });
+
+        logger.info(`Device revoked: ${device.name} (${device.prefix}) by user ${userId}`);
+      }
+
+      return device.toJSON();
+    } catch (error) {
+      logger.error('Error in revokeDevice:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a raw device key to the device and the user its scans are recorded as
+   * @param {String} key - Plain device key from the request
+   * @param {String} ipAddress - Client IP address
+   * @returns {Promise<Object|null>} { device, user }, or null when the key cannot be used
+   */
+  async authenticate(key, ipAddress) {
+    const device = await Device.findByKey(key);
+
+    if (!device || !device.isActive()) {
+      return null;
+    }
+
+    const user = await User.findById(device.createdBy).select('-password -refreshToken');
+
+    if (!user || !user.isActive) {
+      return null;
+    }
+
+    // Throttle lastSeenAt writes; readers may scan many cards a minute
+    const now = new Date();
+    if (!device.lastSeenAt || now - device.lastSeenAt > KIOSK.DEVICE_LAST_SEEN_INTERVAL_MS) {
+      device.lastSeenAt = now;
+      device.lastSeenIp = ipAddress;
+      Device.updateOne({ _id: device._id }, { lastSeenAt: now, lastSeenIp: ipAddress }).catch(
+        (error) => logger.error(`Failed to update device last seen: ${error.message}`)
+      );
+    }
+
+    return { device, user };
+  }
+}
+
+module.exports = new DeviceService();
@@ -1,6 +1,7 @@
 const { Enrollment, Student, Subject, Record } = require('../models');
 const { RECORD_TYPES, ERROR_MESSAGES } = require('../config/constants');
 const logger = require('../utils/logger');
+const academicTermService = require('./academicTermService');
 
 /**
  * Enrollment Service
@@ -48,6 +49,7 @@ class EnrollmentService {
           existingEnrollment.isActive = true;
           existingEnrollment.enrollmentDate = new Date();
           existingEnrollment.enrolledBy = userId;
+          existingEnrollment.term = subject.term;
           await existingEnrollment.save();
 
           logger.info(
@@ -69,6 +71,7 @@ class EnrollmentService {
         student: studentId,
         subject: subjectId,
         enrolledBy: userId,
+        term: subject.term,
       });
 
       // Create activity record
@@ -293,9 +296,10 @@ class EnrollmentService {
   /**
    * Get all enrollments for a student
    * @param {String} studentId - Student ID
+   * @param {String} term - Term ID or 'all' (defaults to the active term)
    * @returns {Promise<Array>} Student's enrollments
    */
-  async getStudentEnrollments(studentId) {
+  async getStudentEnrollments(studentId, term) {
     try {
       const student = await Student.findById(studentId);
       if (!student) {
@@ -304,10 +308,11 @@ class EnrollmentService {
         throw error;
       }
 
-      const enrollments = await Enrollment.find({
-        student: studentId,
-        isActive: true,
-      })
+      const query = { student: studentId, isActive: true };
+      const resolvedTerm = await academicTermService.resolveTerm(term);
+      if (resolvedTerm) query.term = resolvedTerm._id;
+
+      const enrollments = await Enrollment.find(query)
         .populate('subject', 'subjectCode subjectName yearLevel section')
         .populate('enrolledBy', 'name email')
         .sort({ enrollmentDate: -1 })
@@ -0,0 +1,404 @@
+const mongoose = require('mongoose');
+const { Excuse, Attendance, Student, Subject, Record } = require('../models');
+const {
+  EXCUSE_STATUS,
+  ATTENDANCE_STATUS,
+  RECORD_TYPES,
+  ERROR_MESSAGES,
+} = require('../config/constants');
+const ValidationUtil = require('../utils/validationUtil');
+const FileStorageUtil = require('../utils/fileStorageUtil');
+const DateUtil = require('../utils/dateUtil');
+const logger = require('../utils/logger');
+const attendanceLockService = require('./attendanceLockService');
+
+const ATTACHMENT_FOLDER = 'excuses';
+
+/**
+ * Excuse Service
+ * Handles excuse letters and turning the absences they cover into excused records
+ */
+class ExcuseService {
+  /**
+   * Submit an excuse letter for a student
+   * @param {Object} excuseData - studentId, startDate, endDate, subjects, category, reason
+   * @param {Array<Object>} files - Uploaded attachments
+   * @param {String} userId - User submitting the excuse
+   * @returns {Promise<Object>} Created excuse
+   */
+  async submitExcuse(excuseData, files, userId) {
+    try {
+      const { studentId, category, reason } = excuseData;
+      const startDate = DateUtil.startOfDay(excuseData.startDate);
+      const endDate = DateUtil.startOfDay(excuseData.endDate || excuseData.startDate);
+
+      if (endDate < startDate) {
+        const error = new Error(ERROR_MESSAGES.EXCUSE_INVALID_RANGE);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const student = await Student.findById(studentId);
+      if (!student) {
+        const error = new Error(ERROR_MESSAGES.STUDENT_NOT_FOUND);
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const subjects = this.parseSubjectIds(excuseData.subjects);
+      if (subjects.length > 0) {
+        const found = await Subject.countDocuments({ _id: { $in: subjects } });
+        if (found !== subjects.length) {
+          const error = new Error(ERROR_MESSAGES.SUBJECT_NOT_FOUND);
+          error.statusCode = 404;
+          throw error;
+        }
+      }
+
+      FileStorageUtil.validate(files);
+      const attachments = await FileStorageUtil.save(files, ATTACHMENT_FOLDER);
+
+      let excuse;
+      try {
+        excuse = await Excuse.create({
+          student: studentId,
+          startDate,
+          endDate,
+          subjects,
+          category,
+          reason,
+          attachments,
+          submittedBy: userId,
+        });
+      } catch (error) {
+        await FileStorageUtil.remove(attachments);
+        throw error;
+      }
+
+      await Record.create({
+        student: studentId,
+        recordType: RECORD_TYPES.EXCUSE_SUBMITTED,
+        recordData: `Excuse (${category}) submitted for ${student.fullName} covering ${this.formatRange(excuse)}`,
+        performedBy: userId,
+        metadata: { excuseId: excuse._id },
+      });
+
+      logger.info(`Excuse ${excuse._id} submitted for student ${studentId} by ${userId}`);
+
+      return await this.populate(Excuse.findById(excuse._id)).lean();
+    } catch (error) {
+      logger.error('Error in submitExcuse:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get excuses with filters and pagination
+   * @param {Object} filters - status, studentId, subjectId, category, startDate, endDate
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Paginated excuses
+   */
+  async getExcuses(filters, pagination) {
+    try {
+      const { page = 1, limit = 10 } = ValidationUtil.validatePagination(pagination);
+      const skip = (page - 1) * limit;
+
+      const query = {};
+      if (filters.status) query.status = filters.status;
+      if (filters.studentId) query.student = filters.studentId;
+      if (filters.category) query.category = filters.category;
+      // Excuses for every subject also cover the requested one
+      if (filters.subjectId) {
+        query.$or = [{ subjects: { $size: 0 } }, { subjects: filters.subjectId }];
+      }
+      // Excuses overlapping the requested period
+      if (filters.startDate) query.endDate = { $gte: DateUtil.startOfDay(filters.startDate) };
+      if (filters.endDate) query.startDate = { $lte: DateUtil.startOfDay(filters.endDate) };
+
+      const [excuses, total] = await Promise.all([
+        this.populate(Excuse.find(query)).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+        Excuse.countDocuments(query),
+      ]);
+
+      return {
+        excuses,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+      };
+    } catch (error) {
+      logger.error('Error in getExcuses:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get every excuse of a student with the number of records each one excused
+   * @param {String} studentId - Student ID
+   * @returns {Promise<Object>} { student, excuses }
+   */
+  async getStudentExcuses(studentId) {
+    try {
+      const student = await Student.findById(studentId)
+        .select('studentNumber firstName lastName section')
+        .lean();
+
+      if (!student) {
+        const error = new Error(ERROR_MESSAGES.STUDENT_NOT_FOUND);
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const [excuses, counts] = await Promise.all([
+        this.populate(Excuse.find({ student: studentId }))
+          .sort({ startDate: -1 })
+          .lean(),
+        Attendance.aggregate([
+          {
+            $match: {
+              student: new mongoose.Types.ObjectId(studentId),
+              excuse: { $exists: true },
+            },
+          },
+          { $group: { _id: '$excuse', count: { $sum: 1 } } },
+        ]),
+      ]);
+
+      const countByExcuse = new Map(counts.map((count) => [count._id.toString(), count.count]));
+
+      return {
+        student,
+        excuses: excuses.map((excuse) => ({
+          ...excuse,
+          excusedCount: countByExcuse.get(excuse._id.toString()) || 0,
+        })),
+      };
+    } catch (error) {
+      logger.error('Error in getStudentExcuses:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an excuse
+   * @param {String} id - Excuse ID
+   * @returns {Promise<Object>} Excuse
+   */
+  async getExcuseById(id) {
+    try {
+      const excuse = await this.populate(Excuse.findById(id)).lean();
+
+      if (!excuse) {
+        const error = new Error(ERROR_MESSAGES.EXCUSE_NOT_FOUND);
+        error.statusCode = 404;
+        throw error;
+      }
+
+      return excuse;
+    } catch (error) {
+      logger.error('Error in getExcuseById:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the file of an excuse attachment
+   * @param {String} id - Excuse ID
+   * @param {String} attachmentId - Attachment ID
+   * @returns {Promise<Object>} { path, name }
+   */
+  async getAttachment(id, attachmentId) {
+    try {
+      const excuse = await Excuse.findById(id);
+      const attachment = excuse && excuse.attachments.id(attachmentId);
+
+      if (!attachment) {
+        const error = new Error(
+          excuse ? ERROR_MESSAGES.ATTACHMENT_NOT_FOUND : ERROR_MESSAGES.EXCUSE_NOT_FOUND
+        );
+        error.statusCode = 404;
+        throw error;
+      }
+
+      return { path: FileStorageUtil.resolve(attachment), name: attachment.originalName };
+    } catch (error) {
+      logger.error('Error in getAttachment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve or reject an excuse
+   * Approval turns the student's absent records in the range into excused ones; absences
+   * recorded later in the range are excused when they are marked
+   * @param {String} id - Excuse ID
+   * @param {Boolean} approve - true to approve, false to reject
+   * @param {String} note - Optional reviewer note
+   * @param {String} userId - Reviewer
+   * @returns {Promise<Object>} { excuse, excusedCount }
+   */
+  async reviewExcuse(id, approve, note, userId) {
+    try {
+      const excuse = await Excuse.findById(id);
+
+      if (!excuse) {
+        const error = new Error(ERROR_MESSAGES.EXCUSE_NOT_FOUND);
+        error.statusCode = 404;
+        throw error;
+      }
+
+      if (excuse.status !== EXCUSE_STATUS.PENDING) {
+        const error = new Error(ERROR_MESSAGES.EXCUSE_NOT_PENDING);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      // Claim the excuse before applying it, so concurrent reviews cannot both go through
+      const review = {
+        status: approve ? EXCUSE_STATUS.APPROVED : EXCUSE_STATUS.REJECTED,
+        reviewedBy: userId,
+        reviewedAt: new Date(),
+      };
+      if (note) review.reviewNote = note;
+      const claimed = await Excuse.findOneAndUpdate(
+        { _id: excuse._id, status: EXCUSE_STATUS.PENDING },
+        review,
+        { new: true }
+      );
+      if (!claimed) {
+        const error = new Error(ERROR_MESSAGES.EXCUSE_NOT_PENDING);
+        error.statusCode = 400;
+        throw error;
+      }
+      Object.assign(excuse, review);
+
+      const excused = approve ? await this.excuseRecordedAbsences(excuse, userId) : [];
+
+      await Record.create({
+        student: excuse.student,
+        recordType: approve ? RECORD_TYPES.EXCUSE_APPROVED : RECORD_TYPES.EXCUSE_REJECTED,
+        recordData: approve
+          ? `Excuse covering ${this.formatRange(excuse)} approved; ${excused.length} absence(s) excused`
+          : `Excuse covering ${this.formatRange(excuse)} rejected`,
+        performedBy: userId,
+        metadata: { excuseId: excuse._id, attendanceIds: excused.map((record) => record._id) },
+      });
+
+      logger.info(`Excuse ${excuse._id} ${excuse.status} by ${userId}`);
+
+      return {
+        excuse: await this.populate(Excuse.findById(excuse._id)).lean(),
+        excusedCount: excused.length,
+      };
+    } catch (error) {
+      logger.error('Error in reviewExcuse:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the status to store for a new mark: absences covered by an approved excuse
+   * become excused
+   * @param {String} studentId - Student ID
+   * @param {String} subjectId - Subject ID (optional)
+   * @param {Date} date - Attendance date
+   * @param {String} status - Requested status
+   * @returns {Promise<Object>} { status, excuse }
+   */
+  async resolveStatus(studentId, subjectId, date, status) {
+    if (status !== ATTENDANCE_STATUS.ABSENT) {
+      return { status, excuse: undefined };
+    }
+
+    const [excuse] = await Excuse.findCovering([studentId], subjectId, date).limit(1);
+
+    return excuse
+      ? { status: ATTENDANCE_STATUS.EXCUSED, excuse: excuse._id }
+      : { status, excuse: undefined };
+  }
+
+  /**
+   * Excuse the absent records already stored in an approved excuse's range, except those
+   * in finalized sessions
+   * @param {Object} excuse - Approved excuse document
+   * @param {String} userId - Reviewer
+   * @returns {Promise<Array>} Updated attendance records
+   * @private
+   */
+  async excuseRecordedAbsences(excuse, userId) {
+    const query = {
+      student: excuse.student,
+      status: ATTENDANCE_STATUS.ABSENT,
+      date: { $gte: excuse.startDate, $lt: DateUtil.addDays(excuse.endDate, 1) },
+    };
+    if (excuse.subjects.length > 0) query.subject = { $in: excuse.subjects };
+
+    const absences = await Attendance.find(query);
+
+    // Finalized sessions are left as they are
+    const lockStates = await Promise.all(
+      absences.map((attendance) =>
+        attendance.subject
+          ? attendanceLockService.getLockState(
+              attendance.subject,
+              attendance.date,
+              attendance.scheduleSlot
+            )
+          : { locked: false }
+      )
+    );
+
+    return Promise.all(
+      absences
+        .filter((attendance, index) => !lockStates[index].locked)
+        .map((attendance) => {
+          attendance.history.push({
+            status: attendance.status,
+            timeSlot: attendance.timeSlot,
+            scheduleSlot: attendance.scheduleSlot,
+            remarks: attendance.remarks,
+            editedAt: new Date(),
+            editedBy: userId,
+            excuse: excuse._id,
+          });
+          attendance.status = ATTENDANCE_STATUS.EXCUSED;
+          attendance.excuse = excuse._id;
+          attendance.editedAt = new Date();
+          attendance.editedBy = userId;
+          return attendance.save();
+        })
+    );
+  }
+
+  /**
+   * Normalize the subjects field (array, comma-separated string or empty)
+   * @private
+   */
+  parseSubjectIds(subjects) {
+    if (!subjects) return [];
+    const ids = Array.isArray(subjects) ? subjects : String(subjects).split(',');
+    return [...new Set(ids.map((subjectId) => String(subjectId).trim()).filter(Boolean))];
+  }
+
+  /**
+   * Describe an excuse's date range for audit records
+   * @private
+   */
+  formatRange(excuse) {
+    const start = DateUtil.toDateKey(excuse.startDate);
+    const end = DateUtil.toDateKey(excuse.endDate);
+    return start === end ? start : `${start} to ${end}`;
+  }
+
+  /**
+   * Populate the references shown in excuse responses
+   * @private
+   */
+  populate(query) {
+    return query
+      .populate('student', 'studentNumber firstName lastName section')
+      .populate('subjects', 'subjectCode subjectName')
+      .populate('submittedBy', 'name email')
+      .populate('reviewedBy', 'name email');
+  }
+}
+
+module.exports = new ExcuseService();
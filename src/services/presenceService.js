@@ -0,0 +1,259 @@
+const { Attendance, Student, Enrollment } = require('../models');
+const { ATTENDANCE_STATUS, ERROR_MESSAGES, KIOSK } = require('../config/constants');
+const DateUtil = require('../utils/dateUtil');
+const ScheduleUtil = require('../utils/scheduleUtil');
+const logger = require('../utils/logger');
+const subjectService = require('./subjectService');
+
+// Longest range a per-student report covers
+const MAX_RANGE_DAYS = 31;
+
+/**
+ * Presence Service
+ * Pairs arrival and departure records into time-on-campus reports. Each subject session
+ * (subject and schedule slot) pairs its earliest arrival with its latest departure; records
+ * without a subject pair up as one campus visit. Only present and late records count
+ */
+class PresenceService {
+  /**
+   * Get a student's daily time-on-campus report
+   * @param {String} studentId - Student ID
+   * @param {Object} range - startDate and endDate (both default to today)
+   * @param {Object} user - Authenticated user (instructors see their subjects only)
+   * @param {Date} now - Current time, to tell ongoing sessions from missing departures
+   * @returns {Promise<Object>} { student, days }, days with records only, oldest first
+   */
+  async getStudentPresence(studentId, range, user, now = new Date()) {
+    try {
+      const student = await Student.findById(studentId)
+        .select('studentNumber firstName lastName section')
+        .lean();
+      if (!student) {
+        const error = new Error(ERROR_MESSAGES.STUDENT_NOT_FOUND);
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const startDate = DateUtil.startOfDay(range.startDate || now);
+      const endDate = DateUtil.startOfDay(range.endDate || range.startDate || now);
+      if (endDate < startDate || endDate > DateUtil.addDays(startDate, MAX_RANGE_DAYS - 1)) {
+        const error = new Error(ERROR_MESSAGES.PRESENCE_INVALID_RANGE);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const records = await this.findRecords([student._id], startDate, endDate, user);
+
+      const byDay = new Map();
+      records.forEach((record) => {
+        const key = DateUtil.toDateKey(record.date);
+        byDay.set(key, [...(byDay.get(key) || []), record]);
+      });
+
+      return {
+        student,
+        days: [...byDay.values()].map((dayRecords) =>
+          this.buildDay(dayRecords, DateUtil.startOfDay(dayRecords[0].date), now)
+        ),
+      };
+    } catch (error) {
+      logger.error('Error in getStudentPresence:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a section's time-on-campus report for one day
+   * @param {String} section - Section
+   * @param {String|Date} date - Day (defaults to today)
+   * @param {Object} user - Authenticated user (instructors see their subjects' students only)
+   * @param {Date} now - Current time, to tell ongoing sessions from missing departures
+   * @returns {Promise<Object>} { section, date, totals, students }
+   */
+  async getSectionPresence(section, date, user, now = new Date()) {
+    try {
+      const dayStart = DateUtil.startOfDay(date || now);
+
+      const studentQuery = { section, status: 'active', isActive: true };
+      const subjectIds = await subjectService.getAccessibleSubjectIds(user);
+      if (subjectIds) {
+        studentQuery._id = {
+          $in: await Enrollment.distinct('student', {
+            subject: { $in: subjectIds },
+            isActive: true,
+          }),
+        };
+      }
+      const students = await Student.find(studentQuery)
+        .select('studentNumber firstName lastName')
+        .sort({ lastName: 1, firstName: 1 })
+        .lean();
+
+      const records = await this.findRecords(
+        students.map((student) => student._id),
+        dayStart,
+        dayStart,
+        user
+      );
+      const recordsByStudent = new Map();
+      records.forEach((record) => {
+        const key = record.student.toString();
+        recordsByStudent.set(key, [...(recordsByStudent.get(key) || []), record]);
+      });
+
+      const rows = students.map((student) => ({
+        student,
+        ...this.buildDay(recordsByStudent.get(student._id.toString()) || [], dayStart, now),
+      }));
+
+      const durations = rows
+        .map((row) => row.minutesOnCampus)
+        .filter((minutes) => minutes !== null);
+
+      return {
+        section,
+        date: DateUtil.toDateKey(dayStart),
+        totals: {
+          students: rows.length,
+          arrived: rows.filter((row) => row.arrivedAt).length,
+          departed: rows.filter((row) => row.departedAt).length,
+          missingDeparture: rows.filter((row) => row.missingDeparture).length,
+          earlyDeparture: rows.filter((row) => row.earlyDeparture).length,
+          averageMinutesOnCampus: durations.length
+            ? Math.round(durations.reduce((sum, minutes) => sum + minutes, 0) / durations.length)
+            : null,
+        },
+        students: rows,
+      };
+    } catch (error) {
+      logger.error('Error in getSectionPresence:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load the present and late records of students between two days (inclusive)
+   * @private
+   */
+  async findRecords(studentIds, startDate, endDate, user) {
+    const query = {
+      student: { $in: studentIds },
+      date: { $gte: startDate, $lt: DateUtil.addDays(endDate, 1) },
+      status: { $in: [ATTENDANCE_STATUS.PRESENT, ATTENDANCE_STATUS.LATE] },
+    };
+
+    const subjectIds = await subjectService.getAccessibleSubjectIds(user);
+    if (subjectIds) query.subject = { $in: subjectIds };
+
+    return Attendance.find(query)
+      .select('student subject date timeSlot scheduleSlot recordedAt createdAt')
+      .populate('subject', 'subjectCode subjectName schedules schedule')
+      .sort({ date: 1, recordedAt: 1 })
+      .lean();
+  }
+
+  /**
+   * Pair one student's records for a day into sessions and a day summary
+   * @private
+   */
+  buildDay(records, dayStart, now) {
+    const visits = new Map();
+    records.forEach((record) => {
+      const subject = record.subject || null;
+      const key = `${subject ? subject._id : 'campus'}:${record.scheduleSlot || ''}`;
+      if (!visits.has(key)) {
+        visits.set(key, {
+          subject,
+          scheduleSlot: record.scheduleSlot || null,
+          arrival: null,
+          departure: null,
+        });
+      }
+
+      // Manual marks have no recorded time; their creation time stands in
+      const visit = visits.get(key);
+      const time = record.recordedAt || record.createdAt;
+      if (record.timeSlot === 'departure') {
+        if (!visit.departure || time > visit.departure) visit.departure = time;
+      } else if (!visit.arrival || time < visit.arrival) {
+        visit.arrival = time;
+      }
+    });
+
+    const sessions = [...visits.values()]
+      .map((visit) => this.describeSession(visit, dayStart, now))
+      .sort((a, b) => (a.arrivedAt || a.departedAt) - (b.arrivedAt || b.departedAt));
+
+    const arrivals = sessions.map((session) => session.arrivedAt).filter(Boolean);
+    const departures = sessions.map((session) => session.departedAt).filter(Boolean);
+    const arrivedAt = arrivals.length ? new Date(Math.min(...arrivals)) : null;
+    const lastArrival = Math.max(...arrivals);
+    const lastDeparture = Math.max(...departures);
+    // A student who came back after their last departure has not left yet (or left unscanned)
+    const departedAt =
+      departures.length && lastDeparture >= lastArrival ? new Date(lastDeparture) : null;
+
+    return {
+      date: DateUtil.toDateKey(dayStart),
+      arrivedAt,
+      departedAt,
+      minutesOnCampus: this.minutesBetween(arrivedAt, departedAt),
+      missingDeparture: sessions.some((session) => session.missingDeparture),
+      earlyDeparture: sessions.some((session) => session.earlyDeparture),
+      sessions,
+    };
+  }
+
+  /**
+   * Compare a session's arrival and departure with its scheduled end
+   * A session without a departure is only flagged once departure scans are no longer
+   * accepted (the slot end plus the departure grace period, or the end of the day)
+   * @private
+   */
+  describeSession(visit, dayStart, now) {
+    const { subject, scheduleSlot, arrival, departure } = visit;
+
+    const slot = subject
+      ? ScheduleUtil.getSlotsForDate(subject, dayStart).find(
+          (candidate) => (candidate.slotName || null) === scheduleSlot
+        )
+      : null;
+    const scheduledEnd =
+      slot && slot.endTime
+        ? new Date(dayStart.getTime() + ScheduleUtil.toMinutes(slot.endTime) * 60000)
+        : null;
+
+    const departureDeadline = scheduledEnd
+      ? new Date(scheduledEnd.getTime() + KIOSK.DEPARTURE_GRACE_MINUTES * 60000)
+      : DateUtil.addDays(dayStart, 1);
+    const minutesEarly =
+      departure && scheduledEnd
+        ? ScheduleUtil.getMinutesEarly(subject, scheduleSlot, departure)
+        : null;
+
+    return {
+      subject: subject
+        ? { id: subject._id, subjectCode: subject.subjectCode, subjectName: subject.subjectName }
+        : null,
+      scheduleSlot,
+      scheduledEnd,
+      arrivedAt: arrival,
+      departedAt: departure,
+      durationMinutes: this.minutesBetween(arrival, departure),
+      missingDeparture: Boolean(arrival && !departure && now >= departureDeadline),
+      earlyDeparture: minutesEarly > 0,
+      minutesEarly: minutesEarly || 0,
+    };
+  }
+
+  /**
+   * Whole minutes from one time to a later one
+   * @private
+   */
+  minutesBetween(from, to) {
+    if (!from || !to || to <= from) return null;
+    return Math.round((to - from) / 60000);
+  }
+}
+
+module.exports = new PresenceService();
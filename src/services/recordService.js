@@ -1,6 +1,7 @@
 const { Record, Student, Subject, User } = require('../models');
 const { RECORD_TYPES, ERROR_MESSAGES } = require('../config/constants');
 const ValidationUtil = require('../utils/validationUtil');
+const DateUtil = require('../utils/dateUtil');
 const logger = require('../utils/logger');
 
 /**
@@ -38,6 +39,8 @@ class RecordService {
           .populate('student', 'studentNumber firstName lastName')
           .populate('subject', 'subjectCode subjectName')
           .populate('performedBy', 'name email role')
+          .populate('apiKey', 'name prefix')
+          .populate('impersonatedBy', 'name email')
           .sort({ createdAt: -1 })
           .skip(skip)
           .limit(limit)
@@ -71,6 +74,8 @@ class RecordService {
         .populate('student', 'studentNumber firstName lastName section')
         .populate('subject', 'subjectCode subjectName')
         .populate('performedBy', 'name email role')
+        .populate('apiKey', 'name prefix')
+        .populate('impersonatedBy', 'name email')
         .lean();
 
       if (!record) {
@@ -185,6 +190,8 @@ class RecordService {
         Record.find(query)
           .populate('subject', 'subjectCode subjectName')
           .populate('performedBy', 'name email role')
+          .populate('apiKey', 'name prefix')
+          .populate('impersonatedBy', 'name email')
           .sort({ createdAt: -1 })
           .skip(skip)
           .limit(limit)
@@ -246,6 +253,8 @@ class RecordService {
         Record.find(query)
           .populate('student', 'studentNumber firstName lastName')
           .populate('performedBy', 'name email role')
+          .populate('apiKey', 'name prefix')
+          .populate('impersonatedBy', 'name email')
           .sort({ createdAt: -1 })
           .skip(skip)
           .limit(limit)
@@ -345,10 +354,7 @@ class RecordService {
       }
 
       // Get today's date range for todayRecords
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      const tomorrow = new Date(today);
-      tomorrow.setDate(tomorrow.getDate() + 1);
+      const { start: today, end: tomorrow } = DateUtil.getDayRange();
 
       const [total, byType, byPerformer, totalStudents, totalSubjects, todayRecords] =
         await Promise.all([
@@ -0,0 +1,207 @@
+const { Setting, Record } = require('../models');
+const {
+  ROLES,
+  SETTING_KEYS,
+  RECORD_TYPES,
+  ERROR_MESSAGES,
+  ATTENDANCE_ALERT_TYPES,
+} = require('../config/constants');
+const logger = require('../utils/logger');
+
+const isIntegerBetween = (value, min, max) =>
+  Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Validate absenteeism alert rules
+ * Each rule has a type and a threshold; absence_rate may set minSessions (sessions needed
+ * before the rate counts) and lates_in_period needs days (the length of the period)
+ * @param {*} value - Proposed rules
+ * @returns {String|null} Error message, or null when the rules are acceptable
+ */
+const validateAlertRules = (value) => {
+  const types = Object.values(ATTENDANCE_ALERT_TYPES);
+  if (!Array.isArray(value)) return 'Value must be an array of rules';
+
+  const invalid = value.find((rule) => {
+    if (!rule || typeof rule !== 'object' || !types.includes(rule.type)) return true;
+    if (rule.type === ATTENDANCE_ALERT_TYPES.ABSENCE_RATE) {
+      return (
+        !isIntegerBetween(rule.threshold, 1, 100) ||
+        (rule.minSessions !== undefined && !isIntegerBetween(rule.minSessions, 1, 1000))
+      );
+    }
+    if (rule.type === ATTENDANCE_ALERT_TYPES.LATES_IN_PERIOD) {
+      return !isIntegerBetween(rule.threshold, 1, 1000) || !isIntegerBetween(rule.days, 1, 365);
+    }
+    return !isIntegerBetween(rule.threshold, 1, 1000);
+  });
+
+  if (invalid) {
+    return (
+      `Each rule needs a type (${types.join(', ')}) and an integer threshold; ` +
+      'absence_rate thresholds are percentages (1-100) and lates_in_period rules need days (1-365)'
+    );
+  }
+  return null;
+};
+
+/**
+ * Known settings with their defaults and validation
+ * validate() returns an error message, or null when the value is acceptable
+ */
+const SETTING_DEFINITIONS = {
+  [SETTING_KEYS.TWO_FACTOR_REQUIRED_ROLES]: {
+    description: 'Roles that must use two-factor authentication to sign in',
+    default: [],
+    validate: (value) => {
+      const roles = Object.values(ROLES);
+      if (!Array.isArray(value) || value.some((role) => !roles.includes(role))) {
+        return `Value must be an array containing only: ${roles.join(', ')}`;
+      }
+      return null;
+    },
+  },
+  [SETTING_KEYS.AUTO_ABSENT_NOTIFY]: {
+    description: 'Send attendance notifications for records created by the auto-absent job',
+    default: false,
+    validate: (value) => (typeof value === 'boolean' ? null : 'Value must be a boolean'),
+  },
+  [SETTING_KEYS.KIOSK_DUPLICATE_SCAN_SECONDS]: {
+    description: 'Repeat scans of the same card within this many seconds are ignored',
+    default: 60,
+    validate: (value) =>
+      Number.isInteger(value) && value >= 0 && value <= 3600
+        ? null
+        : 'Value must be an integer between 0 and 3600',
+  },
+  [SETTING_KEYS.ATTENDANCE_AUTO_LOCK_DAYS]: {
+    description: 'Sessions older than this many days are locked without being finalized (0 = off)',
+    default: 0,
+    validate: (value) =>
+      Number.isInteger(value) && value >= 0 && value <= 365
+        ? null
+        : 'Value must be an integer between 0 and 365',
+  },
+  [SETTING_KEYS.ATTENDANCE_ALERT_RULES]: {
+    description:
+      'Absenteeism rules that raise an attendance alert for a student in a subject (empty = off)',
+    // Off until configured, like the other notification settings: the first run would
+    // otherwise alert on every student's past attendance at once
+    default: [],
+    validate: validateAlertRules,
+  },
+  [SETTING_KEYS.DEPARTURE_NOTIFY]: {
+    description: "Email guardians when a student's departure is recorded",
+    default: false,
+    validate: (value) => (typeof value === 'boolean' ? null : 'Value must be a boolean'),
+  },
+};
+
+/**
+ * Setting Service
+ * Handles business logic for system-wide settings
+ */
+class SettingService {
+  /**
+   * Get the effective value of a setting (stored value or default)
+   * @param {String} key - Setting key
+   * @returns {Promise<*>} Setting value
+   */
+  async get(key) {
+    const definition = this.getDefinition(key);
+    const setting = await Setting.findOne({ key }).lean();
+
+    return setting ? setting.value : definition.default;
+  }
+
+  /**
+   * Get all known settings with their effective values
+   * @returns {Promise<Array>} Settings
+   */
+  async getAll() {
+    try {
+      const stored = await Setting.find({ key: { $in: Object.keys(SETTING_DEFINITIONS) } })
+        .populate('updatedBy', 'name email')
+        .lean();
+      const storedByKey = new Map(stored.map((setting) => [setting.key, setting]));
+
+      return Object.entries(SETTING_DEFINITIONS).map(([key, definition]) => {
+        const setting = storedByKey.get(key);
+        return {
+          key,
+          description: definition.description,
+          value: setting ? setting.value : definition.default,
+          default: definition.default,
+          isDefault: !setting,
+          updatedBy: setting ? setting.updatedBy : null,
+          updatedAt: setting ? setting.updatedAt : null,
+        };
+      });
+    } catch (error) {
+      logger.error('Error in getAll settings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a setting
+   * @param {String} key - Setting key
+   * @param {*} value - New value
+   * @param {String} userId - User making the change
+   * @returns {Promise<Object>} Updated setting
+   */
+  async set(key, value, userId) {
+    try {
+      const definition = this.getDefinition(key);
+
+      const validationError = definition.validate(value);
+      if (validationError) {
+        const error = new Error(validationError);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const previous = await this.get(key);
+
+      const setting = await Setting.findOneAndUpdate(
+        { key },
+        { value, updatedBy: userId },
+        { new: true, upsert: true, runValidators: true }
+      );
+
+      await Record.create({
+        recordType: RECORD_TYPES.SETTING_UPDATED,
+        recordData: `Updated setting ${key}`,
+        performedBy: userId,
+        metadata: { key, previous, value },
+      });
+
+      logger.info(`Setting ${key} updated by ${userId}`);
+
+      return setting;
+    } catch (error) {
+      logger.error('Error in set setting:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the definition for a known setting
+   * @param {String} key - Setting key
+   * @returns {Object} Setting definition
+   * @private
+   */
+  getDefinition(key) {
+    const definition = SETTING_DEFINITIONS[key];
+
+    if (!definition) {
+      const error = new Error(ERROR_MESSAGES.SETTING_NOT_FOUND);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return definition;
+  }
+}
+
+module.exports = new SettingService();
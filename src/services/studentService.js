@@ -10,6 +10,8 @@
 const { Student, Record, Enrollment, Attendance } = require('../models');
 const ValidationUtil = require('../utils/validationUtil');
 const logger = require('../utils/logger');
+const calendarEventService = require('./calendarEventService');
+const academicTermService = require('./academicTermService');
 const {
   ERROR_MESSAGES,
   SUCCESS_MESSAGES,
@@ -67,8 +69,16 @@ class StudentService {
    * Create new student
    */
   async createStudent(studentData, userId) {
-    const { studentNumber, firstName, lastName, email, section, guardianName, guardianEmail } =
-      studentData;
+    const {
+      studentNumber,
+      firstName,
+      lastName,
+      email,
+      section,
+      guardianName,
+      guardianEmail,
+      cardId,
+    } = studentData;
 
     // Validate student number
     if (!ValidationUtil.isValidStudentNumber(studentNumber)) {
@@ -86,6 +96,10 @@ class StudentService {
       throw new Error(ERROR_MESSAGES.INVALID_EMAIL);
     }
 
+    if (cardId) {
+      await this.assertCardAvailable(cardId);
+    }
+
     // Create student
     const student = await Student.create({
       studentNumber,
@@ -95,6 +109,7 @@ class StudentService {
       section: section || '',
       guardianName: ValidationUtil.sanitizeInput(guardianName),
       guardianEmail: guardianEmail ? guardianEmail.toLowerCase() : '',
+      cardId: cardId || undefined,
       createdBy: userId,
     });
 
@@ -121,7 +136,7 @@ class StudentService {
       throw new Error(ERROR_MESSAGES.STUDENT_NOT_FOUND);
     }
 
-    const { firstName, lastName, email, section, guardianName, guardianEmail } = updateData;
+    const { firstName, lastName, email, section, guardianName, guardianEmail, cardId } = updateData;
 
     if (firstName) student.firstName = ValidationUtil.sanitizeInput(firstName);
     if (lastName) student.lastName = ValidationUtil.sanitizeInput(lastName);
@@ -134,6 +149,11 @@ class StudentService {
     if (section !== undefined) student.section = section;
     if (guardianName) student.guardianName = ValidationUtil.sanitizeInput(guardianName);
     if (guardianEmail) student.guardianEmail = guardianEmail.toLowerCase();
+    if (cardId !== undefined) {
+      // An empty value unassigns the card
+      if (cardId) await this.assertCardAvailable(cardId, student._id);
+      student.cardId = cardId || undefined;
+    }
 
     await student.save();
 
@@ -167,7 +187,9 @@ class StudentService {
 
     // Cascade delete: Remove all attendance records for this student
     const attendanceResult = await Attendance.deleteMany({ student: studentId });
-    logger.info(`Deleted ${attendanceResult.deletedCount} attendance records for student ${studentId}`);
+    logger.info(
+      `Deleted ${attendanceResult.deletedCount} attendance records for student ${studentId}`
+    );
 
     // Create record before deletion
     await Record.createStudentRecord(
@@ -230,17 +252,28 @@ class StudentService {
   /**
    * Get attendance summary for a student
    * @param {String} studentId - Student ID
+   * @param {String} term - Term ID or 'all' (defaults to the active term)
    * @returns {Promise<Object>} Attendance summary with per-subject breakdown
    */
-  async getStudentAttendanceSummary(studentId) {
+  async getStudentAttendanceSummary(studentId, term) {
     const student = await Student.findById(studentId);
     if (!student) {
       throw new Error(ERROR_MESSAGES.STUDENT_NOT_FOUND);
     }
 
+    // Holidays, suspensions and exam days do not count towards the rates, nor do departure
+    // records, which mirror the arrival's status
+    const withoutClasses = await calendarEventService.excludeDaysWithoutClasses({
+      timeSlot: { $ne: 'departure' },
+    });
+    await academicTermService.scopeAttendanceQuery(
+      withoutClasses,
+      await academicTermService.resolveTerm(term)
+    );
+
     // Get overall attendance stats
     const overallStats = await Attendance.aggregate([
-      { $match: { student: student._id } },
+      { $match: { student: student._id, ...withoutClasses } },
       {
         $group: {
           _id: '$status',
@@ -274,7 +307,9 @@ class StudentService {
 
     // Get per-subject breakdown
     const subjectStats = await Attendance.aggregate([
-      { $match: { student: student._id, subject: { $exists: true, $ne: null } } },
+      {
+        $match: { student: student._id, subject: { $exists: true, $ne: null }, ...withoutClasses },
+      },
       {
         $group: {
           _id: { subject: '$subject', status: '$status' },
@@ -322,6 +357,20 @@ class StudentService {
 
     return summary;
   }
+
+  /**
+   * Ensure a card ID is not assigned to another student
+   * @private
+   */
+  async assertCardAvailable(cardId, studentId = null) {
+    const holder = await Student.findOne({ cardId: String(cardId).trim() }).select('_id');
+
+    if (holder && (!studentId || holder._id.toString() !== studentId.toString())) {
+      const error = new Error(ERROR_MESSAGES.CARD_ID_IN_USE);
+      error.statusCode = 409;
+      throw error;
+    }
+  }
 }
 
 module.exports = new StudentService();
@@ -1,12 +1,22 @@
-const { Attendance, Student, Subject, Enrollment, Record } = require('../models');
+const { Attendance, Student, Subject, Enrollment, Record, Excuse } = require('../models');
 const {
   RECORD_TYPES,
   ATTENDANCE_STATUS,
   ERROR_MESSAGES,
   NOTIFICATION_TYPES,
+  ATTENDANCE_SOURCES,
+  SETTING_KEYS,
 } = require('../config/constants');
 const logger = require('../utils/logger');
 const emailUtil = require('../utils/emailUtil');
+const ScheduleUtil = require('../utils/scheduleUtil');
+const DateUtil = require('../utils/dateUtil');
+const settingService = require('./settingService');
+const excuseService = require('./excuseService');
+const attendanceLockService = require('./attendanceLockService');
+const calendarEventService = require('./calendarEventService');
+const attendanceAlertService = require('./attendanceAlertService');
+const academicTermService = require('./academicTermService');
 
 /**
  * Subject Attendance Service
@@ -21,8 +31,19 @@ class SubjectAttendanceService {
    */
   async markSubjectAttendance(attendanceData, userId) {
     try {
-      const { subjectId, studentId, date, status, remarks, timeSlot, scheduleSlot } =
-        attendanceData;
+      const {
+        subjectId,
+        studentId,
+        date,
+        remarks,
+        timeSlot,
+        scheduleSlot,
+        source = ATTENDANCE_SOURCES.MANUAL,
+        recordedAt,
+        minutesLate,
+        device,
+        notify = true,
+      } = attendanceData;
 
       // Validate subject exists
       const subject = await Subject.findById(subjectId);
@@ -54,19 +75,36 @@ class SubjectAttendanceService {
       }
 
       // Normalize date to start of day
-      const attendanceDate = new Date(date);
-      attendanceDate.setHours(0, 0, 0, 0);
+      const attendanceDate = DateUtil.startOfDay(date);
 
-      // Check for existing attendance with same schedule slot and time slot
+      // Finalized sessions cannot be changed until an admin unlocks them
+      await attendanceLockService.assertUnlocked(subjectId, attendanceDate, scheduleSlot);
+
+      // Holidays, suspensions and exam days have no attendance to take
+      await calendarEventService.assertClassDay(attendanceDate, {
+        subjectId,
+        section: subject.section,
+      });
+
+      // Absences covered by an approved excuse are recorded as excused
+      const { status, excuse } = await excuseService.resolveStatus(
+        studentId,
+        subjectId,
+        attendanceDate,
+        attendanceData.status
+      );
+
+      // Check for existing attendance with same schedule slot and time slot. Records without
+      // a time slot (single marks, automatic absences) are the arrival, so either finds them
       const existingAttendance = await Attendance.findOne({
         student: studentId,
         subject: subjectId,
         date: {
           $gte: attendanceDate,
-          $lt: new Date(attendanceDate.getTime() + 24 * 60 * 60 * 1000),
+          $lt: DateUtil.addDays(attendanceDate, 1),
         },
         scheduleSlot: scheduleSlot || null,
-        timeSlot: timeSlot || null,
+        timeSlot: timeSlot === 'departure' ? timeSlot : { $in: [null, 'arrival'] },
       });
 
       let attendance;
@@ -82,13 +120,23 @@ class SubjectAttendanceService {
           timeSlot: existingAttendance.timeSlot,
           scheduleSlot: existingAttendance.scheduleSlot,
           remarks: existingAttendance.remarks,
+          excuse: existingAttendance.excuse,
           editedAt: existingAttendance.editedAt || existingAttendance.createdAt,
           editedBy: existingAttendance.editedBy || existingAttendance.markedBy,
         });
 
         // Update the attendance
         existingAttendance.status = status;
+        existingAttendance.excuse = excuse;
         existingAttendance.remarks = remarks || existingAttendance.remarks;
+        existingAttendance.source = source;
+        // Automatic absences have no marker until someone records the student
+        if (!existingAttendance.markedBy) existingAttendance.markedBy = userId;
+        if (recordedAt) {
+          existingAttendance.recordedAt = recordedAt;
+          existingAttendance.minutesLate = minutesLate;
+        }
+        if (device) existingAttendance.device = device;
         existingAttendance.editedAt = new Date();
         existingAttendance.editedBy = userId;
 
@@ -101,9 +149,14 @@ class SubjectAttendanceService {
           subject: subjectId,
           date: attendanceDate,
           status,
+          excuse,
           timeSlot,
           scheduleSlot,
           remarks,
+          source,
+          recordedAt,
+          minutesLate,
+          device,
           markedBy: userId,
         });
       }
@@ -119,20 +172,39 @@ class SubjectAttendanceService {
         performedBy: userId,
       });
 
+      attendanceAlertService.scheduleEvaluation(subjectId, [studentId]);
+
       // Send email notifications asynchronously (fire-and-forget)
       // This prevents the API from timing out while waiting for emails to send
-      setImmediate(() => {
-        this._sendAttendanceNotifications(
-          student,
-          subject,
-          attendance,
-          scheduleSlot,
-          isUpdate,
-          userId
-        ).catch((emailError) => {
-          logger.error('Failed to send attendance notification email:', emailError);
+      // A departure is not a status change; the guardian hears about it only once, if enabled
+      if (notify && timeSlot === 'departure') {
+        if (!isUpdate) {
+          setImmediate(() => {
+            this.sendDepartureNotification(
+              student,
+              subject,
+              attendance,
+              scheduleSlot,
+              userId
+            ).catch((emailError) => {
+              logger.error('Failed to send departure notification email:', emailError);
+            });
+          });
+        }
+      } else if (notify) {
+        setImmediate(() => {
+          this.sendAttendanceNotifications(
+            student,
+            subject,
+            attendance,
+            scheduleSlot,
+            isUpdate,
+            userId
+          ).catch((emailError) => {
+            logger.error('Failed to send attendance notification email:', emailError);
+          });
         });
-      });
+      }
 
       logger.info(
         `Attendance ${actionType} for student ${studentId} in subject ${subjectId} by user ${userId}`
@@ -153,11 +225,375 @@ class SubjectAttendanceService {
     }
   }
 
+  /**
+   * Record a check-in, deriving the status from the subject's schedule and attendance policy
+   * The check-in is matched to the schedule slot open at recordedAt, and minutes late are
+   * measured from that slot's start time
+   * @param {Object} checkInData - Check-in data with subjectId, studentId, optional scheduleSlot,
+   *   recordedAt (defaults to now) and remarks
+   * @param {String} userId - User ID recording the check-in
+   * @param {String} source - Attendance source (defaults to check_in)
+   * @returns {Promise<Object>} { attendance, isUpdate }
+   */
+  async checkInSubjectAttendance(checkInData, userId, source = ATTENDANCE_SOURCES.CHECK_IN) {
+    try {
+      const { subjectId, studentId, scheduleSlot, remarks } = checkInData;
+      const recordedAt = checkInData.recordedAt ? new Date(checkInData.recordedAt) : new Date();
+
+      const subject = await Subject.findById(subjectId);
+      if (!subject) {
+        const error = new Error(ERROR_MESSAGES.SUBJECT_NOT_FOUND);
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const match = ScheduleUtil.findOpenSlot(subject, recordedAt, scheduleSlot);
+      if (!match) {
+        const error = new Error(ERROR_MESSAGES.NO_OPEN_SCHEDULE_SLOT);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const slotName = match.slot.slotName || null;
+      const status = ScheduleUtil.classifyCheckIn(
+        match.minutesLate,
+        ScheduleUtil.getPolicy(subject)
+      );
+
+      // A check-in never overwrites a record already taken for this slot
+      await this.assertNotRecorded(studentId, subjectId, recordedAt, slotName);
+
+      return await this.markSubjectAttendance(
+        {
+          subjectId,
+          studentId,
+          date: recordedAt,
+          status,
+          remarks,
+          scheduleSlot: slotName,
+          source,
+          recordedAt,
+          minutesLate: match.minutesLate,
+        },
+        userId
+      );
+    } catch (error) {
+      logger.error('Error in checkInSubjectAttendance:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a card scan from a kiosk device
+   * The student's first scan for a session is their arrival (status from the attendance
+   * policy); later scans record or move their departure. Repeat scans within the
+   * kiosk.duplicateScanSeconds setting are ignored. Guardians are emailed about the first
+   * departure only when the attendance.departureNotify setting is on
+   * @param {Object} scanData - cardId and optional scannedAt
+   * @param {Object} device - Device document that read the card
+   * @param {String} userId - User the device records as
+   * @returns {Promise<Object>} { attendance, timeSlot, duplicate }
+   */
+  async recordScan(scanData, device, userId) {
+    try {
+      const scannedAt = scanData.scannedAt ? new Date(scanData.scannedAt) : new Date();
+
+      const student = await Student.findOne({
+        cardId: String(scanData.cardId).trim(),
+        isActive: true,
+      });
+      if (!student) {
+        const error = new Error(ERROR_MESSAGES.CARD_NOT_RECOGNIZED);
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const duplicateSeconds = await settingService.get(SETTING_KEYS.KIOSK_DUPLICATE_SCAN_SECONDS);
+      if (duplicateSeconds > 0) {
+        const recent = await Attendance.findOne({
+          student: student._id,
+          source: ATTENDANCE_SOURCES.SCAN,
+          recordedAt: { $gt: new Date(scannedAt - duplicateSeconds * 1000), $lte: scannedAt },
+        })
+          .sort({ recordedAt: -1 })
+          .populate('student', 'studentNumber firstName lastName email')
+          .populate('subject', 'subjectCode subjectName')
+          .lean();
+
+        if (recent) {
+          return { attendance: recent, timeSlot: recent.timeSlot, duplicate: true };
+        }
+      }
+
+      const enrolledSubjectIds = await Enrollment.distinct('subject', {
+        student: student._id,
+        isActive: true,
+      });
+      const subjects = await Subject.find({ _id: { $in: enrolledSubjectIds }, isActive: true });
+      const dayStart = DateUtil.startOfDay(scannedAt);
+
+      // Sessions the student attends today and has not left yet
+      const todaysRecords = await Attendance.find({
+        student: student._id,
+        subject: { $in: enrolledSubjectIds },
+        date: { $gte: dayStart, $lt: DateUtil.addDays(dayStart, 1) },
+      })
+        .select('subject scheduleSlot timeSlot status')
+        .lean();
+      const sessionOf = (record) => ScheduleUtil.sessionKey(record.subject, record.scheduleSlot);
+      const departed = todaysRecords
+        .filter((record) => record.timeSlot === 'departure')
+        .map(sessionOf);
+      const awaitingDeparture = todaysRecords
+        .filter(
+          (record) =>
+            record.timeSlot !== 'departure' &&
+            [ATTENDANCE_STATUS.PRESENT, ATTENDANCE_STATUS.LATE].includes(record.status)
+        )
+        .map(sessionOf)
+        .filter((key) => !departed.includes(key));
+
+      const match = ScheduleUtil.findActiveSlot(subjects, scannedAt, device, awaitingDeparture);
+      if (!match) {
+        const error = new Error(ERROR_MESSAGES.NO_OPEN_SCHEDULE_SLOT);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const { subject } = match;
+      const scheduleSlot = match.slot.slotName || null;
+
+      // A manual mark or QR check-in for the session (no time slot) counts as the arrival
+      const session = ScheduleUtil.sessionKey(subject._id, scheduleSlot);
+      const arrival = todaysRecords.find(
+        (record) => record.timeSlot !== 'departure' && sessionOf(record) === session
+      );
+
+      const timeSlot = arrival ? 'departure' : 'arrival';
+      const { attendance } = await this.markSubjectAttendance(
+        {
+          subjectId: subject._id,
+          studentId: student._id,
+          date: scannedAt,
+          status: arrival
+            ? arrival.status
+            : ScheduleUtil.classifyCheckIn(match.minutesLate, ScheduleUtil.getPolicy(subject)),
+          timeSlot,
+          scheduleSlot,
+          source: ATTENDANCE_SOURCES.SCAN,
+          recordedAt: scannedAt,
+          minutesLate: arrival ? undefined : match.minutesLate,
+          device: device._id,
+        },
+        userId
+      );
+
+      return { attendance, timeSlot, duplicate: false };
+    } catch (error) {
+      logger.error('Error in recordScan:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Ensure a student has no record yet for a subject session
+   * @param {String} studentId - Student ID
+   * @param {String} subjectId - Subject ID
+   * @param {Date} date - Session date
+   * @param {String} scheduleSlot - Schedule slot name (null for none)
+   * @throws {Error} 409 with the existing record in error.data
+   */
+  async assertNotRecorded(studentId, subjectId, date, scheduleSlot) {
+    const dayStart = DateUtil.startOfDay(date);
+    const existing = await Attendance.findOne({
+      student: studentId,
+      subject: subjectId,
+      date: { $gte: dayStart, $lt: DateUtil.addDays(dayStart, 1) },
+      scheduleSlot: scheduleSlot || null,
+      // Any arrival counts, including kiosk scans
+      timeSlot: { $ne: 'departure' },
+    }).lean();
+
+    if (existing) {
+      const error = new Error(ERROR_MESSAGES.ATTENDANCE_ALREADY_MARKED);
+      error.statusCode = 409;
+      error.data = { attendance: existing };
+      throw error;
+    }
+  }
+
+  /**
+   * Mark enrolled students absent for every schedule slot that has ended today
+   * Safe to run repeatedly: students who already have a record for a slot are skipped.
+   * Days without classes in the academic calendar are skipped per slot
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { created, outsideTerm }
+   */
+  async markAbsentForEndedSlots(now = new Date()) {
+    try {
+      // Only the active term's classes are held; without an active term every subject counts
+      const term = await academicTermService.resolveTerm();
+      if (term && (now < term.startDate || now >= DateUtil.addDays(term.endDate, 1))) {
+        return { created: 0, outsideTerm: true };
+      }
+
+      const notify = await settingService.get(SETTING_KEYS.AUTO_ABSENT_NOTIFY);
+      const nowMinutes = Math.floor(DateUtil.getMinutesOfDay(now));
+      const subjectQuery = { isActive: true };
+      if (term) subjectQuery.term = term._id;
+      const subjects = await Subject.find(subjectQuery);
+
+      const endedSlots = subjects.flatMap((subject) =>
+        ScheduleUtil.getSlotsForDate(subject, now)
+          .filter((slot) => slot.endTime && ScheduleUtil.toMinutes(slot.endTime) <= nowMinutes)
+          .map((slot) => ({ subject, slot }))
+      );
+
+      const counts = await Promise.all(
+        endedSlots.map(({ subject, slot }) => this.markAbsentForSlot(subject, slot, now, notify))
+      );
+
+      return {
+        created: counts.reduce((sum, count) => sum + count, 0),
+        outsideTerm: false,
+      };
+    } catch (error) {
+      logger.error('Error in markAbsentForEndedSlots:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create absent records for active enrollments without a record for one slot
+   * @param {Object} subject - Subject document
+   * @param {Object} slot - Schedule slot that has ended
+   * @param {Date} date - Date of the session
+   * @param {Boolean} notify - Send the usual attendance notifications
+   * @returns {Promise<Number>} Number of records created
+   * @private
+   */
+  async markAbsentForSlot(subject, slot, date, notify) {
+    const dayStart = DateUtil.startOfDay(date);
+    const slotEnd = DateUtil.atTime(dayStart, slot.endTime);
+    const scheduleSlot = slot.slotName || null;
+
+    // A session finalized before the job ran keeps its records as they are
+    const lock = await attendanceLockService.getLockState(subject._id, dayStart, scheduleSlot);
+    if (lock.locked) {
+      return 0;
+    }
+
+    // Nobody is absent from a class that was not held
+    const event = await calendarEventService.getEventOn(dayStart, {
+      subjectId: subject._id,
+      section: subject.section,
+    });
+    if (event) {
+      return 0;
+    }
+
+    // Students enrolled after the session ended were not expected to attend it
+    const enrollments = await Enrollment.find({
+      subject: subject._id,
+      isActive: true,
+      createdAt: { $lte: slotEnd },
+    }).populate('student');
+
+    const recorded = await Attendance.distinct('student', {
+      subject: subject._id,
+      date: { $gte: dayStart, $lt: DateUtil.addDays(dayStart, 1) },
+      scheduleSlot,
+    });
+    const recordedIds = new Set(recorded.map((studentId) => studentId.toString()));
+
+    const students = enrollments
+      .map((enrollment) => enrollment.student)
+      .filter((student) => student && student.isActive && !recordedIds.has(student.id));
+
+    if (students.length === 0) {
+      return 0;
+    }
+
+    const excuses = await Excuse.findCovering(
+      students.map((student) => student._id),
+      subject._id,
+      dayStart
+    );
+    const excuseByStudent = new Map(excuses.map((excuse) => [excuse.student.toString(), excuse]));
+
+    let attendances;
+    try {
+      attendances = await Attendance.insertMany(
+        students.map((student) => {
+          const excuse = excuseByStudent.get(student.id);
+          return {
+            student: student._id,
+            subject: subject._id,
+            date: dayStart,
+            status: excuse ? ATTENDANCE_STATUS.EXCUSED : ATTENDANCE_STATUS.ABSENT,
+            excuse: excuse ? excuse._id : undefined,
+            scheduleSlot,
+            source: ATTENDANCE_SOURCES.AUTO,
+            remarks: 'Automatically marked absent after the session ended',
+          };
+        }),
+        { ordered: false }
+      );
+    } catch (error) {
+      // A record created concurrently for the same slot wins
+      if (error.code !== 11000) throw error;
+      attendances = error.insertedDocs || [];
+    }
+
+    if (attendances.length === 0) {
+      return 0;
+    }
+
+    const scheduleInfo = scheduleSlot ? ` (${scheduleSlot})` : '';
+    await Record.create({
+      subject: subject._id,
+      recordType: RECORD_TYPES.ATTENDANCE_MARKED,
+      recordData: `${attendances.length} student(s) automatically marked absent for ${subject.subjectName}${scheduleInfo}`,
+      metadata: {
+        scheduleSlot,
+        date: dayStart,
+        students: attendances.map((attendance) => attendance.student),
+      },
+    });
+
+    attendanceAlertService.scheduleEvaluation(
+      subject._id,
+      attendances.map((attendance) => attendance.student)
+    );
+
+    if (notify) {
+      const studentsById = new Map(students.map((student) => [student.id, student]));
+      setImmediate(() => {
+        attendances.forEach((attendance) => {
+          this.sendAttendanceNotifications(
+            studentsById.get(attendance.student.toString()),
+            subject,
+            attendance,
+            scheduleSlot
+          ).catch((emailError) => {
+            logger.error('Failed to send attendance notification email:', emailError);
+          });
+        });
+      });
+    }
+
+    logger.info(
+      `Auto-marked ${attendances.length} student(s) absent in subject ${subject._id}${scheduleInfo}`
+    );
+
+    return attendances.length;
+  }
+
   /**
    * Send attendance notifications to student and guardian
    * @private
    */
-  async _sendAttendanceNotifications(
+  async sendAttendanceNotifications(
     student,
     subject,
     attendance,
@@ -248,6 +684,42 @@ class SubjectAttendanceService {
     }
   }
 
+  /**
+   * Email the guardian that a student left, when the attendance.departureNotify setting is on
+   * @private
+   */
+  async sendDepartureNotification(student, subject, attendance, scheduleSlot, userId = null) {
+    if (!student.guardianEmail) return;
+    if (!(await settingService.get(SETTING_KEYS.DEPARTURE_NOTIFY))) return;
+
+    const departedAt = attendance.recordedAt || attendance.createdAt;
+    const scheduleInfo = scheduleSlot ? ` - ${scheduleSlot}` : '';
+    const studentName = `${student.firstName} ${student.lastName}`;
+    const result = await emailUtil.sendDepartureNotification(student.guardianEmail, {
+      studentName,
+      studentNumber: student.studentNumber,
+      subject: `${subject.subjectCode} - ${subject.subjectName}${scheduleInfo}`,
+      departedAt,
+      minutesEarly: ScheduleUtil.getMinutesEarly(subject, scheduleSlot, departedAt),
+    });
+    logger.info(`Departure notification sent to guardian: ${student.guardianEmail}`);
+
+    await Record.create({
+      recordType: RECORD_TYPES.EMAIL_SENT,
+      recordData: `Departure notification sent to guardian (${student.guardianEmail}): ${studentName}`,
+      student: student._id,
+      subject: subject._id,
+      performedBy: userId,
+      metadata: {
+        recipient: student.guardianEmail,
+        recipientType: 'guardian',
+        guardianName: student.guardianName,
+        departedAt,
+        messageId: result?.messageId,
+      },
+    });
+  }
+
   /**
    * Bulk mark attendance for multiple students in a subject
    * @param {String} subjectId - Subject ID
@@ -339,15 +811,16 @@ class SubjectAttendanceService {
         throw error;
       }
 
-      const targetDate = new Date(date);
-      targetDate.setHours(0, 0, 0, 0);
+      const targetDate = DateUtil.startOfDay(date);
 
+      // Departure records mirror the arrival's status and are not listed
       const query = {
         subject: subjectId,
         date: {
           $gte: targetDate,
-          $lt: new Date(targetDate.getTime() + 24 * 60 * 60 * 1000),
+          $lt: DateUtil.addDays(targetDate, 1),
         },
+        timeSlot: { $ne: 'departure' },
       };
 
       if (scheduleSlot) {
@@ -395,11 +868,14 @@ class SubjectAttendanceService {
         };
       });
 
+      const lock = await attendanceLockService.getLockState(subjectId, targetDate, scheduleSlot);
+
       return {
         subjectId: subject._id,
         date: targetDate.toISOString(),
         students,
         stats,
+        lock,
       };
     } catch (error) {
       logger.error('Error in getSubjectAttendanceByDate:', error);
@@ -422,10 +898,10 @@ class SubjectAttendanceService {
         throw error;
       }
 
-      const targetDate = new Date(date);
-      targetDate.setHours(0, 0, 0, 0);
-
-      const result = await this.getSubjectAttendanceByDate(subjectId, date);
+      const [result, calendarEvent] = await Promise.all([
+        this.getSubjectAttendanceByDate(subjectId, date),
+        calendarEventService.getEventOn(date, { subjectId, section: subject.section }),
+      ]);
 
       const studentsList = Array.isArray(result) ? result : result.students || [];
 
@@ -456,6 +932,10 @@ class SubjectAttendanceService {
       summary.attendanceRate =
         totalEnrolled > 0 ? ((summary.present / totalEnrolled) * 100).toFixed(2) : 0;
 
+      // Days without classes have no attendance rate
+      summary.calendarEvent = calendarEvent;
+      if (calendarEvent) summary.attendanceRate = null;
+
       return summary;
     } catch (error) {
       logger.error('Error in getSubjectAttendanceSummary:', error);
@@ -479,18 +959,21 @@ class SubjectAttendanceService {
         throw error;
       }
 
-      const start = new Date(startDate);
-      start.setHours(0, 0, 0, 0);
+      const start = DateUtil.startOfDay(startDate);
 
-      const end = new Date(endDate);
-      end.setHours(23, 59, 59, 999);
+      const end = DateUtil.addDays(DateUtil.startOfDay(endDate), 1);
+
+      // Holidays, suspensions and exam days do not count towards the rate, nor do departure
+      // records, which mirror the arrival's status
+      const match = await calendarEventService.excludeDaysWithoutClasses(
+        { subject: subject._id, date: { $gte: start, $lt: end }, timeSlot: { $ne: 'departure' } },
+        startDate,
+        endDate
+      );
 
       const stats = await Attendance.aggregate([
         {
-          $match: {
-            subject: subject._id,
-            date: { $gte: start, $lte: end },
-          },
+          $match: match,
         },
         {
           $group: {
@@ -1,7 +1,9 @@
-const { Subject, Enrollment, Record } = require('../models');
+const { Subject, Enrollment, Record, User, Attendance } = require('../models');
 const { RECORD_TYPES, ERROR_MESSAGES, SUCCESS_MESSAGES } = require('../config/constants');
 const ValidationUtil = require('../utils/validationUtil');
 const logger = require('../utils/logger');
+const { PERMISSIONS, roleHasPermission } = require('../config/permissions');
+const academicTermService = require('./academicTermService');
 
 /**
  * Subject Service
@@ -10,7 +12,7 @@ const logger = require('../utils/logger');
 class SubjectService {
   /**
    * Get all subjects with pagination and filters
-   * @param {Object} filters - Filter options (yearLevel, section, isActive)
+   * @param {Object} filters - Filter options (yearLevel, section, isActive, term)
    * @param {Object} pagination - Pagination options
    * @returns {Promise<Object>} Paginated subjects
    */
@@ -20,7 +22,7 @@ class SubjectService {
       const skip = (page - 1) * limit;
 
       // Build query
-      const query = {};
+      const query = await this.termQuery(filters.term);
       if (filters.yearLevel) query.yearLevel = filters.yearLevel;
       if (filters.section) query.section = new RegExp(filters.section, 'i');
       // By default only return active subjects unless explicitly asked
@@ -107,15 +109,17 @@ class SubjectService {
   /**
    * Get subject by subject code
    * @param {String} subjectCode - Subject code
+   * @param {String} term - Term ID or 'all' (defaults to the active term)
    * @returns {Promise<Object>} Subject details
    */
-  async getSubjectByCode(subjectCode) {
+  async getSubjectByCode(subjectCode, term) {
     try {
-      // Only return active subjects by default
+      // Only return active subjects by default; codes repeat across terms, so prefer the newest
       const subject = await Subject.findOne({
+        ...(await this.termQuery(term)),
         subjectCode: subjectCode.toUpperCase(),
         isActive: true,
-      });
+      }).sort({ createdAt: -1 });
 
       if (!subject) {
         const error = new Error(ERROR_MESSAGES.SUBJECT_NOT_FOUND);
@@ -144,7 +148,7 @@ class SubjectService {
    */
   async createSubject(subjectData, userId) {
     try {
-      const { subjectCode, subjectName, description, yearLevel, section } = subjectData;
+      const { subjectCode, subjectName, description, yearLevel, section, termId } = subjectData;
 
       // Validate subject code format
       if (!ValidationUtil.isValidSubjectCode(subjectCode)) {
@@ -153,9 +157,13 @@ class SubjectService {
         throw error;
       }
 
-      // Check if subject code already exists
+      // New subjects go into the given term, or the active one
+      const term = await academicTermService.resolveTerm(termId);
+
+      // Check if subject code already exists in the term
       const existingSubject = await Subject.findOne({
         subjectCode: subjectCode.toUpperCase(),
+        term: term ? term._id : null,
       });
 
       if (existingSubject) {
@@ -171,6 +179,7 @@ class SubjectService {
         description,
         yearLevel,
         section,
+        term: term ? term._id : null,
         createdBy: userId,
       });
 
@@ -208,16 +217,29 @@ class SubjectService {
         throw error;
       }
 
-      // If updating subject code, validate and check uniqueness
-      if (updateData.subjectCode && updateData.subjectCode !== subject.subjectCode) {
-        if (!ValidationUtil.isValidSubjectCode(updateData.subjectCode)) {
+      // Moving the subject to another term
+      const { termId, ...changes } = updateData;
+      updateData = changes;
+      let termChanged = false;
+      if (termId && String(termId) !== String(subject.term)) {
+        const term = await academicTermService.resolveTerm(String(termId));
+        subject.term = term ? term._id : null;
+        termChanged = true;
+      }
+
+      // If updating subject code or term, validate and check uniqueness within the term
+      const codeChanged = updateData.subjectCode && updateData.subjectCode !== subject.subjectCode;
+      if (codeChanged || termChanged) {
+        const code = updateData.subjectCode || subject.subjectCode;
+        if (!ValidationUtil.isValidSubjectCode(code)) {
           const error = new Error(ERROR_MESSAGES.INVALID_SUBJECT_CODE);
           error.statusCode = 400;
           throw error;
         }
 
         const existingSubject = await Subject.findOne({
-          subjectCode: updateData.subjectCode.toUpperCase(),
+          subjectCode: code.toUpperCase(),
+          term: subject.term,
           _id: { $ne: id },
         });
 
@@ -227,7 +249,7 @@ class SubjectService {
           throw error;
         }
 
-        updateData.subjectCode = updateData.subjectCode.toUpperCase();
+        if (updateData.subjectCode) updateData.subjectCode = updateData.subjectCode.toUpperCase();
       }
 
       // Handle schedule update specifically if present
@@ -255,6 +277,11 @@ class SubjectService {
 
       await subject.save();
 
+      // Enrollments carry the subject's term
+      if (termChanged) {
+        await Enrollment.updateMany({ subject: subject._id }, { term: subject.term });
+      }
+
       // Create activity record
       await Record.createSubjectRecord(
         subject._id,
@@ -375,9 +402,10 @@ class SubjectService {
    * Search subjects
    * @param {String} searchTerm - Search term
    * @param {Object} pagination - Pagination options
+   * @param {String} term - Term ID or 'all' (defaults to the active term)
    * @returns {Promise<Object>} Search results
    */
-  async searchSubjects(searchTerm, pagination = {}) {
+  async searchSubjects(searchTerm, pagination = {}, term = null) {
     try {
       const { page = 1, limit = 10 } = ValidationUtil.validatePagination(pagination);
       const skip = (page - 1) * limit;
@@ -385,6 +413,7 @@ class SubjectService {
       // Build search query
       const searchRegex = new RegExp(searchTerm, 'i');
       const query = {
+        ...(await this.termQuery(term)),
         $or: [
           { subjectCode: searchRegex },
           { subjectName: searchRegex },
@@ -433,11 +462,17 @@ class SubjectService {
    * Get subjects by year level and section
    * @param {Number} yearLevel - Year level
    * @param {String} section - Section
+   * @param {String} term - Term ID or 'all' (defaults to the active term)
    * @returns {Promise<Array>} Subjects
    */
-  async getSubjectsByYearAndSection(yearLevel, section) {
+  async getSubjectsByYearAndSection(yearLevel, section, term) {
     try {
-      const subjects = await Subject.find({ yearLevel, section, isActive: true });
+      const subjects = await Subject.find({
+        ...(await this.termQuery(term)),
+        yearLevel,
+        section,
+        isActive: true,
+      });
       return subjects;
     } catch (error) {
       logger.error('Error in getSubjectsByYearAndSection:', error);
@@ -494,6 +529,247 @@ class SubjectService {
       throw error;
     }
   }
+
+  /**
+   * Get subjects taught by a user (primary or co-instructor)
+   * @param {String} userId - User ID
+   * @param {String} term - Term ID or 'all' (defaults to the active term)
+   * @returns {Promise<Array>} Subjects with enrollment counts
+   */
+  async getMySubjects(userId, term) {
+    try {
+      const subjects = await Subject.findTaughtBy(userId)
+        .where({ ...(await this.termQuery(term)), isActive: true })
+        .populate('instructor', 'name email')
+        .populate('coInstructors', 'name email')
+        .sort({ subjectCode: 1 })
+        .lean();
+
+      return Promise.all(
+        subjects.map(async (subject) => {
+          const { _id, ...rest } = subject;
+          return {
+            id: _id.toString(),
+            ...rest,
+            isPrimaryInstructor: Boolean(
+              subject.instructor && subject.instructor._id.toString() === userId.toString()
+            ),
+            enrollmentCount: await Enrollment.countDocuments({ subject: _id, isActive: true }),
+          };
+        })
+      );
+    } catch (error) {
+      logger.error('Error in getMySubjects:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Assign the primary instructor and co-instructors of a subject
+   * @param {String} id - Subject ID
+   * @param {Object} assignment - { instructor, coInstructors }
+   * @param {String} userId - User ID performing update
+   * @returns {Promise<Object>} Updated subject
+   */
+  async assignInstructors(id, { instructor, coInstructors }, userId) {
+    try {
+      const subject = await Subject.findOne({ _id: id, isActive: true });
+
+      if (!subject) {
+        const error = new Error(ERROR_MESSAGES.SUBJECT_NOT_FOUND);
+        error.statusCode = 404;
+        throw error;
+      }
+
+      if (instructor !== undefined) subject.instructor = instructor || undefined;
+      if (coInstructors !== undefined) subject.coInstructors = coInstructors;
+
+      // The primary instructor should not also be listed as a co-instructor
+      const primaryId = subject.instructor ? subject.instructor.toString() : null;
+      const coInstructorIds = [
+        ...new Set(subject.coInstructors.map((coInstructor) => coInstructor.toString())),
+      ].filter((coInstructorId) => coInstructorId !== primaryId);
+      subject.coInstructors = coInstructorIds;
+
+      const assignedIds = primaryId ? [primaryId, ...coInstructorIds] : coInstructorIds;
+      if (assignedIds.length > 0) {
+        const users = await User.find({ _id: { $in: assignedIds }, isActive: true })
+          .select('role')
+          .lean();
+        const valid =
+          users.length === assignedIds.length &&
+          users.every((user) => roleHasPermission(user.role, PERMISSIONS.ATTENDANCE_MARK));
+
+        if (!valid) {
+          const error = new Error(ERROR_MESSAGES.INVALID_INSTRUCTOR);
+          error.statusCode = 400;
+          throw error;
+        }
+      }
+
+      await subject.save();
+
+      await Record.createSubjectRecord(
+        subject._id,
+        RECORD_TYPES.SUBJECT_UPDATED,
+        `Subject ${subject.subjectCode} instructors updated`,
+        userId
+      );
+
+      logger.info(`Subject instructors updated: ${subject.subjectCode} by user ${userId}`);
+
+      await subject.populate([
+        { path: 'instructor', select: 'name email role' },
+        { path: 'coInstructors', select: 'name email role' },
+      ]);
+
+      return subject.toObject();
+    } catch (error) {
+      logger.error('Error in assignInstructors:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update the attendance policy used to classify check-ins
+   * @param {String} id - Subject ID
+   * @param {Object} policy - gracePeriodMinutes, lateCutoffMinutes, absentAfterMinutes
+   * @param {String} userId - User ID updating the policy
+   * @returns {Promise<Object>} Updated subject
+   */
+  async updateAttendancePolicy(id, policy, userId) {
+    try {
+      const subject = await Subject.findOne({ _id: id, isActive: true });
+
+      if (!subject) {
+        const error = new Error(ERROR_MESSAGES.SUBJECT_NOT_FOUND);
+        error.statusCode = 404;
+        throw error;
+      }
+
+      ['gracePeriodMinutes', 'lateCutoffMinutes', 'absentAfterMinutes'].forEach((field) => {
+        if (policy[field] !== undefined) subject.attendancePolicy[field] = Number(policy[field]);
+      });
+
+      await subject.save();
+
+      await Record.createSubjectRecord(
+        subject._id,
+        RECORD_TYPES.SUBJECT_UPDATED,
+        `Subject ${subject.subjectCode} attendance policy updated`,
+        userId
+      );
+
+      logger.info(`Subject attendance policy updated: ${subject.subjectCode} by user ${userId}`);
+
+      return subject.toObject();
+    } catch (error) {
+      logger.error('Error in updateAttendancePolicy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the IDs of subjects a user may work with
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Array|null>} Subject IDs, or null when the user can access every subject
+   */
+  async getAccessibleSubjectIds(user) {
+    if (roleHasPermission(user.role, PERMISSIONS.SUBJECT_ACCESS_ALL)) {
+      return null;
+    }
+
+    const subjects = await Subject.findTaughtBy(user._id).select('_id').lean();
+    return subjects.map((subject) => subject._id);
+  }
+
+  /**
+   * Ensure a user may work with a subject (admins or the subject's instructors)
+   * @param {Object} user - Authenticated user
+   * @param {String} subjectId - Subject ID
+   * @returns {Promise<void>}
+   */
+  async assertSubjectAccess(user, subjectId) {
+    if (roleHasPermission(user.role, PERMISSIONS.SUBJECT_ACCESS_ALL)) {
+      return;
+    }
+
+    const subject = await Subject.findById(subjectId).select('instructor coInstructors');
+
+    if (!subject) {
+      const error = new Error(ERROR_MESSAGES.SUBJECT_NOT_FOUND);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (!subject.isTaughtBy(user._id)) {
+      const error = new Error(ERROR_MESSAGES.SUBJECT_ACCESS_DENIED);
+      error.statusCode = 403;
+      throw error;
+    }
+  }
+
+  /**
+   * Ensure a user may change an attendance record (via access to its subject)
+   * @param {Object} user - Authenticated user
+   * @param {String} attendanceId - Attendance ID
+   * @returns {Promise<void>}
+   */
+  async assertAttendanceAccess(user, attendanceId) {
+    if (roleHasPermission(user.role, PERMISSIONS.SUBJECT_ACCESS_ALL)) {
+      return;
+    }
+
+    const attendance = await Attendance.findById(attendanceId).select('subject').lean();
+
+    if (!attendance) {
+      const error = new Error(ERROR_MESSAGES.ATTENDANCE_NOT_FOUND);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (!attendance.subject) {
+      const error = new Error(ERROR_MESSAGES.SUBJECT_ACCESS_DENIED);
+      error.statusCode = 403;
+      throw error;
+    }
+
+    await this.assertSubjectAccess(user, attendance.subject);
+  }
+
+  /**
+   * Ensure a user may act on a student (enrolled in one of the user's subjects)
+   * @param {Object} user - Authenticated user
+   * @param {String} studentId - Student ID
+   * @returns {Promise<void>}
+   */
+  async assertStudentAccess(user, studentId) {
+    const subjectIds = await this.getAccessibleSubjectIds(user);
+    if (subjectIds === null) {
+      return;
+    }
+
+    const enrolled = await Enrollment.exists({
+      student: studentId,
+      subject: { $in: subjectIds },
+      isActive: true,
+    });
+
+    if (!enrolled) {
+      const error = new Error(ERROR_MESSAGES.STUDENT_ACCESS_DENIED);
+      error.statusCode = 403;
+      throw error;
+    }
+  }
+
+  /**
+   * Build the subject filter for a `?term=` value
+   * @private
+   */
+  async termQuery(term) {
+    const resolved = await academicTermService.resolveTerm(term);
+    return resolved ? { term: resolved._id } : {};
+  }
 }
 
 module.exports = new SubjectService();
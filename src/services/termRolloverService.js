@@ -0,0 +1,309 @@
+const { AcademicTerm, Subject, Enrollment, Student, Record } = require('../models');
+const { RECORD_TYPES, ERROR_MESSAGES } = require('../config/constants');
+const logger = require('../utils/logger');
+
+// Subject fields copied into the new term
+const CLONED_FIELDS = [
+  'subjectCode',
+  'subjectName',
+  'description',
+  'yearLevel',
+  'section',
+  'schedules',
+  'attendancePolicy',
+  'schedule',
+  'instructor',
+  'coInstructors',
+];
+
+// Sections start with the year level, e.g. "2-D" or "2D"
+const SECTION_PATTERN = /^(\d+)(.*)$/;
+
+/**
+ * Term Rollover Service
+ * Starts a new term from the previous one: clones subjects, promotes or graduates students and
+ * carries enrollments for students who continue in the same section. Every rollover can be
+ * previewed first; the preview and the applied run produce the same report
+ */
+class TermRolloverService {
+  /**
+   * Roll a term over into another term
+   * @param {String} targetTermId - Term receiving the subjects
+   * @param {Object} options - fromTermId (defaults to the active term), subjectIds (defaults to
+   *   every active subject of the source term), carryEnrollments (default true),
+   *   promoteStudents (default false), sectionMap ({ oldSection: newSection } overrides),
+   *   graduatingYearLevel (students in this year level graduate), dryRun (default true)
+   * @param {String} userId - User performing the rollover
+   * @returns {Promise<Object>} Rollover report
+   */
+  async rolloverTerm(targetTermId, options, userId) {
+    try {
+      const {
+        subjectIds,
+        carryEnrollments = true,
+        promoteStudents = false,
+        sectionMap = {},
+        graduatingYearLevel,
+        dryRun = true,
+      } = options;
+
+      const { fromTerm, toTerm } = await this.resolveTerms(options.fromTermId, targetTermId);
+
+      const subjectQuery = { term: fromTerm._id, isActive: true };
+      if (subjectIds && subjectIds.length > 0) subjectQuery._id = { $in: subjectIds };
+      const sourceSubjects = await Subject.find(subjectQuery).sort({ subjectCode: 1 }).lean();
+
+      // Subjects already cloned (e.g. a re-run) are reused rather than duplicated
+      const existingSubjects = await Subject.find({
+        term: toTerm._id,
+        subjectCode: { $in: sourceSubjects.map((subject) => subject.subjectCode) },
+      }).lean();
+      const existingByCode = new Map(
+        existingSubjects.map((subject) => [subject.subjectCode, subject])
+      );
+
+      // Students of the source term, with their section in the new term
+      const termSubjectIds = await Subject.distinct('_id', { term: fromTerm._id });
+      const termEnrollments = await Enrollment.find({
+        subject: { $in: termSubjectIds },
+        isActive: true,
+      })
+        .select('student subject')
+        .lean();
+      const students = await Student.find({
+        _id: { $in: [...new Set(termEnrollments.map(({ student }) => student.toString()))] },
+        status: 'active',
+        isActive: true,
+      })
+        .select('studentNumber firstName lastName section')
+        .sort({ studentNumber: 1 })
+        .lean();
+      const plans = new Map(
+        students.map((student) => [
+          student._id.toString(),
+          this.planStudent(student, { promoteStudents, sectionMap, graduatingYearLevel }),
+        ])
+      );
+
+      const alreadyEnrolled = new Set(
+        (
+          await Enrollment.find({ subject: { $in: existingSubjects.map(({ _id }) => _id) } })
+            .select('student subject')
+            .lean()
+        ).map(({ student, subject }) => `${subject}:${student}`)
+      );
+
+      const subjects = sourceSubjects.map((subject) => {
+        const existing = existingByCode.get(subject.subjectCode);
+        const enrolled = termEnrollments.filter(
+          (enrollment) => enrollment.subject.toString() === subject._id.toString()
+        );
+
+        // Continuing students stay enrolled when they remain in the subject's section
+        const carried = carryEnrollments
+          ? enrolled
+              .map(({ student }) => plans.get(student.toString()))
+              .filter(
+                (plan) =>
+                  plan &&
+                  plan.action !== 'graduate' &&
+                  (!subject.section || plan.toSection === subject.section) &&
+                  !(existing && alreadyEnrolled.has(`${existing._id}:${plan.studentId}`))
+              )
+          : [];
+
+        return {
+          source: subject,
+          existing,
+          carried,
+          report: {
+            sourceSubjectId: subject._id,
+            targetSubjectId: existing ? existing._id : null,
+            subjectCode: subject.subjectCode,
+            subjectName: subject.subjectName,
+            section: subject.section,
+            action: existing ? 'existing' : 'create',
+            enrollments: { carried: carried.length, skipped: enrolled.length - carried.length },
+            // The source subject and its enrollments are closed so they stop collecting attendance
+            sourceEnrollmentsDeactivated: enrolled.length,
+          },
+        };
+      });
+
+      const studentPlans = [...plans.values()];
+      const report = {
+        dryRun: Boolean(dryRun),
+        fromTerm: { id: fromTerm._id, name: fromTerm.name },
+        toTerm: { id: toTerm._id, name: toTerm.name },
+        subjects: subjects.map((subject) => subject.report),
+        students: {
+          promoted: studentPlans.filter((plan) => plan.action === 'promote'),
+          graduated: studentPlans.filter((plan) => plan.action === 'graduate'),
+          // Sections without a year level prefix or mapping keep their section
+          unresolved: studentPlans.filter((plan) => plan.action === 'unresolved'),
+        },
+      };
+      report.totals = {
+        subjectsCreated: subjects.filter((subject) => !subject.existing).length,
+        subjectsExisting: subjects.filter((subject) => subject.existing).length,
+        enrollmentsCarried: subjects.reduce((sum, subject) => sum + subject.carried.length, 0),
+        sourceSubjectsDeactivated: subjects.length,
+        sourceEnrollmentsDeactivated: subjects.reduce(
+          (sum, subject) => sum + subject.report.sourceEnrollmentsDeactivated,
+          0
+        ),
+        studentsPromoted: report.students.promoted.length,
+        studentsGraduated: report.students.graduated.length,
+        studentsUnresolved: report.students.unresolved.length,
+      };
+
+      if (dryRun) return report;
+
+      await this.apply(subjects, studentPlans, toTerm, userId);
+
+      await Record.create({
+        recordType: RECORD_TYPES.TERM_ROLLOVER,
+        recordData:
+          `Rolled "${fromTerm.name}" over into "${toTerm.name}": ` +
+          `${report.totals.subjectsCreated} subject(s) cloned, ` +
+          `${report.totals.enrollmentsCarried} enrollment(s) carried, ` +
+          `${report.totals.sourceSubjectsDeactivated} source subject(s) deactivated, ` +
+          `${report.totals.studentsPromoted} student(s) promoted, ` +
+          `${report.totals.studentsGraduated} graduated`,
+        performedBy: userId,
+        metadata: { fromTermId: fromTerm._id, toTermId: toTerm._id, totals: report.totals },
+      });
+
+      logger.info(`Term ${fromTerm._id} rolled over into ${toTerm._id} by ${userId}`);
+
+      // Subject reports now carry the IDs of the created subjects
+      return report;
+    } catch (error) {
+      logger.error('Error in rolloverTerm:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Work out where a student goes in the new term
+   * @param {Object} student - Student with section
+   * @param {Object} options - promoteStudents, sectionMap, graduatingYearLevel
+   * @returns {Object} Plan: action is 'stay', 'promote', 'graduate' or 'unresolved'
+   * @private
+   */
+  planStudent(student, { promoteStudents, sectionMap, graduatingYearLevel }) {
+    const fromSection = student.section || '';
+    const plan = {
+      studentId: student._id.toString(),
+      studentNumber: student.studentNumber,
+      name: `${student.firstName} ${student.lastName}`,
+      fromSection,
+      toSection: fromSection,
+      action: 'stay',
+    };
+    if (!promoteStudents) return plan;
+
+    const match = fromSection.match(SECTION_PATTERN);
+    const yearLevel = match ? parseInt(match[1], 10) : null;
+
+    if (graduatingYearLevel && yearLevel === Number(graduatingYearLevel)) {
+      return { ...plan, toSection: null, action: 'graduate' };
+    }
+    if (Object.prototype.hasOwnProperty.call(sectionMap, fromSection)) {
+      return { ...plan, toSection: sectionMap[fromSection], action: 'promote' };
+    }
+    if (!match) return { ...plan, action: 'unresolved' };
+
+    return { ...plan, toSection: `${yearLevel + 1}${match[2]}`, action: 'promote' };
+  }
+
+  /**
+   * Write a planned rollover: subjects, then enrollments, then students, then close the
+   * rolled-over source subjects and their enrollments
+   * @private
+   */
+  async apply(subjects, studentPlans, toTerm, userId) {
+    const toCreate = subjects.filter((subject) => !subject.existing);
+    const created = await Subject.insertMany(
+      toCreate.map(({ source }) => {
+        const clone = { term: toTerm._id, createdBy: userId };
+        CLONED_FIELDS.forEach((field) => {
+          if (source[field] !== undefined) clone[field] = source[field];
+        });
+        return clone;
+      })
+    );
+    toCreate.forEach((subject, index) => {
+      subject.existing = created[index].toObject();
+      subject.report.targetSubjectId = created[index]._id;
+    });
+
+    const enrollments = subjects.flatMap(({ existing, carried }) =>
+      carried.map((plan) => ({
+        student: plan.studentId,
+        subject: existing._id,
+        term: toTerm._id,
+        enrolledBy: userId,
+      }))
+    );
+    if (enrollments.length > 0) await Enrollment.insertMany(enrollments);
+
+    // One update per destination section
+    const promotions = new Map();
+    studentPlans
+      .filter((plan) => plan.action === 'promote')
+      .forEach((plan) => {
+        promotions.set(plan.toSection, [...(promotions.get(plan.toSection) || []), plan.studentId]);
+      });
+    await Promise.all(
+      [...promotions].map(([section, ids]) =>
+        Student.updateMany({ _id: { $in: ids } }, { section })
+      )
+    );
+
+    const graduates = studentPlans
+      .filter((plan) => plan.action === 'graduate')
+      .map((plan) => plan.studentId);
+    if (graduates.length > 0) {
+      await Student.updateMany({ _id: { $in: graduates } }, { status: 'graduated' });
+    }
+
+    const sourceIds = subjects.map(({ source }) => source._id);
+    await Enrollment.updateMany(
+      { subject: { $in: sourceIds }, isActive: true },
+      { isActive: false }
+    );
+    await Subject.updateMany({ _id: { $in: sourceIds } }, { isActive: false });
+  }
+
+  /**
+   * Load the source and target terms
+   * @private
+   */
+  async resolveTerms(fromTermId, targetTermId) {
+    const [toTerm, fromTerm] = await Promise.all([
+      AcademicTerm.findById(targetTermId).lean(),
+      fromTermId ? AcademicTerm.findById(fromTermId).lean() : AcademicTerm.findActive().lean(),
+    ]);
+
+    if (!toTerm || (fromTermId && !fromTerm)) {
+      const error = new Error(ERROR_MESSAGES.TERM_NOT_FOUND);
+      error.statusCode = 404;
+      throw error;
+    }
+    if (!fromTerm) {
+      const error = new Error(ERROR_MESSAGES.TERM_ROLLOVER_NO_SOURCE);
+      error.statusCode = 400;
+      throw error;
+    }
+    if (fromTerm._id.equals(toTerm._id)) {
+      const error = new Error(ERROR_MESSAGES.TERM_ROLLOVER_SAME_TERM);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return { fromTerm, toTerm };
+  }
+}
+
+module.exports = new TermRolloverService();
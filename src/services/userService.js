@@ -1,9 +1,20 @@
 const { User, Record } = require('../models');
-const { ROLES, RECORD_TYPES, ERROR_MESSAGES } = require('../config/constants');
+const {
+  ROLES,
+  AUTH,
+  RECORD_TYPES,
+  ERROR_MESSAGES,
+  TOKEN_PURPOSES,
+} = require('../config/constants');
 const ValidationUtil = require('../utils/validationUtil');
-const { EmailUtil } = require('../utils/emailUtil');
+const EmailUtil = require('../utils/emailUtil');
+const JWTUtil = require('../utils/jwtUtil');
 const logger = require('../utils/logger');
 
+// Fields an admin can change through updateUser; passwords, 2FA, lockouts, invitations and
+// token versions have their own flows
+const UPDATABLE_FIELDS = ['name', 'email', 'role', 'isActive'];
+
 /**
  * User Management Service
  * Handles business logic for user management (Admin operations)
@@ -149,15 +160,186 @@ class UserService {
     }
   }
 
+  /**
+   * Invite a new user (Admin operation)
+   * Creates a pending account; the invitee sets their own password via the emailed link
+   * @param {Object} userData - User data (name, email, role)
+   * @param {String} adminId - Admin user ID sending the invitation
+   * @returns {Promise<Object>} Pending user
+   */
+  async inviteUser(userData, adminId) {
+    try {
+      const { name, email, role } = userData;
+
+      if (!ValidationUtil.isValidEmail(email)) {
+        const error = new Error(ERROR_MESSAGES.INVALID_EMAIL);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const existingUser = await User.findByEmail(email);
+      if (existingUser) {
+        const error = new Error(ERROR_MESSAGES.USER_EXISTS);
+        error.statusCode = 409;
+        throw error;
+      }
+
+      if (role && !Object.values(ROLES).includes(role)) {
+        const error = new Error('Invalid role');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const user = new User({
+        name,
+        email,
+        role: role || ROLES.STAFF,
+        isPending: true,
+        invitedBy: adminId,
+      });
+
+      try {
+        await this.sendInvitation(user);
+      } catch (emailError) {
+        // Don't leave behind an account nobody can activate
+        await User.deleteOne({ _id: user._id });
+        throw emailError;
+      }
+
+      await Record.create({
+        recordType: RECORD_TYPES.USER_INVITED,
+        recordData: `User ${user.name} (${user.email}) invited with role ${user.role}`,
+        performedBy: adminId,
+        metadata: { userId: user._id },
+      });
+
+      logger.info(`User invited: ${user.email} by admin ${adminId}`);
+
+      return user.toJSON();
+    } catch (error) {
+      logger.error('Error in inviteUser:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resend an invitation; links from earlier invitations stop working
+   * @param {String} id - User ID
+   * @param {String} adminId - Admin user ID performing action
+   * @returns {Promise<Object>} Pending user
+   */
+  async resendInvitation(id, adminId) {
+    try {
+      const user = await this.getPendingUser(id);
+
+      await this.sendInvitation(user);
+
+      await Record.create({
+        recordType: RECORD_TYPES.USER_INVITED,
+        recordData: `Invitation resent to ${user.email}`,
+        performedBy: adminId,
+        metadata: { userId: user._id, resent: true },
+      });
+
+      logger.info(`Invitation resent: ${user.email} by admin ${adminId}`);
+
+      return user.toJSON();
+    } catch (error) {
+      logger.error('Error in resendInvitation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke an invitation by removing the pending account
+   * @param {String} id - User ID
+   * @param {String} adminId - Admin user ID performing action
+   * @returns {Promise<void>}
+   */
+  async revokeInvitation(id, adminId) {
+    try {
+      const user = await this.getPendingUser(id);
+
+      await User.deleteOne({ _id: user._id });
+
+      await Record.create({
+        recordType: RECORD_TYPES.INVITATION_REVOKED,
+        recordData: `Invitation for ${user.email} revoked`,
+        performedBy: adminId,
+        metadata: { userId: user._id },
+      });
+
+      logger.info(`Invitation revoked: ${user.email} by admin ${adminId}`);
+    } catch (error) {
+      logger.error('Error in revokeInvitation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a user whose invitation has not been accepted yet
+   * @param {String} id - User ID
+   * @returns {Promise<Object>} User document
+   * @private
+   */
+  async getPendingUser(id) {
+    const user = await User.findById(id);
+
+    if (!user) {
+      const error = new Error(ERROR_MESSAGES.USER_NOT_FOUND);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (!user.isPending) {
+      const error = new Error(ERROR_MESSAGES.INVITATION_NOT_PENDING);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return user;
+  }
+
+  /**
+   * Issue a fresh one-time invitation token, save the user and email the activation link
+   * @param {Object} user - Pending user document
+   * @returns {Promise<void>}
+   * @private
+   */
+  async sendInvitation(user) {
+    const tokenId = user.createInvitationToken();
+    await user.save();
+
+    const inviteToken = JWTUtil.generatePurposeToken(
+      { id: user._id, jti: tokenId },
+      TOKEN_PURPOSES.INVITATION,
+      AUTH.INVITATION_EXPIRES_MS / 1000 // seconds
+    );
+
+    try {
+      await EmailUtil.sendInvitationEmail(user.email, user.name, inviteToken);
+    } catch (emailError) {
+      logger.error(`Failed to send invitation email: ${emailError.message}`);
+      const error = new Error('Unable to send invitation email. Please try again later');
+      error.statusCode = 500;
+      throw error;
+    }
+  }
+
   /**
    * Update user
    * @param {String} id - User ID
-   * @param {Object} updateData - Data to update
+   * @param {Object} data - Data to update (name, email, role, isActive; other keys are ignored)
    * @param {String} adminId - Admin user ID performing update
    * @returns {Promise<Object>} Updated user
    */
-  async updateUser(id, updateData, adminId) {
+  async updateUser(id, data, adminId) {
     try {
+      const updateData = UPDATABLE_FIELDS.filter((field) => data[field] !== undefined).reduce(
+        (fields, field) => ({ ...fields, [field]: data[field] }),
+        {}
+      );
+
       const user = await User.findById(id);
 
       if (!user) {
@@ -166,11 +348,6 @@ class UserService {
         throw error;
       }
 
-      // Prevent updating password through this method
-      if (updateData.password) {
-        delete updateData.password;
-      }
-
       // If updating email, check uniqueness
       if (updateData.email && updateData.email !== user.email) {
         if (!ValidationUtil.isValidEmail(updateData.email)) {
@@ -200,6 +377,12 @@ class UserService {
 
       // Update user
       Object.assign(user, updateData);
+
+      // Role changes and deactivation apply to tokens already issued
+      if (user.isModified('role') || (user.isModified('isActive') && !user.isActive)) {
+        user.tokenVersion += 1;
+      }
+
       await user.save();
 
       // Create activity record
@@ -252,8 +435,9 @@ class UserService {
         throw error;
       }
 
-      // Soft delete
+      // Soft delete and invalidate outstanding access tokens
       user.isActive = false;
+      user.tokenVersion += 1;
       await user.save();
 
       // Create activity record
@@ -307,6 +491,9 @@ class UserService {
       }
 
       user.isActive = !user.isActive;
+      if (!user.isActive) {
+        user.tokenVersion += 1;
+      }
       await user.save();
 
       // Create activity record
@@ -329,6 +516,42 @@ class UserService {
     }
   }
 
+  /**
+   * Unlock an account locked after repeated failed logins
+   * @param {String} id - User ID
+   * @param {String} adminId - Admin performing the action
+   * @returns {Promise<Object>} Updated user
+   */
+  async unlockUser(id, adminId) {
+    try {
+      const user = await User.findById(id);
+
+      if (!user) {
+        const error = new Error(ERROR_MESSAGES.USER_NOT_FOUND);
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const wasLocked = user.isLocked;
+
+      await User.resetLoginAttempts(user._id);
+
+      await Record.create({
+        recordType: RECORD_TYPES.ACCOUNT_UNLOCKED,
+        recordData: `Account ${user.email} unlocked${wasLocked ? '' : ' (was not locked)'}`,
+        performedBy: adminId,
+        metadata: { userId: user._id, failedLoginAttempts: user.failedLoginAttempts },
+      });
+
+      logger.info(`User unlocked: ${user.email} by admin ${adminId}`);
+
+      return User.findById(id).select('-password -refreshToken');
+    } catch (error) {
+      logger.error('Error in unlockUser:', error);
+      throw error;
+    }
+  }
+
   /**
    * Search users
    * @param {String} searchTerm - Search term
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const { Attendance, Record } = require('../models');
+const attendanceService = require('../services/attendanceService');
+const attendanceLockService = require('../services/attendanceLockService');
+const attendanceAlertService = require('../services/attendanceAlertService');
+const { ATTENDANCE_STATUS, ATTENDANCE_SOURCES } = require('../config/constants');
+
+describe('Attendance history tests', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const firstExcuse = new mongoose.Types.ObjectId();
+  const secondExcuse = new mongoose.Types.ObjectId();
+
+  let attendance;
+
+  beforeEach(() => {
+    // An absence excused by one letter, then linked to another
+    attendance = new Attendance({
+      student: new mongoose.Types.ObjectId(),
+      subject: new mongoose.Types.ObjectId(),
+      date: new Date('2024-01-15T00:00:00Z'),
+      status: ATTENDANCE_STATUS.EXCUSED,
+      excuse: secondExcuse,
+      source: ATTENDANCE_SOURCES.MANUAL,
+      markedBy: userId,
+      history: [
+        { status: ATTENDANCE_STATUS.ABSENT, editedBy: userId },
+        { status: ATTENDANCE_STATUS.EXCUSED, excuse: firstExcuse, editedBy: userId },
+      ],
+    });
+
+    jest.spyOn(attendance, 'save').mockResolvedValue(attendance);
+    jest.spyOn(Attendance, 'findById').mockImplementation(() => {
+      // Loaded as a document, then re-read with populate(...).lean() before it is returned
+      const query = Promise.resolve(attendance);
+      query.populate = () => query;
+      query.lean = () => Promise.resolve(attendance.toObject());
+      return query;
+    });
+    jest.spyOn(Record, 'create').mockResolvedValue({});
+    jest.spyOn(attendanceLockService, 'assertUnlocked').mockResolvedValue();
+    jest.spyOn(attendanceAlertService, 'scheduleEvaluation').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('edits record the excuse of the version they replace', async () => {
+    await attendanceService.updateAttendance(
+      attendance._id,
+      { status: ATTENDANCE_STATUS.PRESENT, excuse: undefined },
+      userId
+    );
+
+    const entry = attendance.history[attendance.history.length - 1];
+    expect(entry.status).toBe(ATTENDANCE_STATUS.EXCUSED);
+    expect(String(entry.excuse)).toBe(String(secondExcuse));
+
+    const { timeline } = await attendanceService.getAttendanceHistory(attendance._id);
+    expect(String(timeline[timeline.length - 2].excuse)).toBe(String(secondExcuse));
+  });
+
+  test('reverting to an excused version restores the excuse it had', async () => {
+    const target = attendance.history[1];
+
+    await attendanceService.revertAttendance(attendance._id, target._id, userId);
+
+    expect(attendance.status).toBe(ATTENDANCE_STATUS.EXCUSED);
+    expect(String(attendance.excuse)).toBe(String(firstExcuse));
+    expect(String(attendance.history[2].excuse)).toBe(String(secondExcuse));
+  });
+
+  test('reverting to a version without an excuse clears the link', async () => {
+    await attendanceService.revertAttendance(attendance._id, attendance.history[0]._id, userId);
+
+    expect(attendance.status).toBe(ATTENDANCE_STATUS.ABSENT);
+    expect(attendance.excuse).toBeUndefined();
+  });
+});
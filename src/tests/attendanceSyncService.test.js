@@ -0,0 +1,192 @@
+const { Attendance, AttendanceSyncItem } = require('../models');
+const attendanceSyncService = require('../services/attendanceSyncService');
+const subjectAttendanceService = require('../services/subjectAttendanceService');
+const {
+  ATTENDANCE_SOURCES,
+  ATTENDANCE_SYNC_RESULTS,
+  ATTENDANCE_SYNC_ON_CONFLICT,
+} = require('../config/constants');
+
+describe('Attendance sync item tests', () => {
+  const userId = '507f1f77bcf86cd799439001';
+
+  // The one server record the items of a test write to; null until created
+  let serverRecord;
+
+  const context = (onConflict = ATTENDANCE_SYNC_ON_CONFLICT.KEEP_SERVER) => ({
+    onConflict,
+    applied: new Map(),
+    chains: new Map(),
+  });
+
+  const item = (clientId, fields = {}) => ({
+    clientId,
+    clientTimestamp: '2024-01-15T08:05:00.000Z',
+    subjectId: '507f1f77bcf86cd799439002',
+    studentId: '507f1f77bcf86cd799439003',
+    date: '2024-01-15',
+    status: 'present',
+    ...fields,
+  });
+
+  // Single manual marks and automatic absences are stored without a time slot
+  const record = (fields = {}) => ({
+    _id: '507f1f77bcf86cd799439004',
+    status: 'absent',
+    scheduleSlot: null,
+    source: ATTENDANCE_SOURCES.MANUAL,
+    history: [],
+    ...fields,
+  });
+
+  // Created the way markAbsentForSlot inserts it
+  const autoAbsence = () => ({
+    _id: '507f1f77bcf86cd799439005',
+    status: 'absent',
+    scheduleSlot: null,
+    source: ATTENDANCE_SOURCES.AUTO,
+    remarks: 'Automatically marked absent after the session ended',
+    history: [],
+  });
+
+  const matchesTimeSlot = (attendance, condition) => {
+    const timeSlot = attendance.timeSlot || null;
+    return condition && condition.$in ? condition.$in.includes(timeSlot) : condition === timeSlot;
+  };
+
+  beforeEach(() => {
+    serverRecord = null;
+
+    jest.spyOn(Attendance, 'findOne').mockImplementation((query) => ({
+      lean: () =>
+        Promise.resolve(
+          serverRecord && matchesTimeSlot(serverRecord, query.timeSlot) ? serverRecord : null
+        ),
+    }));
+
+    // Marking records the previous state in history, as the service does for edits
+    jest
+      .spyOn(subjectAttendanceService, 'markSubjectAttendance')
+      .mockImplementation(async ({ status, remarks, source }) => {
+        const isUpdate = Boolean(serverRecord);
+        serverRecord = isUpdate
+          ? {
+              ...serverRecord,
+              status,
+              remarks,
+              source,
+              history: [...serverRecord.history, { status: serverRecord.status }],
+            }
+          : record({ status, remarks, source });
+        return { attendance: serverRecord, isUpdate };
+      });
+
+    jest.spyOn(AttendanceSyncItem, 'create').mockImplementation(async (data) => ({
+      ...data,
+      toObject: () => data,
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('creates a record the server does not have yet', async () => {
+    const result = await attendanceSyncService.syncItem(item('a'), context(), userId);
+    expect(result).toMatchObject({ result: ATTENDANCE_SYNC_RESULTS.CREATED, version: 0 });
+    expect(serverRecord.status).toBe('present');
+  });
+
+  test('reports a conflict when the server record moved past the base version', async () => {
+    serverRecord = record({ history: [{ status: 'present' }] });
+
+    const result = await attendanceSyncService.syncItem(
+      item('a', { baseVersion: 0 }),
+      context(),
+      userId
+    );
+    expect(result).toMatchObject({
+      result: ATTENDANCE_SYNC_RESULTS.CONFLICT,
+      version: 1,
+      conflict: { baseVersion: 0, serverVersion: 1, server: { status: 'absent' } },
+    });
+    expect(subjectAttendanceService.markSubjectAttendance).not.toHaveBeenCalled();
+  });
+
+  test('overwrites a conflicting record when asked and still reports the conflict', async () => {
+    serverRecord = record({ history: [{ status: 'present' }] });
+
+    const result = await attendanceSyncService.syncItem(
+      item('a', { baseVersion: 0 }),
+      context(ATTENDANCE_SYNC_ON_CONFLICT.OVERWRITE),
+      userId
+    );
+    expect(result).toMatchObject({
+      result: ATTENDANCE_SYNC_RESULTS.UPDATED,
+      version: 2,
+      conflict: { baseVersion: 0, serverVersion: 1 },
+    });
+  });
+
+  test('replaces an untouched automatic absence without a base version', async () => {
+    serverRecord = autoAbsence();
+
+    const result = await attendanceSyncService.syncItem(item('a'), context(), userId);
+    expect(Attendance.findOne).toHaveBeenCalledWith(
+      expect.objectContaining({ timeSlot: { $in: [null, 'arrival'] } })
+    );
+    expect(subjectAttendanceService.markSubjectAttendance).toHaveBeenCalledWith(
+      expect.objectContaining({ timeSlot: undefined }),
+      userId
+    );
+    expect(result).toMatchObject({
+      result: ATTENDANCE_SYNC_RESULTS.UPDATED,
+      attendanceId: '507f1f77bcf86cd799439005',
+    });
+    expect(result.conflict).toBeUndefined();
+    expect(serverRecord).toMatchObject({ status: 'present', source: ATTENDANCE_SOURCES.SYNC });
+  });
+
+  test('builds later items of a batch on the version earlier items produced', async () => {
+    serverRecord = record({ history: [{ status: 'present' }] });
+    const batch = context();
+
+    const first = await attendanceSyncService.syncItem(
+      item('a', { baseVersion: 1, status: 'late' }),
+      batch,
+      userId
+    );
+    const second = await attendanceSyncService.syncItem(
+      item('b', { baseVersion: 1, status: 'present' }),
+      batch,
+      userId
+    );
+
+    expect(first).toMatchObject({ result: ATTENDANCE_SYNC_RESULTS.UPDATED, version: 2 });
+    expect(second).toMatchObject({ result: ATTENDANCE_SYNC_RESULTS.UPDATED, version: 3 });
+    expect(serverRecord.status).toBe('present');
+  });
+
+  test('answers a replayed client ID without applying it again', async () => {
+    const batch = context();
+
+    const first = await attendanceSyncService.syncItem(item('a'), batch, userId);
+    const replay = await attendanceSyncService.syncItem(item('a'), batch, userId);
+
+    expect(replay).toMatchObject({ result: first.result, version: first.version, duplicate: true });
+    expect(subjectAttendanceService.markSubjectAttendance).toHaveBeenCalledTimes(1);
+    expect(AttendanceSyncItem.create).toHaveBeenCalledTimes(1);
+  });
+
+  test('reports an unchanged mark without writing the record', async () => {
+    serverRecord = record({ status: 'present', history: [{ status: 'absent' }] });
+
+    const result = await attendanceSyncService.syncItem(
+      item('a', { baseVersion: 1 }),
+      context(),
+      userId
+    );
+    expect(result).toMatchObject({ result: ATTENDANCE_SYNC_RESULTS.UNCHANGED, version: 1 });
+    expect(subjectAttendanceService.markSubjectAttendance).not.toHaveBeenCalled();
+  });
+});
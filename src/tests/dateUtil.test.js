@@ -0,0 +1,50 @@
+const DateUtil = require('../utils/dateUtil');
+
+describe('Date utility tests', () => {
+  const originalTimezone = process.env.INSTITUTION_TIMEZONE;
+
+  beforeEach(() => {
+    process.env.INSTITUTION_TIMEZONE = 'Asia/Manila';
+  });
+
+  afterAll(() => {
+    if (originalTimezone === undefined) delete process.env.INSTITUTION_TIMEZONE;
+    else process.env.INSTITUTION_TIMEZONE = originalTimezone;
+  });
+
+  test('files early-morning times on the institution day', () => {
+    // 07:30 in Manila is still the previous day in UTC
+    const morning = new Date('2024-03-06T23:30:00Z');
+
+    expect(DateUtil.toDateKey(morning)).toBe('2024-03-07');
+    expect(DateUtil.getDayName(morning)).toBe('Thursday');
+    expect(DateUtil.getMinutesOfDay(morning)).toBe(450);
+    expect(DateUtil.startOfDay(morning).toISOString()).toBe('2024-03-06T16:00:00.000Z');
+  });
+
+  test('reads date-only strings as institution calendar days', () => {
+    expect(DateUtil.startOfDay('2024-03-07').toISOString()).toBe('2024-03-06T16:00:00.000Z');
+
+    const { start, end } = DateUtil.getDayRange('2024-03-07');
+    expect(end.getTime() - start.getTime()).toBe(24 * 60 * 60 * 1000);
+  });
+
+  test('handles daylight saving changes', () => {
+    process.env.INSTITUTION_TIMEZONE = 'America/New_York';
+
+    // Clocks go forward on 2024-03-10, so that day is 23 hours long
+    const dayStart = DateUtil.startOfDay('2024-03-10');
+    expect(dayStart.toISOString()).toBe('2024-03-10T05:00:00.000Z');
+    expect(DateUtil.addDays(dayStart, 1).toISOString()).toBe('2024-03-11T04:00:00.000Z');
+
+    // 15:00 that afternoon is already daylight time, not 15 hours after midnight
+    expect(DateUtil.atTime('2024-03-10', '15:00').toISOString()).toBe('2024-03-10T19:00:00.000Z');
+    expect(DateUtil.atTime(dayStart, '00:30').toISOString()).toBe('2024-03-10T05:30:00.000Z');
+    expect(DateUtil.atTime('2024-11-03', '15:00').toISOString()).toBe('2024-11-03T20:00:00.000Z');
+  });
+
+  test('rejects unknown timezones', () => {
+    process.env.INSTITUTION_TIMEZONE = 'Mars/Olympus_Mons';
+    expect(() => DateUtil.getTimezone()).toThrow(RangeError);
+  });
+});
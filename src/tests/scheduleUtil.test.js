@@ -0,0 +1,99 @@
+const ScheduleUtil = require('../utils/scheduleUtil');
+
+describe('Schedule utility tests', () => {
+  // 2024-01-15 is a Monday
+  const at = (time) => new Date(`2024-01-15T${time}:00`);
+
+  const subject = {
+    schedules: [
+      { slotName: 'Morning', days: ['Monday', 'Wednesday'], startTime: '08:00', endTime: '09:30' },
+      { slotName: 'Afternoon', days: ['Monday'], startTime: '13:00', endTime: '14:30' },
+    ],
+    attendancePolicy: { gracePeriodMinutes: 5, lateCutoffMinutes: 15, absentAfterMinutes: 30 },
+  };
+
+  test('matches the slot running at the check-in time', () => {
+    const match = ScheduleUtil.findOpenSlot(subject, at('08:12'));
+    expect(match.slot.slotName).toBe('Morning');
+    expect(match.minutesLate).toBe(12);
+
+    expect(ScheduleUtil.findOpenSlot(subject, at('12:50')).slot.slotName).toBe('Afternoon');
+  });
+
+  test('treats early check-ins as on time and closes after the absent cutoff', () => {
+    expect(ScheduleUtil.findOpenSlot(subject, at('07:50')).minutesLate).toBe(0);
+    expect(ScheduleUtil.findOpenSlot(subject, at('07:30'))).toBeNull();
+    expect(ScheduleUtil.findOpenSlot(subject, at('08:31'))).toBeNull();
+    expect(ScheduleUtil.findOpenSlot(subject, new Date('2024-01-16T08:00:00'))).toBeNull();
+  });
+
+  test('restricts matching to a named slot', () => {
+    expect(ScheduleUtil.findOpenSlot(subject, at('08:00'), 'Afternoon')).toBeNull();
+  });
+
+  test('measures minutes late from a named slot start', () => {
+    expect(ScheduleUtil.getMinutesLate(subject, 'Afternoon', at('13:07'))).toBe(7);
+    expect(ScheduleUtil.getMinutesLate(subject, 'Afternoon', at('12:55'))).toBe(0);
+    expect(ScheduleUtil.getMinutesLate(subject, 'Evening', at('13:07'))).toBeNull();
+  });
+
+  test('measures minutes early from a named slot end', () => {
+    expect(ScheduleUtil.getMinutesEarly(subject, 'Morning', at('09:10'))).toBe(20);
+    expect(ScheduleUtil.getMinutesEarly(subject, 'Morning', at('09:45'))).toBe(0);
+    expect(ScheduleUtil.getMinutesEarly(subject, 'Evening', at('09:10'))).toBeNull();
+  });
+
+  test('resolves card scans across subjects and scanner locations', () => {
+    const lab = {
+      schedules: [
+        { slotName: 'Lab', days: ['Monday'], startTime: '10:00', endTime: '12:00', room: 'L1' },
+      ],
+    };
+
+    const arrival = ScheduleUtil.findActiveSlot([subject, lab], at('09:55'));
+    expect(arrival.subject).toBe(lab);
+    expect(arrival.minutesLate).toBe(0);
+
+    expect(ScheduleUtil.findActiveSlot([subject, lab], at('09:55'), { room: 'R2' })).toBeNull();
+    expect(ScheduleUtil.findActiveSlot([subject, lab], at('12:20')).slot.slotName).toBe('Lab');
+    expect(ScheduleUtil.findActiveSlot([subject, lab], at('12:40'))).toBeNull();
+  });
+
+  test('keeps a scan after one class ends with the class the student has not left', () => {
+    const first = {
+      _id: 'first',
+      schedules: [{ slotName: 'A', days: ['Monday'], startTime: '08:00', endTime: '10:00' }],
+    };
+    const second = {
+      _id: 'second',
+      schedules: [{ slotName: 'B', days: ['Monday'], startTime: '10:00', endTime: '12:00' }],
+    };
+    const inFirst = [ScheduleUtil.sessionKey('first', 'A')];
+
+    expect(ScheduleUtil.findActiveSlot([first, second], at('10:05')).subject).toBe(second);
+    expect(ScheduleUtil.findActiveSlot([first, second], at('10:05'), {}, inFirst).subject).toBe(
+      first
+    );
+    // Past the departure grace period the next class takes the scan
+    expect(ScheduleUtil.findActiveSlot([first, second], at('10:35'), {}, inFirst).subject).toBe(
+      second
+    );
+  });
+
+  test('classifies check-ins with the subject policy', () => {
+    const policy = ScheduleUtil.getPolicy(subject);
+    expect(ScheduleUtil.classifyCheckIn(5, policy)).toBe('present');
+    expect(ScheduleUtil.classifyCheckIn(6, policy)).toBe('late');
+    expect(ScheduleUtil.classifyCheckIn(16, policy)).toBe('absent');
+  });
+
+  test('formats local date keys', () => {
+    expect(ScheduleUtil.toDateKey(new Date('2024-03-07T23:30:00'))).toBe('2024-03-07');
+  });
+
+  test('falls back to the legacy schedule and default policy', () => {
+    const legacy = { schedules: [], schedule: { days: ['Monday'], startTime: '10:00' } };
+    expect(ScheduleUtil.findOpenSlot(legacy, at('10:20')).minutesLate).toBe(20);
+    expect(ScheduleUtil.getPolicy(legacy).gracePeriodMinutes).toBe(5);
+  });
+});
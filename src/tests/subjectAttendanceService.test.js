@@ -0,0 +1,184 @@
+const { Attendance, Student, Subject, Enrollment, Record, Excuse } = require('../models');
+const subjectAttendanceService = require('../services/subjectAttendanceService');
+const excuseService = require('../services/excuseService');
+const attendanceLockService = require('../services/attendanceLockService');
+const calendarEventService = require('../services/calendarEventService');
+const attendanceAlertService = require('../services/attendanceAlertService');
+const { ATTENDANCE_SOURCES, ATTENDANCE_STATUS } = require('../config/constants');
+
+describe('Subject attendance service tests', () => {
+  const userId = '507f1f77bcf86cd799439001';
+  const student = {
+    _id: '507f1f77bcf86cd799439003',
+    id: '507f1f77bcf86cd799439003',
+    firstName: 'Ana',
+    lastName: 'Reyes',
+    isActive: true,
+  };
+  const slot = { slotName: 'Morning', days: ['Monday'], startTime: '08:00', endTime: '09:30' };
+  const subject = {
+    _id: '507f1f77bcf86cd799439002',
+    subjectName: 'Algebra',
+    section: '2-D',
+    schedules: [slot],
+  };
+  // 2024-01-15 is a Monday
+  const afterClass = new Date('2024-01-15T10:00:00');
+
+  // Attendance documents the service wrote, standing in for the collection
+  let records;
+
+  const store = (data) => {
+    const attendance = {
+      _id: `attendance-${records.length}`,
+      history: [],
+      createdAt: new Date(),
+      ...data,
+      save: () => Promise.resolve(attendance),
+    };
+    records.push(attendance);
+    return attendance;
+  };
+
+  const matches = (attendance, query) => {
+    const timeSlot = attendance.timeSlot || null;
+    const timeSlotMatches = query.timeSlot.$in
+      ? query.timeSlot.$in.includes(timeSlot)
+      : query.timeSlot === timeSlot;
+    return (
+      String(attendance.student) === String(query.student) &&
+      String(attendance.subject) === String(query.subject) &&
+      (attendance.scheduleSlot || null) === query.scheduleSlot &&
+      timeSlotMatches
+    );
+  };
+
+  beforeEach(() => {
+    records = [];
+
+    jest.spyOn(Subject, 'findById').mockResolvedValue(subject);
+    jest.spyOn(Student, 'findById').mockResolvedValue(student);
+    jest.spyOn(Enrollment, 'findOne').mockResolvedValue({ student: student._id });
+    jest.spyOn(Enrollment, 'find').mockReturnValue({
+      populate: () => Promise.resolve([{ student }]),
+    });
+    jest.spyOn(Excuse, 'findCovering').mockResolvedValue([]);
+    jest.spyOn(Record, 'create').mockResolvedValue({});
+
+    jest.spyOn(Attendance, 'insertMany').mockImplementation(async (docs) => docs.map(store));
+    jest.spyOn(Attendance, 'create').mockImplementation(async (data) => store(data));
+    jest
+      .spyOn(Attendance, 'findOne')
+      .mockImplementation(
+        async (query) => records.find((record) => matches(record, query)) || null
+      );
+    // Re-read with populate(...).lean() before it is returned
+    jest.spyOn(Attendance, 'findById').mockImplementation((id) => {
+      const chain = {
+        populate: () => chain,
+        lean: () => Promise.resolve(records.find((record) => record._id === id)),
+      };
+      return chain;
+    });
+    jest
+      .spyOn(Attendance, 'distinct')
+      .mockImplementation(async (field, query) =>
+        records
+          .filter((record) => record.scheduleSlot === query.scheduleSlot)
+          .map((record) => record[field])
+      );
+
+    jest.spyOn(attendanceLockService, 'getLockState').mockResolvedValue({ locked: false });
+    jest.spyOn(attendanceLockService, 'assertUnlocked').mockResolvedValue();
+    jest.spyOn(calendarEventService, 'getEventOn').mockResolvedValue(null);
+    jest.spyOn(calendarEventService, 'assertClassDay').mockResolvedValue();
+    jest
+      .spyOn(excuseService, 'resolveStatus')
+      .mockImplementation(async (studentId, subjectId, date, status) => ({ status }));
+    jest.spyOn(attendanceAlertService, 'scheduleEvaluation').mockImplementation(() => {});
+    jest.spyOn(subjectAttendanceService, 'sendAttendanceNotifications').mockResolvedValue();
+  });
+
+  afterEach(async () => {
+    // Let the fire-and-forget notifications run while they are still spied on
+    await new Promise((resolve) => {
+      setImmediate(resolve);
+    });
+    jest.restoreAllMocks();
+  });
+
+  // The studentIds format of POST /subject/bulk-mark sends every student as an arrival
+  const bulkMark = (status, timeSlot = 'arrival') =>
+    subjectAttendanceService.bulkMarkSubjectAttendance(
+      subject._id,
+      [{ studentId: student._id, status, date: afterClass, timeSlot, scheduleSlot: 'Morning' }],
+      userId
+    );
+
+  test('a bulk arrival mark replaces the automatic absence for the slot', async () => {
+    const created = await subjectAttendanceService.markAbsentForSlot(
+      subject,
+      slot,
+      afterClass,
+      false
+    );
+    expect(created).toBe(1);
+    expect(records[0].timeSlot).toBeUndefined();
+
+    const result = await bulkMark(ATTENDANCE_STATUS.LATE);
+
+    expect(result.summary).toEqual({ updated: 1, created: 0 });
+    expect(records).toHaveLength(1);
+    expect(records[0]).toMatchObject({
+      status: ATTENDANCE_STATUS.LATE,
+      source: ATTENDANCE_SOURCES.MANUAL,
+      markedBy: userId,
+      history: [expect.objectContaining({ status: ATTENDANCE_STATUS.ABSENT })],
+    });
+  });
+
+  test('a departure mark is kept beside the automatic absence', async () => {
+    await subjectAttendanceService.markAbsentForSlot(subject, slot, afterClass, false);
+
+    const result = await bulkMark(ATTENDANCE_STATUS.PRESENT, 'departure');
+
+    expect(result.summary).toEqual({ updated: 0, created: 1 });
+    expect(records.map((record) => record.timeSlot)).toEqual([undefined, 'departure']);
+  });
+
+  test('the job counts enrollments up to the slot end on the clock across DST changes', async () => {
+    const originalTimezone = process.env.INSTITUTION_TIMEZONE;
+    process.env.INSTITUTION_TIMEZONE = 'America/New_York';
+
+    try {
+      // Clocks go forward on 2024-03-10, so 09:30 is 13:30 UTC, not 14:30
+      await subjectAttendanceService.markAbsentForSlot(
+        subject,
+        slot,
+        new Date('2024-03-10T16:00:00Z'),
+        false
+      );
+    } finally {
+      if (originalTimezone === undefined) delete process.env.INSTITUTION_TIMEZONE;
+      else process.env.INSTITUTION_TIMEZONE = originalTimezone;
+    }
+
+    expect(Enrollment.find).toHaveBeenCalledWith(
+      expect.objectContaining({ createdAt: { $lte: new Date('2024-03-10T13:30:00.000Z') } })
+    );
+  });
+
+  test('the job skips students who already have an arrival for the slot', async () => {
+    await bulkMark(ATTENDANCE_STATUS.PRESENT);
+
+    const created = await subjectAttendanceService.markAbsentForSlot(
+      subject,
+      slot,
+      afterClass,
+      false
+    );
+
+    expect(created).toBe(0);
+    expect(records).toHaveLength(1);
+  });
+});
@@ -0,0 +1,50 @@
+const termRolloverService = require('../services/termRolloverService');
+
+describe('Term rollover student plan tests', () => {
+  const student = (section) => ({
+    _id: '507f1f77bcf86cd799439011',
+    studentNumber: '2024-0001',
+    firstName: 'Ana',
+    lastName: 'Reyes',
+    section,
+  });
+
+  const plan = (section, options = {}) =>
+    termRolloverService.planStudent(student(section), {
+      promoteStudents: true,
+      sectionMap: {},
+      ...options,
+    });
+
+  test('keeps students in their section unless promotion is requested', () => {
+    const result = plan('2-D', { promoteStudents: false });
+    expect(result.action).toBe('stay');
+    expect(result.toSection).toBe('2-D');
+  });
+
+  test('promotes to the next year level of the same section', () => {
+    expect(plan('2-D')).toMatchObject({ fromSection: '2-D', toSection: '3-D', action: 'promote' });
+    expect(plan('11B').toSection).toBe('12B');
+  });
+
+  test('prefers a section map override over the year level pattern', () => {
+    const result = plan('2-D', { sectionMap: { '2-D': '3-A' } });
+    expect(result).toMatchObject({ toSection: '3-A', action: 'promote' });
+
+    expect(plan('Special', { sectionMap: { Special: 'Special 2' } }).toSection).toBe('Special 2');
+  });
+
+  test('graduates students in the graduating year level', () => {
+    expect(plan('4-A', { graduatingYearLevel: 4 })).toMatchObject({
+      toSection: null,
+      action: 'graduate',
+    });
+    expect(plan('4-A', { graduatingYearLevel: '4' }).action).toBe('graduate');
+    expect(plan('3-A', { graduatingYearLevel: 4 }).action).toBe('promote');
+  });
+
+  test('reports sections without a year level as unresolved', () => {
+    expect(plan('Special')).toMatchObject({ toSection: 'Special', action: 'unresolved' });
+    expect(plan(undefined)).toMatchObject({ fromSection: '', action: 'unresolved' });
+  });
+});
@@ -0,0 +1,38 @@
+const TOTPUtil = require('../utils/totpUtil');
+
+describe('TOTP utility tests', () => {
+  // RFC 6238 Appendix B shared secret (ASCII "12345678901234567890")
+  const rfcSecret = TOTPUtil.base32Encode(Buffer.from('12345678901234567890'));
+
+  test('base32 round-trips arbitrary bytes', () => {
+    const data = Buffer.from('notified two-factor');
+    expect(TOTPUtil.base32Decode(TOTPUtil.base32Encode(data)).equals(data)).toBe(true);
+  });
+
+  test('generates RFC 6238 SHA-1 codes (last 6 digits)', () => {
+    expect(TOTPUtil.generateCode(rfcSecret, TOTPUtil.getTimeStep(59 * 1000))).toBe('287082');
+    expect(TOTPUtil.generateCode(rfcSecret, TOTPUtil.getTimeStep(1111111109 * 1000))).toBe(
+      '081804'
+    );
+    expect(TOTPUtil.generateCode(rfcSecret, TOTPUtil.getTimeStep(2000000000 * 1000))).toBe(
+      '279037'
+    );
+  });
+
+  test('verifies current code and rejects malformed input', () => {
+    const secret = TOTPUtil.generateSecret();
+    const code = TOTPUtil.generateCode(secret);
+
+    expect(TOTPUtil.verifyCode(secret, code)).toBe(TOTPUtil.getTimeStep());
+    expect(TOTPUtil.verifyCode(secret, '12345')).toBeNull();
+    expect(TOTPUtil.verifyCode(secret, 'abcdef')).toBeNull();
+  });
+
+  test('recovery code hashing ignores case and surrounding whitespace', () => {
+    const [code] = TOTPUtil.generateRecoveryCodes(1);
+    expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+    expect(TOTPUtil.hashRecoveryCode(` ${code.toUpperCase()} `)).toBe(
+      TOTPUtil.hashRecoveryCode(code)
+    );
+  });
+});
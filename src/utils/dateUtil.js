@@ -0,0 +1,228 @@
+/**
+ * Date Utility
+ * Calendar days, times of day and formatting in the institution's timezone
+ * (INSTITUTION_TIMEZONE, an IANA name such as Asia/Manila; defaults to the server's zone)
+ *
+ * Attendance dates are stored as the instant the day starts in that timezone, so day
+ * boundaries do not depend on where the server runs.
+ *
+ * @author Notified Development Team
+ * @version 1.0.0
+ */
+
+const DATE_ONLY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Intl formatters are expensive to build, so keep one per timezone
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+        weekday: 'long',
+      })
+    );
+  }
+  return formatters.get(timeZone);
+};
+
+class DateUtil {
+  /**
+   * Get the institution timezone
+   * @returns {String} IANA timezone name
+   * @throws {RangeError} When INSTITUTION_TIMEZONE is not a valid timezone
+   */
+  static getTimezone() {
+    const timeZone =
+      process.env.INSTITUTION_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    getFormatter(timeZone);
+    return timeZone;
+  }
+
+  /**
+   * Get the calendar and clock fields of an instant in a timezone
+   * @param {Date|String|Number} date - Instant
+   * @param {String} timeZone - IANA timezone (defaults to the institution timezone)
+   * @returns {Object} { year, month, day, hour, minute, second, weekday }
+   */
+  static getParts(date, timeZone = DateUtil.getTimezone()) {
+    const parts = {};
+    getFormatter(timeZone)
+      .formatToParts(new Date(date))
+      .forEach(({ type, value }) => {
+        parts[type] = value;
+      });
+
+    return {
+      year: Number(parts.year),
+      month: Number(parts.month),
+      day: Number(parts.day),
+      hour: Number(parts.hour),
+      minute: Number(parts.minute),
+      second: Number(parts.second),
+      weekday: parts.weekday,
+    };
+  }
+
+  /**
+   * Get the instant a calendar day starts in a timezone
+   * @param {Number} year - Year
+   * @param {Number} month - Month (1-12, overflow rolls into the next year)
+   * @param {Number} day - Day of month (overflow rolls into the next month)
+   * @param {String} timeZone - IANA timezone (defaults to the institution timezone)
+   * @returns {Date} Start of the day
+   */
+  static fromCalendarDay(year, month, day, timeZone = DateUtil.getTimezone()) {
+    return DateUtil.fromWallClock(year, month, day, 0, timeZone);
+  }
+
+  /**
+   * Get the instant a wall-clock time occurs on a calendar day in a timezone
+   * @param {Number} year - Year
+   * @param {Number} month - Month (1-12, overflow rolls into the next year)
+   * @param {Number} day - Day of month (overflow rolls into the next month)
+   * @param {Number} minutes - Minutes since midnight on the clock
+   * @param {String} timeZone - IANA timezone (defaults to the institution timezone)
+   * @returns {Date} Instant of that time
+   */
+  static fromWallClock(year, month, day, minutes, timeZone = DateUtil.getTimezone()) {
+    const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+    const offsetAt = (timestamp) => {
+      const parts = DateUtil.getParts(timestamp, timeZone);
+      const asUtc = Date.UTC(
+        parts.year,
+        parts.month - 1,
+        parts.day,
+        parts.hour,
+        parts.minute,
+        parts.second
+      );
+      return asUtc - Math.floor(timestamp / 1000) * 1000;
+    };
+
+    // The offset at that time can differ from the first guess across a DST change
+    const guess = wallClock - offsetAt(wallClock);
+    const offset = offsetAt(guess);
+    return new Date(wallClock - offset);
+  }
+
+  /**
+   * Get the instant a time of day (HH:mm) occurs on the day containing a date
+   * Unlike adding minutes to the day start, this follows the clock across DST changes
+   * @param {Date|String|Number} date - Date (date-only strings are read as that calendar day)
+   * @param {String} time - Time in HH:mm format
+   * @param {String} timeZone - IANA timezone (defaults to the institution timezone)
+   * @returns {Date} Instant of that time
+   */
+  static atTime(date, time, timeZone = DateUtil.getTimezone()) {
+    const { year, month, day } = DateUtil.getParts(DateUtil.startOfDay(date, timeZone), timeZone);
+    const [hours, minutes] = time.split(':').map(Number);
+    return DateUtil.fromWallClock(year, month, day, hours * 60 + minutes, timeZone);
+  }
+
+  /**
+   * Get the start of the day containing a date in the institution timezone
+   * Date-only strings (YYYY-MM-DD) are read as that calendar day
+   * @param {Date|String|Number} date - Date (defaults to now)
+   * @param {String} timeZone - IANA timezone (defaults to the institution timezone)
+   * @returns {Date} Start of the day
+   */
+  static startOfDay(date = new Date(), timeZone = DateUtil.getTimezone()) {
+    const match = typeof date === 'string' ? DATE_ONLY_PATTERN.exec(date.trim()) : null;
+    if (match) {
+      return DateUtil.fromCalendarDay(
+        Number(match[1]),
+        Number(match[2]),
+        Number(match[3]),
+        timeZone
+      );
+    }
+
+    const { year, month, day } = DateUtil.getParts(date, timeZone);
+    return DateUtil.fromCalendarDay(year, month, day, timeZone);
+  }
+
+  /**
+   * Move a day start by whole calendar days
+   * @param {Date} dayStart - Start of a day (from startOfDay)
+   * @param {Number} days - Days to add (may be negative)
+   * @param {String} timeZone - IANA timezone (defaults to the institution timezone)
+   * @returns {Date} Start of the resulting day
+   */
+  static addDays(dayStart, days, timeZone = DateUtil.getTimezone()) {
+    const { year, month, day } = DateUtil.getParts(dayStart, timeZone);
+    return DateUtil.fromCalendarDay(year, month, day + days, timeZone);
+  }
+
+  /**
+   * Get the bounds of the day containing a date, for `$gte`/`$lt` queries
+   * @param {Date|String|Number} date - Date (defaults to now)
+   * @returns {Object} { start, end } with end being the start of the next day
+   */
+  static getDayRange(date = new Date()) {
+    const start = DateUtil.startOfDay(date);
+    return { start, end: DateUtil.addDays(start, 1) };
+  }
+
+  /**
+   * Format a date as YYYY-MM-DD in the institution timezone
+   * @param {Date|String|Number} date - Date
+   * @returns {String} Date key
+   */
+  static toDateKey(date) {
+    const { year, month, day } = DateUtil.getParts(date);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+
+  /**
+   * Get the English day name of a date in the institution timezone
+   * @param {Date|String|Number} date - Date
+   * @returns {String} Day name (e.g. Monday)
+   */
+  static getDayName(date) {
+    return DateUtil.getParts(date).weekday;
+  }
+
+  /**
+   * Get the minutes since midnight of a time in the institution timezone
+   * @param {Date|String|Number} date - Time
+   * @returns {Number} Minutes (fractional, includes seconds)
+   */
+  static getMinutesOfDay(date) {
+    const { hour, minute, second } = DateUtil.getParts(date);
+    return hour * 60 + minute + second / 60;
+  }
+
+  /**
+   * Format a date for people (emails, exports, notifications) in the institution timezone
+   * @param {Date|String|Number} date - Date
+   * @returns {String} Localized date
+   */
+  static formatDate(date) {
+    return new Date(date).toLocaleDateString('en-US', { timeZone: DateUtil.getTimezone() });
+  }
+
+  /**
+   * Format a time of day for people (e.g. 3:45 PM) in the institution timezone
+   * @param {Date|String|Number} date - Time
+   * @returns {String} Localized time
+   */
+  static formatTime(date) {
+    return new Date(date).toLocaleTimeString('en-US', {
+      timeZone: DateUtil.getTimezone(),
+      hour: 'numeric',
+      minute: '2-digit',
+    });
+  }
+}
+
+module.exports = DateUtil;
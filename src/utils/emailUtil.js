@@ -8,6 +8,7 @@
 
 const nodemailer = require('nodemailer');
 const logger = require('./logger');
+const DateUtil = require('./dateUtil');
 
 class EmailUtil {
   constructor() {
@@ -155,6 +156,28 @@ class EmailUtil {
     return await this.sendEmail({ to: email, subject, html });
   }
 
+  /**
+   * Send account invitation email with the activation link
+   * @param {String} email - Recipient email
+   * @param {String} name - Recipient name
+   * @param {String} inviteToken - Signed invitation token
+   * @returns {Promise<Object>} Send result
+   */
+  async sendInvitationEmail(email, name, inviteToken) {
+    const inviteUrl = `${process.env.FRONTEND_URL}/accept-invite?token=${inviteToken}`;
+    const subject = 'You have been invited to Notified';
+    const html = `
+      <h2>Welcome to Notified, ${name}!</h2>
+      <p>An administrator has created an account for you. Click the link below to choose your password and activate it:</p>
+      <a href="${inviteUrl}" style="display: inline-block; padding: 10px 20px; background-color: #4CAF50; color: white; text-decoration: none; border-radius: 5px;">Activate Account</a>
+      <p>This link can only be used once and will expire in 7 days.</p>
+      <br>
+      <p>Best regards,<br>The Notified Team</p>
+    `;
+
+    return await this.sendEmail({ to: email, subject, html });
+  }
+
   /**
    * Send attendance notification to guardian
    * @param {String} guardianEmail - Guardian's email
@@ -170,7 +193,7 @@ class EmailUtil {
       <p>This is to inform you about the attendance status of your ward:</p>
       <ul>
         <li><strong>Student:</strong> ${studentData.firstName} ${studentData.lastName} (${studentData.studentNumber})</li>
-        <li><strong>Date:</strong> ${new Date(attendanceData.date).toLocaleDateString()}</li>
+        <li><strong>Date:</strong> ${DateUtil.formatDate(attendanceData.date)}</li>
         <li><strong>Status:</strong> ${attendanceData.status.toUpperCase()}</li>
         ${attendanceData.subject ? `<li><strong>Subject:</strong> ${attendanceData.subject}</li>` : ''}
         ${attendanceData.remarks ? `<li><strong>Remarks:</strong> ${attendanceData.remarks}</li>` : ''}
@@ -183,6 +206,86 @@ class EmailUtil {
     return await this.sendEmail({ to: guardianEmail, subject, html });
   }
 
+  /**
+   * Tell a guardian that their ward left a class
+   * @param {String} guardianEmail - Guardian's email
+   * @param {Object} departureData - studentName, studentNumber, subject, departedAt,
+   *   minutesEarly (when the student left before the scheduled end)
+   * @returns {Promise<Object>} Send result
+   */
+  async sendDepartureNotification(guardianEmail, departureData) {
+    const subject = `Departure recorded for ${departureData.studentName}`;
+    const html = `
+      <h2>Departure Notification</h2>
+      <p>Dear Guardian,</p>
+      <p>Your ward's departure has been recorded:</p>
+      <ul>
+        <li><strong>Student:</strong> ${departureData.studentName} (${departureData.studentNumber})</li>
+        <li><strong>Subject:</strong> ${departureData.subject}</li>
+        <li><strong>Date:</strong> ${DateUtil.formatDate(departureData.departedAt)}</li>
+        <li><strong>Time:</strong> ${DateUtil.formatTime(departureData.departedAt)}</li>
+        ${departureData.minutesEarly ? `<li><strong>Note:</strong> left ${departureData.minutesEarly} minute(s) before the scheduled end</li>` : ''}
+      </ul>
+      <p>If you have any questions, please contact the school administration.</p>
+      <br>
+      <p>Best regards,<br>Notified System</p>
+    `;
+
+    return await this.sendEmail({ to: guardianEmail, subject, html });
+  }
+
+  /**
+   * Warn a guardian that their ward crossed an absenteeism rule
+   * @param {String} guardianEmail - Guardian's email
+   * @param {Object} alertData - studentName, studentNumber, subject, reason
+   * @returns {Promise<Object>} Send result
+   */
+  async sendAttendanceAlertEmail(guardianEmail, alertData) {
+    const subject = `Attendance concern for ${alertData.studentName}`;
+    const html = `
+      <h2>Attendance Concern</h2>
+      <p>Dear Guardian,</p>
+      <p>Your ward's attendance needs attention:</p>
+      <ul>
+        <li><strong>Student:</strong> ${alertData.studentName} (${alertData.studentNumber})</li>
+        <li><strong>Subject:</strong> ${alertData.subject}</li>
+        <li><strong>Concern:</strong> ${alertData.reason}</li>
+      </ul>
+      <p>Please get in touch with the subject's instructor or the school administration.</p>
+      <br>
+      <p>Best regards,<br>Notified System</p>
+    `;
+
+    return await this.sendEmail({ to: guardianEmail, subject, html });
+  }
+
+  /**
+   * Send the outcome of an attendance correction request
+   * @param {String} email - Requester email
+   * @param {Object} correctionData - studentName, subject, date, proposedStatus, approved, note
+   * @returns {Promise<Object>} Send result
+   */
+  async sendCorrectionOutcomeEmail(email, correctionData) {
+    const outcome = correctionData.approved ? 'approved' : 'rejected';
+    const subject = `Attendance correction ${outcome} for ${correctionData.studentName}`;
+    const html = `
+      <h2>Attendance Correction ${correctionData.approved ? 'Approved' : 'Rejected'}</h2>
+      <p>Your request to change the following attendance record has been ${outcome}:</p>
+      <ul>
+        <li><strong>Student:</strong> ${correctionData.studentName}</li>
+        <li><strong>Date:</strong> ${DateUtil.formatDate(correctionData.date)}</li>
+        ${correctionData.subject ? `<li><strong>Subject:</strong> ${correctionData.subject}</li>` : ''}
+        <li><strong>Requested status:</strong> ${correctionData.proposedStatus.toUpperCase()}</li>
+        ${correctionData.note ? `<li><strong>Reviewer note:</strong> ${correctionData.note}</li>` : ''}
+      </ul>
+      <p>If you have any questions, please contact the school administration.</p>
+      <br>
+      <p>Best regards,<br>Notified System</p>
+    `;
+
+    return await this.sendEmail({ to: email, subject, html });
+  }
+
   /**
    * Send password reset email
    * @param {String} email - Recipient email
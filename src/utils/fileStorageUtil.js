@@ -0,0 +1,103 @@
+/**
+ * File Storage Utility
+ * Validates and stores files uploaded through express-fileupload
+ *
+ * @author Notified Development Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { UPLOADS, ERROR_MESSAGES } = require('../config/constants');
+const logger = require('./logger');
+
+const getUploadRoot = () => process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads');
+
+class FileStorageUtil {
+  /**
+   * Normalize an express-fileupload field (single file or array) to an array
+   * @param {Object|Array} files - Uploaded file(s)
+   * @returns {Array<Object>} Files
+   */
+  static toArray(files) {
+    if (!files) return [];
+    return Array.isArray(files) ? files : [files];
+  }
+
+  /**
+   * Check uploaded files against the allowed types, size and count
+   * @param {Array<Object>} files - Uploaded files
+   * @throws {Error} 400 when a file is not acceptable
+   */
+  static validate(files) {
+    const reject = (message) => {
+      const error = new Error(message);
+      error.statusCode = 400;
+      throw error;
+    };
+
+    if (files.length > UPLOADS.MAX_FILES) reject(ERROR_MESSAGES.TOO_MANY_FILES);
+
+    files.forEach((file) => {
+      if (!UPLOADS.ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+        reject(ERROR_MESSAGES.FILE_TYPE_NOT_ALLOWED);
+      }
+      if (file.size > UPLOADS.MAX_FILE_SIZE_BYTES) reject(ERROR_MESSAGES.FILE_TOO_LARGE);
+    });
+  }
+
+  /**
+   * Move uploaded files into permanent storage
+   * @param {Array<Object>} files - Validated uploaded files
+   * @param {String} folder - Folder under the upload root (e.g. 'corrections')
+   * @returns {Promise<Array<Object>>} Attachment descriptors (see attachmentSchema)
+   */
+  static async save(files, folder) {
+    const directory = path.join(getUploadRoot(), folder);
+    await fs.mkdir(directory, { recursive: true });
+
+    return Promise.all(
+      files.map(async (file) => {
+        const storedName = `${crypto.randomBytes(16).toString('hex')}${path
+          .extname(file.name)
+          .toLowerCase()}`;
+        await file.mv(path.join(directory, storedName));
+
+        return {
+          originalName: file.name,
+          storedName,
+          folder,
+          mimeType: file.mimetype,
+          size: file.size,
+        };
+      })
+    );
+  }
+
+  /**
+   * Get the absolute path of a stored attachment
+   * @param {Object} attachment - Attachment descriptor
+   * @returns {String} File path
+   */
+  static resolve(attachment) {
+    return path.join(getUploadRoot(), attachment.folder, path.basename(attachment.storedName));
+  }
+
+  /**
+   * Delete stored attachments (missing files are ignored)
+   * @param {Array<Object>} attachments - Attachment descriptors
+   * @returns {Promise<void>}
+   */
+  static async remove(attachments) {
+    await Promise.all(
+      attachments.map((attachment) =>
+        fs.unlink(FileStorageUtil.resolve(attachment)).catch((error) => {
+          logger.warn(`Failed to delete attachment ${attachment.storedName}: ${error.message}`);
+        })
+      )
+    );
+  }
+}
+
+module.exports = FileStorageUtil;
@@ -12,11 +12,12 @@ class JWTUtil {
   /**
    * Generate access token
    * @param {Object} payload - Token payload
+   * @param {String} expiresIn - Optional lifetime overriding JWT_EXPIRES_IN
    * @returns {String} JWT token
    */
-  static generateAccessToken(payload) {
+  static generateAccessToken(payload, expiresIn = null) {
     return jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+      expiresIn: expiresIn || process.env.JWT_EXPIRES_IN || '7d',
     });
   }
 
@@ -38,7 +39,14 @@ class JWTUtil {
    */
   static verifyAccessToken(token) {
     try {
-      return jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Purpose-bound tokens share the secret but must never authenticate a request
+      if (decoded.purpose) {
+        throw new Error('Token purpose mismatch');
+      }
+
+      return decoded;
     } catch (error) {
       throw new Error('Invalid or expired token');
     }
@@ -57,6 +65,38 @@ class JWTUtil {
     }
   }
 
+  /**
+   * Generate a short-lived token bound to a single purpose (e.g. a 2FA challenge)
+   * @param {Object} payload - Token payload
+   * @param {String} purpose - Token purpose
+   * @param {String} expiresIn - Lifetime (jsonwebtoken format)
+   * @returns {String} JWT token
+   */
+  static generatePurposeToken(payload, purpose, expiresIn) {
+    return jwt.sign({ ...payload, purpose }, process.env.JWT_SECRET, { expiresIn });
+  }
+
+  /**
+   * Verify a purpose-bound token
+   * @param {String} token - JWT token
+   * @param {String} purpose - Expected purpose
+   * @returns {Object} Decoded payload
+   */
+  static verifyPurposeToken(token, purpose) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      throw new Error('Invalid or expired token');
+    }
+
+    if (decoded.purpose !== purpose) {
+      throw new Error('Invalid or expired token');
+    }
+
+    return decoded;
+  }
+
   /**
    * Decode token without verifying
    * @param {String} token - JWT token
@@ -0,0 +1,34 @@
+/**
+ * Request Context
+ * Per-request values (such as the API key in use) that stay available through the
+ * whole async call chain, so models and services can read them without extra parameters
+ *
+ * @author Notified Development Team
+ * @version 1.0.0
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+class RequestContext {
+  /**
+   * Run a callback with values added to the current request context
+   * @param {Object} values - Context values to add
+   * @param {Function} callback - Function to run within the context
+   * @returns {*} Callback result
+   */
+  static run(values, callback) {
+    return storage.run({ ...RequestContext.get(), ...values }, callback);
+  }
+
+  /**
+   * Get the current request context
+   * @returns {Object} Context values (empty outside a request)
+   */
+  static get() {
+    return storage.getStore() || {};
+  }
+}
+
+module.exports = RequestContext;
@@ -0,0 +1,216 @@
+/**
+ * Schedule Utility
+ * Helpers for matching times against Subject schedule slots and
+ * classifying check-ins with a subject's attendance policy
+ *
+ * @author Notified Development Team
+ * @version 1.0.0
+ */
+
+const { ATTENDANCE_STATUS, ATTENDANCE_POLICY, KIOSK } = require('../config/constants');
+const DateUtil = require('./dateUtil');
+
+class ScheduleUtil {
+  /**
+   * Convert an HH:mm time to minutes since midnight
+   * @param {String} time - Time in HH:mm format
+   * @returns {Number} Minutes since midnight
+   */
+  static toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Get the weekday name used by Subject schedules, in the institution timezone
+   * @param {Date} date - Date
+   * @returns {String} Day name (e.g. 'Monday')
+   */
+  static getDayName(date) {
+    return DateUtil.getDayName(date);
+  }
+
+  /**
+   * Format a date as a YYYY-MM-DD key in the institution timezone
+   * @param {Date} date - Date
+   * @returns {String} Date key
+   */
+  static toDateKey(date) {
+    return DateUtil.toDateKey(date);
+  }
+
+  /**
+   * Get the schedule slots of a subject that run on a date
+   * Falls back to the legacy single schedule when no slots are defined
+   * @param {Object} subject - Subject document
+   * @param {Date} date - Date
+   * @returns {Array<Object>} Slots ({ slotName, days, startTime, endTime })
+   */
+  static getSlotsForDate(subject, date) {
+    const dayName = ScheduleUtil.getDayName(date);
+    let slots = subject.schedules || [];
+
+    if (slots.length === 0 && subject.schedule && subject.schedule.startTime) {
+      slots = [{ slotName: null, ...subject.schedule }];
+    }
+
+    return slots.filter((slot) => (slot.days || []).includes(dayName) && slot.startTime);
+  }
+
+  /**
+   * Find the slot a check-in at the given time belongs to
+   * A slot is open from CHECK_IN_OPENS_BEFORE_MINUTES before its start until the
+   * policy's absent-after cutoff
+   * @param {Object} subject - Subject document
+   * @param {Date} time - Check-in time
+   * @param {String} slotName - Optional slot name to restrict the match to
+   * @returns {Object|null} { slot, minutesLate } or null when no slot is open
+   */
+  static findOpenSlot(subject, time, slotName = null) {
+    const policy = ScheduleUtil.getPolicy(subject);
+    const now = DateUtil.getMinutesOfDay(time);
+
+    const candidates = ScheduleUtil.getSlotsForDate(subject, time)
+      .filter((slot) => !slotName || slot.slotName === slotName)
+      .map((slot) => ({ slot, offset: now - ScheduleUtil.toMinutes(slot.startTime) }))
+      .filter(
+        ({ offset }) =>
+          offset >= -ATTENDANCE_POLICY.CHECK_IN_OPENS_BEFORE_MINUTES &&
+          offset <= policy.absentAfterMinutes
+      )
+      .sort((a, b) => Math.abs(a.offset) - Math.abs(b.offset));
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const { slot, offset } = candidates[0];
+    return { slot, minutesLate: Math.max(0, Math.floor(offset)) };
+  }
+
+  /**
+   * Build the key identifying a subject session (subject and schedule slot) on a day
+   * @param {String|Object} subjectId - Subject ID
+   * @param {String} slotName - Slot name (null for the legacy schedule)
+   * @returns {String} Session key
+   */
+  static sessionKey(subjectId, slotName) {
+    return `${subjectId}:${slotName || ''}`;
+  }
+
+  /**
+   * Find the session a card scan belongs to among several subjects
+   * A slot accepts scans from CHECK_IN_OPENS_BEFORE_MINUTES before its start until
+   * DEPARTURE_GRACE_MINUTES after its end. A session the student is still in wins, so a scan
+   * just after one class ends is its departure rather than an arrival for the next; otherwise
+   * the slot starting closest to the scan wins
+   * @param {Array<Object>} subjects - Subject documents (e.g. a student's enrolled subjects)
+   * @param {Date} time - Scan time
+   * @param {Object} location - Optional room/building the scanner is installed in
+   * @param {Array<String>} awaitingDeparture - Session keys (sessionKey) the student has
+   *   arrived at but not left
+   * @returns {Object|null} { subject, slot, minutesLate } or null when no slot is running
+   */
+  static findActiveSlot(subjects, time, location = {}, awaitingDeparture = []) {
+    const now = DateUtil.getMinutesOfDay(time);
+    const sameText = (a, b) => String(a || '').toLowerCase() === String(b || '').toLowerCase();
+
+    const candidates = subjects
+      .flatMap((subject) =>
+        ScheduleUtil.getSlotsForDate(subject, time).map((slot) => ({ subject, slot }))
+      )
+      .filter(
+        ({ slot }) =>
+          (!location.room || sameText(slot.room, location.room)) &&
+          (!location.building || sameText(slot.building, location.building))
+      )
+      .map((candidate) => ({
+        ...candidate,
+        start: ScheduleUtil.toMinutes(candidate.slot.startTime),
+        end: ScheduleUtil.toMinutes(candidate.slot.endTime || candidate.slot.startTime),
+        inside: awaitingDeparture.includes(
+          ScheduleUtil.sessionKey(candidate.subject._id, candidate.slot.slotName)
+        ),
+      }))
+      .filter(
+        ({ start, end }) =>
+          now >= start - ATTENDANCE_POLICY.CHECK_IN_OPENS_BEFORE_MINUTES &&
+          now <= end + KIOSK.DEPARTURE_GRACE_MINUTES
+      )
+      .sort((a, b) => b.inside - a.inside || Math.abs(now - a.start) - Math.abs(now - b.start));
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const { subject, slot, start } = candidates[0];
+    return { subject, slot, minutesLate: Math.max(0, Math.floor(now - start)) };
+  }
+
+  /**
+   * Get how late a time is relative to the start of a named slot on that day
+   * @param {Object} subject - Subject document
+   * @param {String} slotName - Slot name (null for the legacy schedule)
+   * @param {Date} time - Check-in time
+   * @returns {Number|null} Minutes late (0 when early), or null when the slot does not run that day
+   */
+  static getMinutesLate(subject, slotName, time) {
+    const slot = ScheduleUtil.getSlotsForDate(subject, time).find(
+      (candidate) => (candidate.slotName || null) === (slotName || null)
+    );
+    if (!slot) return null;
+
+    const now = DateUtil.getMinutesOfDay(time);
+    return Math.max(0, Math.floor(now - ScheduleUtil.toMinutes(slot.startTime)));
+  }
+
+  /**
+   * Get how early a time is relative to the end of a named slot on that day
+   * @param {Object} subject - Subject document
+   * @param {String} slotName - Slot name (null for the legacy schedule)
+   * @param {Date} time - Departure time
+   * @returns {Number|null} Minutes early (0 at or after the end), or null when the slot does not
+   *   run that day
+   */
+  static getMinutesEarly(subject, slotName, time) {
+    const slot = ScheduleUtil.getSlotsForDate(subject, time).find(
+      (candidate) => (candidate.slotName || null) === (slotName || null)
+    );
+    if (!slot || !slot.endTime) return null;
+
+    const now = DateUtil.getMinutesOfDay(time);
+    return Math.max(0, Math.floor(ScheduleUtil.toMinutes(slot.endTime) - now));
+  }
+
+  /**
+   * Derive the attendance status for a check-in
+   * @param {Number} minutesLate - Minutes after the slot start
+   * @param {Object} policy - Attendance policy
+   * @returns {String} Attendance status
+   */
+  static classifyCheckIn(minutesLate, policy) {
+    if (minutesLate <= policy.gracePeriodMinutes) {
+      return ATTENDANCE_STATUS.PRESENT;
+    }
+    if (minutesLate <= policy.lateCutoffMinutes) {
+      return ATTENDANCE_STATUS.LATE;
+    }
+    return ATTENDANCE_STATUS.ABSENT;
+  }
+
+  /**
+   * Get a subject's attendance policy with defaults filled in
+   * @param {Object} subject - Subject document
+   * @returns {Object} { gracePeriodMinutes, lateCutoffMinutes, absentAfterMinutes }
+   */
+  static getPolicy(subject) {
+    const policy = subject.attendancePolicy || {};
+    return {
+      gracePeriodMinutes: policy.gracePeriodMinutes ?? ATTENDANCE_POLICY.GRACE_PERIOD_MINUTES,
+      lateCutoffMinutes: policy.lateCutoffMinutes ?? ATTENDANCE_POLICY.LATE_CUTOFF_MINUTES,
+      absentAfterMinutes: policy.absentAfterMinutes ?? ATTENDANCE_POLICY.ABSENT_AFTER_MINUTES,
+    };
+  }
+}
+
+module.exports = ScheduleUtil;